@@ -1,4 +1,5 @@
 const authService = require("../services/auth");
+const MembershipService = require("../services/membership");
 const { createResponse, AuthenticationError } = require("./error-handler");
 
 /**
@@ -39,7 +40,59 @@ const adminMiddleware = (req, res, next) => {
   next();
 };
 
+/**
+ * Business role middleware (use after authMiddleware)
+ * Scopes a route to members of the business in the URL with at least `minRole`
+ * (viewer < agent < manager < owner). Platform admins pass through.
+ * @param {string} minRole - Lowest role allowed
+ * @param {Object} options
+ * @param {string} options.param - Route param holding the business ID (default "businessId")
+ * @param {Function} options.resolveBusinessId - async (req) => businessId, for routes keyed by another resource
+ */
+const requireBusinessRole = (minRole, options = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json(createResponse(false, null, "Access token required", null, "AUTHENTICATION_ERROR"));
+    }
+
+    const businessId = options.resolveBusinessId
+      ? await options.resolveBusinessId(req)
+      : req.params[options.param || "businessId"];
+
+    if (!businessId) {
+      const message = options.resolveBusinessId ? "Resource not found" : "Business not found";
+      return res.status(404).json(createResponse(false, null, message, null, "NOT_FOUND_ERROR"));
+    }
+
+    if (isNaN(businessId)) {
+      return res.status(400).json(createResponse(false, null, "Valid business ID is required", null, "VALIDATION_ERROR"));
+    }
+
+    if (MembershipService.isPlatformAdmin(req.user)) {
+      return next();
+    }
+
+    const membership = await MembershipService.getMembership(businessId, req.user.id);
+    if (!membership) {
+      return res.status(403).json(createResponse(false, null, "You are not a member of this business", null, "AUTHORIZATION_ERROR"));
+    }
+
+    if (!MembershipService.hasRole(membership.role, minRole)) {
+      return res
+        .status(403)
+        .json(createResponse(false, null, `This action requires the ${minRole} role`, null, "AUTHORIZATION_ERROR"));
+    }
+
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error("Business role middleware error:", error);
+    return res.status(500).json(createResponse(false, null, "Authorization error", null, "INTERNAL_SERVER_ERROR"));
+  }
+};
+
 module.exports = {
   authMiddleware,
-  adminMiddleware
+  adminMiddleware,
+  requireBusinessRole
 }; 
\ No newline at end of file
@@ -50,6 +50,12 @@ class RateLimitError extends AppError {
   }
 }
 
+class BudgetExceededError extends AppError {
+  constructor(message = "Monthly AI budget exceeded") {
+    super(message, 402, "BUDGET_EXCEEDED_ERROR");
+  }
+}
+
 class ExternalServiceError extends AppError {
   constructor(message = "External service error", service) {
     super(message, 502, "EXTERNAL_SERVICE_ERROR");
@@ -173,6 +179,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  BudgetExceededError,
   ExternalServiceError,
   createResponse,
   errorHandler,
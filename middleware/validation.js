@@ -34,6 +34,9 @@ const commonValidations = {
   // ID validations
   id: param("id").isInt({ min: 1 }).withMessage("ID must be a positive integer"),
   businessId: param("businessId").isInt({ min: 1 }).withMessage("Business ID must be a positive integer"),
+  exampleId: param("exampleId").isInt({ min: 1 }).withMessage("Example ID must be a positive integer"),
+  runId: param("runId").isInt({ min: 1 }).withMessage("Run ID must be a positive integer"),
+  documentId: param("documentId").isInt({ min: 1 }).withMessage("Document ID must be a positive integer"),
 
   // Pagination validations
   page: query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const BusinessService = require("../services/business");
+
+const SIGNATURE_HEADER = "x-hub-signature-256";
+const SIGNATURE_PREFIX = "sha256=";
+
+// Signature verification statistics (exposed through the health endpoints)
+const stats = {
+  verified: 0,
+  rejected: 0,
+  missingSignature: 0,
+  missingSecret: 0,
+  lastRejectedAt: null,
+};
+
+/**
+ * Compute the X-Hub-Signature-256 header value for a payload
+ * @param {Buffer|string|Object} payload - Raw body (objects are JSON-stringified)
+ * @param {string} appSecret - Meta app secret
+ * @returns {string} Header value in the form "sha256=<hex digest>"
+ */
+const signWebhookPayload = (payload, appSecret) => {
+  const body = Buffer.isBuffer(payload) || typeof payload === "string" ? payload : JSON.stringify(payload);
+  const digest = crypto.createHmac("sha256", appSecret).update(body).digest("hex");
+  return `${SIGNATURE_PREFIX}${digest}`;
+};
+
+/**
+ * Constant-time comparison of a received signature against the expected one
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - Received header value
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature matches
+ */
+const isValidSignature = (rawBody, signature, appSecret) => {
+  const expected = Buffer.from(signWebhookPayload(rawBody, appSecret));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Collect every phone number ID referenced by a webhook body
+ * @param {Object} body - Parsed webhook body
+ * @returns {string[]} Unique phone number IDs
+ */
+const getPhoneNumberIds = (body) => {
+  const ids = new Set();
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const phoneNumberId = change.value?.metadata?.phone_number_id;
+      if (phoneNumberId) {
+        ids.add(phoneNumberId);
+      }
+    }
+  }
+
+  return [...ids];
+};
+
+/**
+ * Resolve the app secrets a webhook body must be signed with.
+ * Each referenced business uses its own whatsapp_configs.app_secret, falling back to WHATSAPP_APP_SECRET.
+ * @param {Object} body - Parsed webhook body
+ * @returns {Promise<string[]|null>} Secrets to check, or null if one could not be resolved
+ */
+const resolveAppSecrets = async (body) => {
+  const globalSecret = process.env.WHATSAPP_APP_SECRET || null;
+  const phoneNumberIds = getPhoneNumberIds(body);
+
+  if (phoneNumberIds.length === 0) {
+    return globalSecret ? [globalSecret] : null;
+  }
+
+  const secrets = new Set();
+  for (const phoneNumberId of phoneNumberIds) {
+    const config = await BusinessService.getWhatsAppConfigByPhoneNumber(phoneNumberId);
+    const secret = config?.app_secret || globalSecret;
+
+    if (!secret) {
+      return null;
+    }
+    secrets.add(secret);
+  }
+
+  return [...secrets];
+};
+
+/**
+ * Reject the request and record it in the statistics
+ */
+const reject = (res, reason, counter = null) => {
+  stats.rejected++;
+  if (counter) stats[counter]++;
+  stats.lastRejectedAt = new Date().toISOString();
+
+  console.warn(`Webhook signature rejected: ${reason}`);
+  return res.status(401).send("Unauthorized");
+};
+
+/**
+ * Webhook signature middleware
+ * Verifies the X-Hub-Signature-256 header Meta sends with every webhook POST
+ */
+const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    const signature = req.headers[SIGNATURE_HEADER];
+
+    if (!signature || !signature.startsWith(SIGNATURE_PREFIX)) {
+      return reject(res, "missing or malformed X-Hub-Signature-256 header", "missingSignature");
+    }
+
+    if (!req.rawBody) {
+      return reject(res, "raw request body not available");
+    }
+
+    const secrets = await resolveAppSecrets(req.body);
+    if (!secrets) {
+      return reject(res, "no app secret configured for this phone number", "missingSecret");
+    }
+
+    const allValid = secrets.every((secret) => isValidSignature(req.rawBody, signature, secret));
+    if (!allValid) {
+      return reject(res, "signature mismatch");
+    }
+
+    stats.verified++;
+    next();
+  } catch (error) {
+    console.error("Webhook signature verification error:", error);
+    return reject(res, error.message);
+  }
+};
+
+/**
+ * Get signature verification statistics (for monitoring)
+ */
+const getSignatureStats = () => ({ ...stats });
+
+module.exports = {
+  verifyWebhookSignature,
+  signWebhookPayload,
+  getSignatureStats,
+};
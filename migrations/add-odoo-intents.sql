@@ -18,7 +18,7 @@ VALUES
     ('odoo_inventory_check', 'User wants to check inventory or stock levels', true, NOW(), NOW()),
     ('odoo_lead_create', 'User wants to create a CRM lead/opportunity', true, NOW(), NOW()),
     ('odoo_invoice_status', 'User wants to check invoice status', true, NOW(), NOW())
-ON CONFLICT (name) DO UPDATE
+ON CONFLICT (name) WHERE business_id IS NULL DO UPDATE
 SET description = EXCLUDED.description,
     updated_at = NOW();
 
@@ -37,7 +37,7 @@ FROM intents,
         ('Search customer by phone'),
         ('Show customer list')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_customer_search'
+WHERE intents.name = 'odoo_customer_search' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Customer Create Examples
@@ -54,7 +54,7 @@ FROM intents,
         ('I want to add a customer'),
         ('Create contact for ABC Company')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_customer_create'
+WHERE intents.name = 'odoo_customer_create' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Product Search Examples
@@ -71,7 +71,7 @@ FROM intents,
         ('Product catalog'),
         ('Display product list')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_product_search'
+WHERE intents.name = 'odoo_product_search' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Product Create Examples
@@ -88,7 +88,7 @@ FROM intents,
         ('New product registration'),
         ('Add product with price $99')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_product_create'
+WHERE intents.name = 'odoo_product_create' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Sale Order Create Examples
@@ -105,7 +105,7 @@ FROM intents,
         ('Create SO for ABC Corp'),
         ('Make a purchase order')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_sale_order_create'
+WHERE intents.name = 'odoo_sale_order_create' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Order Status Examples
@@ -122,7 +122,7 @@ FROM intents,
         ('View order details'),
         ('Status of sales order')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_order_status'
+WHERE intents.name = 'odoo_order_status' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Order Cancel Examples
@@ -139,7 +139,7 @@ FROM intents,
         ('Cancel the order for John'),
         ('Stop order processing')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_order_cancel'
+WHERE intents.name = 'odoo_order_cancel' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Inventory Check Examples
@@ -156,7 +156,7 @@ FROM intents,
         ('Stock availability'),
         ('Check warehouse stock')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_inventory_check'
+WHERE intents.name = 'odoo_inventory_check' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Lead Create Examples
@@ -173,7 +173,7 @@ FROM intents,
         ('New business opportunity'),
         ('Create lead interested in products')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_lead_create'
+WHERE intents.name = 'odoo_lead_create' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Invoice Status Examples
@@ -190,7 +190,7 @@ FROM intents,
         ('Status of invoice'),
         ('Has invoice been paid?')
     ) AS examples(example_text)
-WHERE intents.name = 'odoo_invoice_status'
+WHERE intents.name = 'odoo_invoice_status' AND intents.business_id IS NULL
 ON CONFLICT DO NOTHING;
 
 -- Commit transaction
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const AirtableService = require("../services/airtable");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -13,6 +13,7 @@ router.get(
   "/config/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await AirtableService.getConfig(parseInt(businessId));
@@ -25,7 +26,7 @@ router.get(
  * Create or update Airtable configuration for a business
  * POST /api/airtable/config/:businessId
  */
-router.post("/config/:businessId", async (req, res) => {
+router.post("/config/:businessId", authMiddleware, requireBusinessRole("manager"), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { access_token, base_id, table_name } = req.body;
@@ -71,8 +72,8 @@ router.post("/config/:businessId", async (req, res) => {
 router.put(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await AirtableService.updateIntegration(parseInt(businessId), req.body);
@@ -87,9 +88,9 @@ router.put(
  */
 router.delete(
   "/config/:businessId",
-  // authMiddleware,
-  // adminMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     await AirtableService.removeConfig(parseInt(businessId));
@@ -106,6 +107,7 @@ router.post(
   "/test/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const result = await AirtableService.testConnection(parseInt(businessId));
@@ -122,6 +124,7 @@ router.get(
   "/status/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("viewer"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const isIntegrated = await AirtableService.isIntegrated(parseInt(businessId));
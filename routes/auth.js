@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const authService = require("../services/auth");
+const MembershipService = require("../services/membership");
 const { authMiddleware } = require("../middleware/auth");
 const { validate, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
@@ -123,6 +124,23 @@ router.put(
   })
 );
 
+/**
+ * Accept a business invite by creating an account
+ * POST /api/auth/invites/:token/accept
+ * Body: { username, password }
+ */
+router.post(
+  "/invites/:token/accept",
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const { user, member } = await MembershipService.acceptInvite(req.params.token, { username, password });
+    const token = authService.generateToken(user);
+
+    res.status(201).json(createResponse(true, { user, membership: member, token }, "Invite accepted successfully"));
+  })
+);
+
 /**
  * Verify token
  * GET /api/auth/verify
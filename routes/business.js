@@ -2,16 +2,101 @@ const express = require("express");
 const router = express.Router();
 const businessService = require("../services/business");
 const DatabaseService = require("../services/database");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const OutboundMessageService = require("../services/outbound-message");
+const MessageTemplateService = require("../services/message-templates");
+const HandoffService = require("../services/handoff");
+const MembershipService = require("../services/membership");
+const MessagePipeline = require("../services/message-pipeline");
+const LLMService = require("../services/llm");
+const LLMUsageService = require("../services/llm-usage");
+const DocumentMessageService = require("../services/document-message");
+const DocumentTextService = require("../services/document-text");
+const MessageTypesService = require("../services/message-types");
+const VoiceReplyService = require("../services/voice-reply");
+const TTSService = require("../services/tts");
+const { authMiddleware, adminMiddleware, requireBusinessRole } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
+// Routes keyed by conversation only are scoped to the conversation's business
+const conversationBusinessId = async (req) => {
+  const conversation = await DatabaseService.getConversationDetails(req.params.conversationId);
+  return conversation ? conversation.business_id : null;
+};
+
+// Look up a conversation and make sure it belongs to the business in the URL
+const getBusinessConversation = async (businessId, conversationId) => {
+  const conversation = await DatabaseService.getConversationDetails(conversationId);
+  return conversation && String(conversation.business_id) === String(businessId) ? conversation : null;
+};
+
+/**
+ * GET and PUT routes for one group of a business's settings: members read them, managers change them
+ * @param {string} path - Path under /businesses/:businessId
+ * @param {Object} options
+ * @param {Function} options.describe - (business) => data returned by GET
+ * @param {Function} options.validate - (body) => settings to store, null for the defaults; throws ValidationError
+ * @param {Function} options.update - (businessId, settings) => the updated businesses row, null when not found
+ * @param {Function} options.updated - (business) => data returned by PUT
+ * @param {string} options.updatedMessage
+ */
+const settingsRoutes = (path, { describe, validate, update, updated, updatedMessage }) => {
+  router.get(
+    `/businesses/:businessId/${path}`,
+    authMiddleware,
+    requireBusinessRole("viewer"),
+    asyncHandler(async (req, res) => {
+      const business = await businessService.getBusinessById(req.params.businessId);
+
+      if (!business) {
+        return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+      }
+
+      res.json(createResponse(true, await describe(business)));
+    })
+  );
+
+  router.put(
+    `/businesses/:businessId/${path}`,
+    authMiddleware,
+    requireBusinessRole("manager"),
+    asyncHandler(async (req, res) => {
+      const settings = validate(req.body);
+      const business = await update(req.params.businessId, settings);
+
+      if (!business) {
+        return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+      }
+
+      res.json(createResponse(true, await updated(business), updatedMessage));
+    })
+  );
+};
+
+// settingsRoutes options for settings a service checks (validateSettings) and fills in with its defaults
+// (getSettings), stored in a column of businesses. { settings: null } or no values go back to the defaults.
+const serviceSettings = (service, column) => ({
+  validate: (body) => {
+    const settings = body.settings === null ? null : service.validateSettings(body);
+    return settings && Object.keys(settings).length > 0 ? settings : null;
+  },
+  updated: (business) => ({ settings: service.getSettings(business), stored: business[column] }),
+  describe: (business) => ({
+    settings: service.getSettings(business),
+    stored: business[column],
+    defaults: service.defaults,
+  }),
+});
+
 // Business Management Routes
 router.get(
   "/businesses",
   authMiddleware,
   asyncHandler(async (req, res) => {
-    const businesses = await businessService.getAllBusinesses();
+    // Platform admins see every business, everyone else only the businesses they are a member of
+    const businesses = MembershipService.isPlatformAdmin(req.user)
+      ? await businessService.getAllBusinesses()
+      : await businessService.getBusinessesForUser(req.user.id);
     res.json(createResponse(true, { businesses, count: businesses.length }));
   })
 );
@@ -19,6 +104,7 @@ router.get(
 router.get(
   "/businesses/:id",
   authMiddleware,
+  requireBusinessRole("viewer", { param: "id" }),
   // validate([commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -46,7 +132,7 @@ router.post(
 router.put(
   "/businesses/:id",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager", { param: "id" }),
   // validate(validationSets.updateBusiness),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -63,7 +149,7 @@ router.put(
 router.delete(
   "/businesses/:id",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("owner", { param: "id" }),
   // validate([commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -81,6 +167,7 @@ router.delete(
 router.get(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
+  requireBusinessRole("manager"),
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -92,7 +179,7 @@ router.get(
 router.post(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate(validationSets.createWhatsAppConfig),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -108,7 +195,7 @@ router.post(
 router.put(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate(validationSets.updateWhatsAppConfig),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -127,7 +214,7 @@ router.put(
 router.delete(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate([commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -147,6 +234,7 @@ router.delete(
 router.get(
   "/businesses/:businessId/tone",
   authMiddleware,
+  requireBusinessRole("viewer"),
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -160,7 +248,7 @@ router.get(
 router.post(
   "/businesses/:businessId/tone",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate(validationSets.createBusinessTone),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -172,7 +260,7 @@ router.post(
 router.put(
   "/businesses/:businessId/tone/:toneId",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate(validationSets.updateBusinessTone),
   asyncHandler(async (req, res) => {
     const { businessId, toneId } = req.params;
@@ -189,7 +277,7 @@ router.put(
 router.delete(
   "/businesses/:businessId/tone/:toneId",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { businessId, toneId } = req.params;
@@ -203,10 +291,293 @@ router.delete(
   })
 );
 
+// Message Pipeline Routes
+// PUT body: { stages: [...] }, or { stages: null } for the default order
+settingsRoutes("pipeline", {
+  describe: (business) => ({
+    stages: MessagePipeline.getStageOrder(business),
+    custom: Array.isArray(business.pipeline_stages),
+    default: MessagePipeline.defaultOrder,
+    available: MessagePipeline.getStageNames(),
+  }),
+  validate: ({ stages }) => {
+    if (stages !== null) {
+      MessagePipeline.validateStageOrder(stages);
+    }
+    return stages;
+  },
+  update: (businessId, stages) => businessService.updatePipelineStages(businessId, stages),
+  updated: (business) => ({ stages: MessagePipeline.getStageOrder(business) }),
+  updatedMessage: "Message pipeline updated successfully",
+});
+
+// LLM Settings Routes
+// PUT body: { provider, models }, both null for the defaults
+settingsRoutes("llm", {
+  describe: async (business) => ({
+    ...(await LLMService.getSettings(business.id)),
+    stored: business.llm_settings,
+    default: LLMService.defaultProvider,
+    providers: [...LLMService.providers.keys()].map((name) => ({ name, models: LLMService.getDefaultModels(name) })),
+  }),
+  validate: ({ provider, models }) => {
+    const settings = provider == null && models == null ? null : { provider, models };
+    if (settings) {
+      LLMService.validateSettings(settings);
+    }
+    return settings;
+  },
+  update: async (businessId, settings) => {
+    const business = await businessService.updateLLMSettings(businessId, settings);
+    if (business) {
+      LLMService.clearSettingsCache(business.id);
+    }
+    return business;
+  },
+  updated: (business) => LLMService.getSettings(business.id),
+  updatedMessage: "LLM settings updated successfully",
+});
+
+/**
+ * Monthly LLM budget and this month's spend
+ * GET /api/basic/businesses/:businessId/llm/budget
+ */
+router.get(
+  "/businesses/:businessId/llm/budget",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const business = await businessService.getBusinessById(req.params.businessId);
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { budget, spent, month } = await LLMUsageService.getBudgetStatus(business.id);
+    const exceeded = await LLMUsageService.getExceededBudget(business.id);
+    res.json(createResponse(true, { budget, spent, month, exceeded: !!exceeded }));
+  })
+);
+
+/**
+ * Set the monthly LLM budget
+ * PUT /api/basic/businesses/:businessId/llm/budget
+ * Body: { monthlyLimitUsd, action: "downgrade"|"refuse", downgradeModels: { chat, ... }, refusalMessage },
+ * or { budget: null } to remove the budget
+ */
+router.put(
+  "/businesses/:businessId/llm/budget",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const budget = req.body.budget === null ? null : req.body;
+    if (budget) {
+      LLMUsageService.validateBudget(budget);
+    }
+
+    const stored = budget && {
+      monthlyLimitUsd: budget.monthlyLimitUsd,
+      action: budget.action || "downgrade",
+      downgradeModels: budget.downgradeModels || {},
+      ...(budget.refusalMessage ? { refusalMessage: budget.refusalMessage.trim() } : {}),
+    };
+    const business = await businessService.updateLLMBudget(req.params.businessId, stored);
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    LLMUsageService.clearBudgetCache(business.id);
+    const { spent, month } = await LLMUsageService.getBudgetStatus(business.id);
+    res.json(createResponse(true, { budget: business.llm_budget, spent, month }, "LLM budget updated successfully"));
+  })
+);
+
+/**
+ * Limits for documents customers send, the defaults and the readable types
+ * GET /api/basic/businesses/:businessId/document-messages
+ * PUT /api/basic/businesses/:businessId/document-messages
+ * Body: { enabled, maxFileSizeMb, maxPages } (unset values use the defaults), or { settings: null } for the defaults
+ */
+const documentSettings = serviceSettings(DocumentMessageService, "document_settings");
+settingsRoutes("document-messages", {
+  ...documentSettings,
+  describe: (business) => ({
+    ...documentSettings.describe(business),
+    supportedTypes: DocumentTextService.supportedTypes,
+  }),
+  update: (businessId, settings) => businessService.updateDocumentSettings(businessId, settings),
+  updatedMessage: "Document settings updated successfully",
+});
+
+/**
+ * Replies to videos, stickers, locations, contacts, reactions and unsupported messages, and where shared
+ * contacts are saved
+ * GET /api/basic/businesses/:businessId/message-types
+ * PUT /api/basic/businesses/:businessId/message-types
+ * Body: { replies: { video, sticker, location, contacts, reaction, unknown }, contactsCrm: "hubspot"|"odoo",
+ * transcribeVideos } (unset values use the defaults; an empty reply sends nothing), or { settings: null }
+ */
+settingsRoutes("message-types", {
+  ...serviceSettings(MessageTypesService, "message_type_settings"),
+  update: (businessId, settings) => businessService.updateMessageTypeSettings(businessId, settings),
+  updatedMessage: "Message type settings updated successfully",
+});
+
+/**
+ * Spoken replies to voice notes, the voice and the preamble of text replies; GET also lists the available
+ * TTS providers with their voices
+ * GET /api/basic/businesses/:businessId/voice
+ * PUT /api/basic/businesses/:businessId/voice
+ * Body: { enabled, provider, voice, includeText, transcriptPreamble } (unset values use the defaults),
+ * or { settings: null }
+ */
+const voiceSettings = serviceSettings(VoiceReplyService, "voice_settings");
+settingsRoutes("voice", {
+  ...voiceSettings,
+  describe: (business) => ({
+    ...voiceSettings.describe(business),
+    providers: TTSService.getProviderNames().map((name) => {
+      const { voices, defaultVoice } = TTSService.getProvider(name);
+      return { name, model: TTSService.getDefaultModel(name), voices, defaultVoice };
+    }),
+  }),
+  update: (businessId, settings) => businessService.updateVoiceSettings(businessId, settings),
+  updatedMessage: "Voice settings updated successfully",
+});
+
+/**
+ * LLM usage per day, operation and model
+ * GET /api/basic/businesses/:businessId/llm/usage?from=2024-05-01&to=2024-05-31 (default: this month)
+ */
+router.get(
+  "/businesses/:businessId/llm/usage",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const usage = await LLMUsageService.getDailyUsage(parseInt(req.params.businessId), req.query);
+    res.json(createResponse(true, usage));
+  })
+);
+
+/**
+ * LLM usage of all businesses (platform admins only)
+ * GET /api/basic/llm/usage?from=2024-05-01&to=2024-05-31&groupBy=business|day
+ */
+router.get(
+  "/llm/usage",
+  authMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { from, to, groupBy = "business" } = req.query;
+
+    if (!["business", "day"].includes(groupBy)) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "groupBy must be business or day", null, "VALIDATION_ERROR"));
+    }
+
+    const usage =
+      groupBy === "day"
+        ? await LLMUsageService.getDailyUsage(null, { from, to })
+        : await LLMUsageService.getUsageByBusiness({ from, to });
+    res.json(createResponse(true, usage));
+  })
+);
+
+// Message Template Routes
+router.get(
+  "/businesses/:businessId/templates",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { status, purpose } = req.query;
+    const templates = await MessageTemplateService.getTemplates(businessId, { status, purpose });
+    res.json(createResponse(true, { templates, count: templates.length }));
+  })
+);
+
+/**
+ * Pull the business's templates (and their approval status) from the Graph API
+ * POST /api/basic/businesses/:businessId/templates/sync
+ */
+router.post(
+  "/businesses/:businessId/templates/sync",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const result = await MessageTemplateService.syncTemplates(businessId);
+    const templates = await MessageTemplateService.getTemplates(businessId);
+    res.json(createResponse(true, { ...result, templates }, "Message templates synced successfully"));
+  })
+);
+
+router.get(
+  "/businesses/:businessId/templates/:templateId",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const { businessId, templateId } = req.params;
+    const template = await MessageTemplateService.getTemplateById(businessId, templateId);
+
+    if (!template) {
+      return res.status(404).json(createResponse(false, null, "Message template not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, template));
+  })
+);
+
+router.post(
+  "/businesses/:businessId/templates",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const template = await MessageTemplateService.createTemplate(businessId, req.body);
+    res.status(201).json(createResponse(true, template, "Message template submitted for approval"));
+  })
+);
+
+router.put(
+  "/businesses/:businessId/templates/:templateId",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const { businessId, templateId } = req.params;
+    const template = await MessageTemplateService.updateTemplate(businessId, templateId, req.body);
+
+    if (!template) {
+      return res.status(404).json(createResponse(false, null, "Message template not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, template, "Message template updated successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/templates/:templateId",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const { businessId, templateId } = req.params;
+    const template = await MessageTemplateService.deleteTemplate(businessId, templateId);
+
+    if (!template) {
+      return res.status(404).json(createResponse(false, null, "Message template not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, template, "Message template deleted successfully"));
+  })
+);
+
 // Conversation Management Routes
 router.get(
   "/businesses/:businessId/conversations",
   authMiddleware,
+  requireBusinessRole("viewer"),
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -233,10 +604,11 @@ router.get(
 router.get(
   "/businesses/:businessId/conversations/:conversationId",
   authMiddleware,
+  requireBusinessRole("viewer"),
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
-    const { conversationId } = req.params;
-    const conversation = await DatabaseService.getConversationDetails(conversationId);
+    const { businessId, conversationId } = req.params;
+    const conversation = await getBusinessConversation(businessId, conversationId);
 
     if (!conversation) {
       return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
@@ -249,30 +621,112 @@ router.get(
 router.get(
   "/businesses/:businessId/conversations/:conversationId/messages",
   authMiddleware,
+  requireBusinessRole("viewer"),
   // validate([commonValidations.businessId, commonValidations.id, ...validationSets.pagination]),
   asyncHandler(async (req, res) => {
-    const { conversationId } = req.params;
+    const { businessId, conversationId } = req.params;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
 
+    if (!(await getBusinessConversation(businessId, conversationId))) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+
     const messages = await DatabaseService.getConversationMessages(conversationId, limit, offset);
     res.json(createResponse(true, { messages, count: messages.length, page: parseInt(page), limit: parseInt(limit) }));
   })
 );
 
+/**
+ * Send a message to the customer from the business's WhatsApp number
+ * POST /api/basic/businesses/:businessId/conversations/:conversationId/messages
+ * Body: { text } or { template: { name, language, variables } }
+ * variables: { header: [...], body: ["value for {{1}}", ...] } or named { body: { first_name: "..." } }
+ * Free-form text is only allowed within 24 hours of the customer's last message.
+ */
+router.post(
+  "/businesses/:businessId/conversations/:conversationId/messages",
+  authMiddleware,
+  requireBusinessRole("agent"),
+  asyncHandler(async (req, res) => {
+    const { businessId, conversationId } = req.params;
+    const { text, template } = req.body;
+
+    const message = await OutboundMessageService.sendToConversation({
+      businessId,
+      conversationId,
+      text,
+      template,
+      authorUserId: req.user.id,
+    });
+
+    res.status(201).json(createResponse(true, message, "Message sent successfully"));
+  })
+);
+
+/**
+ * Hand a conversation to a human agent, or back to the bot
+ * PUT /api/basic/businesses/:businessId/conversations/:conversationId/handoff
+ * Body: { bot_paused: true, assigned_agent: userId } or { bot_paused: false }
+ * assigned_agent defaults to the logged-in user; anyone else must be a member of the business with at
+ * least the agent role. Paused conversations resume automatically after HANDOFF_IDLE_TIMEOUT_MINUTES
+ * without messages.
+ */
+router.put(
+  "/businesses/:businessId/conversations/:conversationId/handoff",
+  authMiddleware,
+  requireBusinessRole("agent"),
+  asyncHandler(async (req, res) => {
+    const { businessId, conversationId } = req.params;
+    const { bot_paused, assigned_agent } = req.body;
+
+    if (typeof bot_paused !== "boolean") {
+      return res.status(400).json(createResponse(false, null, "bot_paused must be a boolean", null, "VALIDATION_ERROR"));
+    }
+
+    if (!(await getBusinessConversation(businessId, conversationId))) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    // Conversations are handed to the caller, or to another member who can handle them
+    const assignedAgent = assigned_agent == null ? req.user.id : Number(assigned_agent);
+    if (bot_paused && assignedAgent !== req.user.id) {
+      const membership = Number.isInteger(assignedAgent)
+        ? await MembershipService.getMembership(businessId, assignedAgent)
+        : null;
+
+      if (!membership || !MembershipService.hasRole(membership.role, "agent")) {
+        return res
+          .status(400)
+          .json(
+            createResponse(false, null, "assigned_agent must be an agent of this business", null, "VALIDATION_ERROR")
+          );
+      }
+    }
+
+    const conversation = bot_paused
+      ? await HandoffService.pause(conversationId, { assignedAgent })
+      : await HandoffService.resume(conversationId);
+
+    res.json(
+      createResponse(true, conversation, bot_paused ? "Conversation handed to an agent" : "Conversation handed back to the bot")
+    );
+  })
+);
+
 router.delete(
   "/businesses/:businessId/conversations/:conversationId",
   authMiddleware,
-  adminMiddleware,
+  requireBusinessRole("manager"),
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
-    const { conversationId } = req.params;
-    const conversation = await DatabaseService.deleteConversation(conversationId);
+    const { businessId, conversationId } = req.params;
 
-    if (!conversation) {
+    if (!(await getBusinessConversation(businessId, conversationId))) {
       return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
     }
 
+    const conversation = await DatabaseService.deleteConversation(conversationId);
     res.json(createResponse(true, conversation, "Conversation deleted successfully"));
   })
 );
@@ -284,6 +738,7 @@ router.delete(
 router.get(
   "/conversations/:conversationId/messages",
   authMiddleware,
+  requireBusinessRole("viewer", { resolveBusinessId: conversationBusinessId }),
   // validate([commonValidations.id, ...validationSets.pagination]),
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
@@ -310,6 +765,7 @@ router.get(
 router.patch(
   "/conversations/:conversationId",
   authMiddleware,
+  requireBusinessRole("agent", { resolveBusinessId: conversationBusinessId }),
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { status, action } = req.body;
@@ -318,6 +774,13 @@ router.patch(
     let targetStatus = null;
     
     if (action === "delete") {
+      // Deleting takes the manager role (platform admins have no membership and may always delete)
+      if (req.membership && !MembershipService.hasRole(req.membership.role, "manager")) {
+        return res
+          .status(403)
+          .json(createResponse(false, null, "This action requires the manager role", null, "AUTHORIZATION_ERROR"));
+      }
+
       // Handle delete action
       const conversation = await DatabaseService.deleteConversation(conversationId);
       if (!conversation) {
@@ -347,4 +810,88 @@ router.patch(
   })
 );
 
+// Member Management Routes
+router.get(
+  "/businesses/:businessId/members",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const members = await MembershipService.getMembers(businessId);
+    const invites = await MembershipService.getPendingInvites(businessId);
+    res.json(createResponse(true, { members, invites, count: members.length }));
+  })
+);
+
+/**
+ * Invite someone to the business
+ * POST /api/basic/businesses/:businessId/members/invite
+ * Body: { email, role } with role one of owner, manager, agent, viewer
+ * Existing users are added immediately; otherwise an invite token is returned,
+ * to be accepted with POST /api/auth/invites/:token/accept.
+ */
+router.post(
+  "/businesses/:businessId/members/invite",
+  authMiddleware,
+  requireBusinessRole("owner"),
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { email, role } = req.body;
+
+    const result = await MembershipService.invite(businessId, { email, role }, req.user.id);
+
+    res
+      .status(201)
+      .json(createResponse(true, result, result.member ? "Member added successfully" : "Invite created successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/members/invites/:inviteId",
+  authMiddleware,
+  requireBusinessRole("owner"),
+  asyncHandler(async (req, res) => {
+    const { businessId, inviteId } = req.params;
+    const invite = await MembershipService.revokeInvite(businessId, inviteId);
+
+    if (!invite) {
+      return res.status(404).json(createResponse(false, null, "Invite not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, invite, "Invite revoked successfully"));
+  })
+);
+
+router.put(
+  "/businesses/:businessId/members/:userId",
+  authMiddleware,
+  requireBusinessRole("owner"),
+  asyncHandler(async (req, res) => {
+    const { businessId, userId } = req.params;
+    const member = await MembershipService.updateMemberRole(businessId, userId, req.body.role);
+
+    if (!member) {
+      return res.status(404).json(createResponse(false, null, "Member not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, member, "Member role updated successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/members/:userId",
+  authMiddleware,
+  requireBusinessRole("owner"),
+  asyncHandler(async (req, res) => {
+    const { businessId, userId } = req.params;
+    const member = await MembershipService.removeMember(businessId, userId);
+
+    if (!member) {
+      return res.status(404).json(createResponse(false, null, "Member not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, member, "Member removed successfully"));
+  })
+);
+
 module.exports = router;
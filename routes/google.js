@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const googleService = require("../services/google");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -11,8 +11,9 @@ const { createResponse, asyncHandler } = require("../middleware/error-handler");
  */
 router.get(
   "/auth/:businessId",
-  // authMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const authUrl = googleService.getAuthUrl(parseInt(businessId));
@@ -170,21 +171,24 @@ router.get("/callback", async (req, res) => {
  */
 router.get(
   "/status/:businessId",
-  // authMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("viewer"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const isIntegrated = await googleService.isIntegrated(parseInt(businessId));
-    const config = await googleService.getConfig(parseInt(businessId));
+    const integration = await googleService.getConfig(parseInt(businessId));
+    // OAuth tokens never leave the server
+    const { access_token, refresh_token, ...config } = integration || {};
 
     // Match frontend expected format
     res.json(
       createResponse(true, {
         success: true,
         isIntegrated,
-        email: config?.email || "",
-        lastUpdated: config?.last_sync || new Date().toISOString(),
-        config: config || null,
+        email: config.email || "",
+        lastUpdated: config.last_sync || new Date().toISOString(),
+        config: integration ? config : null,
       })
     );
   })
@@ -196,9 +200,9 @@ router.get(
  */
 router.post(
   "/config/:businessId",
-  // authMiddleware,
-  adminMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await googleService.saveIntegration(parseInt(businessId), req.body);
@@ -212,9 +216,9 @@ router.post(
  */
 router.put(
   "/config/:businessId",
-  // authMiddleware,
-  adminMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await googleService.updateIntegration(parseInt(businessId), req.body);
@@ -226,52 +230,51 @@ router.put(
  * Get Google Workspace configuration
  * GET /api/google/config/:businessId
  */
-router.get("/config/:businessId", async (req, res) => {
-  try {
-    const { businessId } = req.params;
+router.get(
+  "/config/:businessId",
+  authMiddleware,
+  validate([commonValidations.businessId]),
+  requireBusinessRole("viewer"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
 
-    if (!businessId || isNaN(businessId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Valid business ID is required",
-      });
-    }
+      const integration = await googleService.getIntegration(parseInt(businessId));
 
-    const integration = await googleService.getIntegration(parseInt(businessId));
+      if (integration) {
+        // Get user email from Google API if we have valid tokens
+        let email = null;
+        try {
+          const userInfo = await googleService.getUserInfo(parseInt(businessId));
+          email = userInfo?.email || null;
+        } catch (error) {
+          console.log("Could not get user email:", error.message);
+          // Integration exists but tokens might be expired
+        }
 
-    if (integration) {
-      // Get user email from Google API if we have valid tokens
-      let email = null;
-      try {
-        const userInfo = await googleService.getUserInfo(parseInt(businessId));
-        email = userInfo?.email || null;
-      } catch (error) {
-        console.log("Could not get user email:", error.message);
-        // Integration exists but tokens might be expired
+        res.json({
+          success: true,
+          isIntegrated: true,
+          email: email,
+          lastUpdated: integration.updated_at,
+        });
+      } else {
+        res.json({
+          success: true,
+          isIntegrated: false,
+          email: null,
+          lastUpdated: null,
+        });
       }
-
-      res.json({
-        success: true,
-        isIntegrated: true,
-        email: email,
-        lastUpdated: integration.updated_at,
-      });
-    } else {
-      res.json({
-        success: true,
-        isIntegrated: false,
-        email: null,
-        lastUpdated: null,
+    } catch (error) {
+      console.error("Error getting integration status:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get integration status",
       });
     }
-  } catch (error) {
-    console.error("Error getting integration status:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to get integration status",
-    });
   }
-});
+);
 
 /**
  * Remove Google Workspace integration
@@ -280,8 +283,8 @@ router.get("/config/:businessId", async (req, res) => {
 router.delete(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     await googleService.removeIntegration(parseInt(businessId));
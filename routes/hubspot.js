@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const HubSpotService = require("../services/hubspot");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -10,6 +10,7 @@ router.get(
   "/auth/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const authUrl = HubSpotService.getAuthUrl(parseInt(businessId));
@@ -144,8 +145,8 @@ router.get(
 router.post(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const { client_id, client_secret, redirect_uri } = req.body;
@@ -170,6 +171,7 @@ router.get(
   "/config/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await HubSpotService.getConfig(parseInt(businessId));
@@ -180,8 +182,8 @@ router.get(
 router.put(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await HubSpotService.updateIntegration(parseInt(businessId), req.body);
@@ -192,8 +194,8 @@ router.put(
 router.delete(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     await HubSpotService.removeIntegration(parseInt(businessId));
@@ -206,6 +208,7 @@ router.get(
   "/status/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("viewer"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const isIntegrated = await HubSpotService.isIntegrated(parseInt(businessId));
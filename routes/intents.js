@@ -0,0 +1,318 @@
+const express = require("express");
+const router = express.Router();
+const IntentDetectionService = require("../services/intent-detection");
+const IntentEvaluationService = require("../services/intent-evaluation");
+const { authMiddleware, adminMiddleware, requireBusinessRole } = require("../middleware/auth");
+const { validate, commonValidations } = require("../middleware/validation");
+const { createResponse, asyncHandler } = require("../middleware/error-handler");
+
+/**
+ * Intent catalog management.
+ * Every route exists twice: under /api/intents for the global catalog (platform admins only),
+ * and under /api/intents/businesses/:businessId for a business's catalog (members of the business).
+ */
+const catalogRoutes = express.Router({ mergeParams: true });
+
+// Global catalog: platform admins. Business catalog: members with at least minRole.
+const requireCatalogAccess = (minRole) => (req, res, next) =>
+  req.params.businessId ? requireBusinessRole(minRole)(req, res, next) : adminMiddleware(req, res, next);
+
+const getBusinessId = (req) => (req.params.businessId ? parseInt(req.params.businessId) : null);
+
+/**
+ * List the catalog's intents
+ * GET /api/intents
+ * For a business, every intent it can see is listed, with `scope` ("global" or "business")
+ * and `available` (false when the intent's integration isn't configured).
+ */
+catalogRoutes.get(
+  "/",
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    const intents = await IntentDetectionService.getAllIntents(getBusinessId(req));
+    res.json(createResponse(true, { intents, count: intents.length }));
+  })
+);
+
+/**
+ * Create an intent
+ * POST /api/intents
+ * Body: { name, description, confidence_threshold, active, examples: ["...", { text, weight }] }
+ */
+catalogRoutes.post(
+  "/",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const intent = await IntentDetectionService.createIntent(req.body, getBusinessId(req));
+    res.status(201).json(createResponse(true, intent, "Intent created successfully"));
+  })
+);
+
+/**
+ * Export the catalog's own intents and examples
+ * GET /api/intents/export
+ */
+catalogRoutes.get(
+  "/export",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const data = await IntentDetectionService.exportIntents(getBusinessId(req));
+    res.json(createResponse(true, data));
+  })
+);
+
+/**
+ * Import intents and examples in the export format
+ * POST /api/intents/import
+ * Body: { intents: [...], replace: false }. With replace, imported intents lose their existing examples first.
+ */
+catalogRoutes.post(
+  "/import",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const result = await IntentDetectionService.importIntents(req.body, getBusinessId(req), {
+      replace: req.body.replace === true,
+    });
+    res.json(createResponse(true, result, "Intents imported successfully"));
+  })
+);
+
+/**
+ * Clear cached intent detections
+ * DELETE /api/intents/cache
+ */
+catalogRoutes.delete(
+  "/cache",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const cleared = await IntentDetectionService.clearCache(getBusinessId(req));
+
+    if (!cleared) {
+      return res
+        .status(500)
+        .json(createResponse(false, null, "Failed to clear intent cache", null, "INTERNAL_SERVER_ERROR"));
+    }
+
+    res.json(createResponse(true, null, "Intent cache cleared successfully"));
+  })
+);
+
+/**
+ * Score a phrase against every available intent, best first (no caching, no GPT fallback)
+ * POST /api/intents/test
+ * Body: { text }
+ */
+catalogRoutes.post(
+  "/test",
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    const result = await IntentDetectionService.testPhrase(req.body.text, getBusinessId(req));
+    res.json(createResponse(true, result));
+  })
+);
+
+/**
+ * Intent detection settings and cache size
+ * GET /api/intents/metrics
+ */
+catalogRoutes.get(
+  "/metrics",
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    res.json(createResponse(true, await IntentDetectionService.getPerformanceMetrics(getBusinessId(req))));
+  })
+);
+
+/**
+ * Evaluate intent detection with a labeled dataset and compare it with the dataset's baseline
+ * POST /api/intents/evaluations
+ * Body: { dataset: { name, utterances: [{ text, intent }] }, baseline: false }
+ * With baseline, the run becomes the dataset's new baseline. Runs call the GPT fallback where
+ * detection would, so large datasets take a while.
+ */
+catalogRoutes.post(
+  "/evaluations",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const result = await IntentEvaluationService.run(req.body.dataset, {
+      businessId: getBusinessId(req),
+      userId: req.user.id,
+      saveAsBaseline: req.body.baseline === true,
+    });
+    res.status(201).json(createResponse(true, result, "Evaluation completed successfully"));
+  })
+);
+
+/**
+ * List evaluation runs, newest first
+ * GET /api/intents/evaluations?dataset=default
+ */
+catalogRoutes.get(
+  "/evaluations",
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    const runs = await IntentEvaluationService.getRuns(getBusinessId(req), {
+      dataset: req.query.dataset || null,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    });
+    res.json(createResponse(true, { runs, count: runs.length }));
+  })
+);
+
+/**
+ * Get an evaluation run with its report, compared with the current baseline of its dataset
+ * GET /api/intents/evaluations/:runId
+ */
+catalogRoutes.get(
+  "/evaluations/:runId",
+  validate([commonValidations.runId]),
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    const businessId = getBusinessId(req);
+    const run = await IntentEvaluationService.getRun(req.params.runId, businessId);
+
+    if (!run) {
+      return res.status(404).json(createResponse(false, null, "Evaluation run not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const baseline = await IntentEvaluationService.getBaseline(run.dataset, businessId);
+    const diff =
+      baseline && baseline.id !== run.id ? IntentEvaluationService.diffReports(baseline.report, run.report) : null;
+
+    res.json(createResponse(true, { run, diff }));
+  })
+);
+
+/**
+ * Make a run the baseline of its dataset
+ * PUT /api/intents/evaluations/:runId/baseline
+ */
+catalogRoutes.put(
+  "/evaluations/:runId/baseline",
+  validate([commonValidations.runId]),
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const run = await IntentEvaluationService.setBaseline(req.params.runId, getBusinessId(req));
+
+    if (!run) {
+      return res.status(404).json(createResponse(false, null, "Evaluation run not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, run, "Baseline updated successfully"));
+  })
+);
+
+catalogRoutes.get(
+  "/:name",
+  requireCatalogAccess("viewer"),
+  asyncHandler(async (req, res) => {
+    const intent = await IntentDetectionService.getIntent(req.params.name, getBusinessId(req));
+
+    if (!intent) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, intent));
+  })
+);
+
+/**
+ * Update an intent
+ * PUT /api/intents/:name
+ * Body: { description, confidence_threshold, active } (all optional)
+ * For a business, changing a global intent only changes it for that business.
+ */
+catalogRoutes.put(
+  "/:name",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const intent = await IntentDetectionService.updateIntent(req.params.name, req.body, getBusinessId(req));
+
+    if (!intent) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, intent, "Intent updated successfully"));
+  })
+);
+
+/**
+ * Delete an intent and its examples
+ * DELETE /api/intents/:name
+ * For a business, deleting its override of a global intent brings back the global settings.
+ */
+catalogRoutes.delete(
+  "/:name",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const intent = await IntentDetectionService.deleteIntent(req.params.name, getBusinessId(req));
+
+    if (!intent) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, intent, "Intent deleted successfully"));
+  })
+);
+
+/**
+ * Add examples to an intent
+ * POST /api/intents/:name/examples
+ * Body: { text, weight } or { examples: ["...", { text, weight }] }
+ */
+catalogRoutes.post(
+  "/:name/examples",
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const examples = req.body.examples || [{ text: req.body.text, weight: req.body.weight }];
+    const added = await IntentDetectionService.addExamples(req.params.name, examples, getBusinessId(req));
+
+    if (!added) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.status(201).json(createResponse(true, { examples: added, count: added.length }, "Examples added successfully"));
+  })
+);
+
+/**
+ * Edit an example
+ * PUT /api/intents/:name/examples/:exampleId
+ * Body: { text, weight, active } (all optional)
+ */
+catalogRoutes.put(
+  "/:name/examples/:exampleId",
+  validate([commonValidations.exampleId]),
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const { name, exampleId } = req.params;
+    const example = await IntentDetectionService.updateExample(name, exampleId, req.body, getBusinessId(req));
+
+    if (!example) {
+      return res.status(404).json(createResponse(false, null, "Example not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, example, "Example updated successfully"));
+  })
+);
+
+catalogRoutes.delete(
+  "/:name/examples/:exampleId",
+  validate([commonValidations.exampleId]),
+  requireCatalogAccess("manager"),
+  asyncHandler(async (req, res) => {
+    const { name, exampleId } = req.params;
+    const example = await IntentDetectionService.deleteExample(name, exampleId, getBusinessId(req));
+
+    if (!example) {
+      return res.status(404).json(createResponse(false, null, "Example not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, example, "Example deleted successfully"));
+  })
+);
+
+router.use("/businesses/:businessId", authMiddleware, catalogRoutes);
+router.use("/", authMiddleware, catalogRoutes);
+
+module.exports = router;
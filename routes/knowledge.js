@@ -0,0 +1,177 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const KnowledgeBaseService = require("../services/knowledge-base");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
+const { validate, commonValidations } = require("../middleware/validation");
+const { createResponse, asyncHandler } = require("../middleware/error-handler");
+
+/**
+ * Knowledge base management: documents the AI answers general questions from.
+ * New and re-indexed documents are indexed in the background; their status goes
+ * pending -> indexing -> indexed (or failed, with error_message).
+ */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KnowledgeBaseService.maxFileSize, files: 1 },
+});
+
+// Multer errors (file too large, unexpected field) are the client's
+const uploadFile = (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json(createResponse(false, null, error.message, null, "VALIDATION_ERROR"));
+    }
+    next();
+  });
+
+/**
+ * List the business's documents
+ * GET /api/knowledge/businesses/:businessId/documents
+ */
+router.get(
+  "/businesses/:businessId/documents",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const documents = await KnowledgeBaseService.getDocuments(req.params.businessId);
+    res.json(createResponse(true, { documents, count: documents.length }));
+  })
+);
+
+/**
+ * Add a document
+ * POST /api/knowledge/businesses/:businessId/documents
+ * multipart/form-data with `file` (PDF, DOCX, XLSX, CSV, text, Markdown or HTML) and an optional `title`,
+ * or JSON { url, title } for a web page or file, or { text, title } for pasted text
+ */
+router.post(
+  "/businesses/:businessId/documents",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  uploadFile,
+  asyncHandler(async (req, res) => {
+    const businessId = parseInt(req.params.businessId);
+    const { url, text, title } = req.body;
+    const options = { title, userId: req.user.id };
+
+    let document;
+    if (req.file) {
+      const file = { buffer: req.file.buffer, originalName: req.file.originalname, mimeType: req.file.mimetype };
+      document = await KnowledgeBaseService.addFile(businessId, file, options);
+    } else if (url) {
+      document = await KnowledgeBaseService.addUrl(businessId, { url, ...options });
+    } else if (text !== undefined) {
+      document = await KnowledgeBaseService.addText(businessId, { text, ...options });
+    } else {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "Upload a file, or send a url or text", null, "VALIDATION_ERROR"));
+    }
+
+    res.status(201).json(createResponse(true, document, "Document added and queued for indexing"));
+  })
+);
+
+/**
+ * Queue every document of the business for re-indexing (URL documents are downloaded again)
+ * POST /api/knowledge/businesses/:businessId/reindex
+ */
+router.post(
+  "/businesses/:businessId/reindex",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const queued = await KnowledgeBaseService.reindexBusiness(req.params.businessId);
+    res.json(createResponse(true, { queued }, "Documents queued for re-indexing"));
+  })
+);
+
+/**
+ * Chunks the AI would get for a question, best first
+ * POST /api/knowledge/businesses/:businessId/search
+ * Body: { query, limit }
+ */
+router.post(
+  "/businesses/:businessId/search",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const { query, limit } = req.body;
+
+    if (typeof query !== "string" || !query.trim()) {
+      return res.status(400).json(createResponse(false, null, "query is required", null, "VALIDATION_ERROR"));
+    }
+
+    const chunks = await KnowledgeBaseService.search(parseInt(req.params.businessId), query, {
+      limit: Math.min(parseInt(limit) || KnowledgeBaseService.topK, 20),
+    });
+    res.json(createResponse(true, { chunks, count: chunks.length }));
+  })
+);
+
+/**
+ * Get a document with its chunks
+ * GET /api/knowledge/businesses/:businessId/documents/:documentId
+ */
+router.get(
+  "/businesses/:businessId/documents/:documentId",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  validate([commonValidations.documentId]),
+  asyncHandler(async (req, res) => {
+    const { businessId, documentId } = req.params;
+    const document = await KnowledgeBaseService.getDocument(businessId, documentId, { withChunks: true });
+
+    if (!document) {
+      return res.status(404).json(createResponse(false, null, "Document not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, document));
+  })
+);
+
+/**
+ * Queue a document for re-indexing
+ * POST /api/knowledge/businesses/:businessId/documents/:documentId/reindex
+ */
+router.post(
+  "/businesses/:businessId/documents/:documentId/reindex",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  validate([commonValidations.documentId]),
+  asyncHandler(async (req, res) => {
+    const { businessId, documentId } = req.params;
+    const document = await KnowledgeBaseService.reindexDocument(businessId, documentId);
+
+    if (!document) {
+      return res.status(404).json(createResponse(false, null, "Document not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, document, "Document queued for re-indexing"));
+  })
+);
+
+/**
+ * Delete a document, its chunks and its file
+ * DELETE /api/knowledge/businesses/:businessId/documents/:documentId
+ */
+router.delete(
+  "/businesses/:businessId/documents/:documentId",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  validate([commonValidations.documentId]),
+  asyncHandler(async (req, res) => {
+    const { businessId, documentId } = req.params;
+    const document = await KnowledgeBaseService.deleteDocument(businessId, documentId);
+
+    if (!document) {
+      return res.status(404).json(createResponse(false, null, "Document not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, document, "Document deleted successfully"));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const path = require("path");
+const router = express.Router();
+const businessService = require("../services/business");
+const DatabaseService = require("../services/database");
+const MediaStorageService = require("../services/media-storage");
+const MediaRetentionService = require("../services/media-retention");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
+const { validate, commonValidations } = require("../middleware/validation");
+const { createResponse, asyncHandler } = require("../middleware/error-handler");
+
+/**
+ * Media files of a business (images, voice notes, documents and videos customers sent, and voice replies):
+ * listing, signed download URLs and retention.
+ */
+
+/**
+ * Media retention settings and the defaults
+ * GET /api/media/businesses/:businessId/retention
+ */
+router.get(
+  "/businesses/:businessId/retention",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const business = await businessService.getBusinessById(req.params.businessId);
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(
+      createResponse(true, {
+        settings: MediaRetentionService.getSettings(business),
+        stored: business.media_settings,
+        defaults: MediaRetentionService.defaults,
+        fileTypes: MediaRetentionService.fileTypes,
+      })
+    );
+  })
+);
+
+/**
+ * Set how long media files are kept
+ * PUT /api/media/businesses/:businessId/retention
+ * Body: { retentionDays, retentionDaysByType: { image, audio, document, video } } (days, 0 keeps files forever;
+ * unset values use the defaults), or { settings: null }
+ */
+router.put(
+  "/businesses/:businessId/retention",
+  authMiddleware,
+  requireBusinessRole("manager"),
+  asyncHandler(async (req, res) => {
+    const settings = req.body.settings === null ? null : MediaRetentionService.validateSettings(req.body);
+    const business = await businessService.updateMediaSettings(
+      req.params.businessId,
+      settings && Object.keys(settings).length > 0 ? settings : null
+    );
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(
+      createResponse(
+        true,
+        { settings: MediaRetentionService.getSettings(business), stored: business.media_settings },
+        "Media retention updated successfully"
+      )
+    );
+  })
+);
+
+/**
+ * List the business's media files, newest first
+ * GET /api/media/businesses/:businessId/files?type=image&limit=50&offset=0
+ */
+router.get(
+  "/businesses/:businessId/files",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  asyncHandler(async (req, res) => {
+    const files = await DatabaseService.getMediaFiles(req.params.businessId, {
+      fileType: req.query.type || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0,
+    });
+    res.json(createResponse(true, { files, count: files.length }));
+  })
+);
+
+/**
+ * Signed, time-limited download URL of a media file
+ * GET /api/media/businesses/:businessId/files/:id/url
+ */
+router.get(
+  "/businesses/:businessId/files/:id/url",
+  authMiddleware,
+  requireBusinessRole("viewer"),
+  validate([commonValidations.id]),
+  asyncHandler(async (req, res) => {
+    const file = await DatabaseService.getMediaFile(req.params.businessId, req.params.id);
+
+    if (!file) {
+      return res.status(404).json(createResponse(false, null, "Media file not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, await MediaStorageService.getSignedUrl(file)));
+  })
+);
+
+/**
+ * Download a locally stored media file with a signed URL (files in S3 are downloaded from S3)
+ * GET /api/media/download?key=...&expires=...&signature=...
+ */
+router.get(
+  "/download",
+  asyncHandler(async (req, res) => {
+    const { key, expires, signature } = req.query;
+    const storage = MediaStorageService.getBackend("local");
+
+    // Repeated parameters (?key=a&key=b) arrive as arrays
+    if (![key, expires, signature].every((value) => typeof value === "string")) {
+      return res.status(400).json(createResponse(false, null, "Invalid download link", null, "VALIDATION_ERROR"));
+    }
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res
+        .status(403)
+        .json(createResponse(false, null, "Invalid or expired download link", null, "AUTHORIZATION_ERROR"));
+    }
+
+    const notFound = () =>
+      res.status(404).json(createResponse(false, null, "Media file not found", null, "NOT_FOUND_ERROR"));
+
+    let stream;
+    try {
+      stream = storage.createReadStream(key);
+    } catch (error) {
+      return notFound(); // Key outside uploads/
+    }
+
+    stream.on("error", () => {
+      if (!res.headersSent) {
+        notFound();
+      }
+    });
+    stream.once("open", () => {
+      res.setHeader("Cache-Control", "private, no-store");
+      res.type(path.extname(key));
+      stream.pipe(res);
+    });
+  })
+);
+
+module.exports = router;
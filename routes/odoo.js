@@ -1,12 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const odooService = require("../services/odoo");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { authMiddleware, requireBusinessRole } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
 // Configuration Management
-router.post("/config/:businessId", async (req, res) => {
+router.post("/config/:businessId", authMiddleware, requireBusinessRole("manager"), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { instance_url, db, username, api_key } = req.body;
@@ -49,7 +49,7 @@ router.post("/config/:businessId", async (req, res) => {
   }
 });
 
-router.get("/config/:businessId", async (req, res) => {
+router.get("/config/:businessId", authMiddleware, requireBusinessRole("manager"), async (req, res) => {
   try {
     const { businessId } = req.params;
 
@@ -86,8 +86,8 @@ router.get("/config/:businessId", async (req, res) => {
 router.put(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await odooService.updateIntegration(parseInt(businessId), req.body);
@@ -98,8 +98,8 @@ router.put(
 router.delete(
   "/config/:businessId",
   authMiddleware,
-  adminMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     await odooService.removeIntegration(parseInt(businessId));
@@ -112,6 +112,7 @@ router.get(
   "/status/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("viewer"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const isIntegrated = await odooService.isIntegrated(parseInt(businessId));
@@ -131,6 +132,7 @@ router.post(
   "/test/:businessId",
   authMiddleware,
   validate([commonValidations.businessId]),
+  requireBusinessRole("manager"),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const result = await odooService.testConnection(parseInt(businessId));
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const ShopifyService = require('../services/shopify');
+const { authMiddleware, requireBusinessRole } = require('../middleware/auth');
 const { createResponse } = require('../middleware/error-handler');
 
 /**
  * Get Shopify configuration for a business
  * GET /api/shopify/config/:businessId
  */
-router.get('/config/:businessId', async (req, res) => {
+router.get('/config/:businessId', authMiddleware, requireBusinessRole('manager'), async (req, res) => {
   try {
     const { businessId } = req.params;
     const config = await ShopifyService.getConfig(businessId);
@@ -33,7 +34,7 @@ router.get('/config/:businessId', async (req, res) => {
  * Save Shopify configuration
  * POST /api/shopify/config/:businessId
  */
-router.post('/config/:businessId', async (req, res) => {
+router.post('/config/:businessId', authMiddleware, requireBusinessRole('manager'), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { store_url, access_token, api_version } = req.body;
@@ -71,7 +72,7 @@ router.post('/config/:businessId', async (req, res) => {
  * Delete Shopify configuration
  * DELETE /api/shopify/config/:businessId
  */
-router.delete('/config/:businessId', async (req, res) => {
+router.delete('/config/:businessId', authMiddleware, requireBusinessRole('manager'), async (req, res) => {
   try {
     const { businessId } = req.params;
     await ShopifyService.deleteConfig(businessId);
@@ -87,7 +88,7 @@ router.delete('/config/:businessId', async (req, res) => {
  * Test Shopify connection
  * GET /api/shopify/test/:businessId
  */
-router.get('/test/:businessId', async (req, res) => {
+router.get('/test/:businessId', authMiddleware, requireBusinessRole('manager'), async (req, res) => {
   try {
     const { businessId } = req.params;
     const result = await ShopifyService.testConnection(businessId);
@@ -103,7 +104,7 @@ router.get('/test/:businessId', async (req, res) => {
  * Search products
  * GET /api/shopify/products/:businessId?query=search&limit=10
  */
-router.get('/products/:businessId', async (req, res) => {
+router.get('/products/:businessId', authMiddleware, requireBusinessRole('viewer'), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { query, limit } = req.query;
@@ -125,7 +126,7 @@ router.get('/products/:businessId', async (req, res) => {
  * Get product details
  * GET /api/shopify/products/:businessId/:productId
  */
-router.get('/products/:businessId/:productId', async (req, res) => {
+router.get('/products/:businessId/:productId', authMiddleware, requireBusinessRole('viewer'), async (req, res) => {
   try {
     const { businessId, productId } = req.params;
     const product = await ShopifyService.getProduct(businessId, productId);
@@ -141,7 +142,7 @@ router.get('/products/:businessId/:productId', async (req, res) => {
  * Get cart
  * GET /api/shopify/cart/:businessId/:customerPhone
  */
-router.get('/cart/:businessId/:customerPhone', async (req, res) => {
+router.get('/cart/:businessId/:customerPhone', authMiddleware, requireBusinessRole('viewer'), async (req, res) => {
   try {
     const { businessId, customerPhone } = req.params;
     const cart = await ShopifyService.getCart(businessId, customerPhone);
@@ -157,7 +158,7 @@ router.get('/cart/:businessId/:customerPhone', async (req, res) => {
  * Add item to cart
  * POST /api/shopify/cart/:businessId/add
  */
-router.post('/cart/:businessId/add', async (req, res) => {
+router.post('/cart/:businessId/add', authMiddleware, requireBusinessRole('agent'), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { conversationId, customerPhone, productId, variantId, quantity } = req.body;
@@ -186,23 +187,28 @@ router.post('/cart/:businessId/add', async (req, res) => {
  * Remove item from cart
  * DELETE /api/shopify/cart/:cartId/items/:itemId
  */
-router.delete('/cart/:cartId/items/:itemId', async (req, res) => {
-  try {
-    const { cartId, itemId } = req.params;
-    await ShopifyService.removeFromCart(cartId, itemId);
-
-    return res.json(createResponse(true, null, 'Item removed from cart'));
-  } catch (error) {
-    console.error('Error removing from cart:', error);
-    return res.status(500).json(createResponse(false, null, error.message));
+router.delete(
+  '/cart/:cartId/items/:itemId',
+  authMiddleware,
+  requireBusinessRole('agent', { resolveBusinessId: (req) => ShopifyService.getCartBusinessId(req.params.cartId) }),
+  async (req, res) => {
+    try {
+      const { cartId, itemId } = req.params;
+      await ShopifyService.removeFromCart(cartId, itemId);
+
+      return res.json(createResponse(true, null, 'Item removed from cart'));
+    } catch (error) {
+      console.error('Error removing from cart:', error);
+      return res.status(500).json(createResponse(false, null, error.message));
+    }
   }
-});
+);
 
 /**
  * Clear cart
  * DELETE /api/shopify/cart/:businessId/:customerPhone
  */
-router.delete('/cart/:businessId/:customerPhone', async (req, res) => {
+router.delete('/cart/:businessId/:customerPhone', authMiddleware, requireBusinessRole('agent'), async (req, res) => {
   try {
     const { businessId, customerPhone } = req.params;
     await ShopifyService.clearCart(businessId, customerPhone);
@@ -16,19 +16,18 @@
 const express = require("express");
 const router = express.Router();
 const WhatsAppService = require("../services/whatsapp");
-const OpenAIService = require("../services/openai");
 const DatabaseService = require("../services/database");
 const BusinessService = require("../services/business");
-const CalendarHandler = require("../services/calendar-handler");
-const AirtableService = require("../services/airtable");
-const EmbeddingsService = require("../services/embeddings");
-const IntentDetectionService = require("../services/intent-detection");
-const OdooHandler = require("../services/odoo-handler");
 const { createResponse } = require("../middleware/error-handler");
+const { verifyWebhookSignature, getSignatureStats } = require("../middleware/webhook-signature");
 
 // Import our new helper services
 const ConfigCache = require("../services/config-cache");
 const MessageProcessor = require("../services/message-processor");
+const MessagePipeline = require("../services/message-pipeline");
+
+// Queued inbound messages are processed by processMessageFull
+const MESSAGE_JOB_TYPE = "whatsapp_message_optimized";
 
 // Add timeout to axios for all external API calls
 const axios = require('axios');
@@ -61,51 +60,71 @@ router.get("/webhook", async (req, res) => {
 });
 
 // OPTIMIZED webhook endpoint
-router.post("/webhook", async (req, res) => {
+router.post("/webhook", verifyWebhookSignature, async (req, res) => {
   const startTime = Date.now();
 
   try {
     console.log("=== WEBHOOK RECEIVED ===");
 
-    // Quick message extraction
-    const messageData = await WhatsAppService.processIncomingMessage(req.body);
+    // Quick extraction of every event in the (possibly batched) webhook
+    const events = await WhatsAppService.processIncomingMessage(req.body);
+    const messages = events.filter((event) => event.eventType === "message");
+    const statuses = events.filter((event) => event.eventType === "status");
 
-    if (!messageData) {
+    if (messages.length === 0) {
       console.log("No message data to process");
-      return res.status(200).send("OK");
+      res.status(200).send("OK");
+      await applyStatusUpdates(statuses);
+      return;
     }
 
-    // ✅ STEP 1: Quick duplicate check (20-30ms)
-    const isProcessed = await MessageProcessor.isMessageProcessed(messageData.messageId);
-    if (isProcessed) {
-      console.log(`Duplicate message ${messageData.messageId} - skipping`);
-      return res.status(200).send("OK");
+    // ✅ STEP 1: Duplicate check + durable queueing (20-30ms per message)
+    // Jobs are queued in webhook order; the queue keeps each conversation sequential
+    let accepted = 0;
+    for (const messageData of messages) {
+      const job = await MessageProcessor.enqueueMessage(messageData, MESSAGE_JOB_TYPE);
+      if (!job) {
+        console.log(`Duplicate message ${messageData.messageId} - skipping`);
+        continue;
+      }
+      accepted++;
     }
 
-    // Mark as processing (prevents concurrent duplicates)
-    MessageProcessor.markAsProcessing(messageData.messageId);
-
-    console.log(`Message ${messageData.messageId} accepted for processing`);
+    console.log(`${accepted} of ${messages.length} message(s) queued for processing`);
     const webhookResponseTime = Date.now() - startTime;
     console.log(`Webhook response time: ${webhookResponseTime}ms`);
 
-    // ✅ STEP 2: Respond to WhatsApp IMMEDIATELY (within 50-100ms)
+    // ✅ STEP 2: Respond to WhatsApp (messages are safely stored, workers process them)
     res.status(200).send("OK");
 
-    // ✅ STEP 3: Process in background (WhatsApp already thinks we're done!)
-    MessageProcessor.processInBackground(messageData, async (msgData) => {
-      return await processMessageFull(msgData);
-    });
+    await applyStatusUpdates(statuses);
 
   } catch (error) {
     console.error("Webhook error:", error);
-    // ALWAYS respond 200 to WhatsApp, even on error
-    res.status(200).send("OK");
+    // Only acknowledge what was stored: a 500 makes WhatsApp redeliver, duplicates are skipped
+    if (!res.headersSent) {
+      res.status(500).send("Internal Server Error");
+    }
   }
 });
 
 /**
- * Full message processing (runs in background)
+ * Record delivery status callbacks (sent/delivered/read/failed) on stored outbound messages
+ */
+async function applyStatusUpdates(statuses) {
+  for (const status of statuses) {
+    try {
+      await DatabaseService.updateMessageStatus(status);
+    } catch (error) {
+      console.error(`Failed to record status ${status.status} for ${status.messageId}:`, error.message);
+    }
+  }
+}
+
+MessageProcessor.registerMessageHandler(MESSAGE_JOB_TYPE, processMessageFull);
+
+/**
+ * Full message processing (runs in background, from the job queue)
  */
 async function processMessageFull(messageData) {
   const startTime = Date.now();
@@ -153,18 +172,8 @@ async function processMessageFull(messageData) {
       return;
     }
 
-    // Configure WhatsApp service
-    WhatsAppService.setBusinessConfig(whatsappConfig);
-
-    // ✅ OPTIMIZATION 2: Non-blocking typing indicator
-    // Mark as read and show typing reaction (hourglass)
-    // Don't await - let them run in parallel while we process
-    Promise.all([
-      WhatsAppService.markMessageAsRead(messageData.messageId),
-      WhatsAppService.sendReaction(messageData.from, messageData.messageId, "⏳")
-    ]).catch(err => {
-      console.log("Typing indicator failed (non-critical):", err.message);
-    });
+    // Create a WhatsApp client for this business (never shared between conversations)
+    const whatsapp = WhatsAppService.forBusiness(whatsappConfig);
 
     // Create conversation and save message (can run in parallel)
     const [conversation] = await Promise.all([
@@ -182,41 +191,20 @@ async function processMessageFull(messageData) {
       content: messageData.content,
       mediaUrl: messageData.mediaUrl,
       localFilePath: null,
+      metadata: messageData.metadata,
       isFromUser: true,
     });
 
-    let aiResponse = "";
-    let localFilePath = null;
-
-    // Handle media messages
-    if (messageData.messageType === "image" || messageData.messageType === "audio") {
-      // Media processing - use existing logic
-      const mediaResult = await processMediaMessage(messageData, businessId);
-      localFilePath = mediaResult.localFilePath;
-      aiResponse = mediaResult.aiResponse;
-    } else {
-      // Text message processing
-      aiResponse = await processTextMessage(messageData, conversation, businessId, businessTone);
-    }
-
-    // Save AI response
-    await DatabaseService.saveMessage({
-      businessId: businessId,
-      conversationId: conversation.id,
-      messageId: `ai_${messageData.messageId}_${Date.now()}`,
-      fromNumber: messageData.to,
-      toNumber: messageData.from,
-      messageType: "text",
-      content: aiResponse,
-      mediaUrl: null,
-      localFilePath: null,
-      isFromUser: false,
+    // Same routing as the main webhook: typing indicator, pipeline stages and the reply
+    await MessagePipeline.handle({
+      business: businessData,
+      whatsapp,
+      messageData,
+      conversation,
+      savedMessage,
+      businessTone,
     });
 
-    // Remove typing reaction and send response
-    await WhatsAppService.sendReaction(messageData.from, messageData.messageId, "");
-    await WhatsAppService.sendMessage(messageData.from, aiResponse);
-
     const totalTime = Date.now() - startTime;
     console.log(`✅ Message ${messageData.messageId} processed in ${totalTime}ms`);
 
@@ -226,177 +214,6 @@ async function processMessageFull(messageData) {
   }
 }
 
-/**
- * Process text message with all intent detection
- */
-async function processTextMessage(messageData, conversation, businessId, businessTone) {
-  const path = require("path");
-  const fs = require("fs-extra");
-
-  let userMessage = messageData.content;
-  let aiResponse = "";
-
-  // Detect intent
-  console.log("Detecting intent...");
-  const intentResult = await IntentDetectionService.detectIntent(userMessage);
-  console.log(`Detected intent: ${intentResult.intent} (confidence: ${intentResult.confidence})`);
-
-  // Check for calendar-related intents
-  if (
-    intentResult.intent === "schedule_appointment" ||
-    intentResult.intent === "check_availability" ||
-    intentResult.intent === "cancel_appointment" ||
-    intentResult.intent === "reschedule_appointment"
-  ) {
-    console.log("Processing calendar-related intent...");
-
-    try {
-      const calendarResponse = await CalendarHandler.handleCalendarIntent(
-        businessId,
-        messageData.from,
-        userMessage,
-        intentResult.intent,
-        businessTone
-      );
-
-      if (calendarResponse && calendarResponse.handled) {
-        aiResponse = calendarResponse.response;
-        return aiResponse;
-      }
-    } catch (calendarError) {
-      console.error("Calendar handler error:", calendarError);
-      // Fall through to regular AI response
-    }
-  }
-
-  // Check for Odoo-related intents
-  if (intentResult.intent && intentResult.intent.startsWith("odoo_")) {
-    console.log("Processing Odoo-related intent...");
-
-    try {
-      const odooResponse = await OdooHandler.handleOdooIntent(
-        businessId,
-        messageData.from,
-        userMessage,
-        intentResult.intent,
-        businessTone
-      );
-
-      if (odooResponse && odooResponse.handled) {
-        aiResponse = odooResponse.response;
-        return aiResponse;
-      }
-    } catch (odooError) {
-      console.error("Odoo handler error:", odooError);
-      // Fall through to regular AI response
-    }
-  }
-
-  // Check FAQ embeddings
-  console.log("Checking FAQ embeddings...");
-  try {
-    const faqMatches = await AirtableService.searchFAQEmbeddings(businessId, userMessage);
-
-    if (faqMatches && faqMatches.length > 0) {
-      const topMatch = faqMatches[0];
-
-      if (topMatch.similarity >= 0.65) {
-        console.log(`High confidence FAQ match (${topMatch.similarity}): ${topMatch.question}`);
-        aiResponse = topMatch.answer;
-        return aiResponse;
-      } else if (topMatch.similarity >= 0.55) {
-        console.log(`Medium confidence FAQ match (${topMatch.similarity})`);
-        aiResponse = topMatch.answer + "\n\nIs this what you were looking for?";
-        return aiResponse;
-      }
-    }
-  } catch (faqError) {
-    console.error("FAQ search error (non-critical):", faqError);
-  }
-
-  // Generate AI response with conversation context
-  console.log("Generating AI response...");
-
-  const conversationHistory = await DatabaseService.getConversationHistory(
-    conversation.id,
-    10 // Last 10 messages
-  );
-
-  aiResponse = await OpenAIService.generateResponse(
-    conversationHistory,
-    userMessage,
-    businessTone,
-    intentResult.intent
-  );
-
-  return aiResponse;
-}
-
-/**
- * Process media message (image/audio)
- */
-async function processMediaMessage(messageData, businessId) {
-  const path = require("path");
-  const fs = require("fs-extra");
-
-  console.log(`Processing ${messageData.messageType} message...`);
-
-  // Download media with retry
-  const mediaData = await WhatsAppService.downloadMedia(messageData.mediaId);
-  const mediaStream = mediaData.stream;
-  const mimeType = mediaData.mimeType;
-  const fileSize = mediaData.fileSize;
-
-  console.log(`Media MIME type: ${mimeType}, size: ${fileSize} bytes`);
-
-  // Determine file extension
-  let fileExtension;
-  if (messageData.messageType === "image") {
-    fileExtension = mimeType === "image/png" ? ".png" : ".jpg";
-  } else {
-    const audioExtensions = {
-      "audio/aac": ".aac",
-      "audio/mp4": ".m4a",
-      "audio/mpeg": ".mp3",
-      "audio/ogg": ".ogg",
-      "audio/wav": ".wav"
-    };
-    fileExtension = audioExtensions[mimeType] || ".aac";
-  }
-
-  // Save file
-  const timestamp = Date.now();
-  const fileName = `${businessId}_${messageData.messageId}_${timestamp}${fileExtension}`;
-  const uploadDir = messageData.messageType === "image" ? "uploads/images" : "uploads/audio";
-  const localFilePath = path.resolve(__dirname, "..", uploadDir, fileName);
-
-  await fs.ensureDir(path.dirname(localFilePath));
-
-  // Save file asynchronously
-  const writeStream = fs.createWriteStream(localFilePath);
-  mediaStream.pipe(writeStream);
-
-  await new Promise((resolve, reject) => {
-    writeStream.on("finish", resolve);
-    writeStream.on("error", reject);
-    mediaStream.on("error", reject);
-  });
-
-  console.log(`Media saved to: ${localFilePath}`);
-
-  // Process with AI
-  let aiResponse;
-  if (messageData.messageType === "image") {
-    console.log("Processing image with OCR...");
-    aiResponse = await OpenAIService.processImageWithOCR(localFilePath, messageData.content);
-  } else {
-    console.log("Transcribing audio...");
-    aiResponse = await OpenAIService.transcribeAudio(localFilePath);
-  }
-
-  return { localFilePath, aiResponse };
-}
-
 /**
  * Health check endpoint for monitoring
  */
@@ -408,6 +225,7 @@ router.get("/webhook/health", (req, res) => {
     status: "healthy",
     cache: cacheStats,
     processor: processorStats,
+    signatures: getSignatureStats(),
     timestamp: new Date().toISOString()
   });
 });
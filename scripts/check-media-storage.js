@@ -0,0 +1,143 @@
+require("dotenv").config();
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const pool = require("../config/database");
+const app = require("../server");
+const LocalStorageBackend = require("../services/storage-local");
+const S3StorageBackend = require("../services/storage-s3");
+
+/**
+ * Check the media storage backends (see services/media-storage.js).
+ *
+ * Local: a file stored under uploads/ is downloaded through GET /api/media/download with its signed URL,
+ * and tampered, expired and malformed links are refused, as is the file's path without a signature.
+ * S3: when MEDIA_S3_BUCKET is set, a file is uploaded, downloaded with its presigned URL (and refused with
+ * a tampered one), then deleted. To check without AWS, point MEDIA_S3_ENDPOINT at an S3-compatible store,
+ * e.g. MinIO: docker run -p 9000:9000 minio/minio server /data (create the bucket first).
+ *
+ * Usage: node scripts/check-media-storage.js
+ */
+
+const CONTENT = `Media storage check ${new Date().toISOString()}\n`;
+const CHECK_DIR = "uploads/media-storage-check";
+
+const results = [];
+const check = (name, passed, detail) => {
+  results.push(passed);
+  console.log(passed ? `✅ ${name}` : `❌ ${name}: ${detail}`);
+};
+
+// The same value with its last character changed
+const tamper = (value) => value.slice(0, -1) + (value.endsWith("0") ? "1" : "0");
+
+// Signed URL with one query parameter changed
+const withParam = (url, name, value) => {
+  const changed = new URL(url);
+  changed.searchParams.set(name, value);
+  return changed.toString();
+};
+
+const checkLocal = async (sourcePath) => {
+  const key = path.posix.join(CHECK_DIR, `${Date.now()}.txt`);
+  await LocalStorageBackend.putFile(key, sourcePath, { contentType: "text/plain" });
+
+  // Serve the app on a free port; signed URLs point at BASE_URL, so only their query is kept
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const download = (url) => fetch(`${origin}/api/media/download${new URL(url).search}`);
+
+  try {
+    const url = await LocalStorageBackend.getSignedUrl(key, { expiresIn: 60 });
+    const { signature, expires } = Object.fromEntries(new URL(url).searchParams);
+
+    const response = await download(url);
+    const body = await response.text();
+    check("Local: signed URL downloads the file", response.status === 200 && body === CONTENT, response.status);
+
+    const refused = [
+      ["Local: tampered key is refused", withParam(url, "key", `${CHECK_DIR}/other.txt`), 403],
+      ["Local: tampered signature is refused", withParam(url, "signature", tamper(signature)), 403],
+      ["Local: extended expiry is refused", withParam(url, "expires", String(parseInt(expires) + 3600)), 403],
+      ["Local: expired URL is refused", await LocalStorageBackend.getSignedUrl(key, { expiresIn: -60 }), 403],
+      ["Local: repeated key is refused", `${url}&key=${encodeURIComponent(key)}`, 400],
+    ];
+
+    // A key outside uploads/ is not served even when its signature is valid
+    const outside = "package.json";
+    const outsideExpires = Math.floor(Date.now() / 1000) + 60;
+    const outsideQuery = new URLSearchParams({
+      key: outside,
+      expires: String(outsideExpires),
+      signature: LocalStorageBackend.sign(outside, outsideExpires),
+    });
+    refused.push(["Local: key outside uploads/ is refused", `${origin}/api/media/download?${outsideQuery}`, 404]);
+
+    for (const [name, refusedUrl, status] of refused) {
+      const refusedResponse = await download(refusedUrl);
+      check(name, refusedResponse.status === status, `expected ${status}, got ${refusedResponse.status}`);
+    }
+
+    // uploads/ is not served without a signature
+    const unsigned = await fetch(`${origin}/${key}`);
+    check("Local: unsigned path is not served", unsigned.status === 404, `expected 404, got ${unsigned.status}`);
+  } finally {
+    server.close();
+    await fs.remove(LocalStorageBackend.resolvePath(CHECK_DIR));
+  }
+};
+
+const checkS3 = async (sourcePath) => {
+  const key = path.posix.join(CHECK_DIR, `${Date.now()}.txt`);
+  await S3StorageBackend.putFile(key, sourcePath, { contentType: "text/plain" });
+
+  try {
+    const url = await S3StorageBackend.getSignedUrl(key, { expiresIn: 60 });
+
+    const response = await fetch(url);
+    const body = await response.text();
+    check("S3: presigned URL downloads the file", response.status === 200 && body === CONTENT, response.status);
+
+    const signature = new URL(url).searchParams.get("X-Amz-Signature");
+    const tampered = await fetch(withParam(url, "X-Amz-Signature", tamper(signature)));
+    check("S3: tampered signature is refused", tampered.status === 403, `expected 403, got ${tampered.status}`);
+  } finally {
+    await S3StorageBackend.delete(key);
+  }
+
+  const deleted = await fetch(await S3StorageBackend.getSignedUrl(key, { expiresIn: 60 }));
+  check("S3: deleted file is gone", deleted.status === 404, `expected 404, got ${deleted.status}`);
+};
+
+const checkMediaStorage = async () => {
+  const sourcePath = path.join(os.tmpdir(), `media-storage-check-${process.pid}.txt`);
+
+  try {
+    await fs.writeFile(sourcePath, CONTENT);
+    await checkLocal(sourcePath);
+
+    if (!process.env.MEDIA_S3_BUCKET) {
+      console.log("⏭️  S3: skipped, MEDIA_S3_BUCKET is not set");
+    } else {
+      console.log(`S3 bucket ${process.env.MEDIA_S3_BUCKET} at ${process.env.MEDIA_S3_ENDPOINT || "AWS"}`);
+      await checkS3(sourcePath);
+    }
+
+    const failed = results.filter((passed) => !passed).length;
+    console.log(`\n${results.length - failed} of ${results.length} checks passed`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Media storage check failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(sourcePath);
+    await pool.end();
+    // config/database.js keeps a pool monitor timer running in development
+    process.exit();
+  }
+};
+
+checkMediaStorage();
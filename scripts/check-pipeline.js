@@ -0,0 +1,252 @@
+require("dotenv").config();
+// Every LLM call goes to the deterministic mock provider (services/llm-mock.js), so nothing leaves the machine
+process.env.LLM_PROVIDER = "mock";
+
+const { Readable } = require("stream");
+const pool = require("../config/database");
+const MockProvider = require("../services/llm-mock");
+const StubTTSProvider = require("../services/tts-stub");
+const BusinessService = require("../services/business");
+const DatabaseService = require("../services/database");
+const EmbeddingsService = require("../services/embeddings");
+const IntentDetectionService = require("../services/intent-detection");
+const MediaStorageService = require("../services/media-storage");
+const MessagePipeline = require("../services/message-pipeline");
+const OpenAIService = require("../services/openai");
+
+/**
+ * Check the inbound message pipeline end to end with the mock LLM provider: a FAQ answered from the
+ * stored FAQs, a question answered by a business intent, and voice notes answered with spoken replies
+ * by the stub TTS provider (with and without the text, and as text when the voice note can't be sent).
+ * Runs on a scratch business that is deleted afterwards; replies are recorded instead of sent to WhatsApp.
+ * Needs the database (npm run db-setup); the spoken replies also need ffmpeg (npm run install-ffmpeg).
+ *
+ * Usage: node scripts/check-pipeline.js
+ */
+
+const CUSTOMER_NUMBER = "15550000001";
+const BUSINESS_NUMBER = "15550000002";
+
+const FAQ = {
+  id: "check-opening-hours",
+  question: "What are your opening hours?",
+  answer: "We are open from 9am to 5pm, Monday to Friday.",
+};
+const DELIVERY_QUESTION = "Do you deliver to my area?";
+const DELIVERY_REPLY = "Yes, we deliver within 10 km of the store.";
+// The mock transcribes a voice note as "Mock transcription of <file name>"
+const VOICE_NOTE_REPLY = "Thanks for your voice message, we'll call you back today.";
+
+/**
+ * Stands in for the business's WhatsApp client (see WhatsAppService.forBusiness): records what would be sent
+ * @param {Object} options
+ * @param {boolean} options.failUploads - Fail media uploads, so voice notes can't be sent
+ */
+const createWhatsAppClient = ({ failUploads = false } = {}) => {
+  const sent = { texts: [], voiceNotes: [] };
+  const sentMessage = () => ({ messages: [{ id: `wamid.check.out.${Date.now()}.${sent.texts.length}` }] });
+  const voiceNote = StubTTSProvider.tone(1);
+
+  return {
+    sent,
+    markMessageAsRead: async () => {},
+    sendReaction: async () => {},
+    downloadMedia: async () => ({
+      stream: Readable.from([voiceNote]),
+      mimeType: "audio/wav",
+      fileSize: voiceNote.length,
+    }),
+    uploadMedia: async () => {
+      if (failUploads) {
+        throw new Error("Media upload failed");
+      }
+      return `media.check.${Date.now()}`;
+    },
+    sendAudioMessage: async (to, mediaId) => {
+      sent.voiceNotes.push(mediaId);
+      return sentMessage();
+    },
+    sendTextMessage: async (to, text) => {
+      sent.texts.push(text);
+      return sentMessage();
+    },
+    sendInteractiveMessage: async (to, interactive) => {
+      sent.texts.push(interactive.body);
+      return sentMessage();
+    },
+  };
+};
+
+// Record the stage that answered each message
+let answeredBy = null;
+const runStages = MessagePipeline.run.bind(MessagePipeline);
+MessagePipeline.run = async (context) => {
+  const claimed = await runStages(context);
+  answeredBy = claimed ? claimed.stage : null;
+  return claimed;
+};
+
+/**
+ * Handle a customer's message the way routes/whatsapp.js does once the business is known
+ * @param {Object} business - businesses row
+ * @param {Object} message - { text } for a text message, { voiceNote: true } for a voice note
+ * @param {Object} clientOptions - See createWhatsAppClient
+ * @returns {Promise<{stage: string|null, texts: string[], voiceNotes: string[]}>}
+ */
+const receiveMessage = async (business, message, clientOptions) => {
+  const conversation = await DatabaseService.createOrGetConversation(business.id, CUSTOMER_NUMBER);
+  const messageData = {
+    messageId: `wamid.check.in.${Date.now()}`,
+    from: CUSTOMER_NUMBER,
+    to: BUSINESS_NUMBER,
+    messageType: message.voiceNote ? "audio" : "text",
+    content: message.voiceNote ? "" : message.text,
+    mediaId: message.voiceNote ? "media.check.in" : null,
+  };
+  const savedMessage = await DatabaseService.saveMessage({
+    businessId: business.id,
+    conversationId: conversation.id,
+    messageId: messageData.messageId,
+    fromNumber: messageData.from,
+    toNumber: messageData.to,
+    messageType: messageData.messageType,
+    content: messageData.content,
+    mediaUrl: null,
+    localFilePath: null,
+    isFromUser: true,
+  });
+
+  const whatsapp = createWhatsAppClient(clientOptions);
+  answeredBy = null;
+  await MessagePipeline.handle({ business, whatsapp, messageData, conversation, savedMessage, businessTone: null });
+
+  return { stage: answeredBy, ...whatsapp.sent };
+};
+
+const checkPipeline = async () => {
+  let business = null;
+
+  try {
+    business = await BusinessService.createBusiness({
+      name: "Pipeline check",
+      description: "Scratch business of scripts/check-pipeline.js",
+    });
+    console.log(`🧪 Scratch business ${business.id}, LLM provider: mock`);
+
+    await EmbeddingsService.storeFAQEmbeddings(business.id, [FAQ]);
+    await IntentDetectionService.createIntent({ name: "faq", examples: [FAQ.question] }, business.id);
+    await IntentDetectionService.createIntent(
+      { name: "delivery_area", description: "Delivery questions", examples: [DELIVERY_QUESTION] },
+      business.id
+    );
+    MockProvider.respond(DELIVERY_QUESTION, DELIVERY_REPLY);
+    MockProvider.respond((text) => text.startsWith("Mock transcription of"), VOICE_NOTE_REPLY);
+
+    const isSpokenReply = (text) => StubTTSProvider.calls.some((call) => call.text === text);
+    const voiceBusiness = (settings) => ({
+      ...business,
+      voice_settings: { enabled: true, provider: StubTTSProvider.name, ...settings },
+    });
+
+    // Each check returns what went wrong, or nothing
+    const checks = [
+      {
+        name: "FAQ",
+        // With the default order the intents stage claims "faq" intents, so the FAQ stage goes first here
+        business: { ...business, pipeline_stages: ["faq", "fallback"] },
+        message: { text: FAQ.question },
+        verify: ({ stage, texts }) =>
+          stage !== "faq" || texts.length !== 1 || texts[0] !== FAQ.answer
+            ? `expected "${FAQ.answer}" from the faq stage`
+            : null,
+      },
+      {
+        name: "Intent",
+        business,
+        message: { text: DELIVERY_QUESTION },
+        verify: ({ stage, texts }) =>
+          stage !== "intents" || texts.length !== 1 || texts[0] !== DELIVERY_REPLY
+            ? `expected "${DELIVERY_REPLY}" from the intents stage`
+            : null,
+      },
+      {
+        name: "Voice reply",
+        needsFfmpeg: true,
+        business: voiceBusiness({ includeText: false }),
+        message: { voiceNote: true },
+        verify: ({ texts, voiceNotes }) =>
+          voiceNotes.length !== 1 || texts.length !== 0 || !isSpokenReply(VOICE_NOTE_REPLY)
+            ? "expected the reply as a voice note only"
+            : null,
+      },
+      {
+        name: "Voice reply with text",
+        needsFfmpeg: true,
+        business: voiceBusiness({ includeText: true }),
+        message: { voiceNote: true },
+        verify: ({ texts, voiceNotes }) =>
+          voiceNotes.length !== 1 ||
+          texts.length !== 1 ||
+          !texts[0].startsWith('I heard: "Mock transcription of') ||
+          !texts[0].endsWith(VOICE_NOTE_REPLY)
+            ? 'expected a voice note and the text reply, starting with "I heard: ..."'
+            : null,
+      },
+      {
+        name: "Voice reply that can't be sent",
+        business: voiceBusiness({ includeText: false }),
+        message: { voiceNote: true },
+        clientOptions: { failUploads: true },
+        verify: ({ texts, voiceNotes }) =>
+          voiceNotes.length !== 0 || texts.length !== 1 || !texts[0].endsWith(VOICE_NOTE_REPLY)
+            ? "expected the reply as text instead"
+            : null,
+      },
+    ];
+
+    const hasFfmpeg = await OpenAIService.isFfmpegAvailable();
+    let failed = 0;
+    let skipped = 0;
+
+    for (const check of checks) {
+      if (check.needsFfmpeg && !hasFfmpeg) {
+        skipped++;
+        console.log(`⏭️  ${check.name}: skipped, ffmpeg is not available`);
+        continue;
+      }
+
+      const result = await receiveMessage(check.business, check.message, check.clientOptions);
+      const problem = check.verify(result);
+
+      if (problem) {
+        failed++;
+        console.log(`❌ ${check.name}: ${problem}`);
+        console.log(`   got ${JSON.stringify(result)}`);
+      } else {
+        console.log(`✅ ${check.name}: answered by the ${result.stage} stage`);
+      }
+    }
+
+    console.log(`\n${checks.length - failed - skipped} of ${checks.length} checks passed`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Pipeline check failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    if (business) {
+      // Voice notes and voice replies were stored like real ones
+      const mediaFiles = await DatabaseService.getMediaFiles(business.id, { limit: 200 }).catch(() => []);
+      for (const mediaFile of mediaFiles) {
+        await MediaStorageService.deleteFile(mediaFile).catch(() => {});
+      }
+      await BusinessService.deleteBusiness(business.id).catch(() => {});
+    }
+    await pool.end();
+    // IntentDetectionService keeps a cache cleanup timer running
+    process.exit();
+  }
+};
+
+checkPipeline();
@@ -0,0 +1,98 @@
+require("dotenv").config();
+const pool = require("../config/database");
+const EmbeddingsService = require("../services/embeddings");
+
+/**
+ * Check that filtered nearest-neighbour search finds every business's own rows when many businesses
+ * share an HNSW index (see EmbeddingsService.searchNearest). Needs the vector extension; the scratch
+ * table it creates is dropped afterwards.
+ *
+ * Usage: node scripts/check-vector-search.js [--businesses <n>] [--rows <n>]
+ */
+
+const TABLE = "vector_search_check";
+const DIMENSIONS = 16;
+
+const args = process.argv.slice(2);
+const getOption = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? parseInt(args[index + 1]) : fallback;
+};
+
+const businessCount = getOption("--businesses", 100);
+const rowsPerBusiness = getOption("--rows", 50);
+
+// Seeded, so a failure can be reproduced
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648 - 0.5;
+};
+const randomEmbedding = () => Array.from({ length: DIMENSIONS }, random);
+
+const checkVectorSearch = async () => {
+  try {
+    const extension = await pool.query("SELECT extversion FROM pg_extension WHERE extname = 'vector'");
+    if (extension.rows.length === 0) {
+      console.log("ℹ️  The vector extension is not installed - embeddings are searched in JS, nothing to check");
+      return;
+    }
+    console.log(`🧭 pgvector ${extension.rows[0].extversion}: ${businessCount} businesses x ${rowsPerBusiness} rows`);
+
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(
+      `CREATE TABLE ${TABLE} (id SERIAL PRIMARY KEY, business_id INTEGER NOT NULL, embedding vector(${DIMENSIONS}))`
+    );
+
+    const targets = [];
+    for (let businessId = 1; businessId <= businessCount; businessId++) {
+      const embeddings = Array.from({ length: rowsPerBusiness }, randomEmbedding);
+      const inserted = await pool.query(
+        `INSERT INTO ${TABLE} (business_id, embedding)
+         SELECT $1, embedding::vector FROM unnest($2::text[]) AS embedding RETURNING id`,
+        [businessId, embeddings.map((embedding) => JSON.stringify(embedding))]
+      );
+      // A random query is usually far from the business's rows, which is when the index misses them
+      const query = randomEmbedding();
+      const similarities = embeddings.map((embedding) => EmbeddingsService.calculateCosineSimilarity(query, embedding));
+      const nearest = similarities.indexOf(Math.max(...similarities));
+      targets.push({ businessId, id: inserted.rows[nearest].id, query });
+    }
+
+    await pool.query(`CREATE INDEX ON ${TABLE} USING hnsw (embedding vector_cosine_ops)`);
+    await pool.query(`ANALYZE ${TABLE}`);
+    EmbeddingsService.vectorColumns = null; // Pick up the new table
+
+    let failed = 0;
+    for (const { businessId, id, query } of targets) {
+      const [match] = await EmbeddingsService.searchNearest({
+        table: TABLE,
+        select: "id, business_id",
+        where: "business_id = $1",
+        params: [businessId],
+        embedding: query,
+        limit: 1,
+      });
+
+      if (!match || match.id !== id || match.business_id !== businessId) {
+        failed++;
+        console.log(`❌ Business ${businessId}: expected row ${id}, got ${match ? `row ${match.id}` : "no match"}`);
+      }
+    }
+
+    console.log(`\n${businessCount - failed} of ${businessCount} businesses found their own nearest row`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Vector search check failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`).catch(() => {});
+    await pool.end();
+    // config/database.js keeps a pool monitor timer running in development
+    process.exit();
+  }
+};
+
+checkVectorSearch();
@@ -36,6 +36,25 @@ const sampleIntents = [
       "What are your shipping options?",
     ],
   },
+  {
+    name: "human_handoff",
+    description: "User wants to talk to a human agent instead of the bot",
+    confidence_threshold: 0.75,
+    examples: [
+      "Talk to a human",
+      "I want to speak to a person",
+      "Can I talk to someone?",
+      "Connect me to an agent",
+      "Let me speak to a real person",
+      "I need a human",
+      "Transfer me to customer service",
+      "Is there a person I can talk to?",
+      "Get me a representative",
+      "Speak to staff",
+      "I don't want to talk to a bot",
+      "Put me through to support staff",
+    ],
+  },
   {
     name: "gmail_send",
     description: "User wants to send an email via Gmail",
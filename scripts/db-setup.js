@@ -75,18 +75,34 @@ const addColumnIfNotExists = async (tableName, columnName, columnDefinition) =>
   }
 };
 
+// Embedding columns searched by nearest neighbour. They become pgvector columns when the extension
+// is available and stay JSONB (searched in JS) otherwise. Must match LLMService.dimensions.
+const VECTOR_TABLES = ["faq_embeddings", "conversation_embeddings", "intent_examples", "knowledge_chunks"];
+const EMBEDDING_DIMENSIONS = 1536;
+
 // Drop all tables (for init mode)
 const dropAllTables = async () => {
   console.log("🗑️  Dropping all existing tables...");
   const dropStartTime = Date.now();
 
   const tables = [
+    "knowledge_chunks",
+    "knowledge_documents",
+    "llm_usage",
+    "jobs",
+    "business_invites",
+    "business_members",
+    "message_templates",
+    "intent_evaluation_runs",
+    "embedding_cache",
     "intent_cache",
     "intent_examples",
     "intents",
     "conversation_embeddings",
     "faq_embeddings",
     "media_files",
+    "conversation_state",
+    "pending_message_statuses",
     "messages",
     "conversations",
     "business_tones",
@@ -122,7 +138,7 @@ const getTableDefinitions = () => [
       username VARCHAR(100) UNIQUE NOT NULL,
       email VARCHAR(255) UNIQUE NOT NULL,
       password_hash VARCHAR(255) NOT NULL,
-      role VARCHAR(20) DEFAULT 'admin',
+      role VARCHAR(20) DEFAULT 'user',
       status VARCHAR(20) DEFAULT 'active',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -135,10 +151,47 @@ const getTableDefinitions = () => [
       name VARCHAR(255) NOT NULL,
       description TEXT,
       status VARCHAR(20) DEFAULT 'active',
+      pipeline_stages JSONB,
+      llm_settings JSONB,
+      llm_budget JSONB,
+      document_settings JSONB,
+      message_type_settings JSONB,
+      voice_settings JSONB,
+      media_settings JSONB,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
   },
+  {
+    name: "business_members",
+    query: `CREATE TABLE business_members (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'agent', 'viewer')),
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(business_id, user_id)
+    )`,
+  },
+  {
+    name: "business_invites",
+    query: `CREATE TABLE business_invites (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'agent', 'viewer')),
+      token VARCHAR(64) UNIQUE NOT NULL,
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
+    )`,
+  },
   {
     name: "whatsapp_configs",
     query: `CREATE TABLE whatsapp_configs (
@@ -148,6 +201,8 @@ const getTableDefinitions = () => [
       access_token TEXT NOT NULL,
       verify_token VARCHAR(255),
       webhook_url VARCHAR(500),
+      app_secret TEXT,
+      business_account_id VARCHAR(100),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
@@ -174,6 +229,10 @@ const getTableDefinitions = () => [
       business_id INTEGER NOT NULL,
       phone_number VARCHAR(20) NOT NULL,
       status VARCHAR(20) DEFAULT 'active',
+      bot_paused BOOLEAN DEFAULT false,
+      assigned_agent INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      bot_paused_at TIMESTAMP,
+      handoff_activity_at TIMESTAMP,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
@@ -193,14 +252,47 @@ const getTableDefinitions = () => [
       media_url VARCHAR(500),
       media_type VARCHAR(50),
       local_file_path VARCHAR(500),
+      metadata JSONB,
       direction VARCHAR(10) NOT NULL,
       status VARCHAR(20) DEFAULT 'received',
+      sent_at TIMESTAMP,
+      delivered_at TIMESTAMP,
+      read_at TIMESTAMP,
+      failed_at TIMESTAMP,
+      error_code INTEGER,
+      error_message TEXT,
+      author_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
       FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
     )`,
   },
+  {
+    // Status callbacks that arrived before their outbound message was saved (see DatabaseService.saveMessage)
+    name: "pending_message_statuses",
+    query: `CREATE TABLE pending_message_statuses (
+      id SERIAL PRIMARY KEY,
+      message_id VARCHAR(255) NOT NULL,
+      event JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    name: "conversation_state",
+    query: `CREATE TABLE conversation_state (
+      id SERIAL PRIMARY KEY,
+      conversation_id INTEGER NOT NULL,
+      flow VARCHAR(100) NOT NULL,
+      slots JSONB NOT NULL DEFAULT '{}',
+      missing_slots JSONB NOT NULL DEFAULT '[]',
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      UNIQUE(conversation_id)
+    )`,
+  },
   {
     name: "media_files",
     query: `CREATE TABLE media_files (
@@ -211,6 +303,7 @@ const getTableDefinitions = () => [
       file_path VARCHAR(500) NOT NULL,
       file_type VARCHAR(50),
       file_size INTEGER,
+      storage_backend VARCHAR(20) NOT NULL DEFAULT 'local',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
     )`,
@@ -308,12 +401,14 @@ const getTableDefinitions = () => [
     name: "intents",
     query: `CREATE TABLE intents (
       id SERIAL PRIMARY KEY,
-      name VARCHAR(100) NOT NULL UNIQUE,
+      business_id INTEGER,
+      name VARCHAR(100) NOT NULL,
       description TEXT,
       confidence_threshold DECIMAL(3,2) DEFAULT 0.75,
       active BOOLEAN DEFAULT true,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
     )`,
   },
   {
@@ -334,6 +429,7 @@ const getTableDefinitions = () => [
     name: "intent_cache",
     query: `CREATE TABLE intent_cache (
       id SERIAL PRIMARY KEY,
+      business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
       message_hash VARCHAR(64) NOT NULL UNIQUE,
       message_text TEXT NOT NULL,
       detected_intent VARCHAR(100),
@@ -344,6 +440,129 @@ const getTableDefinitions = () => [
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
   },
+  {
+    name: "embedding_cache",
+    query: `CREATE TABLE embedding_cache (
+      id SERIAL PRIMARY KEY,
+      text_hash VARCHAR(64) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      dimensions INTEGER NOT NULL,
+      embedding JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(text_hash, model, dimensions)
+    )`,
+  },
+  {
+    name: "intent_evaluation_runs",
+    query: `CREATE TABLE intent_evaluation_runs (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER,
+      dataset VARCHAR(100) NOT NULL,
+      report JSONB NOT NULL,
+      is_baseline BOOLEAN DEFAULT false,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "llm_usage",
+    query: `CREATE TABLE llm_usage (
+      id BIGSERIAL PRIMARY KEY,
+      business_id INTEGER,
+      conversation_id INTEGER,
+      provider VARCHAR(50) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      model_role VARCHAR(20),
+      operation VARCHAR(20) NOT NULL,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      audio_seconds NUMERIC(10, 2) DEFAULT 0,
+      latency_ms INTEGER,
+      cost_usd NUMERIC(12, 6) DEFAULT 0,
+      success BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "knowledge_documents",
+    query: `CREATE TABLE knowledge_documents (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      source_type VARCHAR(20) NOT NULL,
+      source_url TEXT,
+      file_path TEXT NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      file_size INTEGER,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      error_message TEXT,
+      chunk_count INTEGER DEFAULT 0,
+      created_by INTEGER,
+      indexed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "knowledge_chunks",
+    query: `CREATE TABLE knowledge_chunks (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL,
+      business_id INTEGER NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      embedding JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      UNIQUE(document_id, chunk_index)
+    )`,
+  },
+  {
+    name: "message_templates",
+    query: `CREATE TABLE message_templates (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      template_id VARCHAR(100),
+      name VARCHAR(512) NOT NULL,
+      language VARCHAR(20) NOT NULL DEFAULT 'en_US',
+      category VARCHAR(50),
+      status VARCHAR(50) DEFAULT 'PENDING',
+      components JSONB NOT NULL DEFAULT '[]',
+      purpose VARCHAR(100),
+      last_synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      UNIQUE(business_id, name, language)
+    )`,
+  },
+  {
+    name: "jobs",
+    query: `CREATE TABLE jobs (
+      id BIGSERIAL PRIMARY KEY,
+      job_type VARCHAR(100) NOT NULL,
+      dedupe_key VARCHAR(255) UNIQUE,
+      conversation_key VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_after TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      locked_by VARCHAR(255),
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )`,
+  },
 ];
 
 // Create table if it doesn't exist (for migrate mode)
@@ -392,6 +611,11 @@ const createTables = async (isInitMode) => {
 const handleMigrations = async () => {
   console.log("🔄 Running database migrations...");
 
+  // Only platform admins get the 'admin' role; everyone else gets access through business_members
+  if (await tableExists("users")) {
+    await executeWithRetry(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user'`);
+  }
+
   // Migrate conversations table
   if (await tableExists("conversations")) {
     const hasBusinessId = await columnExists("conversations", "business_id");
@@ -430,6 +654,16 @@ const handleMigrations = async () => {
       console.log("✅ Updated conversations table with business_id");
       columnsAdded++;
     }
+
+    // Human agent handoff: while bot_paused is set the bot stores messages but doesn't reply
+    await addColumnIfNotExists("conversations", "bot_paused", "bot_paused BOOLEAN DEFAULT false");
+    await addColumnIfNotExists(
+      "conversations",
+      "assigned_agent",
+      "assigned_agent INTEGER REFERENCES users(id) ON DELETE SET NULL"
+    );
+    await addColumnIfNotExists("conversations", "bot_paused_at", "bot_paused_at TIMESTAMP");
+    await addColumnIfNotExists("conversations", "handoff_activity_at", "handoff_activity_at TIMESTAMP");
   }
 
   // Migrate messages table
@@ -471,6 +705,76 @@ const handleMigrations = async () => {
 
     // Add local_file_path column if it doesn't exist
     await addColumnIfNotExists("messages", "local_file_path", "VARCHAR(500)");
+
+    // Delivery status tracking for outbound messages
+    await addColumnIfNotExists("messages", "sent_at", "sent_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "delivered_at", "delivered_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "read_at", "read_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "failed_at", "failed_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "error_code", "error_code INTEGER");
+    await addColumnIfNotExists("messages", "error_message", "error_message TEXT");
+
+    // Operator who sent an outbound message from the admin API (NULL for bot replies)
+    await addColumnIfNotExists(
+      "messages",
+      "author_user_id",
+      "author_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL"
+    );
+
+    // Structured content of locations, contacts, reactions and stickers
+    await addColumnIfNotExists("messages", "metadata", "metadata JSONB");
+  }
+
+  // Per-business order of the inbound message pipeline stages (NULL = default order)
+  if (await tableExists("businesses")) {
+    await addColumnIfNotExists("businesses", "pipeline_stages", "pipeline_stages JSONB");
+
+    // Per-business LLM provider and models (NULL = LLM_PROVIDER and the LLM_*_MODEL defaults)
+    await addColumnIfNotExists("businesses", "llm_settings", "llm_settings JSONB");
+
+    // Monthly LLM budget: { monthlyLimitUsd, action, downgradeModels, refusalMessage } (NULL = unlimited)
+    await addColumnIfNotExists("businesses", "llm_budget", "llm_budget JSONB");
+
+    // Limits for documents customers send: { enabled, maxFileSizeMb, maxPages } (NULL = DOCUMENT_* defaults)
+    await addColumnIfNotExists("businesses", "document_settings", "document_settings JSONB");
+
+    // Replies to videos, stickers, locations, contacts, reactions and unsupported messages,
+    // and the CRM shared contacts are saved to (NULL = defaults)
+    await addColumnIfNotExists("businesses", "message_type_settings", "message_type_settings JSONB");
+
+    // Replies to voice notes: { enabled, provider, voice, includeText, transcriptPreamble } (NULL = defaults,
+    // text replies)
+    await addColumnIfNotExists("businesses", "voice_settings", "voice_settings JSONB");
+
+    // Media retention: { retentionDays, retentionDaysByType } (NULL = MEDIA_RETENTION_DAYS for every type)
+    await addColumnIfNotExists("businesses", "media_settings", "media_settings JSONB");
+  }
+
+  // Per-business intent catalogs: intents with a business_id override the global (NULL) intent of the same name
+  if (await tableExists("intents")) {
+    await addColumnIfNotExists(
+      "intents",
+      "business_id",
+      "business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE"
+    );
+    // Names are unique per business now (see idx_intents_global_name / idx_intents_business_name)
+    await executeWithRetry("ALTER TABLE intents DROP CONSTRAINT IF EXISTS intents_name_key");
+  }
+
+  if (await tableExists("intent_cache")) {
+    await addColumnIfNotExists(
+      "intent_cache",
+      "business_id",
+      "business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE"
+    );
+  }
+
+  // Add per-business app secret used to verify webhook signatures
+  if (await tableExists("whatsapp_configs")) {
+    await addColumnIfNotExists("whatsapp_configs", "app_secret", "app_secret TEXT");
+
+    // WhatsApp Business Account ID (used to manage message templates)
+    await addColumnIfNotExists("whatsapp_configs", "business_account_id", "business_account_id VARCHAR(100)");
   }
 
   // Migrate media_files table
@@ -509,11 +813,71 @@ const handleMigrations = async () => {
       console.log("✅ Updated media_files table with business_id");
       columnsAdded++;
     }
+
+    // Backend each file is stored in (see services/media-storage.js); older files are on local disk
+    await addColumnIfNotExists(
+      "media_files",
+      "storage_backend",
+      "storage_backend VARCHAR(20) NOT NULL DEFAULT 'local'"
+    );
   }
 
   console.log("✅ Migrations completed");
 };
 
+// Move embedding columns from JSONB to pgvector and index them for nearest-neighbour search
+const migrateEmbeddingsToVector = async () => {
+  console.log("🧭 Setting up vector search...");
+
+  try {
+    await executeWithRetry("CREATE EXTENSION IF NOT EXISTS vector");
+  } catch (error) {
+    console.warn(`⚠️  pgvector is not available (${error.message}) - embeddings stay JSONB and are searched in JS`);
+    return;
+  }
+
+  for (const table of VECTOR_TABLES) {
+    if (!(await tableExists(table))) continue;
+
+    const column = await executeWithRetry(
+      "SELECT udt_name FROM information_schema.columns WHERE table_name = $1 AND column_name = 'embedding'",
+      [table]
+    );
+
+    if (column.rows[0]?.udt_name === "jsonb") {
+      // Rows that can't be converted: anything but an array of the right length
+      const malformed = `CASE WHEN jsonb_typeof(embedding) = 'array'
+        THEN jsonb_array_length(embedding) <> ${EMBEDDING_DIMENSIONS} ELSE true END`;
+      // Examples without an embedding are skipped by intent detection; rows of the other tables need one
+      const removed =
+        table === "intent_examples"
+          ? await executeWithRetry(`UPDATE ${table} SET embedding = NULL WHERE embedding IS NOT NULL AND ${malformed}`)
+          : await executeWithRetry(`DELETE FROM ${table} WHERE ${malformed}`);
+      if (removed.rowCount > 0) {
+        console.log(`ℹ️  Dropped ${removed.rowCount} malformed embedding(s) from ${table}`);
+      }
+
+      // pgvector reads the JSON array text ("[0.1, 0.2, ...]") as a vector
+      await executeWithRetry(
+        `ALTER TABLE ${table} ALTER COLUMN embedding TYPE vector(${EMBEDDING_DIMENSIONS})
+         USING embedding::text::vector(${EMBEDDING_DIMENSIONS})`
+      );
+      console.log(`✅ Converted ${table}.embedding to vector(${EMBEDDING_DIMENSIONS})`);
+      columnsAdded++;
+    }
+
+    try {
+      await executeWithRetry(
+        `CREATE INDEX IF NOT EXISTS idx_${table}_embedding ON ${table} USING hnsw (embedding vector_cosine_ops)`
+      );
+      indexesCreated++;
+    } catch (error) {
+      // HNSW needs pgvector 0.5+; without the index searches still run in SQL, just without ANN
+      console.warn(`⚠️  Warning: Could not create vector index on ${table}: ${error.message}`);
+    }
+  }
+};
+
 // Create indexes (identical for both modes)
 const createIndexes = async () => {
   console.log("🔍 Creating performance indexes...");
@@ -527,6 +891,24 @@ const createIndexes = async () => {
         "CREATE INDEX IF NOT EXISTS idx_intent_examples_active ON intent_examples(active)",
         "CREATE INDEX IF NOT EXISTS idx_intent_cache_expires ON intent_cache(expires_at)",
         "CREATE INDEX IF NOT EXISTS idx_intent_cache_hash ON intent_cache(message_hash)",
+        "CREATE INDEX IF NOT EXISTS idx_intent_cache_business_id ON intent_cache(business_id)",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_intents_global_name ON intents(name) WHERE business_id IS NULL",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_intents_business_name ON intents(business_id, name) WHERE business_id IS NOT NULL",
+        "CREATE INDEX IF NOT EXISTS idx_intent_evaluation_runs_dataset ON intent_evaluation_runs(dataset, business_id, created_at)",
+      ],
+    },
+    {
+      name: "LLM Usage Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_llm_usage_business_created ON llm_usage(business_id, created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at)",
+      ],
+    },
+    {
+      name: "Knowledge Base Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_knowledge_documents_business_id ON knowledge_documents(business_id, created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_business_id ON knowledge_chunks(business_id)",
       ],
     },
     {
@@ -542,10 +924,15 @@ const createIndexes = async () => {
       queries: [
         "CREATE INDEX IF NOT EXISTS idx_conversations_business_id ON conversations(business_id)",
         "CREATE INDEX IF NOT EXISTS idx_conversations_phone_number ON conversations(phone_number)",
+        "CREATE INDEX IF NOT EXISTS idx_conversations_bot_paused ON conversations(business_id) WHERE bot_paused = true",
         "CREATE INDEX IF NOT EXISTS idx_messages_business_id ON messages(business_id)",
         "CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id)",
         "CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id)",
         "CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status)",
+        "CREATE INDEX IF NOT EXISTS idx_pending_message_statuses_message_id ON pending_message_statuses(message_id)",
+        "CREATE INDEX IF NOT EXISTS idx_pending_message_statuses_created_at ON pending_message_statuses(created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_conversation_state_expires_at ON conversation_state(expires_at)",
       ],
     },
     {
@@ -572,6 +959,28 @@ const createIndexes = async () => {
         "CREATE INDEX IF NOT EXISTS idx_media_files_business_id ON media_files(business_id)",
         "CREATE INDEX IF NOT EXISTS idx_media_files_message_id ON media_files(message_id)",
         "CREATE INDEX IF NOT EXISTS idx_media_files_file_type ON media_files(file_type)",
+        "CREATE INDEX IF NOT EXISTS idx_media_files_created_at ON media_files(created_at)",
+      ],
+    },
+    {
+      name: "Message Template Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_message_templates_business_id ON message_templates(business_id)",
+        "CREATE INDEX IF NOT EXISTS idx_message_templates_purpose ON message_templates(business_id, purpose)",
+      ],
+    },
+    {
+      name: "Membership Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_business_members_user_id ON business_members(user_id)",
+        "CREATE INDEX IF NOT EXISTS idx_business_invites_business_id ON business_invites(business_id)",
+      ],
+    },
+    {
+      name: "Job Queue Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after)",
+        "CREATE INDEX IF NOT EXISTS idx_jobs_conversation_key ON jobs(conversation_key, id)",
       ],
     },
   ];
@@ -623,6 +1032,8 @@ const setupDatabase = async (mode = "auto") => {
       await handleMigrations();
     }
 
+    await migrateEmbeddingsToVector();
+
     await createIndexes();
 
     const totalTime = Date.now() - totalStartTime;
@@ -647,4 +1058,4 @@ if (require.main === module) {
   setupDatabase(mode);
 }
 
-module.exports = { setupDatabase, createTables, dropAllTables, createIndexes };
+module.exports = { setupDatabase, createTables, dropAllTables, createIndexes, migrateEmbeddingsToVector };
@@ -0,0 +1,117 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const pool = require("../config/database");
+const IntentEvaluationService = require("../services/intent-evaluation");
+
+/**
+ * Run a labeled utterance set through intent detection and compare it with the stored baseline.
+ * Prints precision/recall per intent, the confusion matrix and the GPT fallback rate.
+ *
+ * Usage: node scripts/evaluate-intents.js [dataset.json] [--business <id>] [--baseline] [--output report.json]
+ *   dataset.json   { name, utterances: [{ text, intent }] } (default: scripts/intent-datasets/default.json)
+ *   --business     Evaluate a business's intent catalog instead of the global one
+ *   --baseline     Store this run as the dataset's new baseline
+ *   --output       Also write the full report as JSON, e.g. to diff it with git
+ */
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const datasetPath = args.find((arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--"));
+const businessId = getOption("--business") ? parseInt(getOption("--business")) : null;
+const saveAsBaseline = args.includes("--baseline");
+const outputPath = getOption("--output");
+
+const formatScore = (value) => (value === null ? "-" : value.toFixed(3));
+const formatDelta = (value) => (value === null ? "-" : `${value > 0 ? "+" : ""}${value.toFixed(3)}`);
+
+const printReport = (report) => {
+  console.log(`\n📊 ${report.dataset}: ${report.total} utterances${businessId ? ` (business ${businessId})` : ""}`);
+  console.log(`   Accuracy: ${formatScore(report.accuracy)}`);
+  console.log(`   GPT fallback: ${report.gptFallback.count} (${(report.gptFallback.rate * 100).toFixed(1)}%)`);
+  console.log(`   Embeddings: ${report.embeddings.cached} cached, ${report.embeddings.generated} generated`);
+
+  console.log("\nPer intent:");
+  console.table(
+    Object.fromEntries(
+      Object.entries(report.perIntent).map(([intent, scores]) => [
+        intent,
+        {
+          support: scores.support,
+          precision: formatScore(scores.precision),
+          recall: formatScore(scores.recall),
+          f1: formatScore(scores.f1),
+        },
+      ])
+    )
+  );
+
+  console.log("Confusion matrix (rows: expected, columns: detected):");
+  console.table(report.confusionMatrix);
+
+  if (report.misclassified.length > 0) {
+    console.log("Misclassified:");
+    for (const result of report.misclassified) {
+      console.log(`   "${result.text}" - expected ${result.expected}, got ${result.predicted} (${result.method})`);
+    }
+  }
+};
+
+const printDiff = (diff) => {
+  if (!diff) {
+    console.log("\nℹ️  No baseline for this dataset yet (store one with --baseline)");
+    return;
+  }
+
+  console.log(`\n🔍 Compared with the baseline of ${diff.baselineCreatedAt}:`);
+  console.log(`   Accuracy: ${formatDelta(diff.accuracy.delta)}`);
+  console.log(`   GPT fallback rate: ${formatDelta(diff.gptFallbackRate.delta)}`);
+
+  for (const [intent, change] of Object.entries(diff.thresholds)) {
+    console.log(`   Threshold ${intent}: ${change.baseline ?? "-"} -> ${change.current ?? "-"}`);
+  }
+  for (const [intent, change] of Object.entries(diff.perIntent)) {
+    console.log(
+      `   ${intent}: precision ${formatDelta(change.precision.delta)}, recall ${formatDelta(change.recall.delta)}`
+    );
+  }
+  for (const result of diff.fixed) {
+    console.log(`   ✅ fixed: "${result.text}" (${result.expected}, was ${result.previous})`);
+  }
+  for (const result of diff.regressed) {
+    console.log(`   ❌ regressed: "${result.text}" (${result.expected}, now ${result.predicted})`);
+  }
+};
+
+const evaluateIntents = async () => {
+  try {
+    const file = path.resolve(datasetPath || path.join(__dirname, "intent-datasets", "default.json"));
+    const dataset = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    console.log(`Evaluating ${file}...`);
+    const { run, report, diff } = await IntentEvaluationService.run(dataset, { businessId, saveAsBaseline });
+
+    printReport(report);
+    printDiff(diff);
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, JSON.stringify(report, null, 2) + "\n");
+      console.log(`\n📝 Report written to ${outputPath}`);
+    }
+
+    console.log(`\nStored as evaluation run ${run.id}${run.is_baseline ? " (new baseline)" : ""}`);
+  } catch (error) {
+    console.error("❌ Intent evaluation failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+    // IntentDetectionService keeps a cache cleanup timer running
+    process.exit();
+  }
+};
+
+evaluateIntents();
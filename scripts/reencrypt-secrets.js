@@ -0,0 +1,84 @@
+require("dotenv").config();
+const pool = require("../config/database");
+const EncryptionService = require("../services/encryption");
+
+/**
+ * Re-encrypt integration secrets with the current key (ENCRYPTION_KEY_VERSION).
+ * Encrypts legacy plaintext values and rewrites values encrypted with an older key,
+ * so the old key can be removed from ENCRYPTION_KEYS afterwards.
+ *
+ * Usage: node scripts/reencrypt-secrets.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes("--dry-run");
+
+const tableExists = async (tableName) => {
+  const result = await pool.query(
+    `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)`,
+    [tableName]
+  );
+  return result.rows[0].exists;
+};
+
+const reencryptTable = async (table, columns) => {
+  const client = await pool.connect();
+  let updated = 0;
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(`SELECT id, ${columns.join(", ")} FROM ${table} FOR UPDATE`);
+
+    for (const row of result.rows) {
+      const stale = columns.filter((column) => EncryptionService.needsReencryption(row[column]));
+      if (stale.length === 0) {
+        continue;
+      }
+
+      const values = stale.map((column) => EncryptionService.encrypt(EncryptionService.decrypt(row[column])));
+      const assignments = stale.map((column, index) => `${column} = $${index + 2}`).join(", ");
+
+      if (!dryRun) {
+        await client.query(`UPDATE ${table} SET ${assignments} WHERE id = $1`, [row.id, ...values]);
+      }
+      updated++;
+    }
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    console.log(`${dryRun ? "🔎" : "✅"} ${table}: ${updated} of ${result.rows.length} row(s) ${dryRun ? "need" : "re-encrypted"}`);
+    return updated;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const reencryptSecrets = async () => {
+  if (!EncryptionService.isEnabled()) {
+    console.error("❌ ENCRYPTION_KEYS is not set - nothing to encrypt with");
+    process.exit(1);
+  }
+
+  console.log(`Re-encrypting secrets with key version ${EncryptionService.currentVersion}${dryRun ? " (dry run)" : ""}...`);
+
+  let total = 0;
+  try {
+    for (const [table, columns] of Object.entries(EncryptionService.columns)) {
+      if (!(await tableExists(table))) {
+        console.log(`ℹ️  ${table}: table does not exist, skipping`);
+        continue;
+      }
+      total += await reencryptTable(table, columns);
+    }
+
+    console.log(`\n${dryRun ? "Rows to re-encrypt" : "Rows re-encrypted"}: ${total}`);
+  } catch (error) {
+    console.error("❌ Re-encryption failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+reencryptSecrets();
@@ -0,0 +1,70 @@
+require("dotenv").config();
+const pool = require("../config/database");
+const KnowledgeBaseService = require("../services/knowledge-base");
+
+/**
+ * Re-extract, re-chunk and re-embed knowledge base documents, e.g. after changing the embedding
+ * model or the chunk settings. Runs in this process instead of the job queue.
+ *
+ * Usage: node scripts/reindex-knowledge.js [--business <id>] [--document <id>] [--refetch]
+ *   --business   Only this business's documents (default: every business)
+ *   --document   Only this document
+ *   --refetch    Download URL documents again instead of using the saved copy
+ */
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? parseInt(args[index + 1]) : null;
+};
+
+const businessId = getOption("--business");
+const documentId = getOption("--document");
+const refetch = args.includes("--refetch");
+
+const reindexKnowledge = async () => {
+  try {
+    const conditions = [];
+    const params = [];
+    if (businessId) {
+      params.push(businessId);
+      conditions.push(`business_id = $${params.length}`);
+    }
+    if (documentId) {
+      params.push(documentId);
+      conditions.push(`id = $${params.length}`);
+    }
+
+    const documents = await pool.query(
+      `SELECT id, business_id, title FROM knowledge_documents
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY business_id, id`,
+      params
+    );
+    console.log(`Re-indexing ${documents.rows.length} knowledge document(s)...`);
+
+    let failed = 0;
+    for (const { id, business_id, title } of documents.rows) {
+      const document = await KnowledgeBaseService.indexDocument(id, { refetch });
+
+      if (document?.status === "indexed") {
+        console.log(`✅ [business ${business_id}] ${title}: ${document.chunk_count} chunks`);
+      } else {
+        failed++;
+        console.log(`❌ [business ${business_id}] ${title}: ${document?.error_message || "not found"}`);
+      }
+    }
+
+    console.log(`\nDone: ${documents.rows.length - failed} indexed, ${failed} failed`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Knowledge base re-indexing failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+reindexKnowledge();
@@ -177,7 +177,7 @@ async function seedOdooIntents() {
 
       // Check if intent already exists
       const existingIntent = await client.query(
-        "SELECT id FROM intents WHERE name = $1",
+        "SELECT id FROM intents WHERE name = $1 AND business_id IS NULL",
         [intent.name]
       );
 
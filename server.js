@@ -9,6 +9,9 @@ const fs = require("fs-extra");
 
 // Import middleware
 const { errorHandler, notFoundHandler, createResponse } = require("./middleware/error-handler");
+const { getSignatureStats } = require("./middleware/webhook-signature");
+const JobQueue = require("./services/job-queue");
+const MediaRetentionService = require("./services/media-retention");
 
 // Import routes (lazy loading for better startup performance)
 const authRoutes = require("./routes/auth");
@@ -19,6 +22,9 @@ const hubspotRoutes = require("./routes/hubspot");
 const odooRoutes = require("./routes/odoo");
 const airtableRoutes = require("./routes/airtable");
 const shopifyRoutes = require("./routes/shopify");
+const intentRoutes = require("./routes/intents");
+const knowledgeRoutes = require("./routes/knowledge");
+const mediaRoutes = require("./routes/media");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -51,11 +57,6 @@ app.use(
   compression({
     threshold: 512, // Reduced threshold for better compression
     level: 6,
-    filter: (req, res) => {
-      // Don't compress already compressed files
-      if (req.path.includes("/uploads/")) return false;
-      return compression.filter(req, res);
-    },
   })
 );
 
@@ -164,26 +165,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// 7. Enhanced static file serving for media files
-app.use(
-  "/uploads",
-  express.static(path.join(__dirname, "uploads"), {
-    maxAge: "7d", // Longer cache for media files
-    etag: true,
-    lastModified: true,
-    immutable: true,
-    index: false,
-    setHeaders: (res, filePath) => {
-      // Set specific cache headers based on file type
-      const ext = path.extname(filePath).toLowerCase();
-      if ([".jpg", ".jpeg", ".png", ".gif", ".webp"].includes(ext)) {
-        res.setHeader("Cache-Control", "public, max-age=604800, immutable");
-      } else if ([".mp3", ".wav", ".ogg", ".m4a"].includes(ext)) {
-        res.setHeader("Cache-Control", "public, max-age=604800, immutable");
-      }
-    },
-  })
-);
+// Media files are not served statically: they are downloaded with signed URLs (see routes/media.js)
 
 // ===== RATE LIMITING (OPTIMIZED) =====
 
@@ -211,7 +193,7 @@ const generalLimiter = createRateLimiter(
   15 * 60 * 1000, // 15 minutes
   2000, // Increased for better performance
   "Too many requests from this IP, please try again later",
-  ["/health", "/uploads/"]
+  ["/health"]
 );
 
 const authLimiter = createRateLimiter(
@@ -228,8 +210,8 @@ const webhookLimiter = createRateLimiter(
 
 // Apply rate limiters more efficiently
 app.use((req, res, next) => {
-  // Skip rate limiting for health endpoints and static files
-  if (req.path === "/health" || req.path === "/health/detailed" || req.path.startsWith("/uploads/")) {
+  // Skip rate limiting for health endpoints
+  if (req.path === "/health" || req.path === "/health/detailed") {
     return next();
   }
 
@@ -269,6 +251,7 @@ app.get("/health", (req, res) => {
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
     },
     directories: directoriesStatus,
+    webhookSignatures: getSignatureStats(),
     environment: process.env.NODE_ENV || "development",
   };
 
@@ -301,6 +284,14 @@ app.get("/health/detailed", async (req, res) => {
     // Check disk space (simplified)
     checks.diskSpace = true; // Simplified check
 
+    // Background job queue (depth per status)
+    let jobQueue = JobQueue.getStats();
+    try {
+      jobQueue = { ...jobQueue, depth: await JobQueue.getQueueDepth() };
+    } catch (error) {
+      jobQueue = { ...jobQueue, depthError: error.message };
+    }
+
     const allHealthy = Object.values(checks).every((check) => check === true);
     const status = allHealthy ? "healthy" : "degraded";
     const httpStatus = allHealthy ? 200 : 503;
@@ -310,6 +301,8 @@ app.get("/health/detailed", async (req, res) => {
         status,
         checks,
         timestamp: new Date().toISOString(),
+        webhookSignatures: getSignatureStats(),
+        jobQueue,
         memory: {
           used: Math.round(memUsage.heapUsed / 1024 / 1024),
           total: Math.round(memUsage.heapTotal / 1024 / 1024),
@@ -340,6 +333,9 @@ app.use("/api/hubspot", hubspotRoutes);
 app.use("/api/odoo", odooRoutes);
 app.use("/api/airtable", airtableRoutes);
 app.use("/api/shopify", shopifyRoutes);
+app.use("/api/intents", intentRoutes);
+app.use("/api/knowledge", knowledgeRoutes);
+app.use("/api/media", mediaRoutes);
 
 // ===== ERROR HANDLING =====
 
@@ -358,9 +354,13 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
 
-  server.close(() => {
+  server.close(async () => {
     console.log("HTTP server closed.");
 
+    // Let running jobs finish; anything still queued is picked up on next boot
+    clearTimeout(backgroundJobsTimer);
+    await JobQueue.stop();
+
     // Clear any timers or intervals
     if (global.gc) {
       global.gc(); // Force garbage collection if available
@@ -377,33 +377,57 @@ const gracefulShutdown = (signal) => {
   }, 15000); // Reduced from 30s to 15s
 };
 
-// Start server with optimized settings
-const server = app.listen(PORT, "0.0.0.0", () => {
-  // Set server keep-alive timeout
-  server.keepAliveTimeout = 65000; // 65 seconds
-  server.headersTimeout = 66000; // 66 seconds
+// Start background workers (resumes jobs accepted before a restart), then schedule media retention.
+// Retried with backoff, e.g. while the database is still starting
+let backgroundJobsTimer = null;
+const startBackgroundJobs = async (attempt = 1) => {
+  try {
+    await JobQueue.start();
+    await MediaRetentionService.scheduleNext();
+  } catch (error) {
+    const delay = Math.min(1000 * 2 ** attempt, 60000);
+    console.error(`Failed to start background jobs (attempt ${attempt}), retrying in ${delay / 1000}s:`, error.message);
+    backgroundJobsTimer = setTimeout(() => startBackgroundJobs(attempt + 1), delay);
+  }
+};
 
-  console.log(`Server running on port ${PORT}`);
+// Start server with optimized settings. Only when run as node server.js: scripts require the app
+// without starting the server and the background workers
+let server = null;
+const startServer = () => {
+  server = app.listen(PORT, "0.0.0.0", () => {
+    // Set server keep-alive timeout
+    server.keepAliveTimeout = 65000; // 65 seconds
+    server.headersTimeout = 66000; // 66 seconds
 
-  // if (isDev) {
-  //   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
-  //   console.log(`Health check: http://localhost:${PORT}/health`);
-  //   console.log(`Test endpoint: http://localhost:${PORT}/test`);
-  // }
-});
+    console.log(`Server running on port ${PORT}`);
 
-// Optimized error handling for server startup
-server.on("error", (err) => {
-  console.error("Server error:", err.message);
-  if (err.code === "EADDRINUSE") {
-    console.error(`Port ${PORT} is already in use`);
-    process.exit(1);
-  }
-});
+    startBackgroundJobs();
+
+    // if (isDev) {
+    //   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+    //   console.log(`Health check: http://localhost:${PORT}/health`);
+    //   console.log(`Test endpoint: http://localhost:${PORT}/test`);
+    // }
+  });
 
-// Handle process signals for graceful shutdown
-process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
-process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+  // Optimized error handling for server startup
+  server.on("error", (err) => {
+    console.error("Server error:", err.message);
+    if (err.code === "EADDRINUSE") {
+      console.error(`Port ${PORT} is already in use`);
+      process.exit(1);
+    }
+  });
+
+  // Handle process signals for graceful shutdown
+  process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+  process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+};
+
+if (require.main === module) {
+  startServer();
+}
 
 // Optimized uncaught exception handling
 process.on("uncaughtException", (err) => {
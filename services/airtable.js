@@ -1,5 +1,6 @@
 const pool = require("../config/database");
 const EmbeddingsService = require("./embeddings");
+const EncryptionService = require("./encryption");
 
 class AirtableService {
   constructor() {
@@ -14,7 +15,7 @@ class AirtableService {
     try {
       const result = await pool.query("SELECT * FROM airtable_integrations WHERE business_id = $1", [businessId]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      return result.rows.length > 0 ? EncryptionService.decryptRow("airtable_integrations", result.rows[0]) : null;
     } catch (error) {
       console.error("Error getting Airtable config:", error);
       throw new Error("Failed to get Airtable configuration");
@@ -34,10 +35,10 @@ class AirtableService {
          ON CONFLICT (business_id)
          DO UPDATE SET access_token = $2, base_id = $3, table_name = $4, updated_at = NOW()
          RETURNING *`,
-        [businessId, access_token, base_id, table_name]
+        [businessId, EncryptionService.encrypt(access_token), base_id, table_name]
       );
 
-      return result.rows[0];
+      return EncryptionService.decryptRow("airtable_integrations", result.rows[0]);
     } catch (error) {
       console.error("Error saving Airtable config:", error);
       throw new Error("Failed to save Airtable configuration");
@@ -0,0 +1,103 @@
+const JobQueue = require("./job-queue");
+const MessageTemplateService = require("./message-templates");
+const OutboundMessageService = require("./outbound-message");
+
+const REMINDER_JOB_TYPE = "appointment_reminder";
+const REMINDER_TEMPLATE_PURPOSE = "appointment_reminder";
+
+class AppointmentReminderService {
+  constructor() {
+    this.hoursBefore = parseInt(process.env.APPOINTMENT_REMINDER_HOURS_BEFORE) || 24;
+
+    JobQueue.registerHandler(REMINDER_JOB_TYPE, (payload) => this.sendReminder(payload));
+  }
+
+  getJobKey(businessId, eventId) {
+    return `reminder:${businessId}:${eventId}`;
+  }
+
+  /**
+   * Schedule a WhatsApp reminder for a booked appointment
+   * Only businesses with an approved template marked with purpose "appointment_reminder" get reminders.
+   * The template body receives {{1}} = appointment title and {{2}} = formatted start time.
+   * @param {Object} options
+   * @param {number} options.businessId - Business ID
+   * @param {string} options.phoneNumber - Customer's WhatsApp number
+   * @param {Object} options.event - Created Google Calendar event
+   * @param {string} options.timezone - Business timezone
+   * @returns {Promise<Object|null>} The scheduled job, or null if no reminder applies
+   */
+  async scheduleReminder({ businessId, phoneNumber, event, timezone }) {
+    try {
+      const template = await MessageTemplateService.getTemplateForPurpose(businessId, REMINDER_TEMPLATE_PURPOSE);
+      if (!template) {
+        return null;
+      }
+
+      const startTime = new Date(event.start?.dateTime || event.start);
+      const runAt = new Date(startTime.getTime() - this.hoursBefore * 60 * 60 * 1000);
+      if (runAt <= new Date()) {
+        return null; // Appointment is too soon for a reminder
+      }
+
+      const jobKey = this.getJobKey(businessId, event.id);
+      return await JobQueue.enqueue({
+        jobType: REMINDER_JOB_TYPE,
+        // Own ordering key: a scheduled job must not hold back the customer's messages
+        conversationKey: jobKey,
+        dedupeKey: jobKey,
+        runAt,
+        payload: {
+          businessId,
+          phoneNumber,
+          templateName: template.name,
+          language: template.language,
+          title: event.summary || "Appointment",
+          startTime: startTime.toISOString(),
+          timezone,
+        },
+      });
+    } catch (error) {
+      // A missing reminder must never break the booking itself
+      console.error("Error scheduling appointment reminder:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel the pending reminder of an appointment
+   */
+  async cancelReminder(businessId, eventId) {
+    try {
+      return await JobQueue.cancel(this.getJobKey(businessId, eventId));
+    } catch (error) {
+      console.error("Error cancelling appointment reminder:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Job handler: send the reminder template
+   */
+  async sendReminder(payload) {
+    const formattedTime = new Date(payload.startTime).toLocaleString("en-US", {
+      timeZone: payload.timezone || "UTC",
+      dateStyle: "full",
+      timeStyle: "short",
+    });
+
+    await OutboundMessageService.sendTemplateToNumber({
+      businessId: payload.businessId,
+      phoneNumber: payload.phoneNumber,
+      template: {
+        name: payload.templateName,
+        language: payload.language,
+        variables: { body: [payload.title, formattedTime] },
+      },
+    });
+
+    console.log(`Appointment reminder sent to ${payload.phoneNumber} for business ${payload.businessId}`);
+  }
+}
+
+module.exports = new AppointmentReminderService();
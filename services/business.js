@@ -1,4 +1,5 @@
 const pool = require("../config/database");
+const EncryptionService = require("./encryption");
 
 class BusinessService {
   // Business Management
@@ -26,6 +27,26 @@ class BusinessService {
     }
   }
 
+  /**
+   * Businesses a user is a member of, with the user's role in each
+   */
+  async getBusinessesForUser(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT b.*, bm.role AS member_role
+         FROM businesses b
+         JOIN business_members bm ON bm.business_id = b.id
+         WHERE bm.user_id = $1
+         ORDER BY b.created_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting user businesses:", error);
+      throw error;
+    }
+  }
+
   async getBusinessById(id) {
     try {
       const result = await pool.query("SELECT * FROM businesses WHERE id = $1", [id]);
@@ -50,6 +71,103 @@ class BusinessService {
     }
   }
 
+  /**
+   * Store the business's message pipeline stage order (null restores the default order)
+   */
+  async updatePipelineStages(id, stages) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET pipeline_stages = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [stages ? JSON.stringify(stages) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business pipeline stages:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the business's LLM provider and models (null restores the defaults)
+   */
+  async updateLLMSettings(id, settings) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET llm_settings = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [settings ? JSON.stringify(settings) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business LLM settings:", error);
+      throw error;
+    }
+  }
+
+  async updateLLMBudget(id, budget) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET llm_budget = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [budget ? JSON.stringify(budget) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business LLM budget:", error);
+      throw error;
+    }
+  }
+
+  async updateDocumentSettings(id, settings) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET document_settings = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [settings ? JSON.stringify(settings) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business document settings:", error);
+      throw error;
+    }
+  }
+
+  async updateMessageTypeSettings(id, settings) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET message_type_settings = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [settings ? JSON.stringify(settings) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business message type settings:", error);
+      throw error;
+    }
+  }
+
+  async updateVoiceSettings(id, settings) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET voice_settings = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [settings ? JSON.stringify(settings) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business voice settings:", error);
+      throw error;
+    }
+  }
+
+  async updateMediaSettings(id, settings) {
+    try {
+      const result = await pool.query(
+        "UPDATE businesses SET media_settings = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+        [settings ? JSON.stringify(settings) : null, id]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating business media settings:", error);
+      throw error;
+    }
+  }
+
   async deleteBusiness(id) {
     try {
       const result = await pool.query("DELETE FROM businesses WHERE id = $1 RETURNING *", [id]);
@@ -63,14 +181,23 @@ class BusinessService {
   // WhatsApp Configuration Management
   async createWhatsAppConfig(configData) {
     try {
-      const { business_id, phone_number_id, access_token, verify_token, webhook_url } = configData;
+      const { business_id, phone_number_id, access_token, verify_token, webhook_url, app_secret, business_account_id } =
+        configData;
       const result = await pool.query(
         `INSERT INTO whatsapp_configs 
-        (business_id, phone_number_id, access_token, verify_token, webhook_url) 
-        VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [business_id, phone_number_id, access_token, verify_token, webhook_url]
+        (business_id, phone_number_id, access_token, verify_token, webhook_url, app_secret, business_account_id) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [
+          business_id,
+          phone_number_id,
+          EncryptionService.encrypt(access_token),
+          verify_token,
+          webhook_url,
+          EncryptionService.encrypt(app_secret) || null,
+          business_account_id || null,
+        ]
       );
-      return result.rows[0];
+      return EncryptionService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error creating WhatsApp config:", error);
       throw error;
@@ -80,7 +207,7 @@ class BusinessService {
   async getWhatsAppConfigByBusinessId(businessId) {
     try {
       const result = await pool.query("SELECT * FROM whatsapp_configs WHERE business_id = $1", [businessId]);
-      return result.rows[0];
+      return EncryptionService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error getting WhatsApp config:", error);
       throw error;
@@ -93,7 +220,7 @@ class BusinessService {
         "SELECT wc.*, b.name as business_name FROM whatsapp_configs wc JOIN businesses b ON wc.business_id = b.id WHERE wc.phone_number_id = $1",
         [phoneNumberId]
       );
-      return result.rows[0];
+      return EncryptionService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error getting WhatsApp config by phone number:", error);
       throw error;
@@ -102,14 +229,25 @@ class BusinessService {
 
   async updateWhatsAppConfig(businessId, configData) {
     try {
-      const { phone_number_id, access_token, verify_token, webhook_url } = configData;
+      const { phone_number_id, access_token, verify_token, webhook_url, app_secret, business_account_id } = configData;
+      // app_secret and business_account_id are only replaced when provided, so older clients don't wipe them
       const result = await pool.query(
         `UPDATE whatsapp_configs 
-        SET phone_number_id = $1, access_token = $2, verify_token = $3, webhook_url = $4, updated_at = CURRENT_TIMESTAMP 
-        WHERE business_id = $5 RETURNING *`,
-        [phone_number_id, access_token, verify_token, webhook_url, businessId]
+        SET phone_number_id = $1, access_token = $2, verify_token = $3, webhook_url = $4,
+          app_secret = COALESCE($5, app_secret), business_account_id = COALESCE($6, business_account_id),
+          updated_at = CURRENT_TIMESTAMP 
+        WHERE business_id = $7 RETURNING *`,
+        [
+          phone_number_id,
+          EncryptionService.encrypt(access_token),
+          verify_token,
+          webhook_url,
+          EncryptionService.encrypt(app_secret) || null,
+          business_account_id || null,
+          businessId,
+        ]
       );
-      return result.rows[0];
+      return EncryptionService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error updating WhatsApp config:", error);
       throw error;
@@ -119,7 +257,7 @@ class BusinessService {
   async deleteWhatsAppConfig(businessId) {
     try {
       const result = await pool.query("DELETE FROM whatsapp_configs WHERE business_id = $1 RETURNING *", [businessId]);
-      return result.rows[0];
+      return EncryptionService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error deleting WhatsApp config:", error);
       throw error;
@@ -235,7 +373,7 @@ class BusinessService {
   async getAllWhatsAppConfigs() {
     try {
       const result = await pool.query("SELECT * FROM whatsapp_configs");
-      return result.rows;
+      return result.rows.map((row) => EncryptionService.decryptRow("whatsapp_configs", row));
     } catch (error) {
       console.error("Error getting all WhatsApp configs:", error);
       throw error;
@@ -248,7 +386,7 @@ class BusinessService {
         businessId,
       ]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      return result.rows.length > 0 ? EncryptionService.decryptRow("google_workspace_integrations", result.rows[0]) : null;
     } catch (error) {
       console.error("Error getting Google config:", error);
       throw new Error("Failed to get Google Workspace configuration");
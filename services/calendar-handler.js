@@ -1,11 +1,19 @@
 const GoogleService = require("./google");
 const OpenAIService = require("./openai");
+const AppointmentReminderService = require("./appointment-reminders");
+const ConversationStateService = require("./conversation-state");
+
+// IDs of the reply buttons sent with calendar confirmations
+const REPLY_IDS = {
+  CONFIRM: "calendar:confirm",
+  DECLINE: "calendar:decline",
+  CANCEL: "calendar:cancel",
+};
 
 class CalendarHandler {
   constructor() {
     this.googleService = GoogleService;
     this.openaiService = OpenAIService;
-    this.conversationContext = new Map();
 
     // CHANGE THIS TO YOUR BUSINESS TIMEZONE
     this.defaultTimezone = "America/New_York"; // Change this to your actual timezone
@@ -22,17 +30,18 @@ class CalendarHandler {
 
   /**
    * Process incoming WhatsApp message for calendar operations
+   * @param {Object} [reply] - Interactive reply ({ id, title }) when the user tapped a button
    */
-  async processMessage(businessId, message, from) {
+  async processMessage(businessId, message, from, reply = null) {
     try {
       // First check for CANCEL command
-      const cancelResult = await this.handleCancelCommand(businessId, message, from);
+      const cancelResult = await this.handleCancelCommand(businessId, message, from, reply);
       if (cancelResult) {
         return cancelResult;
       }
 
       // Then check if this is a follow-up response (YES/NO)
-      const followUpResult = await this.handleFollowUpResponse(businessId, message, from);
+      const followUpResult = await this.handleFollowUpResponse(businessId, message, from, reply);
       if (followUpResult) {
         return followUpResult;
       }
@@ -78,19 +87,21 @@ class CalendarHandler {
   /**
    * Handle CANCEL command
    */
-  async handleCancelCommand(businessId, message, from) {
+  async handleCancelCommand(businessId, message, from, reply = null) {
     try {
       const lowercaseMessage = message.toLowerCase().trim();
 
-      if (lowercaseMessage === "cancel" || lowercaseMessage === "cancelled") {
-        // Get the last calendar context to find the appointment to cancel
-        const context = this.getContext(businessId, from);
+      if (reply?.id === REPLY_IDS.CANCEL || lowercaseMessage === "cancel" || lowercaseMessage === "cancelled") {
+        // The appointment booked last in this conversation is the one to cancel
+        const state = await ConversationStateService.get(businessId, from);
 
-        if (context && context.eventId) {
+        if (ConversationStateService.isInFlow(state, "calendar_appointment")) {
           // Cancel the specific appointment
           try {
-            await this.googleService.deleteCalendarEvent(businessId, context.eventId);
-            this.clearContext(businessId, from);
+            const { eventId } = state.slots;
+            await this.googleService.deleteCalendarEvent(businessId, eventId);
+            await AppointmentReminderService.cancelReminder(businessId, eventId);
+            await ConversationStateService.clear(businessId, from);
 
             return {
               success: true,
@@ -104,8 +115,8 @@ class CalendarHandler {
             };
           }
         } else {
-          // No specific appointment to cancel
-          this.clearContext(businessId, from);
+          // No specific appointment to cancel - "cancel" still ends whatever flow was in progress
+          await ConversationStateService.clear(businessId, from);
           return {
             success: true,
             message:
@@ -168,16 +179,21 @@ class CalendarHandler {
 
         const event = await this.googleService.createCalendarEvent(businessId, eventData);
 
-        // Store the event ID in context for potential cancellation
-        this.storeContext(businessId, from, {
-          type: "appointment_created",
-          eventId: event.id,
-          event: event,
+        // WhatsApp reminder before the appointment (if the business has a reminder template)
+        await AppointmentReminderService.scheduleReminder({ businessId, phoneNumber: from, event, timezone });
+
+        // Remember the event for potential cancellation
+        await ConversationStateService.start(businessId, from, "calendar_appointment", {
+          slots: { eventId: event.id },
         });
 
         return {
           success: true,
           message: this.formatAppointmentConfirmation(event, timezone),
+          interactive: {
+            type: "button",
+            buttons: [{ id: REPLY_IDS.CANCEL, title: "Cancel appointment" }],
+          },
           event: event,
         };
       } else {
@@ -216,17 +232,18 @@ class CalendarHandler {
 
         const timeSlot = `${data.date} at ${data.time}`;
 
-        // Store context for follow-up
-        this.storeContext(businessId, from, {
-          type: "availability_check",
-          data: data,
-          availability: availability,
-          timeSlot: timeSlot,
-        });
+        // Booking the slot only needs the customer's YES
+        if (availability.isAvailable) {
+          await ConversationStateService.start(businessId, from, "calendar_availability", {
+            slots: { data, timeSlot },
+            missingSlots: ["confirmation"],
+          });
+        }
 
         return {
           success: true,
           message: this.formatAvailabilityResponse(availability, timeSlot),
+          interactive: availability.isAvailable ? this.getConfirmationButtons() : null,
           availability: availability,
         };
       } else if (data.date) {
@@ -352,61 +369,24 @@ class CalendarHandler {
     }
   }
 
-  /**
-   * Store conversation context
-   */
-  storeContext(businessId, from, context) {
-    const key = `${businessId}_${from}`;
-    this.conversationContext.set(key, {
-      ...context,
-      timestamp: Date.now(),
-    });
-  }
-
-  /**
-   * Get conversation context
-   */
-  getContext(businessId, from) {
-    const key = `${businessId}_${from}`;
-    const context = this.conversationContext.get(key);
-
-    // Remove context if it's older than 10 minutes
-    if (context && Date.now() - context.timestamp > 10 * 60 * 1000) {
-      this.conversationContext.delete(key);
-      return null;
-    }
-
-    return context;
-  }
-
-  /**
-   * Clear conversation context
-   */
-  clearContext(businessId, from) {
-    const key = `${businessId}_${from}`;
-    this.conversationContext.delete(key);
-  }
-
   /**
    * Handle follow-up responses (YES/NO confirmations)
    */
-  async handleFollowUpResponse(businessId, message, from) {
+  async handleFollowUpResponse(businessId, message, from, reply = null) {
     try {
       const lowercaseMessage = message.toLowerCase().trim();
-      const context = this.getContext(businessId, from);
+      const state = await ConversationStateService.get(businessId, from);
 
-      if (!context) {
-        return null; // No context found
+      if (!ConversationStateService.isInFlow(state, "calendar_availability")) {
+        return null; // No slot waiting for confirmation
       }
 
-      if (lowercaseMessage === "yes" || lowercaseMessage === "y") {
-        if (context.type === "availability_check" && context.availability.isAvailable) {
-          // Book the appointment that was previously checked
-          this.clearContext(businessId, from);
-          return await this.handleBookingRequest(businessId, context.data, from);
-        }
-      } else if (lowercaseMessage === "no" || lowercaseMessage === "n") {
-        this.clearContext(businessId, from);
+      if (reply?.id === REPLY_IDS.CONFIRM || lowercaseMessage === "yes" || lowercaseMessage === "y") {
+        // Book the appointment that was previously checked
+        await ConversationStateService.clear(businessId, from);
+        return await this.handleBookingRequest(businessId, state.slots.data, from);
+      } else if (reply?.id === REPLY_IDS.DECLINE || lowercaseMessage === "no" || lowercaseMessage === "n") {
+        await ConversationStateService.clear(businessId, from);
         return {
           success: true,
           message: "No problem! Let me know if you need help with anything else.",
@@ -420,6 +400,19 @@ class CalendarHandler {
     }
   }
 
+  /**
+   * YES/NO reply buttons for booking a slot that was just checked
+   */
+  getConfirmationButtons() {
+    return {
+      type: "button",
+      buttons: [
+        { id: REPLY_IDS.CONFIRM, title: "Yes, book it" },
+        { id: REPLY_IDS.DECLINE, title: "No" },
+      ],
+    };
+  }
+
   /**
    * Format appointment confirmation with proper timezone
    */
@@ -0,0 +1,208 @@
+const pool = require("../config/database");
+
+// Flows answered by their own handler (yes/no confirmations, appointment cancellation) before intent routing.
+// Every other flow is named after the intent that continues it, e.g. "gmail_send" or "odoo_order_status".
+const CONFIRMATION_FLOWS = ["calendar_availability", "calendar_appointment", "odoo_order_confirmation"];
+
+// A new intent detected with at least this confidence interrupts the active flow
+const INTERRUPT_CONFIDENCE = 0.7;
+
+/**
+ * Persisted state of multi-turn flows (slot filling and confirmations), one record per conversation.
+ * Handlers store the active flow, the slots collected so far and the slots still missing, so a flow
+ * survives restarts and works across the WhatsApp route and OpenAIService alike.
+ */
+class ConversationStateService {
+  constructor() {
+    this.ttlMinutes = parseInt(process.env.CONVERSATION_STATE_TTL_MINUTES) || 10;
+  }
+
+  /**
+   * Get the active flow of a conversation. Expired state is removed.
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer's WhatsApp number
+   * @returns {Promise<Object|null>} { flow, slots, missing_slots, expires_at, ... } or null
+   */
+  async get(businessId, phoneNumber) {
+    if (!businessId || !phoneNumber) {
+      return null;
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT cs.*
+         FROM conversation_state cs
+         JOIN conversations c ON c.id = cs.conversation_id
+         WHERE c.business_id = $1 AND c.phone_number = $2`,
+        [businessId, phoneNumber]
+      );
+      const state = result.rows[0];
+      if (!state) {
+        return null;
+      }
+
+      if (new Date(state.expires_at) <= new Date()) {
+        await pool.query("DELETE FROM conversation_state WHERE id = $1", [state.id]);
+        return null;
+      }
+
+      return state;
+    } catch (error) {
+      console.error("Error getting conversation state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a flow, replacing whatever flow the conversation was in
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer's WhatsApp number
+   * @param {string} flow - Flow name
+   * @param {Object} options
+   * @param {Object} [options.slots] - Slots collected so far
+   * @param {string[]} [options.missingSlots] - Slots still to ask for
+   * @param {number} [options.ttlMinutes] - Minutes until the flow expires
+   * @returns {Promise<Object|null>} The stored state, or null if the conversation does not exist
+   */
+  async start(businessId, phoneNumber, flow, { slots = {}, missingSlots = [], ttlMinutes = this.ttlMinutes } = {}) {
+    if (!businessId || !phoneNumber) {
+      return null;
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO conversation_state (conversation_id, flow, slots, missing_slots, expires_at)
+         SELECT id, $3, $4::jsonb, $5::jsonb, NOW() + make_interval(mins => $6)
+         FROM conversations
+         WHERE business_id = $1 AND phone_number = $2
+         ON CONFLICT (conversation_id)
+         DO UPDATE SET flow = EXCLUDED.flow, slots = EXCLUDED.slots, missing_slots = EXCLUDED.missing_slots,
+           expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [businessId, phoneNumber, flow, JSON.stringify(slots), JSON.stringify(missingSlots), ttlMinutes]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error starting conversation flow:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store newly collected slots of the active flow and extend its expiry
+   * @returns {Promise<Object|null>} The updated state, or null if the flow is no longer active
+   */
+  async update(businessId, phoneNumber, flow, { slots = {}, missingSlots = [] } = {}) {
+    if (!businessId || !phoneNumber) {
+      return null;
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE conversation_state cs
+         SET slots = cs.slots || $4::jsonb, missing_slots = $5::jsonb,
+           expires_at = NOW() + make_interval(mins => $6), updated_at = CURRENT_TIMESTAMP
+         FROM conversations c
+         WHERE c.id = cs.conversation_id AND c.business_id = $1 AND c.phone_number = $2 AND cs.flow = $3
+         RETURNING cs.*`,
+        [businessId, phoneNumber, flow, JSON.stringify(slots), JSON.stringify(missingSlots), this.ttlMinutes]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error updating conversation state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * End the conversation's flow
+   * @param {string} [flow] - Only clear the state if this flow is the active one
+   */
+  async clear(businessId, phoneNumber, flow = null) {
+    if (!businessId || !phoneNumber) {
+      return;
+    }
+
+    try {
+      await pool.query(
+        `DELETE FROM conversation_state cs
+         USING conversations c
+         WHERE c.id = cs.conversation_id AND c.business_id = $1 AND c.phone_number = $2
+           AND ($3::text IS NULL OR cs.flow = $3)`,
+        [businessId, phoneNumber, flow]
+      );
+    } catch (error) {
+      console.error("Error clearing conversation state:", error);
+      throw error;
+    }
+  }
+
+  isInFlow(state, flow) {
+    return !!state && state.flow === flow;
+  }
+
+  /**
+   * Merge newly extracted values into the collected slots (empty values never overwrite)
+   */
+  mergeSlots(slots, values) {
+    const merged = { ...(slots || {}) };
+    for (const [key, value] of Object.entries(values || {})) {
+      const isEmpty =
+        value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+      if (!isEmpty) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  getMissingSlots(slots, requiredSlots) {
+    return requiredSlots.filter((slot) => {
+      const value = slots ? slots[slot] : null;
+      return value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+    });
+  }
+
+  /**
+   * Decide which intent handles a message given the conversation's active flow.
+   * A confident new intent interrupts the flow and clears its state; otherwise an unfinished
+   * slot-filling flow claims the message, whatever the intent detection made of it.
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer's WhatsApp number
+   * @param {Object|null} intentResult - Result of IntentDetectionService.detectIntent
+   * @returns {Promise<Object|null>} The intent to handle the message with
+   */
+  async resolveIntent(businessId, phoneNumber, intentResult) {
+    const state = await this.get(businessId, phoneNumber);
+    if (!state) {
+      return intentResult;
+    }
+
+    const isNewIntent =
+      !!intentResult &&
+      intentResult.confidence >= INTERRUPT_CONFIDENCE &&
+      intentResult.intent !== "general" &&
+      intentResult.intent !== state.flow;
+
+    if (isNewIntent) {
+      console.log(`Intent ${intentResult.intent} interrupts flow ${state.flow} for ${phoneNumber}`);
+      await this.clear(businessId, phoneNumber, state.flow);
+      return intentResult;
+    }
+
+    // Confirmation flows already had their chance to answer the message
+    if (CONFIRMATION_FLOWS.includes(state.flow)) {
+      return intentResult;
+    }
+
+    console.log(`Continuing flow ${state.flow} for ${phoneNumber} (missing: ${state.missing_slots.join(", ")})`);
+    return {
+      ...(intentResult || {}),
+      intent: state.flow,
+      confidence: 1,
+      method: "conversation_state",
+    };
+  }
+}
+
+module.exports = new ConversationStateService();
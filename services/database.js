@@ -1,4 +1,8 @@
 const pool = require("../config/database");
+const MediaStorageService = require("./media-storage");
+
+// Status callbacks for unknown messages are kept this long for the message to be saved
+const PENDING_STATUS_TTL_MINUTES = 60;
 
 class DatabaseService {
   // Export the pool for use in other services
@@ -70,20 +74,26 @@ class DatabaseService {
 
   /**
    * Optimized message saving with better conflict handling
+   * Outbound messages should be saved with the wamid returned by WhatsApp as messageId
+   * and status "sent" (or "failed"), so status callbacks can update them later.
    */
   async saveMessage(messageData) {
     try {
       const result = await pool.query(
         `INSERT INTO messages (
           business_id, conversation_id, message_id, from_number, to_number, 
-          message_type, content, media_url, direction, status, local_file_path
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+          message_type, content, media_url, direction, status, local_file_path,
+          error_message, author_user_id, metadata, sent_at, failed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+          CASE WHEN $10::varchar = 'sent' THEN CURRENT_TIMESTAMP END,
+          CASE WHEN $10::varchar = 'failed' THEN CURRENT_TIMESTAMP END) 
         ON CONFLICT (message_id) 
         DO UPDATE SET 
           content = EXCLUDED.content,
           media_url = EXCLUDED.media_url,
           local_file_path = EXCLUDED.local_file_path,
           status = EXCLUDED.status,
+          error_message = EXCLUDED.error_message,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *`,
         [
@@ -96,13 +106,17 @@ class DatabaseService {
           messageData.content,
           messageData.mediaUrl,
           messageData.isFromUser ? "inbound" : "outbound",
-          "received",
+          messageData.status || "received",
           messageData.localFilePath || null,
+          messageData.errorMessage || null,
+          messageData.authorUserId || null,
+          messageData.metadata ? JSON.stringify(messageData.metadata) : null,
         ]
       );
 
       console.log(`Message saved successfully: ${messageData.messageId}`);
-      return result.rows[0];
+      // WhatsApp can report a sent message's status before the sender has saved it
+      return messageData.isFromUser ? result.rows[0] : await this.applyPendingStatuses(result.rows[0]);
     } catch (error) {
       console.error("Error saving message:", error);
 
@@ -202,12 +216,110 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Apply a WhatsApp status callback (sent/delivered/read/failed) to a stored outbound message.
+   * Statuses only move forward (a late "delivered" never overwrites "read") and "failed" is final.
+   * A status for a message that isn't saved yet is kept and applied by saveMessage.
+   * @param {Object} status - Normalized status event from WhatsAppService.processIncomingMessage
+   * @returns {Promise<Object|null>} Updated message row, or null if the wamid is unknown
+   */
+  async updateMessageStatus(status) {
+    try {
+      const error = status.errors && status.errors.length > 0 ? status.errors[0] : null;
+      const timestamp = status.timestamp ? parseInt(status.timestamp) : Math.floor(Date.now() / 1000);
+
+      const result = await pool.query(
+        `UPDATE messages SET
+          status = CASE
+            WHEN status = 'failed' THEN status
+            WHEN $2::text = 'failed' THEN $2::text
+            WHEN array_position(ARRAY['sent', 'delivered', 'read'], $2::text)
+              > COALESCE(array_position(ARRAY['sent', 'delivered', 'read'], status::text), 0) THEN $2::text
+            ELSE status
+          END,
+          sent_at = CASE WHEN $2::text = 'sent' THEN COALESCE(sent_at, to_timestamp($3)) ELSE sent_at END,
+          delivered_at = CASE WHEN $2::text = 'delivered' THEN COALESCE(delivered_at, to_timestamp($3)) ELSE delivered_at END,
+          read_at = CASE WHEN $2::text = 'read' THEN COALESCE(read_at, to_timestamp($3)) ELSE read_at END,
+          failed_at = CASE WHEN $2::text = 'failed' THEN COALESCE(failed_at, to_timestamp($3)) ELSE failed_at END,
+          error_code = COALESCE($4, error_code),
+          error_message = COALESCE($5, error_message),
+          updated_at = CURRENT_TIMESTAMP
+         WHERE message_id = $1 AND direction = 'outbound'
+         RETURNING *`,
+        [
+          status.messageId,
+          status.status,
+          timestamp,
+          error ? error.code : null,
+          error ? error.error_data?.details || error.message || error.title : null,
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        console.log(`No outbound message found for status update ${status.messageId} (${status.status}) - kept`);
+        await this.storePendingStatus(status);
+        return null;
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating message status:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a status callback until its outbound message is saved. Statuses that find no message within
+   * PENDING_STATUS_TTL_MINUTES are dropped (e.g. of messages sent from another app on the same number).
+   * @param {Object} status - Normalized status event
+   */
+  async storePendingStatus(status) {
+    await pool.query("DELETE FROM pending_message_statuses WHERE created_at < NOW() - make_interval(mins => $1)", [
+      PENDING_STATUS_TTL_MINUTES,
+    ]);
+    await pool.query("INSERT INTO pending_message_statuses (message_id, event) VALUES ($1, $2)", [
+      status.messageId,
+      JSON.stringify(status),
+    ]);
+
+    // The message may have been saved since the status found no row
+    const saved = await pool.query("SELECT * FROM messages WHERE message_id = $1 AND direction = 'outbound'", [
+      status.messageId,
+    ]);
+    if (saved.rows.length > 0) {
+      await this.applyPendingStatuses(saved.rows[0]);
+    }
+  }
+
+  /**
+   * Apply the kept status callbacks of a saved outbound message (see storePendingStatus)
+   * @param {Object} message - messages row
+   * @returns {Promise<Object>} The message row with the statuses applied
+   */
+  async applyPendingStatuses(message) {
+    try {
+      const pending = await pool.query("DELETE FROM pending_message_statuses WHERE message_id = $1 RETURNING event", [
+        message.message_id,
+      ]);
+
+      let updated = message;
+      for (const { event } of pending.rows) {
+        updated = (await this.updateMessageStatus(event)) || updated;
+      }
+      return updated;
+    } catch (error) {
+      // The message is saved either way
+      console.error(`Error applying pending statuses to message ${message.message_id}:`, error.message);
+      return message;
+    }
+  }
+
   async saveMediaFile(mediaData) {
     try {
       const result = await pool.query(
         `INSERT INTO media_files (
-          business_id, message_id, file_name, file_path, file_type, file_size
-        ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          business_id, message_id, file_name, file_path, file_type, file_size, storage_backend
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
         [
           mediaData.businessId,
           mediaData.messageId,
@@ -215,6 +327,7 @@ class DatabaseService {
           mediaData.filePath,
           mediaData.fileType,
           mediaData.fileSize,
+          mediaData.storageBackend || "local",
         ]
       );
       return result.rows[0];
@@ -235,6 +348,7 @@ class DatabaseService {
           CASE 
             WHEN m.message_type = 'audio' THEN CONCAT('Audio message: ', COALESCE(m.content, 'Transcribed audio'))
             WHEN m.message_type = 'image' THEN CONCAT('Image: ', COALESCE(m.content, ''), ' - Image analyzed')
+            WHEN m.message_type = 'document' THEN CONCAT('Document: ', COALESCE(m.content, ''), ' - Document read')
             ELSE m.content
           END as content
          FROM messages m
@@ -275,6 +389,50 @@ class DatabaseService {
     }
   }
 
+  // Get a business's media files, newest first
+  async getMediaFiles(businessId, { fileType = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM media_files
+         WHERE business_id = $1 AND ($2::text IS NULL OR file_type = $2)
+         ORDER BY created_at DESC
+         LIMIT $3 OFFSET $4`,
+        [businessId, fileType, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting media files:", error);
+      throw error;
+    }
+  }
+
+  async getMediaFile(businessId, mediaFileId) {
+    try {
+      const result = await pool.query("SELECT * FROM media_files WHERE id = $1 AND business_id = $2", [
+        mediaFileId,
+        businessId,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting media file:", error);
+      throw error;
+    }
+  }
+
+  // Update a message's content by its WhatsApp message ID, e.g. with the transcript of a voice note
+  async updateMessageContent(messageId, content) {
+    try {
+      const result = await pool.query("UPDATE messages SET content = $1 WHERE message_id = $2 RETURNING *", [
+        content,
+        messageId,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error updating message content:", error);
+      throw error;
+    }
+  }
+
   // Get all conversations for a business
   async getBusinessConversations(businessId) {
     try {
@@ -283,6 +441,8 @@ class DatabaseService {
           c.id,
           c.phone_number,
           c.status,
+          c.bot_paused,
+          c.assigned_agent,
           c.created_at,
           c.updated_at,
           COUNT(m.id) as message_count,
@@ -290,7 +450,7 @@ class DatabaseService {
          FROM conversations c
          LEFT JOIN messages m ON c.id = m.conversation_id
          WHERE c.business_id = $1
-         GROUP BY c.id, c.phone_number, c.status, c.created_at, c.updated_at
+         GROUP BY c.id, c.phone_number, c.status, c.bot_paused, c.assigned_agent, c.created_at, c.updated_at
          ORDER BY last_message_at DESC NULLS LAST, c.created_at DESC`,
         [businessId]
       );
@@ -315,10 +475,18 @@ class DatabaseService {
           m.media_url,
           m.direction,
           m.status,
+          m.sent_at,
+          m.delivered_at,
+          m.read_at,
+          m.failed_at,
+          m.error_code,
+          m.error_message,
+          m.author_user_id,
           m.created_at,
           mf.file_name,
           mf.file_path,
-          mf.file_type
+          mf.file_type,
+          mf.storage_backend
          FROM messages m
          LEFT JOIN media_files mf ON m.id = mf.message_id
          WHERE m.conversation_id = $1
@@ -327,17 +495,20 @@ class DatabaseService {
         [conversationId, limit, offset]
       );
 
-      // Process the results to construct full media URLs
-      const processedRows = result.rows.map((row) => {
-        if (row.file_path) {
-          // Construct the full URL for media files
-          const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
-          row.media_url = `${baseUrl}/media/${row.file_path}`;
-        }
-        return row;
-      });
-
-      return processedRows;
+      // Media files get a signed, time-limited download URL
+      return await Promise.all(
+        result.rows.map(async (row) => {
+          if (row.file_path) {
+            try {
+              row.media_url = (await MediaStorageService.getSignedUrl(row)).url;
+            } catch (error) {
+              console.error(`Could not sign media URL for ${row.file_path}:`, error.message);
+              row.media_url = null;
+            }
+          }
+          return row;
+        })
+      );
     } catch (error) {
       console.error("Error getting conversation messages:", error);
       throw error;
@@ -353,9 +524,19 @@ class DatabaseService {
           c.business_id,
           c.phone_number,
           c.status,
+          c.bot_paused,
+          c.assigned_agent,
+          c.bot_paused_at,
+          c.handoff_activity_at,
           c.created_at,
           c.updated_at,
-          b.name as business_name
+          b.name as business_name,
+          (SELECT json_build_object(
+            'sent', COUNT(*) FILTER (WHERE m.status = 'sent'),
+            'delivered', COUNT(*) FILTER (WHERE m.status = 'delivered'),
+            'read', COUNT(*) FILTER (WHERE m.status = 'read'),
+            'failed', COUNT(*) FILTER (WHERE m.status = 'failed')
+          ) FROM messages m WHERE m.conversation_id = c.id AND m.direction = 'outbound') as delivery_summary
          FROM conversations c
          JOIN businesses b ON c.business_id = b.id
          WHERE c.id = $1`,
@@ -368,6 +549,25 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Time of the customer's most recent inbound message (starts the 24-hour customer-service window)
+   * @returns {Promise<Date|null>}
+   */
+  async getLastInboundMessageAt(conversationId) {
+    try {
+      const result = await pool.query(
+        `SELECT MAX(created_at) as last_inbound_at
+         FROM messages
+         WHERE conversation_id = $1 AND direction = 'inbound'`,
+        [conversationId]
+      );
+      return result.rows[0].last_inbound_at || null;
+    } catch (error) {
+      console.error("Error getting last inbound message:", error);
+      throw error;
+    }
+  }
+
   // Get conversation history for a conversation
   async getConversationHistory(conversationId, limit = 10) {
     try {
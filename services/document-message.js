@@ -0,0 +1,120 @@
+const OpenAIService = require("./openai");
+const DocumentTextService = require("./document-text");
+const { ValidationError } = require("../middleware/error-handler");
+
+// WhatsApp accepts documents of up to 100 MB
+const MAX_FILE_SIZE_MB = 100;
+const MAX_PAGES = 1000;
+
+/**
+ * Documents customers send on WhatsApp (PDF, DOCX, CSV, XLSX): their text is extracted locally,
+ * then summarized, or used to answer the document's caption.
+ *
+ * Businesses set their limits in businesses.document_settings:
+ * { enabled, maxFileSizeMb, maxPages }, defaulting to DOCUMENT_MAX_FILE_SIZE_MB and DOCUMENT_MAX_PAGES.
+ */
+class DocumentMessageService {
+  constructor() {
+    this.defaults = {
+      enabled: true,
+      maxFileSizeMb: parseFloat(process.env.DOCUMENT_MAX_FILE_SIZE_MB) || 10,
+      maxPages: parseInt(process.env.DOCUMENT_MAX_PAGES) || 20,
+    };
+    // Characters of a document the model gets; longer documents are cut
+    this.maxChars = parseInt(process.env.DOCUMENT_MAX_CHARS) || 20000;
+  }
+
+  /**
+   * Limits that apply to a business
+   * @param {Object} business - businesses row
+   */
+  getSettings(business) {
+    return { ...this.defaults, ...(business?.document_settings || {}) };
+  }
+
+  /**
+   * Check document settings: { enabled, maxFileSizeMb, maxPages } (all optional)
+   * @returns {Object} The settings to store, without unset values
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new ValidationError("Document settings must be an object");
+    }
+
+    const { enabled, maxFileSizeMb, maxPages } = settings;
+    if (enabled != null && typeof enabled !== "boolean") {
+      throw new ValidationError("enabled must be true or false");
+    }
+    if (maxFileSizeMb != null && !(typeof maxFileSizeMb === "number" && maxFileSizeMb > 0)) {
+      throw new ValidationError("maxFileSizeMb must be a positive number");
+    }
+    if (maxFileSizeMb > MAX_FILE_SIZE_MB) {
+      throw new ValidationError(`maxFileSizeMb can be at most ${MAX_FILE_SIZE_MB}`);
+    }
+    if (maxPages != null && !(Number.isInteger(maxPages) && maxPages >= 1 && maxPages <= MAX_PAGES)) {
+      throw new ValidationError(`maxPages must be a whole number from 1 to ${MAX_PAGES}`);
+    }
+
+    return Object.fromEntries(
+      Object.entries({ enabled, maxFileSizeMb, maxPages }).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  getMaxFileSize(settings) {
+    return Math.round(settings.maxFileSizeMb * 1024 * 1024);
+  }
+
+  /**
+   * Reply when a document can't be read, before downloading it
+   * @returns {string|null} The reply, or null if the document can be downloaded
+   */
+  checkDocument(settings, mimeType) {
+    if (!settings.enabled) {
+      return "Thanks for the document! I can't read documents in this chat, but feel free to tell me what you need.";
+    }
+    if (!mimeType) {
+      return "Thanks for the document! I can read PDF, Word (DOCX), Excel (XLSX) and CSV files - could you send it in one of those formats, or tell me what you need?";
+    }
+    return null;
+  }
+
+  tooLargeReply(settings) {
+    return `This document is larger than ${settings.maxFileSizeMb} MB, which is more than I can read. Could you send a smaller file, or tell me what you're looking for?`;
+  }
+
+  /**
+   * Read a downloaded document and reply to it
+   * @param {Object} options
+   * @param {string} options.filePath - Absolute path of the downloaded document
+   * @param {string} options.mimeType - Supported MIME type (see DocumentTextService)
+   * @param {string} options.fileName - Name the customer's file had
+   * @param {string} options.caption - Caption sent with the document: answered instead of summarizing
+   * @param {Object} options.settings - The business's limits (see getSettings)
+   * @returns {Promise<string>} The reply
+   */
+  async reply({ filePath, mimeType, fileName, caption, settings, businessTone, businessId }) {
+    const { text, pages } = await DocumentTextService.extract(filePath, mimeType, { maxPages: settings.maxPages });
+
+    if (pages && pages > settings.maxPages) {
+      return `This document has ${pages} pages, and I can read documents of up to ${settings.maxPages} pages. Could you send just the pages you need help with?`;
+    }
+    if (!text) {
+      return "I couldn't find any text in this document - it may be a scan or an image. Could you send it as a text PDF or a photo, or tell me what you need?";
+    }
+
+    const truncated = text.length > this.maxChars;
+    const question = (caption || "").trim();
+    const answer = await OpenAIService.analyzeDocument(
+      truncated ? text.slice(0, this.maxChars) : text,
+      question,
+      businessTone,
+      businessId,
+      { fileName, truncated }
+    );
+
+    return question ? `📄 ${answer}` : `📄 **Document Summary:**\n\n${answer}`;
+  }
+}
+
+module.exports = new DocumentMessageService();
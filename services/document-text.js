@@ -0,0 +1,143 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// File extension by MIME type of the documents text can be extracted from
+const DOCUMENT_EXTENSIONS = {
+  "application/pdf": ".pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+  "text/csv": ".csv",
+  "text/plain": ".txt",
+  "text/markdown": ".md",
+  "text/html": ".html",
+};
+
+// Other names clients use for the same types
+const MIME_ALIASES = {
+  "application/csv": "text/csv",
+  "text/comma-separated-values": "text/csv",
+  "text/x-markdown": "text/markdown",
+};
+
+// Tags that start a new line of text
+const BLOCK_TAGS = /<\/?(p|div|section|article|header|footer|li|tr|h[1-6]|br|hr|table|ul|ol|blockquote|pre)\b[^>]*>/gi;
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Plain text of documents: PDF, Word (DOCX), Excel (XLSX), CSV, plain text, Markdown and HTML.
+ * Everything is extracted locally; the parsers are loaded the first time they are needed.
+ */
+class DocumentTextService {
+  /**
+   * MIME type of a supported document from its MIME type or file name, or null if unsupported
+   */
+  getMimeType(mimeType, fileName = "") {
+    let type = (mimeType || "").split(";")[0].trim().toLowerCase();
+    type = MIME_ALIASES[type] || type;
+    if (DOCUMENT_EXTENSIONS[type]) {
+      return type;
+    }
+
+    const extension = path.extname(fileName).toLowerCase();
+    const match = Object.entries(DOCUMENT_EXTENSIONS).find(([, ext]) => ext === extension);
+    return match ? match[0] : extension === ".htm" ? "text/html" : null;
+  }
+
+  getExtension(mimeType) {
+    return DOCUMENT_EXTENSIONS[mimeType] || ".txt";
+  }
+
+  get supportedTypes() {
+    return Object.keys(DOCUMENT_EXTENSIONS);
+  }
+
+  /**
+   * Extract the text of a document file
+   * @param {string} filePath - Absolute path
+   * @param {string} mimeType - One of the supported types
+   * @param {Object} options
+   * @param {number} options.maxPages - Only read this many pages of a PDF (0 for all)
+   * @returns {Promise<{text: string, pages: number|null}>} Text with normalized whitespace, and the
+   *   page count of PDFs (all pages, also when only maxPages were read)
+   */
+  async extract(filePath, mimeType, { maxPages = 0 } = {}) {
+    const buffer = await fs.readFile(filePath);
+
+    switch (mimeType) {
+      case "application/pdf": {
+        // Loaded on first use; the package's index runs a self-test when required directly
+        const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+        const data = await pdfParse(buffer, { max: maxPages });
+        return { text: this.normalize(data.text), pages: data.numpages };
+      }
+      case "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+        const mammoth = require("mammoth");
+        const result = await mammoth.extractRawText({ buffer });
+        return { text: this.normalize(result.value), pages: null };
+      }
+      case "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
+        return { text: this.normalize(await this.spreadsheetToText(buffer)), pages: null };
+      case "text/html":
+        return { text: this.normalize(this.htmlToText(buffer.toString("utf8"))), pages: null };
+      case "text/csv":
+      case "text/plain":
+      case "text/markdown":
+        return { text: this.normalize(buffer.toString("utf8")), pages: null };
+      default:
+        throw new Error(`Unsupported document type: ${mimeType}`);
+    }
+  }
+
+  /**
+   * Every sheet as comma-separated rows under its name
+   */
+  async spreadsheetToText(buffer) {
+    const ExcelJS = require("exceljs");
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = [];
+    workbook.eachSheet((worksheet) => {
+      const rows = [];
+      worksheet.eachRow((row) => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell) => {
+          cells.push(cell.text.includes(",") ? `"${cell.text.replace(/"/g, '""')}"` : cell.text);
+        });
+        rows.push(cells.join(", "));
+      });
+      sheets.push(`Sheet: ${worksheet.name}\n${rows.join("\n")}`);
+    });
+    return sheets.join("\n\n");
+  }
+
+  htmlToText(html) {
+    return html
+      .replace(/<(script|style|noscript|template|svg)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(BLOCK_TAGS, "\n")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+          const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+          return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+      });
+  }
+
+  /**
+   * Collapse runs of spaces and blank lines, keeping paragraph breaks
+   */
+  normalize(text) {
+    return (text || "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[ \t\f\v\u00a0]+/g, " ")
+      .replace(/ *\n */g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+}
+
+module.exports = new DocumentTextService();
@@ -1,29 +1,20 @@
-const { OpenAI } = require("openai");
 const pool = require("../config/database");
+const LLMService = require("./llm");
 
 class EmbeddingsService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.embeddingModel = "text-embedding-3-small"; // Faster model for better performance
-    this.dimensions = 1536; // Optimized dimensions for speed
+    this.vectorColumns = null; // "table.column" of the pgvector columns, loaded on first search
   }
 
   /**
-   * Generate embeddings for text using OpenAI's text-embedding-3-large model
+   * Generate embeddings for text with the configured embedding model (see LLMService)
+   * @param {number|null} businessId - Business the call is metered under
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, businessId = null) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        dimensions: this.dimensions,
-      });
-
-      const embedding = response.data[0].embedding;
+      const response = await LLMService.embed(text, { businessId });
 
-      return embedding;
+      return response.embeddings[0];
     } catch (error) {
       console.error("Error generating embedding:", error);
       throw new Error("Failed to generate embedding");
@@ -35,15 +26,9 @@ class EmbeddingsService {
    */
   async generateEmbeddingsBatch(texts) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: texts,
-        dimensions: this.dimensions,
-      });
+      const response = await LLMService.embed(texts);
 
-      const embeddings = response.data.map((item) => item.embedding);
-
-      return embeddings;
+      return response.embeddings;
     } catch (error) {
       console.error("Error generating batch embeddings:", error);
       throw new Error("Failed to generate batch embeddings");
@@ -83,6 +68,153 @@ class EmbeddingsService {
     return dotProduct / (norm1 * norm2);
   }
 
+  /**
+   * Whether a table's embedding column is a pgvector column (see scripts/db-setup.js).
+   * Without the extension embeddings stay JSONB and are compared in JS.
+   */
+  async isVectorColumn(table, column = "embedding") {
+    if (!this.vectorColumns) {
+      try {
+        const result = await pool.query(
+          `SELECT table_name, column_name FROM information_schema.columns
+           WHERE udt_name = 'vector' AND table_schema = current_schema()`
+        );
+        this.vectorColumns = new Set(result.rows.map((row) => `${row.table_name}.${row.column_name}`));
+      } catch (error) {
+        console.error("Error checking for pgvector columns:", error);
+        return false;
+      }
+    }
+
+    return this.vectorColumns.has(`${table}.${column}`);
+  }
+
+  /**
+   * Stored embedding as an array: JSONB comes back as an array, pgvector as text like "[0.1,0.2]"
+   */
+  parseEmbedding(value) {
+    try {
+      const embedding = typeof value === "string" ? JSON.parse(value) : value;
+      return Array.isArray(embedding) && embedding.length > 0 ? embedding : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Rows nearest to an embedding by cosine similarity, best first.
+   * With pgvector the top k are found in SQL using the table's ANN index; otherwise every row
+   * matching the filter is loaded and scored in JS.
+   *
+   * pgvector applies the filter after the HNSW scan, so with many businesses a business's rows can all
+   * fall outside the scan's candidates. Iterative index scans (pgvector 0.8+) keep scanning until the
+   * filter has let through enough rows; when the index still returns fewer than `limit` rows, the
+   * search is repeated as an exact scan.
+   * @param {Object} search
+   * @param {string} search.table - Table with the embedding column
+   * @param {string} search.alias - Alias of the table, for joins and columns
+   * @param {string} search.join - JOIN clauses
+   * @param {string} search.select - Columns to return
+   * @param {string} search.where - Filter, using $1, $2, ... for params
+   * @param {Array} search.params - Filter values
+   * @param {number[]} search.embedding - Embedding to search for
+   * @param {number} search.limit - Number of rows to return at most
+   * @param {number} search.threshold - Minimum similarity
+   * @returns {Promise<Array<Object>>} The selected columns plus `similarity`
+   */
+  async searchNearest({
+    table,
+    alias = table,
+    join = "",
+    select,
+    where = "TRUE",
+    params = [],
+    embedding,
+    limit = 5,
+    threshold = 0,
+  }) {
+    const from = `${table}${alias !== table ? ` ${alias}` : ""} ${join}`;
+    const column = `${alias}.embedding`;
+    const embeddingParam = `$${params.length + 1}`;
+
+    if (await this.isVectorColumn(table)) {
+      const rows = await this.searchVectorIndex(
+        `SELECT ${select}, 1 - (${column} <=> ${embeddingParam}) AS similarity
+         FROM ${from}
+         WHERE ${column} IS NOT NULL AND (${where})
+         ORDER BY ${column} <=> ${embeddingParam}
+         LIMIT ${parseInt(limit)}`,
+        [...params, JSON.stringify(embedding)],
+        limit
+      );
+
+      // Iterative scans return rows in roughly nearest-first order
+      return rows
+        .map((row) => ({ ...row, similarity: parseFloat(row.similarity) }))
+        .filter((row) => row.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    const result = await pool.query(
+      `SELECT ${select}, ${column} AS stored_embedding FROM ${from} WHERE ${column} IS NOT NULL AND (${where})`,
+      params
+    );
+
+    const matches = [];
+    for (const { stored_embedding: storedEmbedding, ...row } of result.rows) {
+      const candidate = this.parseEmbedding(storedEmbedding);
+      if (!candidate || candidate.length !== embedding.length) {
+        console.warn(`Skipping malformed embedding in ${table}`);
+        continue;
+      }
+
+      const similarity = this.calculateCosineSimilarity(embedding, candidate);
+      if (similarity >= threshold) {
+        matches.push({ ...row, similarity });
+      }
+    }
+
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  /**
+   * Run a filtered nearest-neighbour query (see searchNearest) in a transaction of its own, so the
+   * pgvector settings only apply to it
+   */
+  async searchVectorIndex(query, params, limit) {
+    const client = await pool.connect();
+
+    // Settings an older pgvector doesn't have are skipped
+    const trySetting = async (setting) => {
+      await client.query("SAVEPOINT vector_setting");
+      try {
+        await client.query(`SET LOCAL ${setting}`);
+      } catch (error) {
+        await client.query("ROLLBACK TO SAVEPOINT vector_setting");
+      }
+    };
+
+    try {
+      await client.query("BEGIN");
+      await trySetting("hnsw.iterative_scan = relaxed_order");
+      await trySetting(`hnsw.ef_search = ${Math.min(Math.max(parseInt(limit), 40), 1000)}`);
+
+      let result = await client.query(query, params);
+      if (result.rows.length < limit) {
+        await client.query("SET LOCAL enable_indexscan = off");
+        result = await client.query(query, params);
+      }
+
+      await client.query("COMMIT");
+      return result.rows;
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Find the most similar text from a list of texts using embeddings
    */
@@ -201,65 +333,26 @@ class EmbeddingsService {
    */
   async searchFAQEmbeddings(businessId, userQuestion, threshold = 0.75) {
     try {
-      // Get all stored FAQ embeddings for this specific business
-      const result = await pool.query(
-        "SELECT faq_id, question, answer, embedding FROM faq_embeddings WHERE business_id = $1",
-        [businessId]
-      );
-
-      if (result.rows.length === 0) {
+      // Don't embed the question for businesses without synced FAQs
+      const stored = await pool.query("SELECT 1 FROM faq_embeddings WHERE business_id = $1 LIMIT 1", [businessId]);
+      if (stored.rows.length === 0) {
         return null;
       }
 
       // Generate embedding for user question
-      const queryEmbedding = await this.generateEmbedding(userQuestion);
-
-      let bestMatch = null;
-      let highestSimilarity = 0;
-
-      // Compare with stored embeddings for this business
-      for (const row of result.rows) {
-        try {
-          let storedEmbedding;
-
-          // Handle different embedding storage formats
-          if (typeof row.embedding === "string") {
-            storedEmbedding = JSON.parse(row.embedding);
-          } else if (Array.isArray(row.embedding)) {
-            storedEmbedding = row.embedding;
-          } else if (row.embedding && typeof row.embedding === "object") {
-            storedEmbedding = row.embedding;
-          } else {
-            console.warn(`Invalid embedding format for FAQ ${row.faq_id}:`, typeof row.embedding);
-            continue;
-          }
-
-          // Validate that the embedding is an array of numbers
-          if (!Array.isArray(storedEmbedding) || storedEmbedding.length === 0) {
-            console.warn(`Invalid embedding array for FAQ ${row.faq_id}`);
-            continue;
-          }
-
-          const similarity = this.calculateCosineSimilarity(queryEmbedding, storedEmbedding);
-
-          if (similarity > highestSimilarity && similarity >= threshold) {
-            highestSimilarity = similarity;
-            bestMatch = {
-              faq_id: row.faq_id,
-              question: row.question,
-              answer: row.answer,
-              businessId: businessId,
-              similarity: similarity,
-            };
-          }
-        } catch (parseError) {
-          console.error(`Error parsing embedding for FAQ ${row.faq_id}:`, parseError);
-          console.error(`Raw embedding data:`, row.embedding);
-          continue;
-        }
-      }
+      const queryEmbedding = await this.generateEmbedding(userQuestion, businessId);
+
+      const [bestMatch] = await this.searchNearest({
+        table: "faq_embeddings",
+        select: "faq_id, question, answer",
+        where: "business_id = $1",
+        params: [businessId],
+        embedding: queryEmbedding,
+        limit: 1,
+        threshold,
+      });
 
-      return bestMatch;
+      return bestMatch ? { ...bestMatch, businessId } : null;
     } catch (error) {
       console.error("Error searching FAQ embeddings for business", businessId, ":", error);
       throw new Error("Failed to search FAQ embeddings");
@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+
+/**
+ * Envelope encryption for integration secrets stored in the database.
+ *
+ * Every value gets its own random data key (AES-256-GCM). The data key is wrapped with a
+ * key-encryption key from the environment and stored next to the ciphertext, tagged with
+ * the key version:
+ *
+ *   enc:v<version>:<base64(wrapIv | wrapTag | wrappedDataKey | iv | tag | ciphertext)>
+ *
+ * ENCRYPTION_KEYS holds every known key as "version:base64key" pairs (32-byte keys), e.g.
+ * "1:abc...,2:def...". ENCRYPTION_KEY_VERSION picks the key used for new values (default: the
+ * highest version). Older keys stay listed until scripts/reencrypt-secrets.js has rewritten
+ * all rows with the current one.
+ *
+ * Values without the "enc:" prefix are treated as legacy plaintext and returned as they are.
+ */
+
+const PREFIX = "enc";
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Secret columns per table, used by the services and the re-encrypt script
+const ENCRYPTED_COLUMNS = {
+  whatsapp_configs: ["access_token", "app_secret"],
+  odoo_integrations: ["password"],
+  airtable_integrations: ["access_token"],
+  shopify_integrations: ["access_token"],
+  google_workspace_integrations: ["access_token", "refresh_token"],
+  hubspot_integrations: ["access_token", "refresh_token"],
+};
+
+class EncryptionService {
+  constructor() {
+    this.columns = ENCRYPTED_COLUMNS;
+    this.keys = this.loadKeys(process.env.ENCRYPTION_KEYS);
+    this.currentVersion = process.env.ENCRYPTION_KEY_VERSION || this.getLatestVersion();
+    this.warnedAboutMissingKey = false;
+
+    if (this.currentVersion && !this.keys.has(this.currentVersion)) {
+      throw new Error(`ENCRYPTION_KEY_VERSION ${this.currentVersion} is not listed in ENCRYPTION_KEYS`);
+    }
+  }
+
+  /**
+   * Parse "version:base64key" pairs
+   * @returns {Map<string, Buffer>}
+   */
+  loadKeys(value) {
+    const keys = new Map();
+
+    for (const entry of (value || "").split(",").map((part) => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(":");
+      const version = entry.slice(0, separator).trim();
+      const key = Buffer.from(entry.slice(separator + 1).trim(), "base64");
+
+      if (separator <= 0 || !/^\w+$/.test(version)) {
+        throw new Error('ENCRYPTION_KEYS entries must look like "version:base64key"');
+      }
+      if (key.length !== KEY_LENGTH) {
+        throw new Error(`Encryption key version ${version} must be ${KEY_LENGTH} bytes (base64 encoded)`);
+      }
+
+      keys.set(version, key);
+    }
+
+    return keys;
+  }
+
+  getLatestVersion() {
+    const versions = [...this.keys.keys()];
+    if (versions.length === 0) {
+      return null;
+    }
+    return versions.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).pop();
+  }
+
+  isEnabled() {
+    return !!this.currentVersion;
+  }
+
+  isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(`${PREFIX}:v`);
+  }
+
+  /**
+   * Key version a value was encrypted with, or null for plaintext
+   */
+  getVersion(value) {
+    if (!this.isEncrypted(value)) {
+      return null;
+    }
+    return value.split(":")[1].slice(1);
+  }
+
+  /**
+   * Whether a stored value should be rewritten (plaintext, or encrypted with an older key)
+   */
+  needsReencryption(value) {
+    if (value === null || value === undefined || value === "" || !this.isEnabled()) {
+      return false;
+    }
+    return this.getVersion(value) !== this.currentVersion;
+  }
+
+  /**
+   * Encrypt a secret with the current key. Empty values and already encrypted values are returned as is.
+   */
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === "" || this.isEncrypted(plaintext)) {
+      return plaintext;
+    }
+
+    if (!this.isEnabled()) {
+      if (!this.warnedAboutMissingKey) {
+        console.warn("ENCRYPTION_KEYS is not set - integration secrets are stored in plaintext");
+        this.warnedAboutMissingKey = true;
+      }
+      return plaintext;
+    }
+
+    const keyEncryptionKey = this.keys.get(this.currentVersion);
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    const wrapIv = crypto.randomBytes(IV_LENGTH);
+    const wrapCipher = crypto.createCipheriv(ALGORITHM, keyEncryptionKey, wrapIv);
+    const wrappedKey = Buffer.concat([wrapCipher.update(dataKey), wrapCipher.final()]);
+    const wrapTag = wrapCipher.getAuthTag();
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    const payload = Buffer.concat([wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext]).toString("base64");
+    return `${PREFIX}:v${this.currentVersion}:${payload}`;
+  }
+
+  /**
+   * Decrypt a stored secret. Plaintext (legacy) values are returned as is.
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [, versionTag, payload] = value.split(":");
+    const version = versionTag.slice(1);
+    const keyEncryptionKey = this.keys.get(version);
+    if (!keyEncryptionKey) {
+      throw new Error(`Encryption key version ${version} is not configured (ENCRYPTION_KEYS)`);
+    }
+
+    const data = Buffer.from(payload, "base64");
+    let offset = 0;
+    const read = (length) => {
+      const part = length === undefined ? data.subarray(offset) : data.subarray(offset, offset + length);
+      offset += part.length;
+      return part;
+    };
+
+    const wrapIv = read(IV_LENGTH);
+    const wrapTag = read(TAG_LENGTH);
+    const wrappedKey = read(KEY_LENGTH);
+    const iv = read(IV_LENGTH);
+    const tag = read(TAG_LENGTH);
+    const ciphertext = read();
+
+    const unwrap = crypto.createDecipheriv(ALGORITHM, keyEncryptionKey, wrapIv);
+    unwrap.setAuthTag(wrapTag);
+    const dataKey = Buffer.concat([unwrap.update(wrappedKey), unwrap.final()]);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  }
+
+  /**
+   * Decrypt a table row's secret columns (returns a copy; null rows pass through)
+   * @param {string} table - Table name (key of ENCRYPTED_COLUMNS)
+   * @param {Object|null} row - Database row
+   */
+  decryptRow(table, row) {
+    if (!row) {
+      return row;
+    }
+
+    const decrypted = { ...row };
+    for (const column of this.columns[table]) {
+      if (column in decrypted) {
+        decrypted[column] = this.decrypt(decrypted[column]);
+      }
+    }
+    return decrypted;
+  }
+}
+
+module.exports = new EncryptionService();
@@ -1,5 +1,6 @@
 ﻿const { google } = require("googleapis");
 const pool = require("../config/database");
+const EncryptionService = require("./encryption");
 
 class GoogleService {
   constructor() {
@@ -98,8 +99,8 @@ class GoogleService {
 
       const values = [
         integrationData.business_id,
-        integrationData.access_token,
-        integrationData.refresh_token,
+        EncryptionService.encrypt(integrationData.access_token),
+        EncryptionService.encrypt(integrationData.refresh_token),
         integrationData.token_expires_at,
       ];
 
@@ -126,7 +127,7 @@ class GoogleService {
       `;
 
       const result = await pool.query(query, [businessId]);
-      return result.rows[0] || null;
+      return EncryptionService.decryptRow("google_workspace_integrations", result.rows[0]) || null;
     } catch (error) {
       console.error("Error getting Google integration:", error);
       throw new Error("Failed to get Google integration");
@@ -1004,7 +1005,7 @@ class GoogleService {
         businessId,
       ]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      return result.rows.length > 0 ? EncryptionService.decryptRow("google_workspace_integrations", result.rows[0]) : null;
     } catch (error) {
       console.error("Error getting config:", error);
       throw new Error("Failed to get Google Workspace configuration");
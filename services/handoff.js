@@ -0,0 +1,124 @@
+const pool = require("../config/database");
+
+// Intent that customers trigger by asking for a person ("talk to a human", "can I speak to someone?")
+const HUMAN_HANDOFF_INTENT = "human_handoff";
+
+class HandoffService {
+  constructor() {
+    // A paused conversation goes back to the bot after this long without customer or agent messages
+    this.idleTimeoutMinutes = parseInt(process.env.HANDOFF_IDLE_TIMEOUT_MINUTES) || 30;
+    this.handoffReply =
+      process.env.HANDOFF_REPLY || "Sure - I've asked a member of our team to take over. They'll reply here shortly.";
+  }
+
+  isHandoffIntent(intentResult) {
+    return !!intentResult && intentResult.intent === HUMAN_HANDOFF_INTENT && intentResult.confidence >= 0.7;
+  }
+
+  /**
+   * Pause the bot for a conversation so a human agent can answer
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} options
+   * @param {number} [options.assignedAgent] - User ID of the agent taking over
+   * @returns {Promise<Object|null>} The updated conversation, or null if not found
+   */
+  async pause(conversationId, { assignedAgent = null } = {}) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversations
+         SET bot_paused = true,
+           assigned_agent = COALESCE($2, assigned_agent),
+           bot_paused_at = CASE WHEN bot_paused THEN bot_paused_at ELSE NOW() END,
+           handoff_activity_at = NOW(),
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId, assignedAgent]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      console.log(`Bot paused for conversation ${conversationId}`);
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error pausing bot for conversation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand the conversation back to the bot
+   * @returns {Promise<Object|null>} The updated conversation, or null if not found
+   */
+  async resume(conversationId) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversations
+         SET bot_paused = false, assigned_agent = NULL, bot_paused_at = NULL, handoff_activity_at = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      console.log(`Bot resumed for conversation ${conversationId}`);
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error resuming bot for conversation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record customer or agent activity, which keeps a paused conversation paused
+   */
+  async recordActivity(conversationId) {
+    try {
+      await pool.query(
+        "UPDATE conversations SET handoff_activity_at = NOW() WHERE id = $1 AND bot_paused = true",
+        [conversationId]
+      );
+    } catch (error) {
+      console.error("Error recording handoff activity:", error);
+      throw error;
+    }
+  }
+
+  isIdle(conversation) {
+    const lastActivity = conversation.handoff_activity_at || conversation.bot_paused_at;
+    if (!lastActivity) {
+      return true;
+    }
+    return Date.now() - new Date(lastActivity).getTime() >= this.idleTimeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Decide whether the bot may answer an inbound message.
+   * An idle paused conversation is resumed; otherwise the message counts as activity.
+   * @param {Object} conversation - conversations row (as returned by createOrGetConversation)
+   * @returns {Promise<boolean>} True if the bot is paused and must not reply
+   */
+  async isBotPaused(conversation) {
+    if (!conversation.bot_paused) {
+      return false;
+    }
+
+    if (this.isIdle(conversation)) {
+      console.log(
+        `Conversation ${conversation.id} idle for ${this.idleTimeoutMinutes} minutes - handing back to the bot`
+      );
+      await this.resume(conversation.id);
+      return false;
+    }
+
+    await this.recordActivity(conversation.id);
+    return true;
+  }
+}
+
+module.exports = new HandoffService();
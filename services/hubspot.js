@@ -1,5 +1,6 @@
 const axios = require("axios");
 const pool = require("../config/database");
+const EncryptionService = require("./encryption");
 
 class HubSpotService {
   constructor() {
@@ -97,9 +98,14 @@ class HubSpotService {
           token_expires_at = $4,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *`,
-        [data.business_id, data.access_token, data.refresh_token, data.token_expires_at]
+        [
+          data.business_id,
+          EncryptionService.encrypt(data.access_token),
+          EncryptionService.encrypt(data.refresh_token),
+          data.token_expires_at,
+        ]
       );
-      return result.rows[0];
+      return EncryptionService.decryptRow("hubspot_integrations", result.rows[0]);
     } catch (err) {
       console.error("Error saving HubSpot integration:", err);
       throw new Error("Failed to save HubSpot integration");
@@ -109,7 +115,7 @@ class HubSpotService {
   async getIntegration(businessId) {
     try {
       const result = await pool.query("SELECT * FROM hubspot_integrations WHERE business_id = $1", [businessId]);
-      return result.rows[0] || null;
+      return EncryptionService.decryptRow("hubspot_integrations", result.rows[0]) || null;
     } catch (err) {
       console.error("Error getting HubSpot integration:", err);
       throw new Error("Failed to get HubSpot integration");
@@ -141,7 +147,12 @@ class HubSpotService {
         `UPDATE hubspot_integrations 
         SET access_token = $1, refresh_token = $2, token_expires_at = $3, updated_at = CURRENT_TIMESTAMP 
         WHERE business_id = $4`,
-        [tokens.access_token, tokens.refresh_token, new Date(Date.now() + tokens.expires_in * 1000), businessId]
+        [
+          EncryptionService.encrypt(tokens.access_token),
+          EncryptionService.encrypt(tokens.refresh_token),
+          new Date(Date.now() + tokens.expires_in * 1000),
+          businessId,
+        ]
       );
 
       return tokens.access_token;
@@ -1,17 +1,65 @@
-const { OpenAI } = require("openai");
 const pool = require("../config/database");
 const crypto = require("crypto");
+const EmbeddingsService = require("./embeddings");
+const LLMService = require("./llm");
+const { ValidationError, ConflictError, NotFoundError } = require("../middleware/error-handler");
+
+// Intents that only work with an integration, by name prefix.
+// They are disabled for businesses that haven't configured the integration.
+const INTENT_INTEGRATIONS = {
+  odoo_: "odoo",
+  shopify_: "shopify",
+  hubspot_: "hubspot",
+  gmail_: "google",
+  calendar_: "google",
+};
+
+// Whether a business has an integration configured (tables that don't exist count as not configured)
+const INTEGRATION_CHECKS = {
+  google: "SELECT 1 FROM google_workspace_integrations WHERE business_id = $1",
+  hubspot: "SELECT 1 FROM hubspot_integrations WHERE business_id = $1 AND access_token IS NOT NULL",
+  odoo: "SELECT 1 FROM odoo_integrations WHERE business_id = $1",
+  shopify: "SELECT 1 FROM shopify_integrations WHERE business_id = $1 AND is_active = true",
+};
+
+// Intent names are stored lowercase, e.g. "odoo_order_status"
+const INTENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,99}$/;
+
+// Few-shot examples for the GPT fallback, only shown for intents the business has
+const GPT_EXAMPLES = [
+  ["Send an email to john@example.com", "gmail_send", 0.9],
+  ["Can I talk to a real person?", "human_handoff", 0.9],
+  ["Schedule a meeting for tomorrow", "calendar_create", 0.9],
+  ["Check my availability", "calendar_check", 0.9],
+  ["Reschedule my meeting", "calendar_update", 0.9],
+  ["Cancel my meeting", "calendar_delete", 0.9],
+  ["Create a new contact", "hubspot_contact_create", 0.9],
+  ["Search for contacts", "hubspot_contact_search", 0.9],
+  ["Update contact information", "hubspot_contact_update", 0.9],
+  ["Create a new deal", "hubspot_deal_create", 0.9],
+  ["Update deal information", "hubspot_deal_update", 0.9],
+  ["Create a new company", "hubspot_company_create", 0.9],
+  ["View my sales pipeline", "hubspot_pipeline_view", 0.9],
+  ["Create a new customer", "odoo_customer_create", 0.9],
+  ["Search for customers", "odoo_customer_search", 0.9],
+  ["Create a new product", "odoo_product_create", 0.9],
+  ["Create a new sale order", "odoo_sale_order_create", 0.9],
+  ["I want to buy a jacket", "odoo_sale_order_create", 0.95],
+  ["Purchase a laptop", "odoo_sale_order_create", 0.95],
+  ["I want to order something", "odoo_sale_order_create", 0.9],
+  ["Show me products", "odoo_product_search", 0.9],
+  ["Create a new invoice", "odoo_invoice_create", 0.9],
+  ["Check inventory", "odoo_inventory_check", 0.9],
+  ["Create a new lead", "odoo_lead_create", 0.9],
+];
 
 class IntentDetectionService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.embeddingModel = "text-embedding-3-small"; // Fast embedding model
-    this.dimensions = 1536; // Optimized dimensions for speed
-    this.chatModel = "gpt-3.5-turbo"; // Fast model for fallback
+    this.nearestExamples = 40; // Examples matched per message with pgvector (hnsw.ef_search defaults to 40)
     this.cache = new Map(); // In-memory cache for ultra-fast lookups
     this.cacheTimeout = 1000 * 60 * 60; // 1 hour cache
+    this.integrationCache = new Map(); // Configured integrations per business
+    this.integrationCacheTimeout = 1000 * 60; // 1 minute, so newly connected integrations show up quickly
 
     // Initialize cache cleanup
     this.initCacheCleanup();
@@ -31,31 +79,45 @@ class IntentDetectionService {
    */
   cleanupExpiredCache() {
     const now = Date.now();
-    for (const [key, value] of this.cache.entries()) {
-      if (now > value.expires) {
-        this.cache.delete(key);
+    for (const cache of [this.cache, this.integrationCache]) {
+      for (const [key, value] of cache.entries()) {
+        if (now > value.expires) {
+          cache.delete(key);
+        }
       }
     }
   }
 
   /**
-   * Generate fast embeddings using text-embedding-3-small
+   * Generate an embedding with the configured embedding model
+   * @param {number|null} businessId - Business the call is metered under
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, businessId = null) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        dimensions: this.dimensions,
-      });
+      const response = await LLMService.embed(text, { businessId });
 
-      return response.data[0].embedding;
+      return response.embeddings[0];
     } catch (error) {
       console.error("Error generating embedding:", error);
       throw new Error("Failed to generate embedding");
     }
   }
 
+  /**
+   * Generate embeddings for several texts in one request
+   * @returns {Promise<number[][]>} Embeddings in the order of the texts
+   */
+  async generateEmbeddings(texts) {
+    try {
+      const response = await LLMService.embed(texts);
+
+      return response.embeddings;
+    } catch (error) {
+      console.error("Error generating embeddings:", error);
+      throw new Error("Failed to generate embeddings");
+    }
+  }
+
   /**
    * Calculate cosine similarity between two embeddings
    */
@@ -86,9 +148,11 @@ class IntentDetectionService {
 
   /**
    * Create message hash for caching
+   * Scoped to the business, since businesses have different intent catalogs.
    */
-  createMessageHash(message) {
-    return crypto.createHash("sha256").update(message.toLowerCase().trim()).digest("hex");
+  createMessageHash(message, businessId = null) {
+    const scope = businessId ? `${businessId}:` : "";
+    return crypto.createHash("sha256").update(scope + message.toLowerCase().trim()).digest("hex");
   }
 
   /**
@@ -104,7 +168,7 @@ class IntentDetectionService {
     // Check database cache
     try {
       const result = await pool.query(
-        "SELECT detected_intent, confidence, method FROM intent_cache WHERE message_hash = $1 AND expires_at > NOW()",
+        "SELECT business_id, detected_intent, confidence, method FROM intent_cache WHERE message_hash = $1 AND expires_at > NOW()",
         [messageHash]
       );
 
@@ -118,6 +182,7 @@ class IntentDetectionService {
             method: cached.method,
             cached: true,
           },
+          businessId: cached.business_id,
           expires: Date.now() + this.cacheTimeout,
         });
         return {
@@ -137,25 +202,31 @@ class IntentDetectionService {
   /**
    * Store result in cache
    */
-  async storeInCache(messageHash, message, result) {
+  async storeInCache(messageHash, message, result, businessId = null) {
+    // No hash: caching is off for this detection
+    if (!messageHash) {
+      return;
+    }
+
     try {
       // Store in memory cache
       this.cache.set(messageHash, {
         result: { ...result, cached: false },
+        businessId,
         expires: Date.now() + this.cacheTimeout,
       });
 
       // Store in database cache
       await pool.query(
-        `INSERT INTO intent_cache (message_hash, message_text, detected_intent, confidence, method, expires_at)
-         VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '24 hours')
+        `INSERT INTO intent_cache (message_hash, business_id, message_text, detected_intent, confidence, method, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '24 hours')
          ON CONFLICT (message_hash) 
          DO UPDATE SET 
            detected_intent = EXCLUDED.detected_intent,
            confidence = EXCLUDED.confidence,
            method = EXCLUDED.method,
            expires_at = EXCLUDED.expires_at`,
-        [messageHash, message, result.intent, result.confidence, result.method]
+        [messageHash, businessId, message, result.intent, result.confidence, result.method]
       );
     } catch (error) {
       console.error("Error storing in cache:", error);
@@ -163,32 +234,120 @@ class IntentDetectionService {
   }
 
   /**
-   * Get all intent examples with embeddings
+   * Integration an intent needs, or null if it works without one
    */
-  async getIntentExamples() {
-    try {
-      const result = await pool.query(`
-        SELECT i.name as intent_name, i.confidence_threshold, ie.text, ie.embedding, ie.weight
-        FROM intents i
-        JOIN intent_examples ie ON i.id = ie.intent_id
-        WHERE i.active = true AND ie.active = true
-        ORDER BY i.name, ie.weight DESC
-      `);
+  getRequiredIntegration(intentName) {
+    const prefix = Object.keys(INTENT_INTEGRATIONS).find((p) => intentName.startsWith(p));
+    return prefix ? INTENT_INTEGRATIONS[prefix] : null;
+  }
 
-      const intentMap = {};
-      for (const row of result.rows) {
-        if (!intentMap[row.intent_name]) {
-          intentMap[row.intent_name] = {
-            threshold: parseFloat(row.confidence_threshold),
-            examples: [],
-          };
+  /**
+   * Which integrations a business has configured, e.g. { odoo: true, shopify: false, ... }
+   */
+  async getConfiguredIntegrations(businessId) {
+    const cached = this.integrationCache.get(businessId);
+    if (cached && Date.now() < cached.expires) {
+      return cached.integrations;
+    }
+
+    const integrations = {};
+    await Promise.all(
+      Object.entries(INTEGRATION_CHECKS).map(async ([integration, query]) => {
+        try {
+          const result = await pool.query(`${query} LIMIT 1`, [businessId]);
+          integrations[integration] = result.rows.length > 0;
+        } catch (error) {
+          // e.g. the Shopify tables haven't been migrated
+          integrations[integration] = false;
         }
-        intentMap[row.intent_name].examples.push({
+      })
+    );
+
+    this.integrationCache.set(businessId, { integrations, expires: Date.now() + this.integrationCacheTimeout });
+    return integrations;
+  }
+
+  /**
+   * Intent catalog of a business: the global intents, overridden and extended by the business's own.
+   * A business intent with the same name as a global one replaces its threshold, status and description,
+   * and adds its examples to the global examples.
+   * @param {number|null} businessId - Business ID (null for the global catalog only)
+   * @returns {Promise<Object>} Intent name => its settings, scope ("global"/"business"), availability and examples
+   */
+  async getIntentCatalog(businessId = null) {
+    // With pgvector the examples are matched in SQL (see scoreIntents), so their embeddings aren't loaded
+    const embeddingColumn = (await EmbeddingsService.isVectorColumn("intent_examples"))
+      ? "NULL AS embedding"
+      : "ie.embedding";
+
+    const result = await pool.query(
+      `SELECT i.id, i.business_id, i.name AS intent_name, i.description, i.confidence_threshold, i.active,
+         ie.text, ${embeddingColumn}, ie.weight
+       FROM intents i
+       LEFT JOIN intent_examples ie ON i.id = ie.intent_id AND ie.active = true
+       WHERE i.business_id IS NULL OR i.business_id = $1
+       ORDER BY i.name, i.business_id NULLS FIRST, ie.weight DESC`,
+      [businessId]
+    );
+
+    const integrations = businessId ? await this.getConfiguredIntegrations(businessId) : null;
+    const catalog = {};
+
+    for (const row of result.rows) {
+      let intent = catalog[row.intent_name];
+      if (!intent) {
+        const integration = this.getRequiredIntegration(row.intent_name);
+        intent = catalog[row.intent_name] = {
+          name: row.intent_name,
+          description: row.description,
+          threshold: parseFloat(row.confidence_threshold),
+          active: row.active,
+          scope: "global",
+          integration,
+          // Without a business there is nothing to check the integration against
+          available: !integration || !integrations || !!integrations[integration],
+          examples: [],
+        };
+      }
+
+      // Business rows come after the global row of the same name (one row per example)
+      if (row.business_id && intent.scope === "global") {
+        intent.scope = "business";
+        intent.threshold = parseFloat(row.confidence_threshold);
+        intent.active = row.active;
+        intent.description = row.description || intent.description;
+      }
+
+      if (row.text) {
+        intent.examples.push({
           text: row.text,
           embedding: row.embedding,
           weight: parseFloat(row.weight),
         });
       }
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Get the intents a business can be routed to, with their examples and embeddings.
+   * Inactive intents and intents whose integration isn't configured are left out.
+   */
+  async getIntentExamples(businessId = null) {
+    try {
+      const catalog = await this.getIntentCatalog(businessId);
+
+      const intentMap = {};
+      for (const intent of Object.values(catalog)) {
+        if (!intent.active || !intent.available) continue;
+
+        intentMap[intent.name] = {
+          description: intent.description,
+          threshold: intent.threshold,
+          examples: intent.examples,
+        };
+      }
 
       return intentMap;
     } catch (error) {
@@ -197,52 +356,119 @@ class IntentDetectionService {
     }
   }
 
+  /**
+   * Score every intent against a message embedding: the best weighted similarity among its examples
+   * @param {number[]} messageEmbedding - Embedding of the message
+   * @param {Object} intentExamples - Intents with examples (see getIntentExamples)
+   * @returns {Array<{intent, confidence, threshold, example}>} Best match first
+   */
+  rankIntents(messageEmbedding, intentExamples) {
+    const ranking = [];
+
+    for (const [intentName, intentData] of Object.entries(intentExamples)) {
+      let best = null;
+
+      for (const example of intentData.examples) {
+        if (!example.embedding) continue;
+
+        const similarity = this.calculateCosineSimilarity(messageEmbedding, example.embedding) * example.weight; // Apply weight
+
+        if (!best || similarity > best.confidence) {
+          best = {
+            intent: intentName,
+            confidence: similarity,
+            threshold: intentData.threshold,
+            example: example.text,
+          };
+        }
+      }
+
+      if (best) {
+        ranking.push(best);
+      }
+    }
+
+    return ranking.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Score intents against a message embedding, like rankIntents. With pgvector the nearest examples
+   * are found in SQL, and only intents with one of the nearest `nearestExamples` examples are ranked.
+   * @param {number[]} messageEmbedding - Embedding of the message
+   * @param {Object} intentExamples - Intents available to the business (see getIntentExamples)
+   * @param {number|null} businessId - Business whose catalog the intents come from
+   * @returns {Promise<Array<{intent, confidence, threshold, example}>>} Best match first
+   */
+  async scoreIntents(messageEmbedding, intentExamples, businessId = null) {
+    if (!(await EmbeddingsService.isVectorColumn("intent_examples"))) {
+      return this.rankIntents(messageEmbedding, intentExamples);
+    }
+
+    const nearest = await EmbeddingsService.searchNearest({
+      table: "intent_examples",
+      alias: "ie",
+      join: "JOIN intents i ON i.id = ie.intent_id",
+      select: "i.name AS intent_name, ie.text, ie.weight",
+      where: "ie.active = true AND (i.business_id IS NULL OR i.business_id = $1)",
+      params: [businessId],
+      embedding: messageEmbedding,
+      limit: this.nearestExamples,
+    });
+
+    const best = {};
+    for (const row of nearest) {
+      // Inactive intents and intents whose integration isn't configured aren't in intentExamples
+      const intentData = intentExamples[row.intent_name];
+      if (!intentData) continue;
+
+      const confidence = row.similarity * parseFloat(row.weight); // Apply weight
+      if (!best[row.intent_name] || confidence > best[row.intent_name].confidence) {
+        best[row.intent_name] = {
+          intent: row.intent_name,
+          confidence,
+          threshold: intentData.threshold,
+          example: row.text,
+        };
+      }
+    }
+
+    return Object.values(best).sort((a, b) => b.confidence - a.confidence);
+  }
+
   /**
    * Main intent detection method
+   * @param {string} message - Customer message
+   * @param {number|null} businessId - Business whose intent catalog to use (null for the global catalog)
+   * @param {Object} options
+   * @param {boolean} options.useCache - Read and write cached detections (off for evaluations)
+   * @param {number[]} options.messageEmbedding - Precomputed embedding of the message
    */
-  async detectIntent(message, businessId = null) {
+  async detectIntent(message, businessId = null, { useCache = true, messageEmbedding = null } = {}) {
     try {
       const startTime = Date.now();
-      const messageHash = this.createMessageHash(message);
+      const messageHash = useCache ? this.createMessageHash(message, businessId) : null;
 
       // Check cache first
-      const cached = await this.checkCache(messageHash);
+      const cached = messageHash && (await this.checkCache(messageHash));
       if (cached) {
         console.log(`Intent detection (cached): ${cached.intent} (${Date.now() - startTime}ms)`);
         return cached;
       }
 
       // Generate embedding for the message
-      const messageEmbedding = await this.generateEmbedding(message);
+      messageEmbedding = messageEmbedding || (await this.generateEmbedding(message, businessId));
 
-      // Get all intent examples
-      const intentExamples = await this.getIntentExamples();
+      // Get the intents available to the business
+      const intentExamples = await this.getIntentExamples(businessId);
 
       if (Object.keys(intentExamples).length === 0) {
         console.log("No intent examples found, falling back to GPT");
-        return await this.detectIntentWithGPT(message, messageHash);
+        return await this.detectIntentWithGPT(message, messageHash, 0, businessId, intentExamples);
       }
 
       // Find best matching intent using embeddings
-      let bestIntent = null;
-      let highestSimilarity = 0;
-
-      for (const [intentName, intentData] of Object.entries(intentExamples)) {
-        for (const example of intentData.examples) {
-          if (!example.embedding) continue;
-
-          const similarity = this.calculateCosineSimilarity(messageEmbedding, example.embedding) * example.weight; // Apply weight
-
-          if (similarity > highestSimilarity) {
-            highestSimilarity = similarity;
-            bestIntent = {
-              intent: intentName,
-              confidence: similarity,
-              threshold: intentData.threshold,
-            };
-          }
-        }
-      }
+      const [topIntent] = await this.scoreIntents(messageEmbedding, intentExamples, businessId);
+      const bestIntent = topIntent && topIntent.confidence > 0 ? topIntent : null;
 
       const detectionTime = Date.now() - startTime;
 
@@ -255,7 +481,7 @@ class IntentDetectionService {
           detectionTime,
         };
 
-        await this.storeInCache(messageHash, message, result);
+        await this.storeInCache(messageHash, message, result, businessId);
         console.log(
           `Intent detection (embedding): ${result.intent} - ${result.confidence.toFixed(3)} (${detectionTime}ms)`
         );
@@ -264,7 +490,7 @@ class IntentDetectionService {
 
       // If confidence is low, fall back to GPT
       console.log(`Low confidence (${bestIntent?.confidence.toFixed(3) || 0}), falling back to GPT`);
-      return await this.detectIntentWithGPT(message, messageHash, detectionTime);
+      return await this.detectIntentWithGPT(message, messageHash, detectionTime, businessId, intentExamples);
     } catch (error) {
       console.error("Error in intent detection:", error);
       return {
@@ -278,18 +504,23 @@ class IntentDetectionService {
 
   /**
    * Fallback intent detection using GPT (few-shot)
+   * @param {string|null} messageHash - Cache key (null to skip caching)
+   * @param {Object} [intents] - Intents available to the business (see getIntentExamples), loaded if not given
    */
-  async detectIntentWithGPT(message, messageHash, previousTime = 0) {
+  async detectIntentWithGPT(message, messageHash, previousTime = 0, businessId = null, intents = null) {
     try {
       const startTime = Date.now();
 
-      // Get available intents from database for dynamic prompt
-      const intentsResult = await pool.query(`
-        SELECT name, description FROM intents WHERE active = true ORDER BY name
-      `);
+      // Only offer intents the business can be routed to
+      const availableIntentMap = intents || (await this.getIntentExamples(businessId));
+      const intentNames = Object.keys(availableIntentMap).sort();
+
+      const availableIntents = intentNames
+        .map((name) => `- ${name.toUpperCase()}: ${availableIntentMap[name].description || "General intent"}`)
+        .join("\n");
 
-      const availableIntents = intentsResult.rows
-        .map((row) => `- ${row.name.toUpperCase()}: ${row.description || "General intent"}`)
+      const fewShotExamples = GPT_EXAMPLES.filter(([, intent]) => availableIntentMap[intent])
+        .map(([text, intent, confidence]) => `"${text}" -> {"intent": "${intent}", "confidence": ${confidence}}`)
         .join("\n");
 
       const systemPrompt = `You are an intent classifier for a WhatsApp business bot. Classify the user's message into one of these intents:
@@ -300,53 +531,31 @@ ${availableIntents}
 Return only JSON: {"intent": "intent_name", "confidence": 0.9}
 
 Examples:
-"Send an email to john@example.com" -> {"intent": "gmail_send", "confidence": 0.9}
-"Schedule a meeting for tomorrow" -> {"intent": "calendar_create", "confidence": 0.9}
-"Check my availability" -> {"intent": "calendar_check", "confidence": 0.9}
-"Reschedule my meeting" -> {"intent": "calendar_update", "confidence": 0.9}
-"Cancel my meeting" -> {"intent": "calendar_delete", "confidence": 0.9}
-"Create a new contact" -> {"intent": "hubspot_contact_create", "confidence": 0.9}
-"Search for contacts" -> {"intent": "hubspot_contact_search", "confidence": 0.9}
-"Update contact information" -> {"intent": "hubspot_contact_update", "confidence": 0.9}
-"Create a new deal" -> {"intent": "hubspot_deal_create", "confidence": 0.9}
-"Update deal information" -> {"intent": "hubspot_deal_update", "confidence": 0.9}
-"Create a new company" -> {"intent": "hubspot_company_create", "confidence": 0.9}
-"View my sales pipeline" -> {"intent": "hubspot_pipeline_view", "confidence": 0.9}
-"Create a new customer" -> {"intent": "odoo_customer_create", "confidence": 0.9}
-"Search for customers" -> {"intent": "odoo_customer_search", "confidence": 0.9}
-"Create a new product" -> {"intent": "odoo_product_create", "confidence": 0.9}
-"Create a new sale order" -> {"intent": "odoo_sale_order_create", "confidence": 0.9}
-"I want to buy a jacket" -> {"intent": "odoo_sale_order_create", "confidence": 0.95}
-"Purchase a laptop" -> {"intent": "odoo_sale_order_create", "confidence": 0.95}
-"I want to order something" -> {"intent": "odoo_sale_order_create", "confidence": 0.9}
-"Show me products" -> {"intent": "odoo_product_search", "confidence": 0.9}
-"Create a new invoice" -> {"intent": "odoo_invoice_create", "confidence": 0.9}
-"Check inventory" -> {"intent": "odoo_inventory_check", "confidence": 0.9}
-"Create a new lead" -> {"intent": "odoo_lead_create", "confidence": 0.9}`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [
+${fewShotExamples}`;
+
+      const response = await LLMService.chat(
+        [
           { role: "system", content: systemPrompt },
           { role: "user", content: `Classify: "${message}"` },
         ],
-        temperature: 0.1,
-        max_tokens: 50,
-      });
+        { businessId, role: "fast", temperature: 0.1, maxTokens: 50 }
+      );
 
       const gptTime = Date.now() - startTime;
       const totalTime = previousTime + gptTime;
 
       try {
-        const result = JSON.parse(response.choices[0].message.content);
+        const result = JSON.parse(response.content);
+        const intent = result.intent && result.intent.toLowerCase();
         const finalResult = {
-          intent: result.intent || "general",
+          // Never route to an intent the business doesn't have
+          intent: intent && availableIntentMap[intent] ? intent : "general",
           confidence: result.confidence || 0.7,
           method: "gpt-fallback",
           detectionTime: totalTime,
         };
 
-        await this.storeInCache(messageHash, message, finalResult);
+        await this.storeInCache(messageHash, message, finalResult, businessId);
         console.log(
           `Intent detection (GPT): ${finalResult.intent} - ${finalResult.confidence.toFixed(3)} (${totalTime}ms)`
         );
@@ -372,35 +581,67 @@ Examples:
   }
 
   /**
-   * Add new intent example to database
+   * Get the ID of an intent, creating it if needed.
+   * A business intent starts out with the settings of the global intent of the same name.
+   * @param {string} intentName - Intent name
+   * @param {number|null} businessId - Business ID (null for a global intent)
    */
-  async addIntentExample(intentName, exampleText, weight = 1.0) {
-    try {
-      // Ensure intent exists
-      const intentResult = await pool.query(
-        "INSERT INTO intents (name, description, confidence_threshold, active) VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING RETURNING id",
-        [intentName, `Intent for ${intentName}`, 0.75, true]
-      );
+  async ensureIntent(intentName, businessId = null) {
+    const insertResult = businessId
+      ? await pool.query(
+          `INSERT INTO intents (business_id, name, description, confidence_threshold, active)
+           SELECT $1, $2, COALESCE(g.description, $3), COALESCE(g.confidence_threshold, 0.75), COALESCE(g.active, true)
+           FROM (SELECT 1) AS one
+           LEFT JOIN intents g ON g.name = $2 AND g.business_id IS NULL
+           ON CONFLICT (business_id, name) WHERE business_id IS NOT NULL DO NOTHING
+           RETURNING id`,
+          [businessId, intentName, `Intent for ${intentName}`]
+        )
+      : await pool.query(
+          `INSERT INTO intents (name, description, confidence_threshold, active) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (name) WHERE business_id IS NULL DO NOTHING RETURNING id`,
+          [intentName, `Intent for ${intentName}`, 0.75, true]
+        );
 
-      let intentId;
-      if (intentResult.rows.length > 0) {
-        intentId = intentResult.rows[0].id;
-      } else {
-        const existingIntent = await pool.query("SELECT id FROM intents WHERE name = $1", [intentName]);
-        intentId = existingIntent.rows[0].id;
-      }
+    if (insertResult.rows.length > 0) {
+      return insertResult.rows[0].id;
+    }
 
-      // Generate embedding
-      const embedding = await this.generateEmbedding(exampleText);
+    const existingIntent = await pool.query(
+      "SELECT id FROM intents WHERE name = $1 AND business_id IS NOT DISTINCT FROM $2",
+      [intentName, businessId]
+    );
+    return existingIntent.rows[0].id;
+  }
 
-      // Add example
-      await pool.query(
-        "INSERT INTO intent_examples (intent_id, text, embedding, weight, active) VALUES ($1, $2, $3, $4, $5)",
-        [intentId, exampleText, JSON.stringify(embedding), weight, true]
-      );
+  /**
+   * Store an example with its embedding
+   * @returns {Promise<Object>} The new intent_examples row (without the embedding)
+   */
+  async insertExample(intentId, exampleText, weight = 1.0) {
+    const embedding = await this.generateEmbedding(exampleText);
+
+    const result = await pool.query(
+      `INSERT INTO intent_examples (intent_id, text, embedding, weight, active) VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, intent_id, text, weight, active, created_at`,
+      [intentId, exampleText, JSON.stringify(embedding), weight, true]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Add new intent example to database
+   * @param {number|null} businessId - Add the example to the business's catalog only (null for all businesses)
+   * @returns {Promise<Object|false>} The new example, or false if it couldn't be added
+   */
+  async addIntentExample(intentName, exampleText, weight = 1.0, businessId = null) {
+    try {
+      // Ensure intent exists
+      const intentId = await this.ensureIntent(intentName, businessId);
+      const example = await this.insertExample(intentId, exampleText, weight);
 
       console.log(`Added intent example: ${intentName} -> "${exampleText}"`);
-      return true;
+      return example;
     } catch (error) {
       console.error("Error adding intent example:", error);
       return false;
@@ -413,17 +654,409 @@ Examples:
   async bulkAddIntentExamples(examples) {
     const results = [];
     for (const example of examples) {
-      const result = await this.addIntentExample(example.intent, example.text, example.weight || 1.0);
+      const result = await this.addIntentExample(
+        example.intent,
+        example.text,
+        example.weight || 1.0,
+        example.businessId || null
+      );
       results.push(result);
     }
     return results;
   }
 
+  /**
+   * Check intent settings from the API or an import
+   * @throws {ValidationError}
+   */
+  validateIntentSettings({ name, confidence_threshold, active }, { requireName = false } = {}) {
+    if ((requireName || name !== undefined) && (typeof name !== "string" || !INTENT_NAME_PATTERN.test(name))) {
+      throw new ValidationError("Intent name must be lowercase letters, digits and underscores, e.g. odoo_order_status");
+    }
+
+    if (confidence_threshold !== undefined) {
+      const threshold = Number(confidence_threshold);
+      if (confidence_threshold === null || isNaN(threshold) || threshold < 0 || threshold > 1) {
+        throw new ValidationError("confidence_threshold must be a number between 0 and 1");
+      }
+    }
+
+    if (active !== undefined && typeof active !== "boolean") {
+      throw new ValidationError("active must be true or false");
+    }
+  }
+
+  /**
+   * Normalize examples given as strings or { text, weight } objects
+   * @throws {ValidationError}
+   */
+  normalizeExamples(examples) {
+    if (!Array.isArray(examples)) {
+      throw new ValidationError("examples must be an array");
+    }
+
+    return examples.map((example) => {
+      const { text, weight = 1.0 } = typeof example === "string" ? { text: example } : example || {};
+
+      if (typeof text !== "string" || !text.trim()) {
+        throw new ValidationError("Every example needs a non-empty text");
+      }
+      if (!this.isValidWeight(weight)) {
+        throw new ValidationError("Example weight must be a number between 0 and 9.99");
+      }
+
+      return { text: text.trim(), weight: Number(weight) };
+    });
+  }
+
+  // Weights are stored as DECIMAL(3,2)
+  isValidWeight(weight) {
+    const value = Number(weight);
+    return weight !== null && !isNaN(value) && value > 0 && value <= 9.99;
+  }
+
+  /**
+   * Whether an intent exists in a catalog (the business's own intents or the global defaults)
+   */
+  async intentExists(intentName, businessId = null) {
+    const result = await pool.query(
+      `SELECT 1 FROM intents
+       WHERE name = $1 AND (business_id IS NULL OR business_id = $2)
+       LIMIT 1`,
+      [intentName, businessId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get one intent of a catalog with its examples
+   * @param {number|null} businessId - Business catalog (null for the global catalog)
+   * @returns {Promise<Object|null>}
+   */
+  async getIntent(intentName, businessId = null) {
+    const catalog = await this.getIntentCatalog(businessId);
+    const intent = catalog[intentName];
+    if (!intent) {
+      return null;
+    }
+
+    const { examples, threshold, ...settings } = intent;
+    return {
+      ...settings,
+      confidence_threshold: threshold,
+      examples: await this.getIntentExamplesByName(intentName, businessId),
+    };
+  }
+
+  /**
+   * Create an intent with optional examples (embeddings are generated for each example).
+   * For a business, creating an intent that exists globally creates the business's override of it.
+   * @param {Object} intentData - { name, description, confidence_threshold, active, examples }
+   * @param {number|null} businessId - Business catalog (null for the global catalog)
+   * @throws {ConflictError} If the catalog already has its own intent with that name
+   */
+  async createIntent(intentData, businessId = null) {
+    const { name, description = null, confidence_threshold = 0.75, active = true, examples = [] } = intentData;
+    this.validateIntentSettings({ name, confidence_threshold, active }, { requireName: true });
+    const normalizedExamples = this.normalizeExamples(examples);
+
+    const existing = await pool.query(
+      "SELECT id FROM intents WHERE name = $1 AND business_id IS NOT DISTINCT FROM $2",
+      [name, businessId]
+    );
+    if (existing.rows.length > 0) {
+      throw new ConflictError(`Intent ${name} already exists`);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO intents (business_id, name, description, confidence_threshold, active)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [businessId, name, description, confidence_threshold, active]
+    );
+
+    for (const example of normalizedExamples) {
+      await this.insertExample(result.rows[0].id, example.text, example.weight);
+    }
+
+    await this.clearCache(businessId);
+    return await this.getIntent(name, businessId);
+  }
+
+  /**
+   * Update an intent's description, threshold or status.
+   * For a business, changing a global intent stores the change as the business's override.
+   * @returns {Promise<Object|null>} The updated intent, or null if the catalog has no such intent
+   */
+  async updateIntent(intentName, updates, businessId = null) {
+    const { description, confidence_threshold, active } = updates;
+    this.validateIntentSettings({ confidence_threshold, active });
+
+    if (!(await this.intentExists(intentName, businessId))) {
+      return null;
+    }
+
+    const intentId = await this.ensureIntent(intentName, businessId);
+    await pool.query(
+      `UPDATE intents
+       SET description = COALESCE($1, description), confidence_threshold = COALESCE($2, confidence_threshold),
+         active = COALESCE($3, active), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [description ?? null, confidence_threshold ?? null, active ?? null, intentId]
+    );
+
+    await this.clearCache(businessId);
+    return await this.getIntent(intentName, businessId);
+  }
+
+  /**
+   * Delete an intent and its examples from a catalog.
+   * Deleting a business's override of a global intent restores the global intent for the business.
+   * @returns {Promise<Object|null>} The deleted intents row, or null if the catalog has no intent of its own
+   */
+  async deleteIntent(intentName, businessId = null) {
+    const result = await pool.query(
+      "DELETE FROM intents WHERE name = $1 AND business_id IS NOT DISTINCT FROM $2 RETURNING *",
+      [intentName, businessId]
+    );
+
+    if (result.rows.length > 0) {
+      await this.clearCache(businessId);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add examples to an intent of a catalog
+   * @param {Array<string|Object>} examples - Texts, or { text, weight }
+   * @returns {Promise<Object[]|null>} The new examples, or null if the catalog has no such intent
+   */
+  async addExamples(intentName, examples, businessId = null) {
+    const normalizedExamples = this.normalizeExamples(examples);
+    if (normalizedExamples.length === 0) {
+      throw new ValidationError("At least one example is required");
+    }
+
+    if (!(await this.intentExists(intentName, businessId))) {
+      return null;
+    }
+
+    const intentId = await this.ensureIntent(intentName, businessId);
+    const added = [];
+    for (const example of normalizedExamples) {
+      added.push(await this.insertExample(intentId, example.text, example.weight));
+    }
+
+    await this.clearCache(businessId);
+    return added;
+  }
+
+  /**
+   * Edit an example of a catalog. A new text gets a new embedding.
+   * @param {Object} updates - { text, weight, active }
+   * @returns {Promise<Object|null>} The updated example, or null if the catalog has no such example
+   */
+  async updateExample(intentName, exampleId, updates, businessId = null) {
+    const { text, weight, active } = updates;
+    if (text !== undefined && (typeof text !== "string" || !text.trim())) {
+      throw new ValidationError("Example text can't be empty");
+    }
+    if (weight !== undefined && !this.isValidWeight(weight)) {
+      throw new ValidationError("Example weight must be a number between 0 and 9.99");
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      throw new ValidationError("active must be true or false");
+    }
+
+    const embedding = text !== undefined ? JSON.stringify(await this.generateEmbedding(text.trim())) : null;
+
+    const result = await pool.query(
+      `UPDATE intent_examples ie
+       SET text = COALESCE($1, ie.text), embedding = COALESCE($2, ie.embedding),
+         weight = COALESCE($3, ie.weight), active = COALESCE($4, ie.active), updated_at = CURRENT_TIMESTAMP
+       FROM intents i
+       WHERE ie.id = $5 AND i.id = ie.intent_id AND i.name = $6 AND i.business_id IS NOT DISTINCT FROM $7
+       RETURNING ie.id, ie.intent_id, ie.text, ie.weight, ie.active, ie.updated_at`,
+      [
+        text !== undefined ? text.trim() : null,
+        embedding,
+        weight ?? null,
+        active ?? null,
+        exampleId,
+        intentName,
+        businessId,
+      ]
+    );
+
+    if (result.rows.length > 0) {
+      await this.clearCache(businessId);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete an example of a catalog
+   * @returns {Promise<Object|null>} The deleted example, or null if the catalog has no such example
+   */
+  async deleteExample(intentName, exampleId, businessId = null) {
+    const result = await pool.query(
+      `DELETE FROM intent_examples ie
+       USING intents i
+       WHERE ie.id = $1 AND i.id = ie.intent_id AND i.name = $2 AND i.business_id IS NOT DISTINCT FROM $3
+       RETURNING ie.id, ie.intent_id, ie.text, ie.weight`,
+      [exampleId, intentName, businessId]
+    );
+
+    if (result.rows.length > 0) {
+      await this.clearCache(businessId);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Export a catalog's own intents and examples as JSON (without embeddings).
+   * A business export only holds the business's intents and overrides, not the global defaults.
+   */
+  async exportIntents(businessId = null) {
+    const result = await pool.query(
+      `SELECT i.name, i.description, i.confidence_threshold, i.active,
+         ie.text, ie.weight, ie.active AS example_active
+       FROM intents i
+       LEFT JOIN intent_examples ie ON ie.intent_id = i.id
+       WHERE i.business_id IS NOT DISTINCT FROM $1
+       ORDER BY i.name, ie.id`,
+      [businessId]
+    );
+
+    const intents = {};
+    for (const row of result.rows) {
+      if (!intents[row.name]) {
+        intents[row.name] = {
+          name: row.name,
+          description: row.description,
+          confidence_threshold: parseFloat(row.confidence_threshold),
+          active: row.active,
+          examples: [],
+        };
+      }
+      if (row.text) {
+        intents[row.name].examples.push({
+          text: row.text,
+          weight: parseFloat(row.weight),
+          active: row.example_active,
+        });
+      }
+    }
+
+    return {
+      version: 1,
+      business_id: businessId,
+      exported_at: new Date().toISOString(),
+      intents: Object.values(intents),
+    };
+  }
+
+  /**
+   * Import intents and examples (the format of exportIntents) into a catalog.
+   * Intent settings are overwritten; examples whose text the intent already has are skipped.
+   * @param {Object} data - { intents: [{ name, description, confidence_threshold, active, examples }] }
+   * @param {number|null} businessId - Business catalog (null for the global catalog)
+   * @param {Object} options
+   * @param {boolean} options.replace - Remove the existing examples of imported intents first
+   * @returns {Promise<{intents: number, examplesAdded: number, examplesSkipped: number}>}
+   */
+  async importIntents(data, businessId = null, { replace = false } = {}) {
+    if (!data || !Array.isArray(data.intents)) {
+      throw new ValidationError("Import must contain an intents array");
+    }
+
+    // Validate everything before writing anything
+    const intents = data.intents.map((intent) => {
+      const { name, description, confidence_threshold, active, examples = [] } = intent || {};
+      this.validateIntentSettings({ name, confidence_threshold, active }, { requireName: true });
+      return { name, description, confidence_threshold, active, examples: this.normalizeExamples(examples) };
+    });
+
+    let examplesAdded = 0;
+    let examplesSkipped = 0;
+
+    for (const intent of intents) {
+      const intentId = await this.ensureIntent(intent.name, businessId);
+      await pool.query(
+        `UPDATE intents
+         SET description = COALESCE($1, description), confidence_threshold = COALESCE($2, confidence_threshold),
+           active = COALESCE($3, active), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [intent.description ?? null, intent.confidence_threshold ?? null, intent.active ?? null, intentId]
+      );
+
+      if (replace) {
+        await pool.query("DELETE FROM intent_examples WHERE intent_id = $1", [intentId]);
+      }
+
+      const existing = await pool.query("SELECT text FROM intent_examples WHERE intent_id = $1", [intentId]);
+      const knownTexts = new Set(existing.rows.map((row) => row.text.toLowerCase()));
+
+      for (const example of intent.examples) {
+        if (knownTexts.has(example.text.toLowerCase())) {
+          examplesSkipped++;
+          continue;
+        }
+        await this.insertExample(intentId, example.text, example.weight);
+        knownTexts.add(example.text.toLowerCase());
+        examplesAdded++;
+      }
+    }
+
+    await this.clearCache(businessId);
+    console.log(
+      `Imported ${intents.length} intent(s) into ${businessId ? `business ${businessId}` : "the global catalog"}: ` +
+        `${examplesAdded} example(s) added, ${examplesSkipped} skipped`
+    );
+    return { intents: intents.length, examplesAdded, examplesSkipped };
+  }
+
+  /**
+   * Score a phrase against every intent available to a business, without caching or calling GPT
+   * @returns {Promise<Object>} { text, intent, method, ranking } where ranking lists the intents best first
+   * (every intent, or with pgvector those with one of the nearest examples; see scoreIntents)
+   */
+  async testPhrase(text, businessId = null) {
+    if (typeof text !== "string" || !text.trim()) {
+      throw new ValidationError("text is required");
+    }
+
+    const intentExamples = await this.getIntentExamples(businessId);
+    const messageEmbedding = await this.generateEmbedding(text, businessId);
+    const ranking = (await this.scoreIntents(messageEmbedding, intentExamples, businessId)).map((score) => ({
+      ...score,
+      meetsThreshold: score.confidence >= score.threshold,
+    }));
+
+    // Same decision as detectIntent: the best match if it meets its threshold, otherwise GPT would be asked
+    const best = ranking[0] && ranking[0].confidence > 0 && ranking[0].meetsThreshold ? ranking[0] : null;
+    return {
+      text,
+      intent: best ? best.intent : null,
+      method: best ? "embedding" : "gpt-fallback",
+      ranking,
+    };
+  }
+
   /**
    * Get all intents with their examples
+   * @param {number|null} businessId - List the business's catalog, incl. whether each intent is available to it
    */
-  async getAllIntents() {
+  async getAllIntents(businessId = null) {
     try {
+      if (businessId) {
+        const catalog = await this.getIntentCatalog(businessId);
+        return Object.values(catalog).map(({ examples, threshold, ...intent }) => ({
+          ...intent,
+          confidence_threshold: threshold,
+          example_count: examples.length,
+        }));
+      }
+
       const result = await pool.query(`
         SELECT 
           i.id,
@@ -434,6 +1067,7 @@ Examples:
           COUNT(ie.id) as example_count
         FROM intents i
         LEFT JOIN intent_examples ie ON i.id = ie.intent_id AND ie.active = true
+        WHERE i.business_id IS NULL
         GROUP BY i.id, i.name, i.description, i.confidence_threshold, i.active
         ORDER BY i.name
       `);
@@ -446,18 +1080,19 @@ Examples:
 
   /**
    * Get intent examples for a specific intent
+   * @param {number|null} businessId - Include the business's own examples
    */
-  async getIntentExamplesByName(intentName) {
+  async getIntentExamplesByName(intentName, businessId = null) {
     try {
       const result = await pool.query(
         `
-        SELECT ie.id, ie.text, ie.weight, ie.active
+        SELECT ie.id, ie.text, ie.weight, ie.active, i.business_id
         FROM intent_examples ie
         JOIN intents i ON ie.intent_id = i.id
-        WHERE i.name = $1 AND ie.active = true
+        WHERE i.name = $1 AND (i.business_id IS NULL OR i.business_id = $2) AND ie.active = true
         ORDER BY ie.weight DESC, ie.text
       `,
-        [intentName]
+        [intentName, businessId]
       );
       return result.rows;
     } catch (error) {
@@ -468,14 +1103,25 @@ Examples:
 
   /**
    * Update intent confidence threshold
+   * @param {number|null} businessId - Only change it for this business (null changes the global default)
    */
-  async updateIntentThreshold(intentName, threshold) {
+  async updateIntentThreshold(intentName, threshold, businessId = null) {
     try {
-      await pool.query("UPDATE intents SET confidence_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2", [
-        threshold,
-        intentName,
-      ]);
-      console.log(`Updated threshold for intent ${intentName} to ${threshold}`);
+      if (businessId) {
+        const intentId = await this.ensureIntent(intentName, businessId);
+        await pool.query("UPDATE intents SET confidence_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+          threshold,
+          intentId,
+        ]);
+      } else {
+        await pool.query(
+          "UPDATE intents SET confidence_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 AND business_id IS NULL",
+          [threshold, intentName]
+        );
+      }
+      console.log(
+        `Updated threshold for intent ${intentName} to ${threshold}${businessId ? ` (business ${businessId})` : ""}`
+      );
       return true;
     } catch (error) {
       console.error("Error updating intent threshold:", error);
@@ -485,14 +1131,25 @@ Examples:
 
   /**
    * Toggle intent active status
+   * @param {number|null} businessId - Only change it for this business (null changes the global default)
    */
-  async toggleIntentStatus(intentName, active) {
+  async toggleIntentStatus(intentName, active, businessId = null) {
     try {
-      await pool.query("UPDATE intents SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2", [
-        active,
-        intentName,
-      ]);
-      console.log(`Set intent ${intentName} active status to ${active}`);
+      if (businessId) {
+        const intentId = await this.ensureIntent(intentName, businessId);
+        await pool.query("UPDATE intents SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2", [
+          active,
+          intentId,
+        ]);
+      } else {
+        await pool.query(
+          "UPDATE intents SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 AND business_id IS NULL",
+          [active, intentName]
+        );
+      }
+      console.log(
+        `Set intent ${intentName} active status to ${active}${businessId ? ` (business ${businessId})` : ""}`
+      );
       return true;
     } catch (error) {
       console.error("Error toggling intent status:", error);
@@ -501,17 +1158,45 @@ Examples:
   }
 
   /**
-   * Get performance metrics
+   * Get performance metrics, with the models a business's detections use
    */
-  getPerformanceMetrics() {
+  async getPerformanceMetrics(businessId = null) {
+    const { provider, models } = await LLMService.getSettings(businessId);
     return {
       cacheSize: this.cache.size,
-      model: this.embeddingModel,
-      dimensions: this.dimensions,
-      chatModel: this.chatModel,
+      provider,
+      model: models.embedding,
+      dimensions: LLMService.dimensions,
+      chatModel: models.fast,
     };
   }
 
+  /**
+   * Clear the cached detections of a business (null clears all caches)
+   */
+  async clearCache(businessId = null) {
+    if (!businessId) {
+      return await this.clearAllCaches();
+    }
+
+    try {
+      for (const [key, value] of this.cache.entries()) {
+        if (value.businessId === businessId) {
+          this.cache.delete(key);
+        }
+      }
+      this.integrationCache.delete(businessId);
+
+      await pool.query("DELETE FROM intent_cache WHERE business_id = $1", [businessId]);
+
+      console.log(`Intent detection caches cleared for business ${businessId}`);
+      return true;
+    } catch (error) {
+      console.error("Error clearing business caches:", error);
+      return false;
+    }
+  }
+
   /**
    * Clear all caches
    */
@@ -519,6 +1204,7 @@ Examples:
     try {
       // Clear in-memory cache
       this.cache.clear();
+      this.integrationCache.clear();
 
       // Clear database cache
       await pool.query("DELETE FROM intent_cache");
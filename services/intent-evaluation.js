@@ -0,0 +1,396 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const IntentDetectionService = require("./intent-detection");
+const LLMService = require("./llm");
+const { ValidationError } = require("../middleware/error-handler");
+
+// Detection methods that mean the GPT fallback was asked
+const GPT_FALLBACK_METHODS = ["gpt-fallback", "gpt-fallback-error", "gpt-error"];
+
+// Texts per embeddings request
+const EMBEDDING_BATCH_SIZE = 100;
+
+/**
+ * Evaluation of intent detection against labeled utterances.
+ * Every utterance runs through IntentDetectionService.detectIntent (without the intent cache),
+ * and the results are scored per intent. Utterance embeddings are kept in embedding_cache, so
+ * rerunning a dataset after a threshold or example change only pays for GPT fallbacks.
+ */
+class IntentEvaluationService {
+  constructor() {
+    this.maxUtterances = parseInt(process.env.INTENT_EVALUATION_MAX_UTTERANCES) || 1000;
+  }
+
+  /**
+   * Check a dataset: { name, utterances: [{ text, intent }] }
+   * Utterances that no intent should handle are labeled "general".
+   * @throws {ValidationError}
+   */
+  validateDataset(dataset) {
+    if (!dataset || typeof dataset.name !== "string" || !dataset.name.trim() || dataset.name.length > 100) {
+      throw new ValidationError("Dataset needs a name of at most 100 characters");
+    }
+    if (!Array.isArray(dataset.utterances) || dataset.utterances.length === 0) {
+      throw new ValidationError("Dataset needs a non-empty utterances array");
+    }
+    if (dataset.utterances.length > this.maxUtterances) {
+      throw new ValidationError(`Datasets are limited to ${this.maxUtterances} utterances`);
+    }
+
+    const utterances = dataset.utterances.map((utterance, index) => {
+      const { text, intent } = utterance || {};
+      if (typeof text !== "string" || !text.trim() || typeof intent !== "string" || !intent.trim()) {
+        throw new ValidationError(`Utterance ${index + 1} needs a text and an intent`);
+      }
+      return { text: text.trim(), intent: intent.trim().toLowerCase() };
+    });
+
+    return { name: dataset.name.trim(), utterances };
+  }
+
+  /**
+   * Embeddings for a list of texts, from embedding_cache where possible
+   * @returns {Promise<{embeddings: Map<string, number[]>, cached: number, generated: number}>}
+   */
+  async getEmbeddings(texts) {
+    const { embeddingModel: model, dimensions } = LLMService;
+    const hashOf = (text) => crypto.createHash("sha256").update(text).digest("hex");
+    const uniqueTexts = [...new Set(texts)];
+
+    const result = await pool.query(
+      `SELECT text_hash, embedding FROM embedding_cache
+       WHERE model = $1 AND dimensions = $2 AND text_hash = ANY($3)`,
+      [model, dimensions, uniqueTexts.map(hashOf)]
+    );
+    const cachedByHash = new Map(result.rows.map((row) => [row.text_hash, row.embedding]));
+
+    const embeddings = new Map();
+    const missing = [];
+    for (const text of uniqueTexts) {
+      const cached = cachedByHash.get(hashOf(text));
+      if (cached) {
+        embeddings.set(text, cached);
+      } else {
+        missing.push(text);
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const batchEmbeddings = await IntentDetectionService.generateEmbeddings(batch);
+
+      for (let j = 0; j < batch.length; j++) {
+        embeddings.set(batch[j], batchEmbeddings[j]);
+        await pool.query(
+          `INSERT INTO embedding_cache (text_hash, model, dimensions, embedding)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (text_hash, model, dimensions) DO NOTHING`,
+          [hashOf(batch[j]), model, dimensions, JSON.stringify(batchEmbeddings[j])]
+        );
+      }
+    }
+
+    return { embeddings, cached: uniqueTexts.length - missing.length, generated: missing.length };
+  }
+
+  /**
+   * Run a dataset through intent detection
+   * @param {Object} dataset - { name, utterances: [{ text, intent }] }
+   * @param {number|null} businessId - Business whose intent catalog to evaluate (null for the global catalog)
+   * @returns {Promise<Object>} Report (see buildReport)
+   */
+  async evaluate(dataset, businessId = null) {
+    const { name, utterances } = this.validateDataset(dataset);
+    const startTime = Date.now();
+
+    const { embeddings, cached, generated } = await this.getEmbeddings(utterances.map((u) => u.text));
+
+    // Thresholds at the time of the run, so a diff shows what changed
+    const intents = await IntentDetectionService.getIntentExamples(businessId);
+    const thresholds = {};
+    for (const intentName of Object.keys(intents).sort()) {
+      thresholds[intentName] = intents[intentName].threshold;
+    }
+
+    const results = [];
+    for (const utterance of utterances) {
+      const detected = await IntentDetectionService.detectIntent(utterance.text, businessId, {
+        useCache: false,
+        messageEmbedding: embeddings.get(utterance.text),
+      });
+
+      results.push({
+        text: utterance.text,
+        expected: utterance.intent,
+        predicted: detected.intent,
+        confidence: Math.round(detected.confidence * 10000) / 10000,
+        method: detected.method,
+      });
+    }
+
+    const report = this.buildReport(results, { dataset: name, businessId, thresholds });
+    report.embeddings = { cached, generated };
+    report.durationMs = Date.now() - startTime;
+    return report;
+  }
+
+  /**
+   * Score detection results per intent
+   * @param {Array<{text, expected, predicted, confidence, method}>} results
+   * @returns {Object} Accuracy, GPT fallback rate, precision/recall per intent, confusion matrix
+   *   (confusionMatrix[expected][predicted]) and the misclassified utterances
+   */
+  buildReport(results, { dataset, businessId = null, thresholds = {} }) {
+    const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+    const labels = [...new Set(results.flatMap((r) => [r.expected, r.predicted]))].sort();
+
+    // confusionMatrix[expected][predicted] = count
+    const confusionMatrix = {};
+    for (const expected of labels) {
+      confusionMatrix[expected] = {};
+      for (const predicted of labels) {
+        confusionMatrix[expected][predicted] = 0;
+      }
+    }
+
+    const methods = {};
+    let gptFallbacks = 0;
+    for (const result of results) {
+      confusionMatrix[result.expected][result.predicted]++;
+      methods[result.method] = (methods[result.method] || 0) + 1;
+      if (GPT_FALLBACK_METHODS.includes(result.method)) {
+        gptFallbacks++;
+      }
+    }
+
+    const perIntent = {};
+    for (const label of labels) {
+      const tp = confusionMatrix[label][label];
+      const support = labels.reduce((sum, predicted) => sum + confusionMatrix[label][predicted], 0);
+      const predictedCount = labels.reduce((sum, expected) => sum + confusionMatrix[expected][label], 0);
+      const precision = predictedCount > 0 ? tp / predictedCount : null;
+      const recall = support > 0 ? tp / support : null;
+      let f1 = null;
+      if (precision !== null && recall !== null) {
+        f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      }
+
+      perIntent[label] = {
+        support,
+        truePositives: tp,
+        falsePositives: predictedCount - tp,
+        falseNegatives: support - tp,
+        precision: round(precision),
+        recall: round(recall),
+        f1: round(f1),
+      };
+    }
+
+    const correct = results.filter((r) => r.expected === r.predicted).length;
+
+    return {
+      dataset,
+      businessId,
+      createdAt: new Date().toISOString(),
+      total: results.length,
+      accuracy: round(results.length > 0 ? correct / results.length : 0),
+      gptFallback: {
+        count: gptFallbacks,
+        rate: round(results.length > 0 ? gptFallbacks / results.length : 0),
+      },
+      methods,
+      thresholds,
+      perIntent,
+      confusionMatrix,
+      misclassified: results.filter((r) => r.expected !== r.predicted),
+      results,
+    };
+  }
+
+  /**
+   * Compare a report with a baseline report of the same dataset
+   * @returns {Object} Changes in accuracy, fallback rate, per-intent scores and thresholds,
+   *   plus the utterances that were fixed or regressed
+   */
+  diffReports(baseline, report) {
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const change = (before = null, after = null) => ({
+      baseline: before,
+      current: after,
+      delta: before === null || after === null ? null : round(after - before),
+    });
+
+    const perIntent = {};
+    const labels = [...new Set([...Object.keys(baseline.perIntent || {}), ...Object.keys(report.perIntent)])].sort();
+    for (const label of labels) {
+      const before = (baseline.perIntent || {})[label] || {};
+      const after = report.perIntent[label] || {};
+      if (before.precision !== after.precision || before.recall !== after.recall) {
+        perIntent[label] = {
+          precision: change(before.precision, after.precision),
+          recall: change(before.recall, after.recall),
+        };
+      }
+    }
+
+    const thresholds = {};
+    const thresholdNames = [...new Set([...Object.keys(baseline.thresholds || {}), ...Object.keys(report.thresholds)])];
+    for (const intentName of thresholdNames.sort()) {
+      const before = (baseline.thresholds || {})[intentName];
+      const after = report.thresholds[intentName];
+      if (before !== after) {
+        thresholds[intentName] = { baseline: before ?? null, current: after ?? null };
+      }
+    }
+
+    // Utterances whose outcome changed
+    const baselineResults = new Map((baseline.results || []).map((r) => [`${r.text}\u0000${r.expected}`, r]));
+    const fixed = [];
+    const regressed = [];
+    for (const result of report.results) {
+      const before = baselineResults.get(`${result.text}\u0000${result.expected}`);
+      if (!before) continue;
+
+      const wasCorrect = before.predicted === before.expected;
+      const isCorrect = result.predicted === result.expected;
+      if (!wasCorrect && isCorrect) {
+        fixed.push({ text: result.text, expected: result.expected, previous: before.predicted });
+      } else if (wasCorrect && !isCorrect) {
+        regressed.push({ text: result.text, expected: result.expected, predicted: result.predicted });
+      }
+    }
+
+    return {
+      baselineCreatedAt: baseline.createdAt || null,
+      accuracy: change(baseline.accuracy, report.accuracy),
+      gptFallbackRate: change(baseline.gptFallback?.rate, report.gptFallback.rate),
+      perIntent,
+      thresholds,
+      fixed,
+      regressed,
+    };
+  }
+
+  /**
+   * Baseline run of a dataset for a catalog
+   */
+  async getBaseline(dataset, businessId = null) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM intent_evaluation_runs
+         WHERE dataset = $1 AND business_id IS NOT DISTINCT FROM $2 AND is_baseline = true
+         ORDER BY created_at DESC LIMIT 1`,
+        [dataset, businessId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting evaluation baseline:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a run the baseline of its dataset (replacing the previous baseline)
+   * @returns {Promise<Object|null>} The run, or null if the catalog has no such run
+   */
+  async setBaseline(runId, businessId = null) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const run = await client.query(
+        "SELECT id, dataset FROM intent_evaluation_runs WHERE id = $1 AND business_id IS NOT DISTINCT FROM $2",
+        [runId, businessId]
+      );
+      if (run.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      await client.query(
+        `UPDATE intent_evaluation_runs SET is_baseline = (id = $1)
+         WHERE dataset = $2 AND business_id IS NOT DISTINCT FROM $3`,
+        [runId, run.rows[0].dataset, businessId]
+      );
+      await client.query("COMMIT");
+
+      return await this.getRun(runId, businessId);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error setting evaluation baseline:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Evaluate a dataset, compare it with the dataset's baseline and store the run
+   * @param {Object} dataset - { name, utterances: [{ text, intent }] }
+   * @param {Object} options
+   * @param {number|null} options.businessId - Business catalog (null for the global catalog)
+   * @param {number|null} options.userId - User who started the run
+   * @param {boolean} options.saveAsBaseline - Make this run the new baseline
+   * @returns {Promise<{run: Object, report: Object, diff: Object|null}>} diff is null without a baseline
+   */
+  async run(dataset, { businessId = null, userId = null, saveAsBaseline = false } = {}) {
+    const report = await this.evaluate(dataset, businessId);
+    const baseline = await this.getBaseline(report.dataset, businessId);
+    const diff = baseline ? this.diffReports(baseline.report, report) : null;
+
+    const result = await pool.query(
+      `INSERT INTO intent_evaluation_runs (business_id, dataset, report, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, business_id, dataset, is_baseline, created_by, created_at`,
+      [businessId, report.dataset, JSON.stringify(report), userId]
+    );
+    const run = result.rows[0];
+
+    if (saveAsBaseline) {
+      await this.setBaseline(run.id, businessId);
+      run.is_baseline = true;
+    }
+
+    console.log(
+      `Intent evaluation ${run.id} (${report.dataset}): accuracy ${report.accuracy}, ` +
+        `GPT fallback rate ${report.gptFallback.rate}${diff ? `, accuracy delta ${diff.accuracy.delta}` : ""}`
+    );
+    return { run, report, diff };
+  }
+
+  /**
+   * Runs of a catalog, newest first, without their full reports
+   */
+  async getRuns(businessId = null, { dataset = null, limit = 20 } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT id, business_id, dataset, is_baseline, created_by, created_at,
+           (report->>'total')::int AS total, (report->>'accuracy')::float AS accuracy,
+           (report->'gptFallback'->>'rate')::float AS gpt_fallback_rate
+         FROM intent_evaluation_runs
+         WHERE business_id IS NOT DISTINCT FROM $1 AND ($2::text IS NULL OR dataset = $2)
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [businessId, dataset, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting evaluation runs:", error);
+      throw error;
+    }
+  }
+
+  async getRun(runId, businessId = null) {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM intent_evaluation_runs WHERE id = $1 AND business_id IS NOT DISTINCT FROM $2",
+        [runId, businessId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting evaluation run:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new IntentEvaluationService();
@@ -0,0 +1,430 @@
+/**
+ * Durable Job Queue
+ * Postgres-backed queue for background work accepted from webhooks:
+ * - Jobs survive restarts (workers pick up queued jobs on boot)
+ * - Retries with exponential backoff, then a dead-letter status
+ * - Per-conversation ordering enforced in the database
+ *
+ * Job states: queued -> running -> done
+ *                           \-> failed (waiting for retry) -> running ...
+ *                           \-> dead (max attempts reached)
+ *
+ * A running job holds a lease (locked_at), renewed while its handler runs. Jobs whose lease has
+ * expired belonged to a crashed worker and are requeued. The worker only records the outcome of
+ * the attempt it claimed (locked_by + attempts), so a requeued job is never completed twice.
+ */
+
+const os = require('os');
+const pool = require('../config/database');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  DEAD: 'dead'
+};
+
+const config = {
+  concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  retryBaseDelay: parseInt(process.env.JOB_RETRY_BASE_MS) || 5000,
+  staleTimeout: parseInt(process.env.JOB_STALE_TIMEOUT_MS) || 120000, // leases not renewed for this long expire
+  retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 7,
+  maintenanceInterval: 60000
+};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Registered handlers: jobType -> { handler, onDeadLetter }
+const handlers = new Map();
+
+let running = false;
+let activeJobs = 0;
+let pollTimer = null;
+let lastMaintenance = 0;
+
+// Queue statistics
+const stats = {
+  enqueued: 0,
+  duplicates: 0,
+  completed: 0,
+  retried: 0,
+  deadLettered: 0,
+  recovered: 0
+};
+
+/**
+ * Create the jobs table if it doesn't exist
+ */
+async function ensureJobTableExists() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      job_type VARCHAR(100) NOT NULL,
+      dedupe_key VARCHAR(255) UNIQUE,
+      conversation_key VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_after TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      locked_by VARCHAR(255),
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_jobs_conversation_key ON jobs(conversation_key, id)');
+}
+
+/**
+ * Register the handler for a job type
+ * @param {string} jobType - Job type name
+ * @param {Function} handler - async (payload, job) => void; throwing schedules a retry
+ * @param {Object} options
+ * @param {Function} options.onDeadLetter - async (payload, job, error) => void, called once retries are exhausted
+ */
+function registerHandler(jobType, handler, options = {}) {
+  handlers.set(jobType, {
+    handler,
+    onDeadLetter: options.onDeadLetter || null
+  });
+}
+
+/**
+ * Persist a job. Resolves only once the job is committed, so callers can acknowledge safely.
+ * @param {Object} job
+ * @param {string} job.jobType - Registered job type
+ * @param {string} job.conversationKey - Jobs with the same key run one at a time, in insert order
+ * @param {Object} job.payload - JSON payload passed to the handler
+ * @param {string} [job.dedupeKey] - Unique key; a second job with the same key is ignored
+ * @param {number} [job.maxAttempts] - Attempts before the job is dead-lettered
+ * @param {Date} [job.runAt] - Don't run before this time (scheduled jobs). Scheduled jobs hold back
+ *   later jobs with the same conversationKey, so give them a key of their own.
+ * @returns {Promise<Object|null>} The created job, or null if it was a duplicate
+ */
+async function enqueue({
+  jobType,
+  conversationKey,
+  payload,
+  dedupeKey = null,
+  maxAttempts = config.maxAttempts,
+  runAt = null
+}) {
+  const result = await pool.query(
+    `INSERT INTO jobs (job_type, dedupe_key, conversation_key, payload, max_attempts, run_after)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING *`,
+    [jobType, dedupeKey, conversationKey, JSON.stringify(payload || {}), maxAttempts, runAt]
+  );
+
+  if (result.rows.length === 0) {
+    stats.duplicates++;
+    console.log(`Job ${dedupeKey} already queued - skipping`);
+    return null;
+  }
+
+  stats.enqueued++;
+
+  // Wake the workers instead of waiting for the next poll
+  if (running) {
+    setImmediate(drain);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Cancel a job that has not started yet
+ * @param {string} dedupeKey - Key the job was enqueued with
+ * @returns {Promise<boolean>} True if a pending job was removed
+ */
+async function cancel(dedupeKey) {
+  const result = await pool.query(
+    `DELETE FROM jobs WHERE dedupe_key = $1 AND status IN ('queued', 'failed') RETURNING id`,
+    [dedupeKey]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Claim the next runnable job.
+ * A job is only runnable when no earlier job of the same conversation is still pending or running.
+ */
+async function claimNextJob() {
+  const jobTypes = [...handlers.keys()];
+  if (jobTypes.length === 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+     WHERE id = (
+       SELECT j.id FROM jobs j
+       WHERE j.status IN ('queued', 'failed')
+         AND j.run_after <= NOW()
+         AND j.job_type = ANY($2)
+         AND NOT EXISTS (
+           SELECT 1 FROM jobs earlier
+           WHERE earlier.conversation_key = j.conversation_key
+             AND earlier.id < j.id
+             AND earlier.status IN ('queued', 'running', 'failed')
+         )
+       ORDER BY j.id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, jobTypes]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Renew the lease of a running job
+ * @returns {Promise<boolean>} False if the attempt lost its lease (the job was requeued)
+ */
+async function renewLease(job) {
+  const result = await pool.query(
+    `UPDATE jobs SET locked_at = NOW()
+     WHERE id = $1 AND status = 'running' AND locked_by = $2 AND attempts = $3`,
+    [job.id, workerId, job.attempts]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark a job as done
+ */
+async function completeJob(job) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'done', completed_at = NOW(), locked_at = NULL, locked_by = NULL, last_error = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'running' AND locked_by = $2 AND attempts = $3`,
+    [job.id, workerId, job.attempts]
+  );
+
+  if (result.rowCount === 0) {
+    console.warn(`[job ${job.id}] Attempt ${job.attempts} finished after losing its lease - not marked done`);
+    return;
+  }
+  stats.completed++;
+}
+
+/**
+ * Record a failed attempt: schedule a retry with exponential backoff, or dead-letter the job
+ * @returns {Promise<Object|null>} The updated job, or null if the attempt had lost its lease
+ */
+async function failJob(job, error) {
+  const delay = config.retryBaseDelay * Math.pow(2, Math.max(job.attempts - 1, 0));
+
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'failed' END,
+         run_after = NOW() + make_interval(secs => $2::double precision / 1000),
+         last_error = $3,
+         locked_at = NULL,
+         locked_by = NULL,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'running' AND locked_by = $4 AND attempts = $5
+     RETURNING *`,
+    [job.id, delay, error.message || 'Unknown error', workerId, job.attempts]
+  );
+
+  const updated = result.rows[0];
+  if (!updated) {
+    console.warn(`[job ${job.id}] Attempt ${job.attempts} failed after losing its lease - not recorded`);
+    return null;
+  }
+
+  if (updated.status === JOB_STATUS.DEAD) {
+    stats.deadLettered++;
+    console.error(`[job ${job.id}] Dead-lettered after ${updated.attempts} attempts: ${updated.last_error}`);
+  } else {
+    stats.retried++;
+    console.warn(`[job ${job.id}] Attempt ${updated.attempts}/${updated.max_attempts} failed, retrying in ${delay}ms`);
+  }
+
+  return updated;
+}
+
+/**
+ * Run a claimed job through its handler
+ */
+async function runJob(job) {
+  const registration = handlers.get(job.job_type);
+
+  // Keep the job from looking stale however long the handler takes
+  const leaseTimer = setInterval(() => {
+    renewLease(job)
+      .then((renewed) => {
+        if (!renewed) {
+          console.warn(`[job ${job.id}] Lost its lease while running`);
+        }
+      })
+      .catch((error) => console.error(`[job ${job.id}] Failed to renew lease:`, error.message));
+  }, config.staleTimeout / 4);
+
+  try {
+    await registration.handler(job.payload, job);
+    clearInterval(leaseTimer);
+    await completeJob(job);
+  } catch (error) {
+    clearInterval(leaseTimer);
+    console.error(`[job ${job.id}] ${job.job_type} failed:`, error.message);
+
+    const updated = await failJob(job, error);
+    if (updated && updated.status === JOB_STATUS.DEAD && registration.onDeadLetter) {
+      try {
+        await registration.onDeadLetter(job.payload, updated, error);
+      } catch (deadLetterError) {
+        console.error(`[job ${job.id}] Dead-letter handler failed:`, deadLetterError);
+      }
+    }
+  }
+}
+
+/**
+ * Requeue jobs whose lease expired (left running by a worker that crashed or was restarted),
+ * and purge completed jobs past the retention period
+ */
+async function runMaintenance() {
+  const recovered = await pool.query(
+    `UPDATE jobs
+     SET status = 'queued', locked_at = NULL, locked_by = NULL, updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(secs => $1::double precision / 1000)
+     RETURNING id`,
+    [config.staleTimeout]
+  );
+
+  if (recovered.rows.length > 0) {
+    stats.recovered += recovered.rows.length;
+    console.warn(`Requeued ${recovered.rows.length} stale job(s): ${recovered.rows.map((row) => row.id).join(', ')}`);
+  }
+
+  await pool.query(
+    `DELETE FROM jobs WHERE status = 'done' AND completed_at < NOW() - make_interval(days => $1)`,
+    [config.retentionDays]
+  );
+
+  lastMaintenance = Date.now();
+}
+
+/**
+ * Fill every free worker slot with a runnable job
+ */
+async function drain() {
+  while (running && activeJobs < config.concurrency) {
+    let job;
+    activeJobs++;
+
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      activeJobs--;
+      console.error('Failed to claim job:', error.message);
+      return;
+    }
+
+    if (!job) {
+      activeJobs--;
+      return;
+    }
+
+    runJob(job)
+      .catch((error) => console.error(`[job ${job.id}] Unexpected worker error:`, error))
+      .finally(() => {
+        activeJobs--;
+        // A finished job may unblock the next job of the same conversation
+        setImmediate(drain);
+      });
+  }
+}
+
+/**
+ * Poll loop: periodic maintenance plus draining jobs whose backoff has expired
+ */
+async function poll() {
+  try {
+    if (Date.now() - lastMaintenance >= config.maintenanceInterval) {
+      await runMaintenance();
+    }
+    await drain();
+  } catch (error) {
+    console.error('Job queue poll failed:', error.message);
+  } finally {
+    if (running) {
+      pollTimer = setTimeout(poll, config.pollInterval);
+    }
+  }
+}
+
+/**
+ * Start the workers. Jobs queued before a restart are picked up immediately.
+ */
+async function start() {
+  if (running) {
+    return;
+  }
+
+  await ensureJobTableExists();
+  running = true;
+  console.log(`Job queue started (worker ${workerId}, concurrency ${config.concurrency})`);
+  poll();
+}
+
+/**
+ * Stop claiming new jobs and wait for running ones to finish
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ */
+async function stop(timeout = 10000) {
+  running = false;
+  clearTimeout(pollTimer);
+
+  const deadline = Date.now() + timeout;
+  while (activeJobs > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  console.log(`Job queue stopped (${activeJobs} job(s) still running)`);
+}
+
+/**
+ * Get queue statistics (for monitoring)
+ */
+function getStats() {
+  return {
+    ...stats,
+    running,
+    activeJobs,
+    concurrency: config.concurrency,
+    jobTypes: [...handlers.keys()]
+  };
+}
+
+/**
+ * Count jobs per status (for monitoring)
+ */
+async function getQueueDepth() {
+  const result = await pool.query('SELECT status, COUNT(*)::int AS count FROM jobs GROUP BY status');
+  return result.rows.reduce((depth, row) => ({ ...depth, [row.status]: row.count }), {});
+}
+
+module.exports = {
+  JOB_STATUS,
+  registerHandler,
+  enqueue,
+  cancel,
+  start,
+  stop,
+  getStats,
+  getQueueDepth
+};
@@ -0,0 +1,575 @@
+const axios = require("axios");
+const dns = require("dns").promises;
+const fs = require("fs-extra");
+const net = require("net");
+const path = require("path");
+const pool = require("../config/database");
+const JobQueue = require("./job-queue");
+const LLMService = require("./llm");
+const EmbeddingsService = require("./embeddings");
+const DocumentTextService = require("./document-text");
+const { ValidationError, ExternalServiceError } = require("../middleware/error-handler");
+
+const INDEX_JOB_TYPE = "knowledge_index";
+// Outside uploads/: source documents are only read by the indexer, never downloaded
+const STORAGE_DIR = path.join("data", "knowledge");
+const EMBEDDING_BATCH_SIZE = 100;
+const MAX_REDIRECTS = 3;
+
+/**
+ * Per-business knowledge base for retrieval-augmented answers.
+ *
+ * Documents (uploaded PDF, Word, Excel, CSV, text and Markdown files, pasted text or web pages) are saved under
+ * data/knowledge/<businessId>, split into overlapping chunks and embedded into knowledge_chunks.
+ * Indexing runs on the job queue. General AI answers get the chunks closest to the customer's
+ * message in their prompt, numbered so the answer can cite them.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.chunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE) || 1000; // Characters
+    this.chunkOverlap = parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP ?? 200); // 0 turns overlap off
+    this.topK = parseInt(process.env.KNOWLEDGE_TOP_K) || 4;
+    this.minSimilarity = parseFloat(process.env.KNOWLEDGE_MIN_SIMILARITY ?? 0.3);
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+    JobQueue.registerHandler(INDEX_JOB_TYPE, (payload) => this.indexDocument(payload.documentId, payload));
+  }
+
+  async getDocuments(businessId) {
+    const result = await pool.query(
+      "SELECT * FROM knowledge_documents WHERE business_id = $1 ORDER BY created_at DESC",
+      [businessId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * A business's document
+   * @param {Object} options
+   * @param {boolean} options.withChunks - Include the indexed chunks (without embeddings)
+   * @returns {Promise<Object|null>}
+   */
+  async getDocument(businessId, documentId, { withChunks = false } = {}) {
+    const result = await pool.query("SELECT * FROM knowledge_documents WHERE id = $1 AND business_id = $2", [
+      documentId,
+      businessId,
+    ]);
+    const document = result.rows[0];
+    if (!document || !withChunks) {
+      return document || null;
+    }
+
+    const chunks = await pool.query(
+      "SELECT id, chunk_index, content FROM knowledge_chunks WHERE document_id = $1 ORDER BY chunk_index",
+      [document.id]
+    );
+    return { ...document, chunks: chunks.rows };
+  }
+
+  /**
+   * Add an uploaded file
+   * @param {Object} file - { buffer, originalName, mimeType }
+   * @param {Object} options - { title, userId }
+   */
+  async addFile(businessId, { buffer, originalName, mimeType }, { title, userId = null } = {}) {
+    const type = DocumentTextService.getMimeType(mimeType, originalName);
+    if (!type) {
+      throw new ValidationError("Unsupported file type. Upload a PDF, DOCX, XLSX, CSV, text, Markdown or HTML file");
+    }
+
+    return await this.createDocument(businessId, {
+      title: title || path.basename(originalName, path.extname(originalName)),
+      sourceType: "file",
+      buffer,
+      mimeType: type,
+      userId,
+    });
+  }
+
+  /**
+   * Add pasted text
+   * @param {Object} options - { text, title, userId }
+   */
+  async addText(businessId, { text, title, userId = null }) {
+    if (typeof text !== "string" || !text.trim()) {
+      throw new ValidationError("text must be a non-empty string");
+    }
+    if (!title || typeof title !== "string" || !title.trim()) {
+      throw new ValidationError("A title is required for pasted text");
+    }
+
+    return await this.createDocument(businessId, {
+      title,
+      sourceType: "text",
+      buffer: Buffer.from(text, "utf8"),
+      mimeType: "text/plain",
+      userId,
+    });
+  }
+
+  /**
+   * Download a web page or file and add it
+   * @param {Object} options - { url, title, userId }
+   */
+  async addUrl(businessId, { url, title, userId = null }) {
+    const { buffer, mimeType } = await this.download(url);
+
+    return await this.createDocument(businessId, {
+      title: title || new URL(url).hostname + new URL(url).pathname.replace(/\/$/, ""),
+      sourceType: "url",
+      sourceUrl: url,
+      buffer,
+      mimeType,
+      userId,
+    });
+  }
+
+  /**
+   * Save a document's file, store it and queue it for indexing
+   */
+  async createDocument(businessId, { title, sourceType, sourceUrl = null, buffer, mimeType, userId }) {
+    if (buffer.length === 0) {
+      throw new ValidationError("The document is empty");
+    }
+    if (buffer.length > this.maxFileSize) {
+      throw new ValidationError(`Documents can be at most ${Math.round(this.maxFileSize / 1024 / 1024)} MB`);
+    }
+
+    const filePath = await this.saveFile(businessId, title, buffer, mimeType);
+    const result = await pool.query(
+      `INSERT INTO knowledge_documents
+        (business_id, title, source_type, source_url, file_path, mime_type, file_size, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [businessId, title.trim().slice(0, 255), sourceType, sourceUrl, filePath, mimeType, buffer.length, userId]
+    );
+
+    await this.queueIndexing(result.rows[0]);
+    return result.rows[0];
+  }
+
+  /**
+   * Write a file under data/knowledge/<businessId>
+   * @returns {Promise<string>} Path relative to the project root
+   */
+  async saveFile(businessId, title, buffer, mimeType) {
+    const baseName = title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60);
+    const fileName = `${Date.now()}_${baseName || "document"}${DocumentTextService.getExtension(mimeType)}`;
+    const relativePath = path.join(STORAGE_DIR, String(businessId), fileName);
+
+    await fs.outputFile(this.resolvePath(relativePath), buffer);
+    return relativePath;
+  }
+
+  resolvePath(relativePath) {
+    return path.resolve(__dirname, "..", relativePath);
+  }
+
+  /**
+   * Fetch a URL for the knowledge base. Only public http(s) hosts are allowed, so managers can't
+   * make the server read internal services: redirects are followed here so every hop is checked,
+   * and requests connect to the addresses that were checked, so a second DNS answer can't point elsewhere.
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async download(url) {
+    let current = this.parseDownloadUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      const addresses = await this.assertPublicHost(current.hostname);
+
+      let response;
+      try {
+        response = await axios.get(current.href, {
+          responseType: "arraybuffer",
+          timeout: 20000,
+          maxContentLength: this.maxFileSize,
+          maxRedirects: 0,
+          validateStatus: (status) => status >= 200 && status < 400,
+          lookup: (hostname, options, callback) => callback(null, addresses),
+          proxy: false, // A proxy would resolve the host itself
+          headers: { Accept: "text/html, application/pdf, text/plain;q=0.9, */*;q=0.5" },
+        });
+      } catch (error) {
+        throw new ExternalServiceError(`Could not download ${current.href}: ${error.message}`, "knowledge_base");
+      }
+
+      if (response.status >= 300) {
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+          const reason = response.headers.location ? "too many redirects" : `status ${response.status}`;
+          throw new ExternalServiceError(`Could not download ${url}: ${reason}`, "knowledge_base");
+        }
+        current = this.parseDownloadUrl(response.headers.location, current);
+        continue;
+      }
+
+      const mimeType = DocumentTextService.getMimeType(response.headers["content-type"], current.pathname);
+      if (!mimeType) {
+        throw new ValidationError(`Unsupported content type "${response.headers["content-type"]}" at ${current.href}`);
+      }
+
+      return { buffer: Buffer.from(response.data), mimeType };
+    }
+  }
+
+  /**
+   * @param {string} url - Absolute URL, or relative to base (redirect locations)
+   * @returns {URL}
+   * @throws {ValidationError} For anything but http(s) URLs
+   */
+  parseDownloadUrl(url, base) {
+    let parsed;
+    try {
+      parsed = new URL(url, base);
+    } catch (error) {
+      throw new ValidationError("url must be a valid http or https URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new ValidationError("url must be a valid http or https URL");
+    }
+    return parsed;
+  }
+
+  /**
+   * @returns {Promise<Array<{address: string, family: number}>>} The host's addresses, all public
+   * @throws {ValidationError} When the host doesn't resolve or has a private or local address
+   */
+  async assertPublicHost(hostname) {
+    let addresses;
+    try {
+      addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ""), { all: true });
+    } catch (error) {
+      throw new ValidationError(`Could not resolve ${hostname}`);
+    }
+
+    if (addresses.some(({ address }) => this.isPrivateAddress(address))) {
+      throw new ValidationError("URLs of private or local hosts can't be added to the knowledge base");
+    }
+    return addresses;
+  }
+
+  isPrivateAddress(address) {
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      address = mapped[1];
+    }
+
+    if (net.isIPv4(address)) {
+      const [a, b] = address.split(".").map(Number);
+      return (
+        a === 0 ||
+        a === 10 ||
+        a === 127 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168)
+      );
+    }
+
+    const lower = address.toLowerCase();
+    return lower === "::" || lower === "::1" || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  async queueIndexing(document, { refetch = false } = {}) {
+    await pool.query("UPDATE knowledge_documents SET status = 'pending', updated_at = NOW() WHERE id = $1", [
+      document.id,
+    ]);
+
+    return await JobQueue.enqueue({
+      jobType: INDEX_JOB_TYPE,
+      // A business's documents are indexed one at a time, apart from its conversations
+      conversationKey: `knowledge:${document.business_id}`,
+      payload: { documentId: document.id, refetch },
+    });
+  }
+
+  /**
+   * Queue a document for re-indexing. URL documents are downloaded again first.
+   * @returns {Promise<Object|null>} The document, or null if the business has no such document
+   */
+  async reindexDocument(businessId, documentId) {
+    const document = await this.getDocument(businessId, documentId);
+    if (!document) {
+      return null;
+    }
+
+    await this.queueIndexing(document, { refetch: document.source_type === "url" });
+    return await this.getDocument(businessId, documentId);
+  }
+
+  /**
+   * Queue every document of a business for re-indexing
+   * @returns {Promise<number>} Number of queued documents
+   */
+  async reindexBusiness(businessId) {
+    const documents = await this.getDocuments(businessId);
+    for (const document of documents) {
+      await this.queueIndexing(document, { refetch: document.source_type === "url" });
+    }
+    return documents.length;
+  }
+
+  /**
+   * Extract, chunk and embed a document, replacing its previous chunks.
+   * Failures are stored on the document (status "failed") instead of being retried by the job queue.
+   * @param {Object} options
+   * @param {boolean} options.refetch - Download URL documents again first
+   * @returns {Promise<Object|null>} The updated document, or null if it no longer exists
+   */
+  async indexDocument(documentId, { refetch = false } = {}) {
+    const result = await pool.query(
+      `UPDATE knowledge_documents SET status = 'indexing', error_message = NULL, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [documentId]
+    );
+    const document = result.rows[0];
+    if (!document) {
+      return null;
+    }
+
+    try {
+      if (refetch && document.source_type === "url") {
+        const { buffer, mimeType } = await this.download(document.source_url);
+        await fs.outputFile(this.resolvePath(document.file_path), buffer);
+        document.mime_type = mimeType;
+      }
+
+      const { text } = await DocumentTextService.extract(this.resolvePath(document.file_path), document.mime_type);
+      const chunks = this.chunkText(text);
+      if (chunks.length === 0) {
+        throw new ValidationError("No text found in the document");
+      }
+
+      const embeddings = [];
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const response = await LLMService.embed(chunks.slice(i, i + EMBEDDING_BATCH_SIZE), {
+          businessId: document.business_id,
+        });
+        embeddings.push(...response.embeddings);
+      }
+
+      await this.storeChunks(document, chunks, embeddings);
+      console.log(`📚 Indexed knowledge document ${document.id} ("${document.title}"): ${chunks.length} chunks`);
+    } catch (error) {
+      console.error(`Error indexing knowledge document ${document.id}:`, error.message);
+      await pool.query(
+        `UPDATE knowledge_documents SET status = 'failed', error_message = $2, updated_at = NOW() WHERE id = $1`,
+        [document.id, error.message]
+      );
+    }
+
+    const updated = await pool.query("SELECT * FROM knowledge_documents WHERE id = $1", [document.id]);
+    return updated.rows[0] || null;
+  }
+
+  async storeChunks(document, chunks, embeddings) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("DELETE FROM knowledge_chunks WHERE document_id = $1", [document.id]);
+
+      for (let i = 0; i < chunks.length; i++) {
+        await client.query(
+          `INSERT INTO knowledge_chunks (document_id, business_id, chunk_index, content, embedding)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [document.id, document.business_id, i, chunks[i], JSON.stringify(embeddings[i])]
+        );
+      }
+
+      await client.query(
+        `UPDATE knowledge_documents
+         SET status = 'indexed', chunk_count = $2, mime_type = $3, indexed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [document.id, chunks.length, document.mime_type]
+      );
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a document, its chunks and its file
+   * @returns {Promise<Object|null>} The deleted document, or null if the business has no such document
+   */
+  async deleteDocument(businessId, documentId) {
+    const result = await pool.query("DELETE FROM knowledge_documents WHERE id = $1 AND business_id = $2 RETURNING *", [
+      documentId,
+      businessId,
+    ]);
+    const document = result.rows[0];
+    if (!document) {
+      return null;
+    }
+
+    try {
+      await fs.remove(this.resolvePath(document.file_path));
+    } catch (error) {
+      console.warn(`Could not remove knowledge file ${document.file_path}:`, error.message);
+    }
+    return document;
+  }
+
+  /**
+   * Split text into chunks of about chunkSize characters along paragraphs, then sentences, then
+   * words. Each chunk starts with the last chunkOverlap characters of the previous one, so a fact
+   * split across a boundary is still found whole in one of them.
+   * @returns {string[]}
+   */
+  chunkText(text) {
+    const pieces = [];
+    for (const paragraph of (text || "").split(/\n{2,}/)) {
+      if (paragraph.length <= this.chunkSize) {
+        pieces.push(paragraph);
+        continue;
+      }
+      for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*|\n/g) || []) {
+        pieces.push(...this.splitWords(sentence));
+      }
+    }
+
+    const chunks = [];
+    let current = "";
+    for (const piece of pieces.map((p) => p.trim()).filter(Boolean)) {
+      if (current && current.length + piece.length + 1 > this.chunkSize) {
+        chunks.push(current);
+        current = this.getOverlap(current);
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  splitWords(text) {
+    if (text.length <= this.chunkSize) {
+      return [text];
+    }
+
+    const parts = [];
+    let current = "";
+    for (const word of text.split(/\s+/)) {
+      // Words longer than a chunk (e.g. base64 or long URLs) are cut
+      for (let i = 0; i < word.length; i += this.chunkSize) {
+        const slice = word.slice(i, i + this.chunkSize);
+        if (current && current.length + slice.length + 1 > this.chunkSize) {
+          parts.push(current);
+          current = "";
+        }
+        current = current ? `${current} ${slice}` : slice;
+      }
+    }
+    if (current) {
+      parts.push(current);
+    }
+    return parts;
+  }
+
+  getOverlap(chunk) {
+    if (this.chunkOverlap <= 0 || chunk.length <= this.chunkOverlap) {
+      return "";
+    }
+    const tail = chunk.slice(-this.chunkOverlap);
+    const wordStart = tail.search(/\s/);
+    return wordStart >= 0 ? tail.slice(wordStart).trim() : "";
+  }
+
+  /**
+   * Chunks of a business's indexed documents closest to a query, best first
+   * @param {Object} options - { limit, threshold }
+   * @returns {Promise<Array<Object>>} { id, documentId, title, sourceUrl, chunkIndex, content, similarity }
+   */
+  async search(businessId, query, { limit = this.topK, threshold = this.minSimilarity } = {}) {
+    if (!businessId || !query || !query.trim()) {
+      return [];
+    }
+
+    // Most businesses have no knowledge base: don't embed their messages for nothing
+    const stored = await pool.query("SELECT 1 FROM knowledge_chunks WHERE business_id = $1 LIMIT 1", [businessId]);
+    if (stored.rows.length === 0) {
+      return [];
+    }
+
+    const embedding = await EmbeddingsService.generateEmbedding(query, businessId);
+    const rows = await EmbeddingsService.searchNearest({
+      table: "knowledge_chunks",
+      alias: "c",
+      join: "JOIN knowledge_documents d ON d.id = c.document_id",
+      select: "c.id, c.document_id, c.chunk_index, c.content, d.title, d.source_url",
+      where: "c.business_id = $1 AND d.status = 'indexed'",
+      params: [businessId],
+      embedding,
+      limit,
+      threshold,
+    });
+
+    return rows.map((row) => ({
+      id: row.id,
+      documentId: row.document_id,
+      title: row.title,
+      sourceUrl: row.source_url,
+      chunkIndex: row.chunk_index,
+      content: row.content,
+      similarity: row.similarity,
+    }));
+  }
+
+  /**
+   * System prompt section with the retrieved chunks, numbered for citations
+   */
+  buildPromptSection(chunks) {
+    if (!chunks || chunks.length === 0) {
+      return "";
+    }
+
+    const excerpts = chunks
+      .map((chunk, index) => {
+        const source = chunk.sourceUrl ? `${chunk.title} (${chunk.sourceUrl})` : chunk.title;
+        return `[${index + 1}] ${source}\n${chunk.content}`;
+      })
+      .join("\n\n");
+
+    return (
+      "\n\nUse the following excerpts from the business's knowledge base when they answer the customer's question, " +
+      "and cite the ones you use by number, e.g. [1]. Don't mention excerpts that aren't relevant, and don't make up " +
+      "facts they don't contain.\n\n" +
+      excerpts
+    );
+  }
+
+  /**
+   * Add the sources cited as [n] in a reply
+   */
+  appendCitations(reply, chunks) {
+    if (!chunks || chunks.length === 0) {
+      return reply;
+    }
+
+    const cited = new Set(
+      [...reply.matchAll(/\[(\d+)\]/g)].map((match) => parseInt(match[1])).filter((n) => n >= 1 && n <= chunks.length)
+    );
+    if (cited.size === 0) {
+      return reply;
+    }
+
+    const sources = [...cited]
+      .sort((a, b) => a - b)
+      .map((n) => {
+        const { title, sourceUrl } = chunks[n - 1];
+        return `[${n}] ${sourceUrl ? `${title} - ${sourceUrl}` : title}`;
+      });
+    return `${reply}\n\nSources:\n${sources.join("\n")}`;
+  }
+}
+
+module.exports = new KnowledgeBaseService();
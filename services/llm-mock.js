@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Deterministic offline implementation of the LLM provider interface (see services/llm.js).
+ * The same input always gives the same output and nothing leaves the process, so the webhook
+ * pipeline can run in tests with LLM_PROVIDER=mock.
+ *
+ * - chat: the reply registered with respond() for the last user message, or an echo of it
+ * - embed: hashed bag of words, so texts sharing words get similar embeddings
+ * - vision / transcribe: fixed descriptions of the input
+ */
+class MockProvider {
+  constructor() {
+    this.name = "mock";
+    this.defaultModels = {
+      chat: "mock-chat",
+      fast: "mock-chat",
+      vision: "mock-vision",
+      transcription: "mock-transcription",
+      embedding: "mock-embedding",
+    };
+    this.responses = [];
+    this.transcripts = new Map();
+    this.calls = [];
+  }
+
+  /**
+   * Reply with `reply` when the last user message matches
+   * @param {string|RegExp|Function} match - Substring, pattern or predicate on the message text
+   * @param {string|Function} reply - Reply, or a function of the message text and all messages
+   */
+  respond(match, reply) {
+    this.responses.push({ match, reply });
+    return this;
+  }
+
+  /**
+   * Text transcribe() returns for an audio file, by file name
+   */
+  setTranscript(fileName, text) {
+    this.transcripts.set(fileName, text);
+    return this;
+  }
+
+  /**
+   * Forget registered replies, transcripts and recorded calls
+   */
+  reset() {
+    this.responses = [];
+    this.transcripts.clear();
+    this.calls = [];
+  }
+
+  // Roughly 4 characters per token, like OpenAI's English text
+  estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  getText(content) {
+    if (typeof content === "string") return content;
+    if (Array.isArray(content)) {
+      return content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
+    }
+    return "";
+  }
+
+  matches(match, text) {
+    if (typeof match === "function") return match(text);
+    if (match instanceof RegExp) return match.test(text);
+    return text.includes(match);
+  }
+
+  async chat({ model, messages }) {
+    const userMessages = messages.filter((message) => message.role === "user");
+    const text = this.getText(userMessages[userMessages.length - 1]?.content);
+    const response = this.responses.find(({ match }) => this.matches(match, text));
+    const content = response
+      ? typeof response.reply === "function"
+        ? response.reply(text, messages)
+        : response.reply
+      : `Mock reply: ${text}`;
+
+    this.calls.push({ type: "chat", model, messages, content });
+    return {
+      content,
+      usage: {
+        promptTokens: this.estimateTokens(messages.map((message) => this.getText(message.content)).join("\n")),
+        completionTokens: this.estimateTokens(content),
+      },
+    };
+  }
+
+  async embed({ model, input, dimensions }) {
+    const texts = Array.isArray(input) ? input : [input];
+    this.calls.push({ type: "embed", model, input: texts });
+
+    return {
+      embeddings: texts.map((text) => this.hashEmbedding(text, dimensions)),
+      usage: { promptTokens: this.estimateTokens(texts.join(" ")), completionTokens: 0 },
+    };
+  }
+
+  hashEmbedding(text, dimensions) {
+    const embedding = new Array(dimensions).fill(0);
+    const words = (text || "").toLowerCase().match(/[a-z0-9]+/g) || [""];
+
+    for (const word of words) {
+      const hash = crypto.createHash("sha256").update(word).digest();
+      embedding[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return embedding.map((value) => value / norm);
+  }
+
+  async vision({ model, prompt, image }) {
+    const content = `Mock description of a ${image.data.length}-byte ${image.mimeType} image. ${prompt}`;
+
+    this.calls.push({ type: "vision", model, prompt, content });
+    return {
+      content,
+      usage: { promptTokens: this.estimateTokens(prompt), completionTokens: this.estimateTokens(content) },
+    };
+  }
+
+  async transcribe({ model, filePath }) {
+    const fileName = path.basename(filePath);
+    const text = this.transcripts.get(fileName) || `Mock transcription of ${fileName}`;
+
+    this.calls.push({ type: "transcribe", model, filePath, text });
+    return { text, usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+}
+
+module.exports = new MockProvider();
@@ -0,0 +1,96 @@
+const { OpenAI } = require("openai");
+const fs = require("fs-extra");
+
+/**
+ * OpenAI implementation of the LLM provider interface (see services/llm.js)
+ */
+class OpenAIProvider {
+  constructor() {
+    this.name = "openai";
+    this.defaultModels = {
+      chat: "gpt-4",
+      fast: "gpt-3.5-turbo",
+      vision: "gpt-4o",
+      transcription: "whisper-1",
+      embedding: "text-embedding-3-small",
+    };
+    this.client = null;
+  }
+
+  // Created on first use, so the mock provider works without an API key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    }
+    return this.client;
+  }
+
+  formatUsage(usage) {
+    return {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+    };
+  }
+
+  async chat({ model, messages, temperature, maxTokens }) {
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    });
+
+    return {
+      content: response.choices[0].message.content || "",
+      usage: this.formatUsage(response.usage),
+    };
+  }
+
+  async embed({ model, input, dimensions }) {
+    const response = await this.getClient().embeddings.create({
+      model,
+      input,
+      dimensions,
+    });
+
+    return {
+      embeddings: response.data.sort((a, b) => a.index - b.index).map((item) => item.embedding),
+      usage: this.formatUsage(response.usage),
+    };
+  }
+
+  async vision({ model, systemPrompt, prompt, image, maxTokens }) {
+    const messages = [
+      ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+      {
+        role: "user",
+        content: [
+          { type: "text", text: prompt },
+          {
+            type: "image_url",
+            image_url: {
+              url: `data:${image.mimeType};base64,${image.data.toString("base64")}`,
+            },
+          },
+        ],
+      },
+    ];
+
+    return await this.chat({ model, messages, maxTokens });
+  }
+
+  async transcribe({ model, filePath }) {
+    // verbose_json includes the audio duration, which transcription is billed by
+    const response = await this.getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model,
+      response_format: "verbose_json",
+    });
+
+    return { text: response.text, usage: { ...this.formatUsage(null), seconds: response.duration || 0 } };
+  }
+}
+
+module.exports = new OpenAIProvider();
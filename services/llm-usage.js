@@ -0,0 +1,344 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const pool = require("../config/database");
+const { ValidationError } = require("../middleware/error-handler");
+
+// USD per million tokens (transcription: per minute of audio; speech: per million characters). Dated model
+// names such as "gpt-4o-2024-08-06" use the longest matching prefix. Extend or override with LLM_PRICES.
+const MODEL_PRICES = {
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+  "text-embedding-3-large": { input: 0.13, output: 0 },
+  "whisper-1": { perMinute: 0.006 },
+  "tts-1": { input: 15, output: 0 },
+  "tts-1-hd": { input: 30, output: 0 },
+};
+
+const BUDGET_ACTIONS = ["downgrade", "refuse"];
+const MODEL_ROLES = ["chat", "fast", "vision", "transcription"];
+
+const DEFAULT_REFUSAL_MESSAGE =
+  "Sorry, our assistant isn't available right now. Please try again later or wait for a member of our team to reply.";
+
+/**
+ * Metering of LLM calls: every call made through LLMService is stored in llm_usage with its
+ * business, conversation, model, tokens, latency and estimated cost. Businesses can set a monthly
+ * budget (businesses.llm_budget); once it is spent, their chat calls are downgraded to a cheaper
+ * model or the bot politely refuses to answer, depending on the budget's action.
+ */
+class LLMUsageService {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    this.prices = { ...MODEL_PRICES, ...this.parsePriceOverrides() };
+    this.unpricedModels = new Set();
+    this.budgetCache = new Map(); // Budget and month-to-date spend per business
+    this.budgetCacheTimeout = 1000 * 60; // 1 minute; calls made by this process are added as they happen
+  }
+
+  parsePriceOverrides() {
+    if (!process.env.LLM_PRICES) return {};
+    try {
+      return JSON.parse(process.env.LLM_PRICES);
+    } catch (error) {
+      console.error("Ignoring LLM_PRICES, it is not valid JSON:", error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Run fn with the business and conversation its LLM calls are metered under
+   * @param {Object} context - { businessId, conversationId }
+   */
+  runWithContext(context, fn) {
+    return this.context.run(context, fn);
+  }
+
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  getPrice(model) {
+    const match = Object.keys(this.prices)
+      .filter((name) => model === name || model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Estimated cost of a call in USD (0 for models without a price, e.g. the mock provider)
+   * @param {string} model
+   * @param {Object} usage - { promptTokens, completionTokens, seconds }
+   */
+  estimateCost(model, usage = {}) {
+    const price = this.getPrice(model);
+    if (!price) {
+      if (!model.startsWith("mock-") && !this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        console.warn(`No price for LLM model "${model}" - its calls are metered at $0 (see LLM_PRICES)`);
+      }
+      return 0;
+    }
+
+    if (price.perMinute) {
+      return ((usage.seconds || 0) / 60) * price.perMinute;
+    }
+    return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+  }
+
+  /**
+   * Store a call. Never throws: metering must not break the call it meters.
+   * @param {Object} call - { businessId, conversationId, provider, model, role, operation, usage, latencyMs, success }
+   */
+  async record({
+    businessId,
+    conversationId,
+    provider,
+    model,
+    role,
+    operation,
+    usage = {},
+    latencyMs,
+    success = true,
+  }) {
+    const context = this.getContext();
+    businessId = businessId || context.businessId || null;
+    conversationId = conversationId || context.conversationId || null;
+    const cost = success ? this.estimateCost(model, usage) : 0;
+
+    try {
+      await pool.query(
+        `INSERT INTO llm_usage
+          (business_id, conversation_id, provider, model, model_role, operation, prompt_tokens, completion_tokens,
+           audio_seconds, latency_ms, cost_usd, success)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          businessId,
+          conversationId,
+          provider,
+          model,
+          role,
+          operation,
+          usage.promptTokens || 0,
+          usage.completionTokens || 0,
+          usage.seconds || 0,
+          latencyMs,
+          cost,
+          success,
+        ]
+      );
+    } catch (error) {
+      console.error("Error recording LLM usage:", error.message);
+    }
+
+    const cached = businessId && this.budgetCache.get(businessId);
+    if (cached && Date.now() < cached.monthEnd) {
+      cached.spent += cost;
+    }
+  }
+
+  /**
+   * A business's budget and what it has spent this calendar month. The month is the database's, like the
+   * llm_usage timestamps it is summed from; the cached spend is not used past its end.
+   * @returns {Promise<{budget: Object|null, spent: number, month: string}>}
+   */
+  async getBudgetStatus(businessId) {
+    const cached = this.budgetCache.get(businessId);
+    if (cached && Date.now() < Math.min(cached.expires, cached.monthEnd)) {
+      return cached;
+    }
+
+    const result = await pool.query(
+      `SELECT TO_CHAR(m.month_start, 'YYYY-MM') AS month, m.month_start + INTERVAL '1 month' AS month_end,
+         (SELECT llm_budget FROM businesses WHERE id = $1) AS llm_budget,
+         (SELECT COALESCE(SUM(u.cost_usd), 0) FROM llm_usage u
+          WHERE u.business_id = $1 AND u.created_at >= m.month_start) AS spent
+       FROM (SELECT DATE_TRUNC('month', CURRENT_TIMESTAMP) AS month_start) m`,
+      [businessId]
+    );
+
+    const { month, month_end, llm_budget, spent } = result.rows[0];
+    const status = {
+      budget: llm_budget || null,
+      spent: parseFloat(spent),
+      month,
+      monthEnd: new Date(month_end).getTime(),
+      expires: Date.now() + this.budgetCacheTimeout,
+    };
+    this.budgetCache.set(businessId, status);
+    return status;
+  }
+
+  /**
+   * The budget of a business that has used up its monthly budget, with its defaults filled in
+   * @returns {Promise<Object|null>} { monthlyLimitUsd, action, downgradeModels, refusalMessage, spent }, or null
+   */
+  async getExceededBudget(businessId) {
+    if (!businessId) return null;
+
+    try {
+      const { budget, spent } = await this.getBudgetStatus(businessId);
+      if (!budget || spent < budget.monthlyLimitUsd) {
+        return null;
+      }
+
+      return {
+        action: "downgrade",
+        downgradeModels: {},
+        refusalMessage: DEFAULT_REFUSAL_MESSAGE,
+        ...budget,
+        spent,
+      };
+    } catch (error) {
+      // Without the budget tables (not migrated yet) there is nothing to enforce
+      console.error("Error checking LLM budget for business", businessId, ":", error.message);
+      return null;
+    }
+  }
+
+  clearBudgetCache(businessId = null) {
+    if (businessId) {
+      this.budgetCache.delete(businessId);
+    } else {
+      this.budgetCache.clear();
+    }
+  }
+
+  /**
+   * Check a budget: { monthlyLimitUsd, action: "downgrade"|"refuse", downgradeModels, refusalMessage }
+   * downgradeModels maps model roles to the model used once the budget is spent (chat defaults to
+   * the business's fast model).
+   * @throws {ValidationError}
+   */
+  validateBudget(budget) {
+    if (!budget || typeof budget !== "object" || Array.isArray(budget)) {
+      throw new ValidationError("Budget must be an object");
+    }
+
+    const { monthlyLimitUsd, action = "downgrade", downgradeModels = {}, refusalMessage } = budget;
+    if (typeof monthlyLimitUsd !== "number" || !(monthlyLimitUsd >= 0)) {
+      throw new ValidationError("monthlyLimitUsd must be a number of US dollars (0 or more)");
+    }
+    if (!BUDGET_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${BUDGET_ACTIONS.join(", ")}`);
+    }
+    if (!downgradeModels || typeof downgradeModels !== "object" || Array.isArray(downgradeModels)) {
+      throw new ValidationError("downgradeModels must be an object of model names by role");
+    }
+    for (const [role, model] of Object.entries(downgradeModels)) {
+      if (!MODEL_ROLES.includes(role)) {
+        throw new ValidationError(`Unknown model role "${role}". Available: ${MODEL_ROLES.join(", ")}`);
+      }
+      if (typeof model !== "string" || !model.trim() || model.length > 100) {
+        throw new ValidationError(`The ${role} model must be a model name of at most 100 characters`);
+      }
+    }
+    if (refusalMessage !== undefined && (typeof refusalMessage !== "string" || !refusalMessage.trim())) {
+      throw new ValidationError("refusalMessage must be a non-empty string");
+    }
+    if (refusalMessage && refusalMessage.length > 1000) {
+      throw new ValidationError("refusalMessage can be at most 1000 characters");
+    }
+  }
+
+  /**
+   * Date range of a usage query: from/to as dates (to inclusive), this month by default
+   * @returns {{from: Date, to: Date}} to is exclusive
+   */
+  parseRange(from, to) {
+    const now = new Date();
+    const start = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = to ? new Date(to) : now;
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError("from and to must be dates, e.g. 2024-05-01");
+    }
+    if (to) {
+      end.setDate(end.getDate() + 1); // Include the whole last day
+    }
+    if (start >= end) {
+      throw new ValidationError("from must be before to");
+    }
+
+    return { from: start, to: end };
+  }
+
+  formatTotals(row) {
+    return {
+      calls: parseInt(row.calls),
+      failedCalls: parseInt(row.failed_calls),
+      promptTokens: parseInt(row.prompt_tokens),
+      completionTokens: parseInt(row.completion_tokens),
+      audioSeconds: parseFloat(row.audio_seconds),
+      costUsd: parseFloat(row.cost_usd),
+      avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(parseFloat(row.avg_latency_ms)),
+    };
+  }
+
+  totalsSql() {
+    return `COUNT(*) AS calls, COUNT(*) FILTER (WHERE NOT success) AS failed_calls,
+      COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens, COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(audio_seconds), 0) AS audio_seconds, COALESCE(SUM(cost_usd), 0) AS cost_usd,
+      AVG(latency_ms) AS avg_latency_ms`;
+  }
+
+  /**
+   * Usage per day, operation and model
+   * @param {number|null} businessId - One business, or null for all businesses
+   */
+  async getDailyUsage(businessId, { from, to } = {}) {
+    const range = this.parseRange(from, to);
+    const result = await pool.query(
+      `SELECT TO_CHAR(created_at, 'YYYY-MM-DD') AS day, operation, model, ${this.totalsSql()}
+       FROM llm_usage
+       WHERE ($1::int IS NULL OR business_id = $1) AND created_at >= $2 AND created_at < $3
+       GROUP BY day, operation, model
+       ORDER BY day DESC, cost_usd DESC`,
+      [businessId, range.from, range.to]
+    );
+
+    return {
+      from: range.from,
+      to: range.to,
+      days: result.rows.map((row) => ({
+        day: row.day,
+        operation: row.operation,
+        model: row.model,
+        ...this.formatTotals(row),
+      })),
+    };
+  }
+
+  /**
+   * Usage per business, most expensive first. Calls without a business have businessId null.
+   * fastCalls counts calls to the fast model, i.e. mostly the intent detection GPT fallback.
+   */
+  async getUsageByBusiness({ from, to } = {}) {
+    const range = this.parseRange(from, to);
+    const result = await pool.query(
+      `SELECT u.business_id, b.name AS business_name, ${this.totalsSql()},
+         COUNT(*) FILTER (WHERE u.operation = 'chat' AND u.model_role = 'fast') AS fast_calls
+       FROM llm_usage u
+       LEFT JOIN businesses b ON b.id = u.business_id
+       WHERE u.created_at >= $1 AND u.created_at < $2
+       GROUP BY u.business_id, b.name
+       ORDER BY cost_usd DESC`,
+      [range.from, range.to]
+    );
+
+    return {
+      from: range.from,
+      to: range.to,
+      businesses: result.rows.map((row) => ({
+        businessId: row.business_id,
+        businessName: row.business_name,
+        ...this.formatTotals(row),
+        fastCalls: parseInt(row.fast_calls),
+      })),
+    };
+  }
+}
+
+module.exports = new LLMUsageService();
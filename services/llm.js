@@ -0,0 +1,258 @@
+const fs = require("fs-extra");
+const path = require("path");
+const pool = require("../config/database");
+const OpenAIProvider = require("./llm-openai");
+const MockProvider = require("./llm-mock");
+const LLMUsageService = require("./llm-usage");
+const { ValidationError, BudgetExceededError } = require("../middleware/error-handler");
+
+// Models a business can choose. Embeddings always use the default provider and model, because
+// stored embeddings (FAQs, intent examples) are only comparable with embeddings of the same model.
+const BUSINESS_MODEL_ROLES = ["chat", "fast", "vision", "transcription"];
+
+// Environment overrides of the default provider's models
+const MODEL_ENV = {
+  chat: "LLM_CHAT_MODEL",
+  fast: "LLM_FAST_MODEL",
+  vision: "LLM_VISION_MODEL",
+  transcription: "LLM_TRANSCRIPTION_MODEL",
+  embedding: "LLM_EMBEDDING_MODEL",
+};
+
+const IMAGE_MIME_TYPES = { ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
+
+/**
+ * Entry point for every language model call: chat, embeddings, vision and transcription.
+ *
+ * A provider implements chat({ model, messages, temperature, maxTokens }), embed({ model, input, dimensions }),
+ * vision({ model, systemPrompt, prompt, image, maxTokens }) and transcribe({ model, filePath }), and has
+ * a `defaultModels` map by role. The provider and models come from the business's llm_settings,
+ * falling back to LLM_PROVIDER and the LLM_*_MODEL variables. Every call is metered and subject
+ * to the business's monthly budget (see services/llm-usage.js).
+ */
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(OpenAIProvider);
+    this.registerProvider(MockProvider);
+
+    this.defaultProvider = process.env.LLM_PROVIDER || "openai";
+    this.dimensions = 1536; // Must match the vector columns (see scripts/db-setup.js)
+    this.settingsCache = new Map(); // Resolved settings per business
+    this.settingsCacheTimeout = 1000 * 60; // 1 minute
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${name}"`);
+    }
+    return provider;
+  }
+
+  /**
+   * A provider's models by role; the default provider's can be overridden with LLM_*_MODEL
+   */
+  getDefaultModels(providerName = this.defaultProvider) {
+    const models = { ...this.getProvider(providerName).defaultModels };
+
+    if (providerName === this.defaultProvider) {
+      for (const [role, variable] of Object.entries(MODEL_ENV)) {
+        if (process.env[variable]) models[role] = process.env[variable];
+      }
+    }
+
+    return models;
+  }
+
+  /**
+   * Embedding model in use, e.g. to key cached embeddings
+   */
+  get embeddingModel() {
+    return this.getDefaultModels().embedding;
+  }
+
+  /**
+   * Check business LLM settings: { provider, models: { chat, fast, vision, transcription } } (all optional)
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new ValidationError("LLM settings must be an object with a provider and/or models");
+    }
+
+    const { provider = null, models = {} } = settings;
+    if (provider !== null && !this.providers.has(provider)) {
+      throw new ValidationError(
+        `Unknown LLM provider "${provider}". Available: ${[...this.providers.keys()].join(", ")}`
+      );
+    }
+    if (models !== null && (typeof models !== "object" || Array.isArray(models))) {
+      throw new ValidationError("models must be an object of model names by role");
+    }
+
+    for (const [role, model] of Object.entries(models || {})) {
+      if (!BUSINESS_MODEL_ROLES.includes(role)) {
+        throw new ValidationError(`Unknown model role "${role}". Available: ${BUSINESS_MODEL_ROLES.join(", ")}`);
+      }
+      if (typeof model !== "string" || !model.trim() || model.length > 100) {
+        throw new ValidationError(`The ${role} model must be a model name of at most 100 characters`);
+      }
+    }
+  }
+
+  /**
+   * Provider and models a business uses
+   * @param {number|null} businessId - Business ID (null for the defaults)
+   * @returns {Promise<{provider: string, models: Object, custom: boolean}>}
+   */
+  async getSettings(businessId = null) {
+    if (!businessId) {
+      return { provider: this.defaultProvider, models: this.getDefaultModels(), custom: false };
+    }
+
+    const cached = this.settingsCache.get(businessId);
+    if (cached && Date.now() < cached.expires) {
+      return cached.settings;
+    }
+
+    let stored = null;
+    try {
+      const result = await pool.query("SELECT llm_settings FROM businesses WHERE id = $1", [businessId]);
+      stored = result.rows[0]?.llm_settings || null;
+    } catch (error) {
+      console.error("Error loading LLM settings for business", businessId, ":", error.message);
+    }
+
+    // Settings naming a provider that is no longer registered are ignored
+    const custom = !!stored && this.providers.has(stored.provider || this.defaultProvider);
+    const provider = (custom && stored.provider) || this.defaultProvider;
+    const settings = {
+      provider,
+      models: {
+        ...this.getDefaultModels(provider),
+        ...(custom ? stored.models : {}),
+        embedding: this.embeddingModel,
+      },
+      custom,
+    };
+
+    this.settingsCache.set(businessId, { settings, expires: Date.now() + this.settingsCacheTimeout });
+    return settings;
+  }
+
+  clearSettingsCache(businessId = null) {
+    if (businessId) {
+      this.settingsCache.delete(businessId);
+    } else {
+      this.settingsCache.clear();
+    }
+  }
+
+  /**
+   * Provider and model for a call. Once a business has spent its monthly budget, the call is
+   * refused or downgraded: to the budget's model for the role, and for chat to the fast model.
+   * @throws {BudgetExceededError}
+   */
+  async resolveModel(businessId, role) {
+    const { provider, models } = await this.getSettings(businessId);
+    const budget = await LLMUsageService.getExceededBudget(businessId);
+
+    if (!budget) {
+      return { provider, model: models[role] };
+    }
+    if (budget.action === "refuse") {
+      throw new BudgetExceededError(budget.refusalMessage);
+    }
+    return { provider, model: budget.downgradeModels[role] || (role === "chat" ? models.fast : models[role]) };
+  }
+
+  /**
+   * Make a provider call and record its usage, latency and cost (failed calls too)
+   */
+  async metered(call, makeCall) {
+    const startTime = Date.now();
+
+    try {
+      const result = await makeCall();
+      await LLMUsageService.record({ ...call, usage: result.usage, latencyMs: Date.now() - startTime });
+      return { ...result, provider: call.provider, model: call.model };
+    } catch (error) {
+      await LLMUsageService.record({ ...call, latencyMs: Date.now() - startTime, success: false });
+      throw error;
+    }
+  }
+
+  /**
+   * Chat completion
+   * @param {Array<Object>} messages - OpenAI-style messages ({ role, content })
+   * @param {Object} options
+   * @param {number|null} options.businessId - Business whose provider, models and budget apply
+   *   (defaults to the business of the current LLMUsageService context)
+   * @param {string} options.role - Model role: "chat", or "fast" for short classification prompts
+   * @returns {Promise<{content: string, usage: Object, provider: string, model: string}>}
+   */
+  async chat(messages, { businessId = null, role = "chat", temperature, maxTokens } = {}) {
+    businessId = businessId || LLMUsageService.getContext().businessId || null;
+    const { provider, model } = await this.resolveModel(businessId, role);
+
+    return await this.metered({ businessId, provider, model, role, operation: "chat" }, () =>
+      this.getProvider(provider).chat({ model, messages, temperature, maxTokens })
+    );
+  }
+
+  /**
+   * Describe or answer a question about an image file
+   * @returns {Promise<{content: string, usage: Object, provider: string, model: string}>}
+   */
+  async vision(imagePath, prompt, { businessId = null, systemPrompt = null, maxTokens } = {}) {
+    businessId = businessId || LLMUsageService.getContext().businessId || null;
+    const { provider, model } = await this.resolveModel(businessId, "vision");
+    const image = {
+      data: await fs.readFile(imagePath),
+      mimeType: IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || "image/jpeg",
+    };
+
+    return await this.metered({ businessId, provider, model, role: "vision", operation: "vision" }, () =>
+      this.getProvider(provider).vision({ model, systemPrompt, prompt, image, maxTokens })
+    );
+  }
+
+  /**
+   * Transcribe an audio file (in a format the provider accepts)
+   * @returns {Promise<{text: string, usage: Object, provider: string, model: string}>}
+   */
+  async transcribe(filePath, { businessId = null } = {}) {
+    businessId = businessId || LLMUsageService.getContext().businessId || null;
+    const { provider, model } = await this.resolveModel(businessId, "transcription");
+
+    return await this.metered({ businessId, provider, model, role: "transcription", operation: "transcription" }, () =>
+      this.getProvider(provider).transcribe({ model, filePath })
+    );
+  }
+
+  /**
+   * Embeddings for one or more texts, always with the default provider and embedding model.
+   * They are metered against the business but never downgraded or refused: intent detection and
+   * FAQ matching depend on them, and they cost a fraction of a chat call.
+   * @param {string|string[]} input - Text or texts
+   * @param {Object} options
+   * @param {number|null} options.businessId - Business the call is metered under
+   * @returns {Promise<{embeddings: number[][], usage: Object, provider: string, model: string}>}
+   */
+  async embed(input, { businessId = null } = {}) {
+    businessId = businessId || LLMUsageService.getContext().businessId || null;
+    const provider = this.defaultProvider;
+    const model = this.embeddingModel;
+
+    return await this.metered({ businessId, provider, model, role: "embedding", operation: "embedding" }, () =>
+      this.getProvider(provider).embed({ model, input, dimensions: this.dimensions })
+    );
+  }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,177 @@
+const pool = require("../config/database");
+const JobQueue = require("./job-queue");
+const MediaStorageService = require("./media-storage");
+const { ValidationError } = require("../middleware/error-handler");
+
+const RETENTION_JOB_TYPE = "media_retention";
+// Media file types with their own retention (media_files.file_type)
+const FILE_TYPES = ["image", "audio", "document", "video"];
+const MAX_RETENTION_DAYS = 3650;
+const BATCH_SIZE = 500;
+
+/**
+ * Deletes media files once they are older than their business's retention period.
+ *
+ * Businesses set it in businesses.media_settings: { retentionDays, retentionDaysByType: { image, audio, ... } },
+ * where 0 keeps files forever; types without their own period use retentionDays (default MEDIA_RETENTION_DAYS).
+ * The job queue runs the cleanup every MEDIA_RETENTION_INTERVAL_HOURS; each run schedules the next one.
+ */
+class MediaRetentionService {
+  constructor() {
+    this.defaults = { retentionDays: parseInt(process.env.MEDIA_RETENTION_DAYS) || 30, retentionDaysByType: {} };
+    this.intervalHours = parseInt(process.env.MEDIA_RETENTION_INTERVAL_HOURS) || 24;
+
+    JobQueue.registerHandler(RETENTION_JOB_TYPE, () => this.runScheduled());
+  }
+
+  get fileTypes() {
+    return FILE_TYPES;
+  }
+
+  /**
+   * Retention that applies to a business
+   * @param {Object} business - businesses row
+   */
+  getSettings(business) {
+    const stored = business?.media_settings || {};
+    return {
+      retentionDays: stored.retentionDays ?? this.defaults.retentionDays,
+      retentionDaysByType: { ...this.defaults.retentionDaysByType, ...(stored.retentionDaysByType || {}) },
+    };
+  }
+
+  /**
+   * Check media settings: { retentionDays, retentionDaysByType } (all optional)
+   * @returns {Object} The settings to store, without unset values
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new ValidationError("Media settings must be an object");
+    }
+
+    const isRetention = (days) => Number.isInteger(days) && days >= 0 && days <= MAX_RETENTION_DAYS;
+    const { retentionDays, retentionDaysByType } = settings;
+
+    if (retentionDays != null && !isRetention(retentionDays)) {
+      throw new ValidationError(`retentionDays must be a whole number from 0 (keep forever) to ${MAX_RETENTION_DAYS}`);
+    }
+
+    if (retentionDaysByType != null) {
+      if (typeof retentionDaysByType !== "object" || Array.isArray(retentionDaysByType)) {
+        throw new ValidationError("retentionDaysByType must be an object of file type => days");
+      }
+
+      const unknown = Object.keys(retentionDaysByType).filter((type) => !FILE_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown file type(s): ${unknown.join(", ")}. Available: ${FILE_TYPES.join(", ")}`);
+      }
+
+      for (const [type, days] of Object.entries(retentionDaysByType)) {
+        if (days != null && !isRetention(days)) {
+          throw new ValidationError(
+            `The ${type} retention must be a whole number from 0 (keep forever) to ${MAX_RETENTION_DAYS}`
+          );
+        }
+      }
+    }
+
+    const byType = Object.entries(retentionDaysByType || {}).filter(([, days]) => days != null);
+
+    return Object.fromEntries(
+      Object.entries({
+        retentionDays,
+        retentionDaysByType: byType.length > 0 ? Object.fromEntries(byType) : null,
+      }).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Queue the next cleanup at the next multiple of the interval. Every server schedules the same slot,
+   * so the cleanup runs once however many instances there are.
+   * @returns {Promise<Object|null>} The scheduled job, or null if it was scheduled already
+   */
+  async scheduleNext() {
+    const interval = this.intervalHours * 60 * 60 * 1000;
+    const runAt = new Date(Math.floor(Date.now() / interval + 1) * interval);
+    const jobKey = `${RETENTION_JOB_TYPE}:${runAt.toISOString()}`;
+
+    return await JobQueue.enqueue({
+      jobType: RETENTION_JOB_TYPE,
+      // Own ordering key: a scheduled job must not hold back other jobs
+      conversationKey: jobKey,
+      dedupeKey: jobKey,
+      runAt,
+      payload: {},
+    });
+  }
+
+  /**
+   * Job handler: clean up, then schedule the next run (also when the cleanup failed)
+   */
+  async runScheduled() {
+    try {
+      await this.applyRetention();
+    } finally {
+      await this.scheduleNext();
+    }
+  }
+
+  /**
+   * Delete every business's media files that are past their retention period, from their storage
+   * backend and from media_files. Files that can't be deleted are kept and retried on the next run.
+   * @returns {Promise<{deleted: number, errors: number}>}
+   */
+  async applyRetention() {
+    console.log("Applying media retention...");
+    let deleted = 0;
+    let errors = 0;
+    let lastId = 0;
+
+    for (;;) {
+      // Per-type retention first, then the business's retention, then MEDIA_RETENTION_DAYS
+      const result = await pool.query(
+        `SELECT mf.* FROM media_files mf
+         JOIN businesses b ON b.id = mf.business_id
+         CROSS JOIN LATERAL (
+           SELECT COALESCE(
+             (b.media_settings -> 'retentionDaysByType' ->> mf.file_type)::int,
+             (b.media_settings ->> 'retentionDays')::int,
+             $1
+           ) AS days
+         ) retention
+         WHERE mf.id > $2
+           AND retention.days > 0
+           AND mf.created_at < NOW() - make_interval(days => retention.days)
+         ORDER BY mf.id
+         LIMIT $3`,
+        [this.defaults.retentionDays, lastId, BATCH_SIZE]
+      );
+
+      for (const mediaFile of result.rows) {
+        try {
+          await MediaStorageService.deleteFile(mediaFile);
+          await pool.query("DELETE FROM media_files WHERE id = $1", [mediaFile.id]);
+          await pool.query("UPDATE messages SET local_file_path = NULL WHERE id = $1 AND local_file_path = $2", [
+            mediaFile.message_id,
+            mediaFile.file_path,
+          ]);
+          deleted++;
+        } catch (error) {
+          console.error(`Error deleting media file ${mediaFile.file_path}:`, error.message);
+          errors++;
+        }
+      }
+
+      if (result.rows.length < BATCH_SIZE) {
+        break;
+      }
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+
+    console.log(`Media retention applied: ${deleted} file(s) deleted, ${errors} error(s)`);
+    return { deleted, errors };
+  }
+}
+
+module.exports = new MediaRetentionService();
@@ -0,0 +1,93 @@
+const fs = require("fs-extra");
+const LocalStorageBackend = require("./storage-local");
+const S3StorageBackend = require("./storage-s3");
+
+/**
+ * Where media files (media_files rows) are kept.
+ *
+ * A backend implements putFile(key, filePath, { contentType }), delete(key) and
+ * getSignedUrl(key, { expiresIn }) => url. Keys are media_files.file_path ("uploads/images/...").
+ * MEDIA_STORAGE picks the backend new files go to ("local" or "s3"); media_files.storage_backend records
+ * the backend of each file, so files stored before a switch stay reachable.
+ *
+ * Media is always downloaded into uploads/ first, because transcription, vision and document reading
+ * need a local file. With a remote backend that copy is removed once the message has been answered.
+ */
+class MediaStorageService {
+  constructor() {
+    this.backends = new Map();
+    this.registerBackend(LocalStorageBackend);
+    this.registerBackend(S3StorageBackend);
+
+    this.defaultBackend = process.env.MEDIA_STORAGE || "local";
+    this.signedUrlTtl = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS) || 900;
+  }
+
+  registerBackend(backend) {
+    this.backends.set(backend.name, backend);
+  }
+
+  getBackend(name) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(`Unknown media storage backend "${name}"`);
+    }
+    return backend;
+  }
+
+  getBackendNames() {
+    return [...this.backends.keys()];
+  }
+
+  /**
+   * Store a file under a key in the default backend
+   * @param {string} key - Media key (the media_files.file_path to record)
+   * @param {string} filePath - Absolute path of the local file
+   * @param {Object} options
+   * @param {string} options.contentType - MIME type
+   * @returns {Promise<string>} Name of the backend the file is stored in, for media_files.storage_backend
+   */
+  async storeFile(key, filePath, { contentType = null } = {}) {
+    await this.getBackend(this.defaultBackend).putFile(key, filePath, { contentType });
+    return this.defaultBackend;
+  }
+
+  /**
+   * Remove the local working copy of a stored file, unless the files are kept on local disk
+   * @param {string|null} filePath - Absolute path of the local copy
+   */
+  async releaseLocalCopy(filePath) {
+    if (!filePath || this.defaultBackend === LocalStorageBackend.name) {
+      return;
+    }
+
+    try {
+      await fs.remove(filePath);
+    } catch (error) {
+      console.error(`Could not remove local media copy ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete a media file from the backend that holds it
+   * @param {Object} mediaFile - media_files row
+   */
+  async deleteFile(mediaFile) {
+    await this.getBackend(mediaFile.storage_backend || LocalStorageBackend.name).delete(mediaFile.file_path);
+  }
+
+  /**
+   * Time-limited download URL of a media file
+   * @param {Object} mediaFile - media_files row
+   * @param {Object} options
+   * @param {number} options.expiresIn - Seconds the URL stays valid (default MEDIA_SIGNED_URL_TTL_SECONDS)
+   * @returns {Promise<{url: string, expiresAt: string}>}
+   */
+  async getSignedUrl(mediaFile, { expiresIn = this.signedUrlTtl } = {}) {
+    const backend = this.getBackend(mediaFile.storage_backend || LocalStorageBackend.name);
+    const url = await backend.getSignedUrl(mediaFile.file_path, { expiresIn });
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
+  }
+}
+
+module.exports = new MediaStorageService();
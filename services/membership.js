@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const authService = require("./auth");
+const { ValidationError, NotFoundError, ConflictError } = require("../middleware/error-handler");
+
+// Business roles, lowest to highest. Each role can do everything the roles below it can.
+// viewer: read conversations and settings | agent: reply to customers and take over conversations
+// manager: manage templates, tone, WhatsApp config and integrations | owner: manage members
+const BUSINESS_ROLES = ["viewer", "agent", "manager", "owner"];
+
+class MembershipService {
+  constructor() {
+    this.roles = BUSINESS_ROLES;
+    this.inviteExpiryDays = parseInt(process.env.INVITE_EXPIRY_DAYS) || 7;
+  }
+
+  isValidRole(role) {
+    return BUSINESS_ROLES.includes(role);
+  }
+
+  /**
+   * Check whether a role grants at least the permissions of another
+   */
+  hasRole(role, minRole) {
+    return BUSINESS_ROLES.indexOf(role) >= BUSINESS_ROLES.indexOf(minRole);
+  }
+
+  /**
+   * Platform admins (users.role = 'admin') have access to every business
+   */
+  isPlatformAdmin(user) {
+    return !!user && user.role === "admin";
+  }
+
+  async getMembership(businessId, userId) {
+    try {
+      const result = await pool.query("SELECT * FROM business_members WHERE business_id = $1 AND user_id = $2", [
+        businessId,
+        userId,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting business membership:", error);
+      throw error;
+    }
+  }
+
+  async getMembers(businessId) {
+    try {
+      const result = await pool.query(
+        `SELECT bm.user_id, bm.role, bm.invited_by, bm.created_at, bm.updated_at,
+           u.username, u.email, u.status
+         FROM business_members bm
+         JOIN users u ON u.id = bm.user_id
+         WHERE bm.business_id = $1
+         ORDER BY array_position($2::text[], bm.role::text) DESC, u.username`,
+        [businessId, BUSINESS_ROLES]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting business members:", error);
+      throw error;
+    }
+  }
+
+  async getPendingInvites(businessId) {
+    try {
+      const result = await pool.query(
+        `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM business_invites
+         WHERE business_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [businessId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting business invites:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a user to a business, or change their role if they already are a member
+   */
+  async addMember(businessId, userId, role, invitedBy = null) {
+    if (!this.isValidRole(role)) {
+      throw new ValidationError(`Role must be one of: ${BUSINESS_ROLES.join(", ")}`);
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO business_members (business_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (business_id, user_id)
+         DO UPDATE SET role = EXCLUDED.role, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [businessId, userId, role, invitedBy]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error adding business member:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite someone to a business by email.
+   * Existing users are added right away; anyone else gets an invite token to sign up with.
+   * @returns {Promise<{member?: Object, invite?: Object}>}
+   */
+  async invite(businessId, { email, role }, invitedBy) {
+    if (!email) {
+      throw new ValidationError("Email is required");
+    }
+    if (!this.isValidRole(role)) {
+      throw new ValidationError(`Role must be one of: ${BUSINESS_ROLES.join(", ")}`);
+    }
+
+    const existingUser = await pool.query("SELECT id FROM users WHERE LOWER(email) = LOWER($1)", [email]);
+    if (existingUser.rows.length > 0) {
+      const userId = existingUser.rows[0].id;
+      if (await this.getMembership(businessId, userId)) {
+        throw new ConflictError("User is already a member of this business");
+      }
+      return { member: await this.addMember(businessId, userId, role, invitedBy) };
+    }
+
+    try {
+      const token = crypto.randomBytes(32).toString("hex");
+      const result = await pool.query(
+        `INSERT INTO business_invites (business_id, email, role, token, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+         RETURNING id, business_id, email, role, token, expires_at, created_at`,
+        [businessId, email.toLowerCase(), role, token, invitedBy, this.inviteExpiryDays]
+      );
+      return { invite: result.rows[0] };
+    } catch (error) {
+      console.error("Error creating business invite:", error);
+      throw error;
+    }
+  }
+
+  async revokeInvite(businessId, inviteId) {
+    try {
+      const result = await pool.query(
+        "DELETE FROM business_invites WHERE id = $1 AND business_id = $2 AND accepted_at IS NULL RETURNING id, email, role",
+        [inviteId, businessId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error revoking business invite:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept an invite by creating the invited user's account
+   * @returns {Promise<{user: Object, member: Object}>}
+   */
+  async acceptInvite(token, { username, password }) {
+    const inviteResult = await pool.query(
+      "SELECT * FROM business_invites WHERE token = $1 AND accepted_at IS NULL AND expires_at > NOW()",
+      [token]
+    );
+    const invite = inviteResult.rows[0];
+    if (!invite) {
+      throw new NotFoundError("Invite not found or expired");
+    }
+
+    if (!username || !password) {
+      throw new ValidationError("Username and password are required");
+    }
+
+    const existingUser = await authService.findUserByUsernameOrEmail(username, invite.email);
+    if (existingUser) {
+      throw new ConflictError("Username or email already exists");
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const passwordHash = await authService.hashPassword(password);
+      const userResult = await client.query(
+        `INSERT INTO users (username, email, password_hash, role, status)
+         VALUES ($1, $2, $3, 'user', 'active')
+         RETURNING id, username, email, role, status, created_at, updated_at`,
+        [username, invite.email, passwordHash]
+      );
+      const user = userResult.rows[0];
+
+      const memberResult = await client.query(
+        `INSERT INTO business_members (business_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [invite.business_id, user.id, invite.role, invite.invited_by]
+      );
+
+      await client.query("UPDATE business_invites SET accepted_at = NOW() WHERE id = $1", [invite.id]);
+      await client.query("COMMIT");
+
+      return { user, member: memberResult.rows[0] };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error accepting business invite:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Change a member's role. A business always keeps at least one owner.
+   */
+  async updateMemberRole(businessId, userId, role) {
+    if (!this.isValidRole(role)) {
+      throw new ValidationError(`Role must be one of: ${BUSINESS_ROLES.join(", ")}`);
+    }
+
+    const membership = await this.getMembership(businessId, userId);
+    if (!membership) {
+      return null;
+    }
+
+    if (membership.role === "owner" && role !== "owner") {
+      await this.assertNotLastOwner(businessId);
+    }
+
+    const result = await pool.query(
+      `UPDATE business_members SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE business_id = $2 AND user_id = $3
+       RETURNING *`,
+      [role, businessId, userId]
+    );
+    return result.rows[0];
+  }
+
+  async removeMember(businessId, userId) {
+    const membership = await this.getMembership(businessId, userId);
+    if (!membership) {
+      return null;
+    }
+
+    if (membership.role === "owner") {
+      await this.assertNotLastOwner(businessId);
+    }
+
+    await pool.query("DELETE FROM business_members WHERE business_id = $1 AND user_id = $2", [businessId, userId]);
+    return membership;
+  }
+
+  async assertNotLastOwner(businessId) {
+    const result = await pool.query(
+      "SELECT COUNT(*)::int AS owners FROM business_members WHERE business_id = $1 AND role = 'owner'",
+      [businessId]
+    );
+    if (result.rows[0].owners <= 1) {
+      throw new ConflictError("A business must keep at least one owner");
+    }
+  }
+}
+
+module.exports = new MembershipService();
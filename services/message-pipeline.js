@@ -0,0 +1,269 @@
+const WhatsAppService = require("./whatsapp");
+const DatabaseService = require("./database");
+const IntentDetectionService = require("./intent-detection");
+const HandoffService = require("./handoff");
+const LLMUsageService = require("./llm-usage");
+const VoiceReplyService = require("./voice-reply");
+const MediaStorageService = require("./media-storage");
+const defaultStages = require("./pipeline-stages");
+const { ValidationError } = require("../middleware/error-handler");
+
+// Stage order for businesses without their own (businesses.pipeline_stages). Media comes first, so the
+// transcript of a voice note reaches every other stage like typed text.
+const DEFAULT_STAGE_ORDER = ["media", "handoff", "confirmations", "calendar", "intents", "faq", "fallback"];
+
+/**
+ * Routing of inbound messages, shared by the webhook routes.
+ * The message runs through ordered stages until one of them claims it with a reply;
+ * a business can reorder or leave out stages.
+ */
+class MessagePipeline {
+  constructor() {
+    this.stages = new Map();
+    this.defaultOrder = DEFAULT_STAGE_ORDER;
+
+    for (const [name, handler] of Object.entries(defaultStages)) {
+      this.registerStage(name, handler);
+    }
+  }
+
+  /**
+   * Register a stage
+   * @param {string} name - Stage name, as used in stage orders
+   * @param {Function} handler - async (context) => ({ response, interactive?, source } | null)
+   */
+  registerStage(name, handler) {
+    this.stages.set(name, handler);
+  }
+
+  getStageNames() {
+    return [...this.stages.keys()];
+  }
+
+  /**
+   * Check a stage order before storing it for a business
+   * @throws {ValidationError} On unknown or repeated stages
+   */
+  validateStageOrder(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new ValidationError("Stages must be a non-empty array of stage names");
+    }
+
+    const unknown = stages.filter((stage) => !this.stages.has(stage));
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown pipeline stage(s): ${unknown.join(", ")}. Available: ${this.getStageNames().join(", ")}`
+      );
+    }
+
+    if (new Set(stages).size !== stages.length) {
+      throw new ValidationError("Each pipeline stage can only be listed once");
+    }
+  }
+
+  /**
+   * Stage order for a business (its own order, or the default)
+   * @param {Object} business - businesses row
+   */
+  getStageOrder(business) {
+    const stages = business && Array.isArray(business.pipeline_stages) ? business.pipeline_stages : this.defaultOrder;
+    return stages.filter((stage) => {
+      if (!this.stages.has(stage)) {
+        console.warn(`Skipping unknown pipeline stage "${stage}" for business ${business?.id}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Build the context passed to every stage
+   * @param {Object} options
+   * @param {Object} options.business - businesses row
+   * @param {Object} options.whatsapp - WhatsApp client for the business
+   * @param {Object} options.messageData - Normalized inbound message
+   * @param {Object} options.conversation - conversations row
+   * @param {Object} options.savedMessage - Stored inbound message
+   * @param {Object} [options.businessTone] - Business tone for AI answers
+   */
+  createContext({ business, whatsapp, messageData, conversation, savedMessage, businessTone = null }) {
+    let intentPromise = null;
+
+    const context = {
+      businessId: business.id,
+      business,
+      whatsapp,
+      messageData,
+      conversation,
+      savedMessage,
+      businessTone,
+      // Button/list replies are handled like typed text, plus their structured reply ID.
+      // The media stage sets hasText and transcript once it has transcribed a voice note.
+      hasText: ["text", "interactive"].includes(messageData.messageType) && !!messageData.content,
+      transcript: null,
+      reply: messageData.reply || null,
+      // { latitude, longitude, name, address, url } of a shared location
+      location: messageData.messageType === "location" ? messageData.metadata : null,
+      localFilePath: null,
+
+      // Intent detection runs at most once per message, however many stages ask for it
+      detectIntent() {
+        if (!context.hasText) {
+          return Promise.resolve(null);
+        }
+        if (!intentPromise) {
+          intentPromise = IntentDetectionService.detectIntent(messageData.content, business.id)
+            .then((intentResult) => {
+              console.log("Intent detection result:", intentResult);
+              // Stored for analytics
+              messageData.detectedIntent = intentResult;
+              return intentResult;
+            })
+            .catch((error) => {
+              console.error("Error in intent detection:", error);
+              return null;
+            });
+        }
+        return intentPromise;
+      },
+    };
+
+    return context;
+  }
+
+  /**
+   * Run the business's stages until one claims the message
+   * @returns {Promise<{stage: string, result: Object}|null>} The claiming stage and its reply
+   */
+  async run(context) {
+    for (const stage of this.getStageOrder(context.business)) {
+      try {
+        const result = await this.stages.get(stage)(context);
+        if (result) {
+          return { stage, result };
+        }
+      } catch (error) {
+        // A failing stage never blocks the stages after it
+        console.error(`Error in pipeline stage "${stage}":`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Process a stored inbound message and reply to it
+   * Does nothing while a human agent has taken over the conversation, and only sends the refusal
+   * message while the business is over a monthly LLM budget with the "refuse" action.
+   * @param {Object} options - See createContext
+   */
+  async handle(options) {
+    const context = this.createContext(options);
+    const { whatsapp, messageData, conversation } = context;
+
+    // A human agent has taken over: keep the message for them, but don't reply
+    if (await HandoffService.isBotPaused(conversation)) {
+      console.log(`Bot paused for conversation ${conversation.id} - message stored without reply`);
+      return null;
+    }
+
+    const budget = await LLMUsageService.getExceededBudget(context.businessId);
+    if (budget && budget.action === "refuse") {
+      console.log(`Business ${context.businessId} is over its monthly LLM budget - sending the refusal message`);
+      return await this.sendReply(context, budget.refusalMessage, "budget");
+    }
+
+    // Show typing indicator (mark as read + send hourglass reaction); reactions can't be reacted to
+    const showTyping = messageData.messageType !== "reaction";
+    try {
+      await whatsapp.markMessageAsRead(messageData.messageId);
+      if (showTyping) {
+        await whatsapp.sendReaction(messageData.from, messageData.messageId, "⏳");
+      }
+    } catch (indicatorError) {
+      console.log("Could not send typing indicator (non-critical):", indicatorError.message);
+    }
+
+    // LLM calls made by the stages are metered under this business and conversation
+    const claimed = await LLMUsageService.runWithContext(
+      { businessId: context.businessId, conversationId: conversation.id },
+      () => this.run(context)
+    );
+
+    // With a remote media store, the downloaded file was only needed by the stages
+    await MediaStorageService.releaseLocalCopy(context.localFilePath);
+
+    // Remove the typing reaction, with or without a reply
+    try {
+      if (showTyping) {
+        await whatsapp.sendReaction(messageData.from, messageData.messageId, "");
+      }
+    } catch (indicatorError) {
+      console.log("Could not remove typing indicator (non-critical):", indicatorError.message);
+    }
+
+    if (!claimed || !claimed.result.response || claimed.result.response.trim() === "") {
+      console.log(`No stage answered message ${messageData.messageId}, skipping WhatsApp response`);
+      return null;
+    }
+
+    console.log(`Message ${messageData.messageId} answered by pipeline stage "${claimed.stage}"`);
+    const { response, interactive, source } = claimed.result;
+    // Text replies to voice notes can start with what the bot heard; spoken replies don't
+    const textResponse = VoiceReplyService.addTranscriptPreamble(context, response);
+
+    // Voice notes get a spoken reply when the business has voice replies on (buttons and lists need text)
+    if (!interactive && VoiceReplyService.isEnabledFor(context)) {
+      try {
+        const voiceMessage = await VoiceReplyService.send(context, response, source || claimed.stage);
+        return VoiceReplyService.getSettings(context.business).includeText
+          ? await this.sendReply(context, textResponse, source || claimed.stage)
+          : voiceMessage;
+      } catch (error) {
+        console.error("Could not send a voice reply, sending text instead:", error.message);
+      }
+    }
+
+    return await this.sendReply(context, textResponse, source || claimed.stage, interactive);
+  }
+
+  /**
+   * Send a reply and store it under the WhatsApp message ID (wamid) returned by the API,
+   * so later status callbacks can be matched to it. Send failures are stored as "failed".
+   * @param {string} fallbackPrefix - Prefix for the stored ID when no wamid is available
+   * @param {Object} [interactive] - Reply buttons or list to send with the text (see WhatsAppService.buildInteractive)
+   */
+  async sendReply(context, content, fallbackPrefix, interactive = null) {
+    const { whatsapp, messageData, conversation } = context;
+    let wamid = null;
+    let sendError = null;
+
+    try {
+      const response = interactive
+        ? await whatsapp.sendInteractiveMessage(messageData.from, { ...interactive, body: content })
+        : await whatsapp.sendTextMessage(messageData.from, content);
+      wamid = WhatsAppService.getSentMessageId(response);
+      console.log(`Reply sent successfully: ${wamid}`);
+    } catch (error) {
+      console.error("Error sending WhatsApp reply:", error);
+      sendError = error;
+    }
+
+    return await DatabaseService.saveMessage({
+      businessId: conversation.business_id,
+      conversationId: conversation.id,
+      messageId: wamid || `${fallbackPrefix}_${Date.now()}`,
+      fromNumber: messageData.to, // From business
+      toNumber: messageData.from, // To user
+      messageType: interactive ? "interactive" : "text",
+      content,
+      mediaUrl: null,
+      localFilePath: null,
+      isFromUser: false,
+      status: sendError ? "failed" : "sent",
+      errorMessage: sendError ? sendError.message : null,
+    });
+  }
+}
+
+module.exports = new MessagePipeline();
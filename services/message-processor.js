@@ -2,18 +2,14 @@
  * Reliable Message Processing Manager
  * Handles message processing with:
  * - Duplicate prevention
+ * - Durable background processing through the Postgres job queue
  * - Sequential processing per conversation (prevents race conditions)
- * - Error recovery
+ * - Error recovery (retries with backoff, dead-letter notification)
  * - Financial transaction safety
  */
 
 const pool = require('../config/database');
-
-// Track messages currently being processed (prevents duplicates)
-const processingMessages = new Set();
-
-// Track conversation locks (ensures message order)
-const conversationLocks = new Map();
+const JobQueue = require('./job-queue');
 
 // Processing statistics
 const stats = {
@@ -24,16 +20,9 @@ const stats = {
 };
 
 /**
- * Check if message is already processed or processing
+ * Check if message is already processed
  */
 async function isMessageProcessed(messageId) {
-  // Check in-memory first (fast)
-  if (processingMessages.has(messageId)) {
-    stats.duplicates++;
-    console.log(`Message ${messageId} is currently being processed - skipping`);
-    return true;
-  }
-
   // Check database (prevents duplicates across restarts)
   try {
     const result = await pool.query(
@@ -57,99 +46,65 @@ async function isMessageProcessed(messageId) {
 }
 
 /**
- * Mark message as being processed
+ * Conversation key used to keep one conversation's messages in order
  */
-function markAsProcessing(messageId) {
-  processingMessages.add(messageId);
-
-  // Auto-remove after 2 minutes (prevents memory leak if processing fails)
-  setTimeout(() => {
-    processingMessages.delete(messageId);
-  }, 120000);
+function getConversationKey(messageData) {
+  return `${messageData.businessId || messageData.to || 'unknown'}:${messageData.from}`;
 }
 
 /**
- * Mark message as completed
+ * Register the function that processes queued messages of a job type
+ * Failures are logged and retried by the queue; once retries are exhausted
+ * the user is notified that their message could not be processed.
  */
-function markAsCompleted(messageId) {
-  processingMessages.delete(messageId);
-}
+function registerMessageHandler(jobType, processingFunction) {
+  JobQueue.registerHandler(
+    jobType,
+    async (messageData, job) => {
+      console.log(`[${messageData.messageId}] Starting background processing (attempt ${job.attempts})`);
 
-/**
- * Process message with conversation lock (ensures order)
- * Critical for financial transactions - prevents race conditions
- */
-async function processWithLock(conversationKey, processingFunction) {
-  // Wait for previous message in same conversation to complete
-  if (conversationLocks.has(conversationKey)) {
-    console.log(`Waiting for previous message in conversation ${conversationKey}`);
-    try {
-      await conversationLocks.get(conversationKey);
-    } catch (error) {
-      // Previous message failed, but continue with this one
-      console.log(`Previous message failed, continuing...`);
+      try {
+        await processingFunction(messageData);
+        stats.processed++;
+        console.log(`[${messageData.messageId}] Processing completed successfully`);
+      } catch (error) {
+        stats.errors++;
+        console.error(`[${messageData.messageId}] Processing failed:`, error);
+
+        // Log error to database for audit trail
+        await logProcessingError(messageData.messageId, error);
+        throw error;
+      }
+    },
+    {
+      // Send error notification to user (don't leave them hanging)
+      onDeadLetter: (messageData) => sendErrorNotification(messageData)
     }
-  }
-
-  // Create lock for this message
-  const currentProcessing = processingFunction();
-  conversationLocks.set(conversationKey, currentProcessing);
-
-  try {
-    const result = await currentProcessing;
-    stats.processed++;
-    return result;
-
-  } catch (error) {
-    stats.errors++;
-    throw error;
-
-  } finally {
-    // Remove lock after completion or error
-    conversationLocks.delete(conversationKey);
-  }
+  );
 }
 
 /**
- * Safe background processing wrapper
- * Catches errors and ensures they're handled properly
+ * Durably queue an inbound message for background processing
+ * Resolves once the job is stored, so the webhook can be acknowledged without losing it.
+ * @returns {Promise<Object|null>} The queued job, or null if the message is a duplicate
  */
-function processInBackground(messageData, processingFunction) {
-  // Use setImmediate to process in next event loop tick
-  setImmediate(async () => {
-    const conversationKey = `${messageData.businessId || 'unknown'}:${messageData.from}`;
-
-    try {
-      console.log(`[${messageData.messageId}] Starting background processing`);
-
-      // Process with conversation lock
-      await processWithLock(conversationKey, async () => {
-        return await processingFunction(messageData);
-      });
-
-      console.log(`[${messageData.messageId}] Processing completed successfully`);
-
-    } catch (error) {
-      console.error(`[${messageData.messageId}] Processing failed:`, error);
+async function enqueueMessage(messageData, jobType) {
+  if (await isMessageProcessed(messageData.messageId)) {
+    return null;
+  }
 
-      // Log error to database for audit trail
-      try {
-        await logProcessingError(messageData.messageId, error);
-      } catch (logError) {
-        console.error('Failed to log error:', logError);
-      }
+  const job = await JobQueue.enqueue({
+    jobType,
+    conversationKey: getConversationKey(messageData),
+    dedupeKey: messageData.messageId,
+    payload: messageData
+  });
 
-      // Send error notification to user (don't leave them hanging)
-      try {
-        await sendErrorNotification(messageData);
-      } catch (notifyError) {
-        console.error('Failed to send error notification:', notifyError);
-      }
+  if (!job) {
+    stats.duplicates++;
+  }
 
-    } finally {
-      markAsCompleted(messageData.messageId);
-    }
-  });
+  return job;
 }
 
 /**
@@ -179,9 +134,17 @@ async function logProcessingError(messageId, error) {
 async function sendErrorNotification(messageData) {
   // Import here to avoid circular dependency
   const WhatsAppService = require('./whatsapp');
+  const BusinessService = require('./business');
 
   try {
-    await WhatsAppService.sendMessage(
+    // Resolve the credentials of the business that received the message
+    const whatsappConfig = await BusinessService.getWhatsAppConfigByPhoneNumber(messageData.to);
+    if (!whatsappConfig) {
+      console.error(`No WhatsApp configuration found for phone number: ${messageData.to}`);
+      return;
+    }
+
+    await WhatsAppService.forBusiness(whatsappConfig).sendMessage(
       messageData.from,
       "I apologize, but I encountered an issue processing your message. " +
       "Our team has been notified and will look into this. " +
@@ -202,11 +165,10 @@ function getStats() {
   return {
     ...stats,
     uptime: `${uptimeMinutes} minutes`,
-    currentlyProcessing: processingMessages.size,
-    conversationLocksActive: conversationLocks.size,
     messagesPerMinute: uptimeMinutes > 0
       ? (stats.processed / uptimeMinutes).toFixed(2)
-      : 0
+      : 0,
+    queue: JobQueue.getStats()
   };
 }
 
@@ -237,9 +199,7 @@ ensureErrorTableExists();
 
 module.exports = {
   isMessageProcessed,
-  markAsProcessing,
-  markAsCompleted,
-  processWithLock,
-  processInBackground,
+  registerMessageHandler,
+  enqueueMessage,
   getStats
 };
@@ -0,0 +1,274 @@
+const pool = require("../config/database");
+const WhatsAppService = require("./whatsapp");
+const BusinessService = require("./business");
+const { ValidationError, NotFoundError } = require("../middleware/error-handler");
+
+class MessageTemplateService {
+  /**
+   * Get a WhatsApp client able to manage the business account's templates
+   */
+  async getClient(businessId) {
+    const config = await BusinessService.getWhatsAppConfigByBusinessId(businessId);
+    if (!config) {
+      throw new NotFoundError("WhatsApp configuration not found for this business");
+    }
+    if (!config.business_account_id) {
+      throw new ValidationError("WhatsApp configuration has no business_account_id");
+    }
+    return WhatsAppService.forBusiness(config);
+  }
+
+  /**
+   * Upsert a template row from a Graph API template object
+   */
+  async upsertFromGraph(businessId, template) {
+    const result = await pool.query(
+      `INSERT INTO message_templates
+        (business_id, template_id, name, language, category, status, components, last_synced_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+       ON CONFLICT (business_id, name, language)
+       DO UPDATE SET
+         template_id = EXCLUDED.template_id,
+         category = EXCLUDED.category,
+         status = EXCLUDED.status,
+         components = EXCLUDED.components,
+         last_synced_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        businessId,
+        template.id,
+        template.name,
+        template.language,
+        template.category || null,
+        template.status || "PENDING",
+        JSON.stringify(template.components || []),
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Sync the business's templates from the Graph API
+   * Templates deleted on Meta's side are removed locally.
+   * @returns {Promise<{synced: number, removed: number}>}
+   */
+  async syncTemplates(businessId) {
+    try {
+      const whatsapp = await this.getClient(businessId);
+      const remoteTemplates = await whatsapp.getMessageTemplates();
+
+      for (const template of remoteTemplates) {
+        await this.upsertFromGraph(businessId, template);
+      }
+
+      const removed = await pool.query(
+        `DELETE FROM message_templates
+         WHERE business_id = $1 AND template_id IS NOT NULL AND NOT (template_id = ANY($2))
+         RETURNING id`,
+        [businessId, remoteTemplates.map((template) => template.id)]
+      );
+
+      console.log(
+        `Synced ${remoteTemplates.length} template(s) for business ${businessId}, removed ${removed.rows.length}`
+      );
+      return { synced: remoteTemplates.length, removed: removed.rows.length };
+    } catch (error) {
+      console.error("Error syncing message templates:", error);
+      throw error;
+    }
+  }
+
+  async getTemplates(businessId, filters = {}) {
+    try {
+      const params = [businessId];
+      let query = "SELECT * FROM message_templates WHERE business_id = $1";
+
+      if (filters.status) {
+        params.push(filters.status.toUpperCase());
+        query += ` AND status = $${params.length}`;
+      }
+      if (filters.purpose) {
+        params.push(filters.purpose);
+        query += ` AND purpose = $${params.length}`;
+      }
+
+      const result = await pool.query(`${query} ORDER BY name, language`, params);
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting message templates:", error);
+      throw error;
+    }
+  }
+
+  async getTemplateById(businessId, templateId) {
+    try {
+      const result = await pool.query("SELECT * FROM message_templates WHERE business_id = $1 AND id = $2", [
+        businessId,
+        templateId,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting message template:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a template by name, preferring the given language
+   */
+  async getTemplateByName(businessId, name, language = null) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM message_templates
+         WHERE business_id = $1 AND name = $2
+         ORDER BY (language = $3) DESC NULLS LAST, (status = 'APPROVED') DESC
+         LIMIT 1`,
+        [businessId, name, language]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting message template by name:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the approved template a business uses for an automated flow (e.g. "appointment_reminder")
+   */
+  async getTemplateForPurpose(businessId, purpose) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM message_templates
+         WHERE business_id = $1 AND purpose = $2 AND status = 'APPROVED'
+         ORDER BY updated_at DESC
+         LIMIT 1`,
+        [businessId, purpose]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting message template for purpose:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a new template to Meta and store it (status PENDING until approved)
+   */
+  async createTemplate(businessId, templateData) {
+    const { name, language = "en_US", category, components, purpose = null } = templateData;
+
+    if (!name || !category || !Array.isArray(components)) {
+      throw new ValidationError("name, category and components are required");
+    }
+
+    try {
+      const whatsapp = await this.getClient(businessId);
+      const created = await whatsapp.createMessageTemplate({ name, language, category, components });
+
+      const template = await this.upsertFromGraph(businessId, {
+        id: created.id,
+        name,
+        language,
+        category: created.category || category,
+        status: created.status,
+        components,
+      });
+
+      return purpose ? await this.updateTemplate(businessId, template.id, { purpose }) : template;
+    } catch (error) {
+      console.error("Error creating message template:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a template. Component/category changes are resubmitted to Meta;
+   * purpose is local only.
+   */
+  async updateTemplate(businessId, templateId, changes) {
+    const template = await this.getTemplateById(businessId, templateId);
+    if (!template) {
+      return null;
+    }
+
+    try {
+      const { category, components, purpose } = changes;
+
+      if ((category || components) && template.template_id) {
+        const whatsapp = await this.getClient(businessId);
+        await whatsapp.editMessageTemplate(template.template_id, {
+          ...(category && { category }),
+          ...(components && { components }),
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE message_templates
+         SET category = COALESCE($1, category),
+           components = COALESCE($2, components),
+           purpose = CASE WHEN $3::boolean THEN $4 ELSE purpose END,
+           status = CASE WHEN $2::jsonb IS NOT NULL OR $1::text IS NOT NULL THEN 'PENDING' ELSE status END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND business_id = $6
+         RETURNING *`,
+        [
+          category || null,
+          components ? JSON.stringify(components) : null,
+          purpose !== undefined,
+          purpose || null,
+          templateId,
+          businessId,
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error updating message template:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a template from Meta and locally
+   */
+  async deleteTemplate(businessId, templateId) {
+    const template = await this.getTemplateById(businessId, templateId);
+    if (!template) {
+      return null;
+    }
+
+    try {
+      if (template.template_id) {
+        const whatsapp = await this.getClient(businessId);
+        await whatsapp.deleteMessageTemplate(template.name, template.template_id);
+      }
+
+      await pool.query("DELETE FROM message_templates WHERE id = $1", [templateId]);
+      return template;
+    } catch (error) {
+      console.error("Error deleting message template:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a template's body with variables, for storing the sent text in the conversation
+   * @param {Object} template - message_templates row
+   * @param {Array|Object} variables - Same format as WhatsAppService.buildTemplateComponents
+   * @returns {string} Rendered body text
+   */
+  renderTemplate(template, variables) {
+    const body = (template.components || []).find((component) => component.type === "BODY");
+    if (!body || !body.text) {
+      return `Template: ${template.name}`;
+    }
+
+    const values = variables && !Array.isArray(variables) ? variables.body || {} : {};
+    return body.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+      const value = Array.isArray(values) ? values[parseInt(key) - 1] : values[key];
+      return value !== undefined ? String(value) : placeholder;
+    });
+  }
+}
+
+module.exports = new MessageTemplateService();
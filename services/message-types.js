@@ -0,0 +1,155 @@
+const HubSpotService = require("./hubspot");
+const OdooService = require("./odoo");
+const { ValidationError } = require("../middleware/error-handler");
+
+// Default replies by message type; an empty reply sends nothing
+const DEFAULT_REPLIES = {
+  video: "Thanks for the video! 🎬 How can I help you with it?",
+  sticker: "😊",
+  location: "Thanks for sharing your location! 📍 How can I help you?",
+  contacts: "Thanks for the contact details! 📇",
+  reaction: "",
+  unknown:
+    "Sorry, I can't open this kind of message. Could you send it as text, a photo, a voice note or a document?",
+};
+
+// CRMs shared contacts can be saved to
+const CONTACT_CRMS = ["hubspot", "odoo"];
+
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Inbound messages that are neither text nor documents: videos, stickers, locations, contacts,
+ * reactions and types WhatsApp doesn't support.
+ *
+ * Businesses configure them in businesses.message_type_settings:
+ * { replies: { video, sticker, location, contacts, reaction, unknown }, contactsCrm, transcribeVideos }.
+ */
+class MessageTypesService {
+  constructor() {
+    this.defaults = { replies: DEFAULT_REPLIES, contactsCrm: null, transcribeVideos: true };
+  }
+
+  get messageTypes() {
+    return Object.keys(DEFAULT_REPLIES);
+  }
+
+  /**
+   * Settings that apply to a business
+   * @param {Object} business - businesses row
+   */
+  getSettings(business) {
+    const stored = business?.message_type_settings || {};
+    const replies = Object.fromEntries(
+      Object.entries(stored.replies || {}).filter(([type, reply]) => type in DEFAULT_REPLIES && reply != null)
+    );
+
+    return {
+      replies: { ...DEFAULT_REPLIES, ...replies },
+      contactsCrm: stored.contactsCrm || null,
+      transcribeVideos: stored.transcribeVideos ?? true,
+    };
+  }
+
+  /**
+   * Reply to a message type ("" to send nothing)
+   */
+  getReply(business, messageType) {
+    return this.getSettings(business).replies[messageType] ?? "";
+  }
+
+  /**
+   * Check message type settings: { replies, contactsCrm, transcribeVideos } (all optional)
+   * @returns {Object} The settings to store, without unset values
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new ValidationError("Message type settings must be an object");
+    }
+
+    const { replies, contactsCrm, transcribeVideos } = settings;
+
+    if (replies != null) {
+      if (typeof replies !== "object" || Array.isArray(replies)) {
+        throw new ValidationError("replies must be an object of message type => reply");
+      }
+
+      const unknown = Object.keys(replies).filter((type) => !(type in DEFAULT_REPLIES));
+      if (unknown.length > 0) {
+        throw new ValidationError(
+          `Unknown message type(s): ${unknown.join(", ")}. Available: ${this.messageTypes.join(", ")}`
+        );
+      }
+
+      for (const [type, reply] of Object.entries(replies)) {
+        if (reply != null && (typeof reply !== "string" || reply.length > MAX_REPLY_LENGTH)) {
+          throw new ValidationError(`The ${type} reply must be text of up to ${MAX_REPLY_LENGTH} characters`);
+        }
+      }
+    }
+    if (contactsCrm != null && !CONTACT_CRMS.includes(contactsCrm)) {
+      throw new ValidationError(`contactsCrm must be one of: ${CONTACT_CRMS.join(", ")}`);
+    }
+    if (transcribeVideos != null && typeof transcribeVideos !== "boolean") {
+      throw new ValidationError("transcribeVideos must be true or false");
+    }
+
+    const storedReplies = Object.entries(replies || {})
+      .filter(([, reply]) => reply != null)
+      .map(([type, reply]) => [type, reply.trim()]);
+
+    return Object.fromEntries(
+      Object.entries({
+        replies: storedReplies.length > 0 ? Object.fromEntries(storedReplies) : null,
+        contactsCrm,
+        transcribeVideos,
+      }).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Save contacts a customer shared to the business's CRM
+   * Contacts that fail are logged and skipped, so one bad card doesn't lose the others.
+   * @param {number} businessId - Business ID
+   * @param {Object[]} contacts - Contacts from WhatsAppService.normalizeContact
+   * @param {string} crm - "hubspot" or "odoo"
+   * @returns {Promise<number>} Number of contacts saved
+   */
+  async saveContacts(businessId, contacts, crm) {
+    let saved = 0;
+
+    for (const contact of contacts) {
+      const phone = contact.phones[0] || null;
+      const email = contact.emails[0] || null;
+
+      try {
+        if (crm === "hubspot") {
+          await HubSpotService.createContact(businessId, {
+            firstName: contact.firstName || contact.name,
+            lastName: contact.lastName,
+            email,
+            phone,
+            company: contact.company,
+            jobTitle: contact.title,
+          });
+        } else if (crm === "odoo") {
+          // The same person shared twice stays one partner
+          if (phone && (await OdooService.searchCustomer(businessId, phone))) {
+            console.log(`Odoo customer with phone ${phone} already exists - skipping`);
+            continue;
+          }
+          await OdooService.createCustomer(businessId, { name: contact.name || phone || email, phone, email });
+        }
+        saved++;
+      } catch (error) {
+        console.error(`Error saving shared contact "${contact.name}" to ${crm}:`, error.message);
+      }
+    }
+
+    console.log(`Saved ${saved} of ${contacts.length} shared contact(s) to ${crm} for business ${businessId}`);
+    return saved;
+  }
+}
+
+module.exports = new MessageTypesService();
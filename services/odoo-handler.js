@@ -1,5 +1,12 @@
 const OdooService = require("./odoo");
 const OpenAIService = require("./openai");
+const ConversationStateService = require("./conversation-state");
+
+// IDs of the reply buttons sent with order confirmations
+const REPLY_IDS = {
+  CONFIRM_ORDER: "odoo:order_confirm",
+  CANCEL_ORDER: "odoo:order_cancel",
+};
 
 class OdooHandler {
   /**
@@ -9,7 +16,7 @@ class OdooHandler {
    * @param {string} userMessage - User's message
    * @param {string} intent - Detected intent
    * @param {Object} businessTone - Business tone settings
-   * @returns {Promise<{handled: boolean, response: string}>}
+   * @returns {Promise<{handled: boolean, response: string, interactive?: Object}>}
    */
   async handleOdooIntent(businessId, userPhone, userMessage, intent, businessTone) {
     try {
@@ -41,10 +48,10 @@ class OdooHandler {
           return await this.handleOrderCreate(businessId, userPhone, userMessage, businessTone);
 
         case "odoo_order_status":
-          return await this.handleOrderStatus(businessId, userMessage, businessTone);
+          return await this.handleOrderStatus(businessId, userPhone, userMessage, businessTone);
 
         case "odoo_order_cancel":
-          return await this.handleOrderCancel(businessId, userMessage, businessTone);
+          return await this.handleOrderCancel(businessId, userPhone, userMessage, businessTone);
 
         case "odoo_inventory_check":
           return await this.handleInventoryCheck(businessId, userMessage, businessTone);
@@ -279,8 +286,18 @@ If any field is not mentioned, use empty string for text fields and 1 for quanti
         };
       }
 
+      // Answer to "which product?" - the customer and quantity of the original request still apply
+      const state = await ConversationStateService.get(businessId, userPhone);
+      if (ConversationStateService.isInFlow(state, "odoo_sale_order_create")) {
+        orderData = ConversationStateService.mergeSlots(orderData, state.slots);
+      }
+
       // Validate we have at least product name
       if (!orderData.product_name) {
+        await ConversationStateService.start(businessId, userPhone, "odoo_sale_order_create", {
+          slots: { customer_name: orderData.customer_name, quantity: orderData.quantity },
+          missingSlots: ["product_name"],
+        });
         return {
           handled: true,
           response:
@@ -288,6 +305,8 @@ If any field is not mentioned, use empty string for text fields and 1 for quanti
         };
       }
 
+      await ConversationStateService.clear(businessId, userPhone, "odoo_sale_order_create");
+
       // Step 1: Search for the product to get ID and price
       const productSearchResult = await OdooService.searchProducts(businessId, orderData.product_name);
 
@@ -360,40 +379,105 @@ If any field is not mentioned, use empty string for text fields and 1 for quanti
         }
       }
 
-      // Step 3: Create the sale order with complete data
+      // Step 3: Ask the user to confirm before creating the sale order
       const quantity = parseInt(orderData.quantity) || 1;
+      const total = (orderData.price_unit * quantity).toFixed(2);
+
+      await ConversationStateService.start(businessId, userPhone, "odoo_order_confirmation", {
+        slots: {
+          customerId,
+          customerName,
+          productId: orderData.product_id,
+          productName: orderData.product_display_name,
+          quantity,
+          priceUnit: orderData.price_unit,
+        },
+        missingSlots: ["confirmation"],
+      });
+
+      return {
+        handled: true,
+        response: `🧾 Please confirm your order:\n\n*Customer:* ${customerName}\n*Product:* ${orderData.product_display_name}\n*Quantity:* ${quantity}\n*Unit Price:* $${orderData.price_unit}\n*Total:* $${total}\n\nReply "YES" to confirm or "NO" to cancel.`,
+        interactive: {
+          type: "button",
+          buttons: [
+            { id: REPLY_IDS.CONFIRM_ORDER, title: "Confirm order" },
+            { id: REPLY_IDS.CANCEL_ORDER, title: "Cancel" },
+          ],
+        },
+      };
+    } catch (error) {
+      console.error("Error handling order creation:", error);
+      const errorMsg = error.message || "Unknown error";
+      return {
+        handled: true,
+        response: `I couldn't create the order. Error: ${errorMsg}\n\n💡 Please ensure:\n• The product exists (say "show products" to see available items)\n• Your customer information is correct\n• The Odoo Sales module is installed`,
+      };
+    }
+  }
+
+  /**
+   * Get the order waiting for this user's confirmation (null if none or expired)
+   */
+  async getPendingOrder(businessId, userPhone) {
+    const state = await ConversationStateService.get(businessId, userPhone);
+    return ConversationStateService.isInFlow(state, "odoo_order_confirmation") ? state.slots : null;
+  }
+
+  /**
+   * Handle the user's answer to an order confirmation (button tap or typed YES/NO)
+   * @param {Object} [reply] - Interactive reply ({ id, title }) when the user tapped a button
+   * @returns {Promise<{handled: boolean, response: string}|null>} null if no confirmation is pending
+   */
+  async handleOrderConfirmation(businessId, userPhone, userMessage, reply = null) {
+    const pending = await this.getPendingOrder(businessId, userPhone);
+    if (!pending) {
+      return null;
+    }
+
+    const answer = (userMessage || "").toLowerCase().trim();
+    const confirmed = reply?.id === REPLY_IDS.CONFIRM_ORDER || ["yes", "y", "confirm"].includes(answer);
+    const cancelled = reply?.id === REPLY_IDS.CANCEL_ORDER || ["no", "n", "cancel"].includes(answer);
+
+    if (!confirmed && !cancelled) {
+      return null; // Unrelated message - keep the order pending
+    }
 
-      const saleOrderData = {
-        partner_id: customerId,
+    await ConversationStateService.clear(businessId, userPhone, "odoo_order_confirmation");
+
+    if (cancelled) {
+      return { handled: true, response: "No problem, the order was not placed. Let me know if you need anything else." };
+    }
+
+    try {
+      const result = await OdooService.createSaleOrder(businessId, {
+        partner_id: pending.customerId,
         order_lines: [
           {
-            product_id: orderData.product_id,
-            quantity: quantity,
-            price_unit: orderData.price_unit,
+            product_id: pending.productId,
+            quantity: pending.quantity,
+            price_unit: pending.priceUnit,
           },
         ],
-      };
-
-      const result = await OdooService.createSaleOrder(businessId, saleOrderData);
+      });
 
       if (result.success) {
-        const total = (orderData.price_unit * quantity).toFixed(2);
-        return {
-          handled: true,
-          response: `✅ Sale order created successfully!\n\n*Customer:* ${customerName}\n*Product:* ${orderData.product_display_name}\n*Quantity:* ${quantity}\n*Unit Price:* $${orderData.price_unit}\n*Total:* $${total}\n*Order ID:* ${result.id}`,
-        };
-      } else {
+        const total = (pending.priceUnit * pending.quantity).toFixed(2);
         return {
           handled: true,
-          response: `I encountered an error creating the order: ${result.error || "Unknown error"}`,
+          response: `✅ Sale order created successfully!\n\n*Customer:* ${pending.customerName}\n*Product:* ${pending.productName}\n*Quantity:* ${pending.quantity}\n*Unit Price:* $${pending.priceUnit}\n*Total:* $${total}\n*Order ID:* ${result.id}`,
         };
       }
+
+      return {
+        handled: true,
+        response: `I encountered an error creating the order: ${result.error || "Unknown error"}`,
+      };
     } catch (error) {
-      console.error("Error handling order creation:", error);
-      const errorMsg = error.message || "Unknown error";
+      console.error("Error creating confirmed order:", error);
       return {
         handled: true,
-        response: `I couldn't create the order. Error: ${errorMsg}\n\n💡 Please ensure:\n• The product exists (say "show products" to see available items)\n• Your customer information is correct\n• The Odoo Sales module is installed`,
+        response: `I couldn't create the order. Error: ${error.message || "Unknown error"}`,
       };
     }
   }
@@ -401,7 +485,7 @@ If any field is not mentioned, use empty string for text fields and 1 for quanti
   /**
    * Handle order status check
    */
-  async handleOrderStatus(businessId, userMessage, businessTone) {
+  async handleOrderStatus(businessId, userPhone, userMessage, businessTone) {
     try {
       // Extract order ID using AI
       const extractionPrompt = `Extract the order ID or order number from this message: "${userMessage}".
@@ -411,6 +495,7 @@ Return only the numeric ID. If not found, return "0".`;
       const orderId = parseInt(orderIdStr);
 
       if (!orderId || orderId === 0) {
+        await ConversationStateService.start(businessId, userPhone, "odoo_order_status", { missingSlots: ["order_id"] });
         return {
           handled: true,
           response:
@@ -418,6 +503,7 @@ Return only the numeric ID. If not found, return "0".`;
         };
       }
 
+      await ConversationStateService.clear(businessId, userPhone, "odoo_order_status");
       const result = await OdooService.getOrderStatus(businessId, orderId);
 
       if (!result.success) {
@@ -454,7 +540,7 @@ Return only the numeric ID. If not found, return "0".`;
   /**
    * Handle order cancellation
    */
-  async handleOrderCancel(businessId, userMessage, businessTone) {
+  async handleOrderCancel(businessId, userPhone, userMessage, businessTone) {
     try {
       // Extract order ID using AI
       const extractionPrompt = `Extract the order ID or order number from this message: "${userMessage}".
@@ -464,12 +550,14 @@ Return only the numeric ID. If not found, return "0".`;
       const orderId = parseInt(orderIdStr);
 
       if (!orderId || orderId === 0) {
+        await ConversationStateService.start(businessId, userPhone, "odoo_order_cancel", { missingSlots: ["order_id"] });
         return {
           handled: true,
           response: "Please provide an order ID to cancel.\n\nExample: Cancel order 123",
         };
       }
 
+      await ConversationStateService.clear(businessId, userPhone, "odoo_order_cancel");
       const result = await OdooService.cancelOrder(businessId, orderId);
 
       if (result.success) {
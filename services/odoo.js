@@ -1,5 +1,6 @@
 const axios = require("axios");
 const pool = require("../config/database");
+const EncryptionService = require("./encryption");
 
 class OdooService {
   constructor() {
@@ -21,7 +22,7 @@ class OdooService {
         updated_at = CURRENT_TIMESTAMP
       RETURNING id;
     `;
-    const values = [data.business_id, data.url, data.database, data.username, data.password];
+    const values = [data.business_id, data.url, data.database, data.username, EncryptionService.encrypt(data.password)];
     const result = await pool.query(query, values);
     return result.rows[0];
   }
@@ -34,7 +35,7 @@ class OdooService {
       LIMIT 1
     `;
     const result = await pool.query(query, [businessId]);
-    return result.rows[0] || null;
+    return EncryptionService.decryptRow("odoo_integrations", result.rows[0]) || null;
   }
 
   async removeIntegration(businessId) {
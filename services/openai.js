@@ -1,5 +1,4 @@
 require("dotenv").config();
-const { OpenAI } = require("openai");
 const fs = require("fs-extra");
 const path = require("path");
 const ffmpeg = require("fluent-ffmpeg");
@@ -9,16 +8,16 @@ const EmbeddingsService = require("./embeddings");
 const IntentDetectionService = require("./intent-detection");
 const HubSpotService = require("./hubspot");
 const ShopifyService = require("./shopify");
+const ConversationStateService = require("./conversation-state");
+const LLMService = require("./llm");
+const KnowledgeBaseService = require("./knowledge-base");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Slots a flow needs before it can run
+const EMAIL_SLOTS = ["subject", "body"];
+const LEAD_SLOTS = ["name", "contact_name", "email", "phone", "description"];
 
 class OpenAIService {
   constructor() {
-    this.model = "gpt-4";
-    this.chatModel = "gpt-4";
-    this.visionModel = "gpt-4o";
     this.embeddingsService = EmbeddingsService;
     this.intentDetectionService = IntentDetectionService;
   }
@@ -35,6 +34,8 @@ class OpenAIService {
       if (businessId) {
         try {
           aiIntent = await this.intentDetectionService.detectIntent(latestMessage.content, businessId);
+          // An unfinished flow (e.g. an email missing its subject) claims the answer unless a new intent interrupts it
+          aiIntent = await ConversationStateService.resolveIntent(businessId, phoneNumber, aiIntent);
         } catch (error) {
           console.error("Error in intent detection:", error.message);
           aiIntent = null;
@@ -54,7 +55,7 @@ class OpenAIService {
       }
 
       // Fallback to general chat completion
-      return await this.generateGeneralResponse(messages, conversationHistory, businessTone);
+      return await this.generateGeneralResponse(messages, conversationHistory, businessTone, businessId);
     } catch (error) {
       console.error("OpenAI chat completion error:", error.message);
       return "I apologize, but I am experiencing technical difficulties. Please try again later.";
@@ -70,7 +71,13 @@ class OpenAIService {
         case "faq":
           return await this.handleFAQIntent(businessId, latestMessage.content, conversationHistory, businessTone);
         case "gmail_send":
-          return await this.handleGmailSendIntent(businessId, latestMessage.content, conversationHistory, businessTone);
+          return await this.handleGmailSendIntent(
+            businessId,
+            latestMessage.content,
+            conversationHistory,
+            businessTone,
+            phoneNumber
+          );
         case "calendar_create":
         case "appointment": // Handle both calendar_create and APPOINTMENT intents
           return await this.handleCalendarCreateIntent(
@@ -177,7 +184,8 @@ class OpenAIService {
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_invoice_create":
           return await this.handleOdooInvoiceCreateIntent(
@@ -198,21 +206,24 @@ class OpenAIService {
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_order_status":
           return await this.handleOdooOrderStatusIntent(
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_order_cancel":
           return await this.handleOdooOrderCancelIntent(
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         // Shopify intents
         case "shopify_product_search":
@@ -255,20 +266,20 @@ class OpenAIService {
             phoneNumber
           );
         default:
-          return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone);
+          return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone, businessId);
       }
     } catch (error) {
       console.error("Error handling detected intent:", error.message);
-      return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone);
+      return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone, businessId);
     }
   }
 
   /**
-   * Generate general response using OpenAI
+   * Generate general response with the business's chat model, grounded in the knowledge base
+   * chunks closest to the customer's message (cited sources are listed under the reply)
    */
-  async generateGeneralResponse(messages, conversationHistory = [], businessTone = null) {
+  async generateGeneralResponse(messages, conversationHistory = [], businessTone = null, businessId = null) {
     try {
-      const systemPrompt = this.buildSystemPrompt(businessTone);
 
       // Format conversation history properly for AI service
       const formattedHistory = conversationHistory
@@ -291,22 +302,36 @@ class OpenAIService {
         })
         .filter((msg) => msg.content && msg.content.trim().length > 0);
 
+      const knowledge = await this.searchKnowledgeBase(businessId, formattedMessages);
+      const systemPrompt = this.buildSystemPrompt(businessTone) + KnowledgeBaseService.buildPromptSection(knowledge);
       const allMessages = [{ role: "system", content: systemPrompt }, ...formattedHistory, ...formattedMessages];
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: allMessages,
-        temperature: 0.7,
-        max_tokens: 500,
-      });
+      const response = await LLMService.chat(allMessages, { businessId, temperature: 0.7, maxTokens: 500 });
 
-      return response.choices[0].message.content.trim();
+      return KnowledgeBaseService.appendCitations(response.content.trim(), knowledge);
     } catch (error) {
       console.error("Error generating general response:", error.message);
       return "I apologize, but I'm having trouble processing your request right now. Please try again.";
     }
   }
 
+  /**
+   * Knowledge base chunks for the latest user message (none when the search fails)
+   */
+  async searchKnowledgeBase(businessId, formattedMessages) {
+    const latest = [...formattedMessages].reverse().find((msg) => msg.role === "user");
+    if (!businessId || !latest || typeof latest.content !== "string") {
+      return [];
+    }
+
+    try {
+      return await KnowledgeBaseService.search(businessId, latest.content);
+    } catch (error) {
+      console.error("Error searching knowledge base:", error.message);
+      return [];
+    }
+  }
+
   /**
    * Build system prompt with business tone
    */
@@ -324,45 +349,64 @@ class OpenAIService {
   /**
    * Analyze image with context
    */
-  async analyzeImage(imagePath, userMessage = "", businessTone = null) {
+  async analyzeImage(imagePath, userMessage = "", businessTone = null, businessId = null) {
     try {
       if (!fs.existsSync(imagePath)) {
         throw new Error(`Image file not found: ${imagePath}`);
       }
 
-      const imageBuffer = fs.readFileSync(imagePath);
-      const base64Image = imageBuffer.toString("base64");
-
       const prompt = userMessage || "Please analyze this image and provide a helpful description.";
       const systemPrompt = this.buildSystemPrompt(businessTone);
 
-      const response = await openai.chat.completions.create({
-        model: this.visionModel,
-        messages: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 500,
-      });
+      const response = await LLMService.vision(imagePath, prompt, { businessId, systemPrompt, maxTokens: 500 });
 
-      return response.choices[0].message.content.trim();
+      return response.content.trim();
     } catch (error) {
       console.error("Error analyzing image:", error.message);
       return "I apologize, but I could not analyze the image. Please try again or provide more details.";
     }
   }
 
+  /**
+   * Summarize a document the customer sent, or answer their question about it
+   * @param {string} documentText - Extracted text
+   * @param {string} question - The document's caption (empty to summarize)
+   * @param {Object} options
+   * @param {boolean} options.truncated - documentText is only the beginning of the document
+   */
+  async analyzeDocument(
+    documentText,
+    question = "",
+    businessTone = null,
+    businessId = null,
+    { fileName = null, truncated = false } = {}
+  ) {
+    try {
+      const systemPrompt =
+        this.buildSystemPrompt(businessTone) +
+        `\n\nThe customer sent a document${fileName ? ` ("${fileName}")` : ""}. Its text is below` +
+        (truncated ? " (only the beginning: the document is too long to read in full)" : "") +
+        ". Base your answer on it, and say so when it doesn't contain the answer. Keep it short enough for WhatsApp." +
+        `\n\n---\n${documentText}\n---`;
+      const prompt =
+        question ||
+        "Summarize this document in a few short points: what it is, its key facts and figures, and anything I need to act on.";
+
+      const response = await LLMService.chat(
+        [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: prompt },
+        ],
+        { businessId, temperature: 0.3, maxTokens: 600 }
+      );
+
+      return response.content.trim();
+    } catch (error) {
+      console.error("Error analyzing document:", error.message);
+      return "I apologize, but I could not read the document. Please try again or tell me what you need from it.";
+    }
+  }
+
   /**
    * Check if ffmpeg is available on the system
    */
@@ -383,7 +427,7 @@ class OpenAIService {
   /**
    * Transcribe audio file with fallback handling
    */
-  async transcribeAudio(audioPath) {
+  async transcribeAudio(audioPath, businessId = null) {
     try {
       console.log(`[DEBUG] Starting audio transcription for: ${audioPath}`);
 
@@ -414,11 +458,7 @@ class OpenAIService {
         await this.convertAudioToWav(audioPath, wavPath);
 
         // Use the converted WAV file for transcription
-        const audioFile = fs.createReadStream(wavPath);
-        const response = await openai.audio.transcriptions.create({
-          file: audioFile,
-          model: "whisper-1",
-        });
+        const response = await LLMService.transcribe(wavPath, { businessId });
 
         // Clean up the temporary WAV file
         fs.unlinkSync(wavPath);
@@ -427,11 +467,7 @@ class OpenAIService {
         return response.text;
       } else {
         console.log(`[DEBUG] Supported format ${fileExtension}, proceeding with transcription...`);
-        const audioFile = fs.createReadStream(audioPath);
-        const response = await openai.audio.transcriptions.create({
-          file: audioFile,
-          model: "whisper-1",
-        });
+        const response = await LLMService.transcribe(audioPath, { businessId });
 
         console.log(`[DEBUG] Transcription successful: ${response.text}`);
         return response.text;
@@ -443,8 +479,58 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Transcribe the audio track of a video, extracted with ffmpeg
+   * @returns {Promise<string>} The transcript, or "" if the video has no audio track
+   */
+  async transcribeVideo(videoPath, businessId = null) {
+    const wavPath = videoPath.replace(path.extname(videoPath), ".wav");
+
+    try {
+      await this.convertAudioToWav(videoPath, wavPath);
+    } catch (error) {
+      // ffmpeg finds nothing to convert in silent videos
+      if (/does not contain any stream|matches no streams/i.test(error.message)) {
+        console.log(`[DEBUG] Video has no audio track: ${videoPath}`);
+        return "";
+      }
+      throw error;
+    }
+
+    try {
+      const response = await LLMService.transcribe(wavPath, { businessId });
+      console.log(`[DEBUG] Video transcription successful: ${response.text}`);
+      return response.text;
+    } finally {
+      await fs.remove(wavPath);
+    }
+  }
+
   // Add this helper method for audio conversion using fluent-ffmpeg
   async convertAudioToWav(inputPath, outputPath) {
+    return this.convertAudio(inputPath, outputPath, (command) =>
+      command
+        .audioFrequency(16000) // Set sample rate to 16kHz (optimal for Whisper)
+        .audioChannels(1) // Convert to mono
+        .audioCodec("pcm_s16le") // Use PCM 16-bit little-endian (WAV format)
+        .format("wav")
+    );
+  }
+
+  /**
+   * Convert audio to OGG/Opus, the format WhatsApp plays as a voice note
+   */
+  async convertAudioToOpus(inputPath, outputPath) {
+    return this.convertAudio(inputPath, outputPath, (command) =>
+      command.noVideo().audioFrequency(48000).audioChannels(1).audioCodec("libopus").audioBitrate("32k").format("ogg")
+    );
+  }
+
+  /**
+   * Run ffmpeg on an audio (or video) file
+   * @param {Function} configure - Sets the output options of the fluent-ffmpeg command
+   */
+  async convertAudio(inputPath, outputPath, configure) {
     return new Promise((resolve, reject) => {
       // Check if ffmpeg is available
       ffmpeg.getAvailableFormats((err, formats) => {
@@ -461,11 +547,7 @@ class OpenAIService {
         // Set ffmpeg path if needed (uncomment and modify if ffmpeg is not in PATH)
         // ffmpeg.setFfmpegPath('/usr/bin/ffmpeg');
 
-        ffmpeg(inputPath)
-          .audioFrequency(16000) // Set sample rate to 16kHz (optimal for Whisper)
-          .audioChannels(1) // Convert to mono
-          .audioCodec("pcm_s16le") // Use PCM 16-bit little-endian (WAV format)
-          .format("wav")
+        configure(ffmpeg(inputPath))
           .on("start", (commandLine) => {
             console.log(`[DEBUG] FFmpeg command: ${commandLine}`);
           })
@@ -500,29 +582,38 @@ class OpenAIService {
     filePath = null,
     conversationHistory = [],
     businessTone = null,
-    businessId = null
+    businessId = null,
+    phoneNumber = null
   ) {
     try {
       switch (messageType) {
         case "text":
-          return await this.chatCompletion([{ role: "user", content }], conversationHistory, businessTone, businessId);
+        case "interactive": // Button/list replies carry the tapped title as text
+          return await this.chatCompletion(
+            [{ role: "user", content }],
+            conversationHistory,
+            businessTone,
+            businessId,
+            phoneNumber
+          );
 
         case "image":
           if (!filePath) {
             throw new Error("Image file path is required for image analysis");
           }
-          return await this.analyzeImage(filePath, content, businessTone);
+          return await this.analyzeImage(filePath, content, businessTone, businessId);
 
         case "audio":
           if (!filePath) {
             throw new Error("Audio file path is required for transcription");
           }
-          const transcription = await this.transcribeAudio(filePath);
+          const transcription = await this.transcribeAudio(filePath, businessId);
           return await this.chatCompletion(
             [{ role: "user", content: transcription }],
             conversationHistory,
             businessTone,
-            businessId
+            businessId,
+            phoneNumber
           );
 
         default:
@@ -618,11 +709,11 @@ class OpenAIService {
   /**
    * Detect FAQ intent with embeddings (legacy compatibility)
    */
-  async detectFAQIntentWithEmbeddings(message) {
+  async detectFAQIntentWithEmbeddings(message, businessId = null) {
     try {
       // Use the proper intent detection service instead of the broken embeddings method
       const IntentDetectionService = require("./intent-detection");
-      const result = await IntentDetectionService.detectIntent(message);
+      const result = await IntentDetectionService.detectIntent(message, businessId);
 
       return {
         isFAQ: result && result.intent && result.intent.toLowerCase() === "faq" && result.confidence >= 0.7,
@@ -644,7 +735,8 @@ class OpenAIService {
     filePath = null,
     conversationHistory = [],
     businessTone = null,
-    businessId = null
+    businessId = null,
+    phoneNumber = null
   ) {
     try {
       if (messageType === "text" && content) {
@@ -654,10 +746,26 @@ class OpenAIService {
         }
       }
 
-      return await this.processMessage(messageType, content, filePath, conversationHistory, businessTone, businessId);
+      return await this.processMessage(
+        messageType,
+        content,
+        filePath,
+        conversationHistory,
+        businessTone,
+        businessId,
+        phoneNumber
+      );
     } catch (error) {
       console.error("Error in enhanced message processing:", error.message);
-      return await this.processMessage(messageType, content, filePath, conversationHistory, businessTone, businessId);
+      return await this.processMessage(
+        messageType,
+        content,
+        filePath,
+        conversationHistory,
+        businessTone,
+        businessId,
+        phoneNumber
+      );
     }
   }
 
@@ -778,28 +886,29 @@ class OpenAIService {
       return await this.generateGeneralResponse(
         [{ role: "user", content: message }],
         conversationHistory,
-        businessTone
+        businessTone,
+        businessId
       );
     } catch (error) {
       console.error("Error handling FAQ intent:", error.message);
       return await this.generateGeneralResponse(
         [{ role: "user", content: message }],
         conversationHistory,
-        businessTone
+        businessTone,
+        businessId
       );
     }
   }
 
   // Gmail intent handlers
-  async handleGmailSendIntent(businessId, message, conversationHistory, businessTone) {
+  async handleGmailSendIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[GMAIL_SEND] Processing Gmail send request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous incomplete email request
-      const isFollowUp = this.isEmailFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleEmailFollowUp(businessId, message, conversationHistory, businessTone);
+      // Answer to a previous incomplete email request
+      const state = await ConversationStateService.get(businessId, phoneNumber);
+      if (ConversationStateService.isInFlow(state, "gmail_send")) {
+        return await this.handleEmailFollowUp(businessId, message, state, phoneNumber);
       }
 
       // Extract email details from the message using AI
@@ -820,16 +929,15 @@ Return JSON with this structure:
 Required fields: subject, body
 Note: Email will be sent TO the business owner FROM the integrated Google Workspace account.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: emailPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: emailPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 300,
+        maxTokens: 300,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         console.log("AI response for email analysis:", responseContent);
 
         // Try to extract JSON from the response if it's wrapped in text
@@ -839,7 +947,7 @@ Note: Email will be sent TO the business owner FROM the integrated Google Worksp
         analysis = JSON.parse(jsonString);
       } catch (parseError) {
         console.error("Error parsing email analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
+        console.log("Raw AI response:", response.content);
 
         // Fallback: manually analyze the message for common patterns
         analysis = this.manualEmailAnalysis(message);
@@ -851,7 +959,11 @@ Note: Email will be sent TO the business owner FROM the integrated Google Worksp
         // All information provided, send the email
         return await this.sendCompleteEmail(businessId, analysis, message);
       } else {
-        // Missing information, ask for it
+        // Missing information, ask for it and remember what we have
+        await ConversationStateService.start(businessId, phoneNumber, "gmail_send", {
+          slots: { subject: analysis.subject, body: analysis.body },
+          missingSlots: analysis.missing_fields || [],
+        });
         return await this.askForMissingEmailInfo(analysis, message);
       }
     } catch (error) {
@@ -860,75 +972,71 @@ Note: Email will be sent TO the business owner FROM the integrated Google Worksp
     }
   }
 
-  isEmailFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in an email sending flow
-    const recentMessages = conversationHistory.slice(-5);
-
-    // Check if bot recently asked for email details
-    const botAskedForEmail = recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What should the email subject be") ||
-          msg.content.includes("What should the email content be") ||
-          msg.content.includes("email subject") ||
-          msg.content.includes("email content") ||
-          msg.content.includes("email details") ||
-          msg.content.includes("To send your email, I need"))
-    );
-
-    // Check if current message looks like email details (Subject: ... Message: ...)
-    const messageHasEmailFormat =
-      message &&
-      (/subject\s*:\s*.+/i.test(message) ||
-        /message\s*:\s*.+/i.test(message) ||
-        (message.toLowerCase().includes("subject") && message.toLowerCase().includes("message")));
+  /**
+   * Ask GPT which of a flow's missing fields the latest message provides
+   * @param {number} businessId - Business whose chat model to use
+   * @param {string} task - What the user is doing, e.g. "sending an email"
+   * @param {Object} state - Active conversation state
+   * @param {string} message - Latest message
+   * @param {Object} fields - Expected JSON shape (field name => description)
+   * @returns {Promise<Object|null>} Extracted fields, or null if the answer could not be parsed
+   */
+  async extractFollowUpSlots(businessId, task, state, message, fields) {
+    const prompt = `The user is ${task} and was asked for the missing details.
 
-    return botAskedForEmail || messageHasEmailFormat;
-  }
+Collected so far: ${JSON.stringify(state.slots)}
+Still missing: ${state.missing_slots.join(", ")}
 
-  async handleEmailFollowUp(businessId, message, conversationHistory, businessTone) {
-    try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to send an email:
+Latest message: "${message}"
 
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
+Return JSON with only the details the latest message provides (null for anything it does not provide):
+${JSON.stringify(fields, null, 2)}`;
 
-Latest message: "${message}"
+    const response = await LLMService.chat([{ role: "user", content: prompt }], {
+      businessId,
+      temperature: 0.1,
+      maxTokens: 300,
+    });
 
-Return JSON:
-{
-  "has_all_info": true/false,
-  "subject": "email subject if provided",
-  "body": "email content if provided",
-  "missing": ["any still missing fields"]
-}`;
+    try {
+      const responseContent = response.content.trim();
+      const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
+      const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
+      return JSON.parse(jsonString);
+    } catch (parseError) {
+      console.error(`Error parsing ${state.flow} follow-up:`, parseError.message);
+      return null;
+    }
+  }
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+  async handleEmailFollowUp(businessId, message, state, phoneNumber) {
+    try {
+      let extracted = await this.extractFollowUpSlots(businessId, "sending an email", state, message, {
+        subject: "email subject",
+        body: "email content",
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        return "I'm having trouble understanding your email details. Could you please provide:\n� Email subject\n� Email message content";
+      if (!extracted) {
+        // A bare answer to a single question is the missing field itself
+        extracted =
+          state.missing_slots.length === 1 ? { [state.missing_slots[0]]: message } : this.manualEmailAnalysis(message);
       }
 
-      if (followUpAnalysis.has_all_info) {
+      const slots = ConversationStateService.mergeSlots(state.slots, {
+        subject: extracted.subject,
+        body: extracted.body,
+      });
+      const missing = ConversationStateService.getMissingSlots(slots, EMAIL_SLOTS);
+
+      if (missing.length === 0) {
         // We have all the information, send the email
-        return await this.sendCompleteEmail(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingEmailInfo(followUpAnalysis, message);
+        await ConversationStateService.clear(businessId, phoneNumber, "gmail_send");
+        return await this.sendCompleteEmail(businessId, slots, message);
       }
+
+      // Still missing information
+      await ConversationStateService.update(businessId, phoneNumber, "gmail_send", { slots, missingSlots: missing });
+      return this.askForMissingEmailInfo({ ...slots, missing_fields: missing }, message);
     } catch (error) {
       console.error("Error handling email follow-up:", error.message);
       return "I'm having trouble processing your email. Please provide:\n� Email subject\n� Email message content";
@@ -1107,9 +1215,8 @@ Please check your email configuration or try again.`;
   
   Do not include any explanation or additional text, only the JSON.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [
+      const response = await LLMService.chat(
+        [
           {
             role: "system",
             content:
@@ -1117,13 +1224,12 @@ Please check your email configuration or try again.`;
           },
           { role: "user", content: eventPrompt },
         ],
-        temperature: 0.1,
-        max_tokens: 300,
-      });
+        { businessId, temperature: 0.1, maxTokens: 300 }
+      );
 
       let eventData;
       try {
-        const aiResponse = response.choices[0].message.content.trim();
+        const aiResponse = response.content.trim();
         console.log(`[CALENDAR_CREATE] AI Response: ${aiResponse}`);
 
         // Try to extract JSON if it's wrapped in other text
@@ -1133,7 +1239,7 @@ Please check your email configuration or try again.`;
         eventData = JSON.parse(jsonString);
       } catch (parseError) {
         console.error(`[CALENDAR_CREATE] JSON Parse Error: ${parseError.message}`);
-        console.error(`[CALENDAR_CREATE] Raw AI Response: ${response.choices[0].message.content}`);
+        console.error(`[CALENDAR_CREATE] Raw AI Response: ${response.content}`);
         throw new Error("Failed to parse event data from message");
       }
 
@@ -1218,14 +1324,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: updatePrompt }],
+      const response = await LLMService.chat([{ role: "user", content: updatePrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const updateData = JSON.parse(response.choices[0].message.content);
+      const updateData = JSON.parse(response.content);
 
       // Update calendar event using Google Service
       const result = await GoogleService.updateCalendarEvent(businessId, updateData.eventId, updateData);
@@ -1254,14 +1359,13 @@ Please check your email configuration or try again.`;
       
       If eventId is not provided, we'll search by title.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: deletePrompt }],
+      const response = await LLMService.chat([{ role: "user", content: deletePrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 100,
+        maxTokens: 100,
       });
 
-      const deleteData = JSON.parse(response.choices[0].message.content);
+      const deleteData = JSON.parse(response.content);
 
       // Delete calendar event using Google Service
       const result = await GoogleService.deleteCalendarEvent(businessId, deleteData.eventId || deleteData.title);
@@ -1296,14 +1400,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contactPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: contactPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const contactData = JSON.parse(response.choices[0].message.content);
+      const contactData = JSON.parse(response.content);
 
       // Create contact using HubSpot Service
       const result = await HubSpotService.createContact(businessId, contactData);
@@ -1333,14 +1436,13 @@ Please check your email configuration or try again.`;
       
       If searchTerm is not provided, use "all" to get recent contacts.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: searchPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: searchPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 100,
+        maxTokens: 100,
       });
 
-      const searchData = JSON.parse(response.choices[0].message.content);
+      const searchData = JSON.parse(response.content);
 
       // Search contacts using HubSpot Service
       const result = await HubSpotService.searchContacts(businessId, searchData.searchTerm);
@@ -1392,14 +1494,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: dealPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: dealPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const dealData = JSON.parse(response.choices[0].message.content);
+      const dealData = JSON.parse(response.content);
 
       // Create deal using HubSpot Service
       const result = await HubSpotService.createDeal(businessId, dealData);
@@ -1447,14 +1548,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: companyPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: companyPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const companyData = JSON.parse(response.choices[0].message.content);
+      const companyData = JSON.parse(response.content);
 
       // Create company using HubSpot Service
       const result = await HubSpotService.createCompany(businessId, companyData);
@@ -1503,14 +1603,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: customerPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: customerPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const customerData = JSON.parse(response.choices[0].message.content);
+      const customerData = JSON.parse(response.content);
 
       // Create customer using Odoo Service
       const result = await OdooService.createCustomer(businessId, customerData);
@@ -1540,14 +1639,13 @@ Please check your email configuration or try again.`;
       
       If searchTerm is not provided, use "all" to get recent customers.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: searchPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: searchPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 100,
+        maxTokens: 100,
       });
 
-      const searchData = JSON.parse(response.choices[0].message.content);
+      const searchData = JSON.parse(response.content);
 
       // Search customers using Odoo Service
       const result = await OdooService.searchCustomers(businessId, searchData.searchTerm);
@@ -1585,14 +1683,13 @@ Please check your email configuration or try again.`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: productPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: productPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
-      const productData = JSON.parse(response.choices[0].message.content);
+      const productData = JSON.parse(response.content);
 
       // Create product using Odoo Service
       const result = await OdooService.createProduct(businessId, productData);
@@ -1608,17 +1705,16 @@ Please check your email configuration or try again.`;
     }
   }
 
-  async handleOdooSaleOrderCreateIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooSaleOrderCreateIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(
         `[ODOO_SALE_ORDER_CREATE] Processing Odoo sale order create request for business ${businessId}: ${message}`
       );
 
-      // Check if this is a follow-up to a previous incomplete order request
-      const isFollowUp = this.isOrderFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderFollowUp(businessId, message, conversationHistory, businessTone);
+      // Answer to a previous incomplete order request
+      const state = await ConversationStateService.get(businessId, phoneNumber);
+      if (ConversationStateService.isInFlow(state, "odoo_sale_order_create")) {
+        return await this.handleOrderFollowUp(businessId, message, state, phoneNumber);
       }
 
       // Extract order details from the message using AI
@@ -1639,16 +1735,15 @@ Return JSON with this exact structure:
 
 Analyze the message and return the appropriate JSON. Required fields: customer, products, quantities.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: orderPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 300,
+        maxTokens: 300,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         console.log("AI response for order analysis:", responseContent);
 
         // Try to extract JSON from the response if it's wrapped in text
@@ -1658,7 +1753,7 @@ Analyze the message and return the appropriate JSON. Required fields: customer,
         analysis = JSON.parse(jsonString);
       } catch (parseError) {
         console.error("Error parsing order analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
+        console.log("Raw AI response:", response.content);
 
         // Fallback: manually analyze the message for common patterns
         analysis = this.manualOrderAnalysis(message);
@@ -1670,7 +1765,11 @@ Analyze the message and return the appropriate JSON. Required fields: customer,
         // All information provided, create the order
         return await this.createCompleteOrder(businessId, analysis, message);
       } else {
-        // Missing information, ask for it
+        // Missing information, ask for it and remember what we have
+        await ConversationStateService.start(businessId, phoneNumber, "odoo_sale_order_create", {
+          slots: { customer_info: analysis.customer_info, products: analysis.products },
+          missingSlots: analysis.missing_fields || [],
+        });
         return await this.askForMissingOrderInfo(analysis, message);
       }
     } catch (error) {
@@ -1679,62 +1778,46 @@ Analyze the message and return the appropriate JSON. Required fields: customer,
     }
   }
 
-  isOrderFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in an order creation flow
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What customer") ||
-          msg.content.includes("What product") ||
-          msg.content.includes("How many") ||
-          msg.content.includes("order details"))
-    );
+  getMissingOrderFields(slots) {
+    const missing = [];
+    if (!slots.customer_info) missing.push("customer");
+    if (!slots.products || slots.products.length === 0) {
+      missing.push("products");
+    } else if (slots.products.some((product) => !product.quantity)) {
+      missing.push("quantities");
+    }
+    return missing;
   }
 
-  async handleOrderFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderFollowUp(businessId, message, state, phoneNumber) {
     try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to create an order:
-
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
-
-Latest message: "${message}"
-
-Return JSON:
-{
-  "has_all_info": true/false,
-  "customer": "customer name if provided",
-  "products": [{"name": "product", "quantity": number}],
-  "missing": ["any still missing fields"]
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extracted = await this.extractFollowUpSlots(businessId, "creating a sales order", state, message, {
+        customer_info: "customer name",
+        products: [{ name: "product", quantity: "number" }],
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
+      if (!extracted) {
         return "I'm having trouble understanding your order details. Could you please provide:\n� Customer name\n� Product name\n� Quantity";
       }
 
-      if (followUpAnalysis.has_all_info) {
+      const slots = ConversationStateService.mergeSlots(state.slots, {
+        customer_info: extracted.customer_info,
+        products: extracted.products,
+      });
+      const missing = this.getMissingOrderFields(slots);
+
+      if (missing.length === 0) {
         // We have all the information, create the order
-        return await this.createCompleteOrder(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingOrderInfo(followUpAnalysis, message);
+        await ConversationStateService.clear(businessId, phoneNumber, "odoo_sale_order_create");
+        return await this.createCompleteOrder(businessId, slots, message);
       }
+
+      // Still missing information
+      await ConversationStateService.update(businessId, phoneNumber, "odoo_sale_order_create", {
+        slots,
+        missingSlots: missing,
+      });
+      return this.askForMissingOrderInfo({ ...slots, missing_fields: missing }, message);
     } catch (error) {
       console.error("Error handling order follow-up:", error.message);
       return "I'm having trouble processing your order. Please provide:\n� Customer name\n� Product name\n� Quantity";
@@ -1853,14 +1936,13 @@ Your order has been created in Odoo and is ready for processing! ??`;
       
       If any field is missing, use reasonable defaults.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: invoicePrompt }],
+      const response = await LLMService.chat([{ role: "user", content: invoicePrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 300,
+        maxTokens: 300,
       });
 
-      const invoiceData = JSON.parse(response.choices[0].message.content);
+      const invoiceData = JSON.parse(response.content);
 
       // Create invoice using Odoo Service
       const result = await OdooService.createInvoice(businessId, invoiceData);
@@ -1902,15 +1984,14 @@ Your order has been created in Odoo and is ready for processing! ??`;
     }
   }
 
-  async handleOdooLeadCreateIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooLeadCreateIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_LEAD_CREATE] Processing Odoo lead create request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous incomplete lead request
-      const isFollowUp = this.isLeadFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleLeadFollowUp(businessId, message, conversationHistory, businessTone);
+      // Answer to a previous incomplete lead request
+      const state = await ConversationStateService.get(businessId, phoneNumber);
+      if (ConversationStateService.isInFlow(state, "odoo_lead_create")) {
+        return await this.handleLeadFollowUp(businessId, message, state, phoneNumber);
       }
 
       // Extract lead details from the message using AI
@@ -1958,16 +2039,15 @@ Output: {
   "missing_fields": []
 }`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: leadPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: leadPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 300,
+        maxTokens: 300,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         console.log("AI response for lead analysis:", responseContent);
 
         // Try to extract JSON from the response if it's wrapped in text
@@ -1977,7 +2057,7 @@ Output: {
         analysis = JSON.parse(jsonString);
       } catch (parseError) {
         console.error("Error parsing lead analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
+        console.log("Raw AI response:", response.content);
 
         // Fallback: manually analyze the message for common patterns
         analysis = this.manualLeadAnalysis(message);
@@ -1989,7 +2069,11 @@ Output: {
         // All information provided, create the lead
         return await this.createCompleteLead(businessId, analysis, message);
       } else {
-        // Missing information, ask for it
+        // Missing information, ask for it and remember what we have
+        await ConversationStateService.start(businessId, phoneNumber, "odoo_lead_create", {
+          slots: Object.fromEntries(LEAD_SLOTS.map((slot) => [slot, analysis[slot]])),
+          missingSlots: analysis.missing_fields || [],
+        });
         return await this.askForMissingLeadInfo(analysis, message);
       }
     } catch (error) {
@@ -1998,67 +2082,37 @@ Output: {
     }
   }
 
-  isLeadFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in a lead creation flow
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What is the lead name") ||
-          msg.content.includes("What is the contact name") ||
-          msg.content.includes("What is the email") ||
-          msg.content.includes("What is the phone") ||
-          msg.content.includes("lead details") ||
-          msg.content.includes("contact information"))
-    );
-  }
-
-  async handleLeadFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleLeadFollowUp(businessId, message, state, phoneNumber) {
     try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to create a lead:
-
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
-
-Latest message: "${message}"
-
-Return JSON:
-{
-  "has_all_info": true/false,
-  "name": "lead name if provided",
-  "contact_name": "contact name if provided",
-  "email": "contact email if provided",
-  "phone": "contact phone if provided",
-  "description": "lead description if provided",
-  "missing": ["any still missing fields"]
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      let extracted = await this.extractFollowUpSlots(businessId, "creating a sales lead", state, message, {
+        name: "lead name",
+        contact_name: "contact name",
+        email: "contact email",
+        phone: "contact phone",
+        description: "lead description",
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        return "I'm having trouble understanding your lead details. Could you please provide:\n� Lead name\n� Contact name\n� Email\n� Phone\n� Description";
+      if (!extracted) {
+        // A bare answer to a single question is the missing field itself
+        extracted =
+          state.missing_slots.length === 1 ? { [state.missing_slots[0]]: message } : this.manualLeadAnalysis(message);
       }
 
-      if (followUpAnalysis.has_all_info) {
+      const slots = ConversationStateService.mergeSlots(
+        state.slots,
+        Object.fromEntries(LEAD_SLOTS.map((slot) => [slot, extracted[slot]]))
+      );
+      const missing = ConversationStateService.getMissingSlots(slots, LEAD_SLOTS);
+
+      if (missing.length === 0) {
         // We have all the information, create the lead
-        return await this.createCompleteLead(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingLeadInfo(followUpAnalysis, message);
+        await ConversationStateService.clear(businessId, phoneNumber, "odoo_lead_create");
+        return await this.createCompleteLead(businessId, slots, message);
       }
+
+      // Still missing information
+      await ConversationStateService.update(businessId, phoneNumber, "odoo_lead_create", { slots, missingSlots: missing });
+      return this.askForMissingLeadInfo({ ...slots, missing_fields: missing }, message);
     } catch (error) {
       console.error("Error handling lead follow-up:", error.message);
       return "I'm having trouble processing your lead. Please provide:\n� Lead name\n� Contact name\n� Email\n� Phone\n� Description";
@@ -2238,15 +2292,14 @@ Your lead has been created in Odoo and is ready for follow-up! ??`;
   }
 
   // New Odoo Order Management Intent Handlers
-  async handleOdooOrderStatusIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooOrderStatusIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_ORDER_STATUS] Processing order status request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous order status request
-      const isFollowUp = this.isOrderStatusFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderStatusFollowUp(businessId, message, conversationHistory, businessTone);
+      // Answer to a previous request for the order ID
+      const state = await ConversationStateService.get(businessId, phoneNumber);
+      if (ConversationStateService.isInFlow(state, "odoo_order_status")) {
+        return await this.handleOrderStatusFollowUp(businessId, message, phoneNumber);
       }
 
       // Extract order identifier from the message
@@ -2263,16 +2316,15 @@ Look for patterns like:
 - "Check status of order 456"
 - "What's the status of order 789"`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: orderPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         analysis = JSON.parse(jsonString);
@@ -2287,6 +2339,7 @@ Look for patterns like:
         return this.formatOrderStatusResponse(result);
       } else {
         // No order ID provided, ask for it
+        await ConversationStateService.start(businessId, phoneNumber, "odoo_order_status", { missingSlots: ["order_id"] });
         return `I'd be happy to help you check an order status! ??
 
 To check an order status, I need the **Order ID** of the order you want to check.
@@ -2301,15 +2354,14 @@ For example: "Order ID: 123" or "Check status of order 456"`;
     }
   }
 
-  async handleOdooOrderCancelIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooOrderCancelIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_ORDER_CANCEL] Processing order cancellation request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous order cancellation request
-      const isFollowUp = this.isOrderCancelFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderCancelFollowUp(businessId, message, conversationHistory, businessTone);
+      // Answer to a previous request for the order ID
+      const state = await ConversationStateService.get(businessId, phoneNumber);
+      if (ConversationStateService.isInFlow(state, "odoo_order_cancel")) {
+        return await this.handleOrderCancelFollowUp(businessId, message, phoneNumber);
       }
 
       // Extract order identifier from the message
@@ -2328,16 +2380,15 @@ Look for patterns like:
 - "Yes, cancel order 789" (confirmation)
 - "No, don't cancel" (confirmation)`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: orderPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         analysis = JSON.parse(jsonString);
@@ -2356,6 +2407,7 @@ Look for patterns like:
         return this.formatOrderCancelResponse(result);
       } else {
         // No order ID provided, ask for it
+        await ConversationStateService.start(businessId, phoneNumber, "odoo_order_cancel", { missingSlots: ["order_id"] });
         return `I'd be happy to help you cancel an order! ??
 
 To cancel an order, I need the **Order ID** of the order you want to cancel.
@@ -2372,35 +2424,6 @@ For example: "Cancel order 123" or "Cancel order 456"
     }
   }
 
-  // Updated follow-up detection methods with better pattern matching
-  isOrderStatusFollowUp(message, conversationHistory) {
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("check an order status") ||
-          msg.content.includes("I need the **Order ID**") ||
-          msg.content.includes("I need the Order ID") ||
-          msg.content.includes("Please provide the Order ID") ||
-          msg.content.includes("order status") ||
-          msg.content.includes("To check an order status"))
-    );
-  }
-
-  isOrderCancelFollowUp(message, conversationHistory) {
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("cancel an order") ||
-          msg.content.includes("I need the **Order ID**") ||
-          msg.content.includes("I need the Order ID") ||
-          msg.content.includes("Please provide the Order ID") ||
-          msg.content.includes("cancel order") ||
-          msg.content.includes("To cancel an order"))
-    );
-  }
-
   // Updated manual analysis methods with better regex patterns
   manualOrderStatusAnalysis(message) {
     // Look for "Order ID: 5" or just "5" or "order 5" patterns
@@ -2532,7 +2555,7 @@ ${action === "cancel" ? "To cancel a specific order, please provide the Order ID
     return messages[state] || "";
   }
 
-  async handleOrderStatusFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderStatusFollowUp(businessId, message, phoneNumber) {
     try {
       console.log(
         `[ODOO_ORDER_STATUS_FOLLOWUP] Processing order status follow-up for business ${businessId}: ${message}`
@@ -2552,16 +2575,15 @@ Look for patterns like:
 - "5"
 - "SO001"`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: orderPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         analysis = JSON.parse(jsonString);
@@ -2572,6 +2594,7 @@ Look for patterns like:
 
       if (analysis.has_order_id && analysis.order_id) {
         // Order ID provided, get the status
+        await ConversationStateService.clear(businessId, phoneNumber, "odoo_order_status");
         const result = await OdooService.getOrderStatus(businessId, parseInt(analysis.order_id));
         return this.formatOrderStatusResponse(result);
       } else {
@@ -2583,7 +2606,7 @@ Look for patterns like:
     }
   }
 
-  async handleOrderCancelFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderCancelFollowUp(businessId, message, phoneNumber) {
     try {
       console.log(
         `[ODOO_ORDER_CANCEL_FOLLOWUP] Processing order cancel follow-up for business ${businessId}: ${message}`
@@ -2605,16 +2628,15 @@ Look for patterns like:
 - "Yes, cancel order 789"
 - "5"`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: orderPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 200,
+        maxTokens: 200,
       });
 
       let analysis;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         analysis = JSON.parse(jsonString);
@@ -2624,6 +2646,7 @@ Look for patterns like:
       }
 
       if (analysis.has_order_id && analysis.order_id) {
+        await ConversationStateService.clear(businessId, phoneNumber, "odoo_order_cancel");
         if (analysis.confirmation === false) {
           return "Order cancellation cancelled. No changes were made.";
         }
@@ -2662,16 +2685,15 @@ Respond ONLY with valid JSON in this format:
   "query": "search term or empty string"
 }`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: searchPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: searchPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 100,
+        maxTokens: 100,
       });
 
       let searchQuery = "";
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         const analysis = JSON.parse(jsonString);
@@ -2705,7 +2727,24 @@ Respond ONLY with valid JSON in this format:
 
       productList += "\nWould you like more information about any of these products? Or would you like to add something to your cart?";
 
-      return productList;
+      // Let the user pick a product from a list instead of typing its exact name
+      return {
+        response: productList,
+        interactive: {
+          type: "list",
+          button: "View products",
+          sections: [
+            {
+              title: "Products",
+              rows: products.map((product) => ({
+                id: `shopify:product:${product.id}`,
+                title: product.title,
+                description: product.variants?.length > 0 ? `$${product.variants[0].price}` : undefined,
+              })),
+            },
+          ],
+        },
+      };
     } catch (error) {
       console.error("Error handling Shopify product search:", error.message);
       return "I apologize, but I encountered an error while searching for products. Please make sure Shopify integration is configured.";
@@ -2727,16 +2766,15 @@ Respond ONLY with valid JSON in this format:
   "product_name": "name of the product"
 }`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: detailsPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: detailsPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 100,
+        maxTokens: 100,
       });
 
       let productName = "";
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         const analysis = JSON.parse(jsonString);
@@ -2773,7 +2811,7 @@ Respond ONLY with valid JSON in this format:
 
       details += `\nWould you like to add this to your cart?`;
 
-      return details;
+      return { response: details, interactive: this.getShopifyProductButtons(product.id) };
     } catch (error) {
       console.error("Error handling Shopify product details:", error.message);
       return "I apologize, but I encountered an error while fetching product details.";
@@ -2798,17 +2836,16 @@ Respond ONLY with valid JSON in this format:
 
 If no quantity is specified, use 1. If no product is clear, use empty string.`;
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: cartPrompt }],
+      const response = await LLMService.chat([{ role: "user", content: cartPrompt }], {
+        businessId,
         temperature: 0.1,
-        max_tokens: 150,
+        maxTokens: 150,
       });
 
       let productName = "";
       let quantity = 1;
       try {
-        const responseContent = response.choices[0].message.content.trim();
+        const responseContent = response.content.trim();
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
         const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
         const analysis = JSON.parse(jsonString);
@@ -2837,63 +2874,138 @@ If no quantity is specified, use 1. If no product is clear, use empty string.`;
         return "I'm sorry, this product doesn't have any available variants.";
       }
 
-      // Get conversation ID from phone number
-      const pool = require("../config/database");
-      const conversationResult = await pool.query(
-        "SELECT id FROM conversations WHERE business_id = $1 AND phone_number = $2",
-        [businessId, phoneNumber]
-      );
+      return await this.addShopifyProductToCart(businessId, phoneNumber, product, variant, quantity);
+    } catch (error) {
+      console.error("Error handling Shopify cart add:", error.message);
+      return "I apologize, but I encountered an error while adding to your cart.";
+    }
+  }
 
-      const conversationId = conversationResult.rows.length > 0 ? conversationResult.rows[0].id : null;
+  /**
+   * Add a product variant to the customer's cart and refresh their checkout link
+   * @returns {Promise<Object|string>} Reply ({ response, interactive }) or an error message
+   */
+  async addShopifyProductToCart(businessId, phoneNumber, product, variant, quantity = 1) {
+    // Get conversation ID from phone number
+    const pool = require("../config/database");
+    const conversationResult = await pool.query(
+      "SELECT id FROM conversations WHERE business_id = $1 AND phone_number = $2",
+      [businessId, phoneNumber]
+    );
 
-      // Add to cart
-      const cartResult = await ShopifyService.addToCart(
-        businessId,
-        conversationId,
-        phoneNumber,
-        product.id.toString(),
-        variant.id.toString(),
-        quantity,
-        product.title,
-        variant.title || null,
-        parseFloat(variant.price)
-      );
+    const conversationId = conversationResult.rows.length > 0 ? conversationResult.rows[0].id : null;
+
+    // Add to cart
+    const cartResult = await ShopifyService.addToCart(
+      businessId,
+      conversationId,
+      phoneNumber,
+      product.id.toString(),
+      variant.id.toString(),
+      quantity,
+      product.title,
+      variant.title || null,
+      parseFloat(variant.price)
+    );
 
-      if (!cartResult.success) {
-        return `I'm sorry, I couldn't add that to your cart. ${cartResult.error || ''}`;
-      }
+    if (!cartResult.success) {
+      return `I'm sorry, I couldn't add that to your cart. ${cartResult.error || ''}`;
+    }
 
-      const totalPrice = parseFloat(variant.price) * quantity;
+    const totalPrice = parseFloat(variant.price) * quantity;
 
-      let replyMessage = `✅ Added ${quantity} × *${product.title}* to your cart\n`;
-      replyMessage += `   Price: $${variant.price} each\n`;
-      replyMessage += `   Subtotal: $${totalPrice.toFixed(2)}\n\n`;
+    let replyMessage = `✅ Added ${quantity} × *${product.title}* to your cart\n`;
+    replyMessage += `   Price: $${variant.price} each\n`;
+    replyMessage += `   Subtotal: $${totalPrice.toFixed(2)}\n\n`;
 
-      // Get cart total
-      const cart = await ShopifyService.getCart(businessId, phoneNumber);
-      if (cart && cart.total_price) {
-        replyMessage += `🛒 Cart Total: $${parseFloat(cart.total_price).toFixed(2)}\n\n`;
+    // Get cart total
+    const cart = await ShopifyService.getCart(businessId, phoneNumber);
+    if (cart && cart.total_price) {
+      replyMessage += `🛒 Cart Total: $${parseFloat(cart.total_price).toFixed(2)}\n\n`;
+    }
+
+    // Create or update Shopify Draft Order
+    const draftOrderResult = await ShopifyService.createOrUpdateDraftOrder(businessId, phoneNumber);
+
+    if (draftOrderResult.success && draftOrderResult.checkout_url) {
+      replyMessage += `👉 *Complete your order here:*\n${draftOrderResult.checkout_url}\n\n`;
+      replyMessage += `You can still add more items - your checkout link will update automatically!`;
+    } else if (draftOrderResult.inventory_error) {
+      // Handle inventory issues
+      replyMessage += `⚠️ ${draftOrderResult.error}\n\n`;
+      replyMessage += `Please check the available quantity and try again.`;
+    } else {
+      // Other errors - still allow customer to add more items
+      replyMessage += `Would you like to add anything else or view your cart?`;
+    }
+
+    return {
+      response: replyMessage,
+      interactive: {
+        type: "button",
+        buttons: [{ id: "shopify:cart", title: "View cart" }],
+      },
+    };
+  }
+
+  /**
+   * Reply buttons shown with a product
+   */
+  getShopifyProductButtons(productId) {
+    return {
+      type: "button",
+      buttons: [
+        { id: `shopify:add:${productId}`, title: "Add to cart" },
+        { id: "shopify:cart", title: "View cart" },
+      ],
+    };
+  }
+
+  /**
+   * Handle taps on Shopify list rows and reply buttons
+   * IDs: shopify:product:<productId>, shopify:add:<productId>, shopify:cart
+   * @param {Object} reply - Interactive reply ({ id, title })
+   * @returns {Promise<Object|string|null>} Reply, or null if the ID is not a Shopify action
+   */
+  async handleShopifyInteractiveReply(businessId, reply, phoneNumber) {
+    const [namespace, action, productId] = (reply?.id || "").split(":");
+    if (namespace !== "shopify") {
+      return null;
+    }
+
+    try {
+      if (action === "cart") {
+        return await this.handleShopifyCartViewIntent(businessId, reply.title, [], null, phoneNumber);
       }
 
-      // Create or update Shopify Draft Order
-      const draftOrderResult = await ShopifyService.createOrUpdateDraftOrder(businessId, phoneNumber);
+      const product = await ShopifyService.getProduct(businessId, productId);
 
-      if (draftOrderResult.success && draftOrderResult.checkout_url) {
-        replyMessage += `👉 *Complete your order here:*\n${draftOrderResult.checkout_url}\n\n`;
-        replyMessage += `You can still add more items - your checkout link will update automatically!`;
-      } else if (draftOrderResult.inventory_error) {
-        // Handle inventory issues
-        replyMessage += `⚠️ ${draftOrderResult.error}\n\n`;
-        replyMessage += `Please check the available quantity and try again.`;
-      } else {
-        // Other errors - still allow customer to add more items
-        replyMessage += `Would you like to add anything else or view your cart?`;
+      if (action === "product") {
+        let details = `✅ *${product.title}*\n\n`;
+        if (product.description) {
+          details += `📝 ${product.description}\n\n`;
+        }
+        details += `💰 Price: $${product.price}\n`;
+        if (product.variants[0]?.inventory_quantity !== undefined) {
+          details += `📦 In Stock: ${product.variants[0].inventory_quantity} units\n`;
+        }
+        details += `\nWould you like to add this to your cart?`;
+
+        return { response: details, interactive: this.getShopifyProductButtons(product.id) };
       }
 
-      return replyMessage;
+      if (action === "add") {
+        const variant = product.variants.find((v) => v.available) || product.variants[0];
+        if (!variant) {
+          return "I'm sorry, this product doesn't have any available variants.";
+        }
+        return await this.addShopifyProductToCart(businessId, phoneNumber, product, variant, 1);
+      }
+
+      return null;
     } catch (error) {
-      console.error("Error handling Shopify cart add:", error.message);
-      return "I apologize, but I encountered an error while adding to your cart.";
+      console.error("Error handling Shopify interactive reply:", error.message);
+      return "I apologize, but I encountered an error while processing your selection.";
     }
   }
 
@@ -0,0 +1,152 @@
+const WhatsAppService = require("./whatsapp");
+const BusinessService = require("./business");
+const DatabaseService = require("./database");
+const MessageTemplateService = require("./message-templates");
+const HandoffService = require("./handoff");
+const { AppError, ValidationError, NotFoundError, ExternalServiceError } = require("../middleware/error-handler");
+
+// WhatsApp only allows free-form messages within 24 hours of the customer's last message
+const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class OutboundMessageService {
+  /**
+   * Check whether a conversation is inside the 24-hour customer-service window
+   * @param {number} conversationId - Conversation ID
+   * @returns {Promise<{open: boolean, lastInboundAt: Date|null, expiresAt: Date|null}>}
+   */
+  async getServiceWindow(conversationId) {
+    const lastInboundAt = await DatabaseService.getLastInboundMessageAt(conversationId);
+
+    if (!lastInboundAt) {
+      return { open: false, lastInboundAt: null, expiresAt: null };
+    }
+
+    const expiresAt = new Date(new Date(lastInboundAt).getTime() + CUSTOMER_SERVICE_WINDOW_MS);
+    return { open: expiresAt > new Date(), lastInboundAt, expiresAt };
+  }
+
+  /**
+   * Send a message to a conversation's customer from the business's WhatsApp number
+   * Free-form text is refused outside the customer-service window; templates are always allowed.
+   * @param {Object} options
+   * @param {number} options.businessId - Business the conversation must belong to
+   * @param {number} options.conversationId - Conversation ID
+   * @param {string} [options.text] - Message text
+   * @param {Object} [options.template] - { name, language, variables } (or raw Graph `components`)
+   * @param {number} [options.authorUserId] - Operator sending the message
+   * @returns {Promise<Object>} The stored message
+   */
+  async sendToConversation({ businessId, conversationId, text, template, authorUserId = null }) {
+    if (!text && !template) {
+      throw new ValidationError("Either text or template is required");
+    }
+    if (template && !template.name) {
+      throw new ValidationError("Template name is required");
+    }
+
+    const conversation = await DatabaseService.getConversationDetails(conversationId);
+    if (!conversation || String(conversation.business_id) !== String(businessId)) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    if (!template) {
+      const window = await this.getServiceWindow(conversationId);
+      if (!window.open) {
+        throw new AppError(
+          "The 24-hour customer-service window is closed. Use an approved template to message this customer.",
+          422,
+          "OUTSIDE_SERVICE_WINDOW"
+        );
+      }
+    }
+
+    return this.deliver(conversation, { text, template, authorUserId });
+  }
+
+  /**
+   * Send a template to a phone number from an automated flow (e.g. appointment reminders)
+   * The conversation is created if the customer never wrote to the business.
+   * @param {Object} options
+   * @param {number} options.businessId - Sending business
+   * @param {string} options.phoneNumber - Customer's WhatsApp number
+   * @param {Object} options.template - { name, language, variables }
+   * @returns {Promise<Object>} The stored message
+   */
+  async sendTemplateToNumber({ businessId, phoneNumber, template }) {
+    if (!template || !template.name) {
+      throw new ValidationError("Template name is required");
+    }
+
+    const conversation = await DatabaseService.createOrGetConversation(businessId, phoneNumber);
+    return this.deliver(conversation, { template });
+  }
+
+  /**
+   * Send through the business's WhatsApp number and store the result as an outbound message
+   */
+  async deliver(conversation, { text, template, authorUserId = null }) {
+    const whatsappConfig = await BusinessService.getWhatsAppConfigByBusinessId(conversation.business_id);
+    if (!whatsappConfig) {
+      throw new NotFoundError("WhatsApp configuration not found for this business");
+    }
+
+    let content = text;
+    let language = null;
+    let variables = null;
+
+    if (template) {
+      variables = template.components || template.variables || null;
+      const stored = await MessageTemplateService.getTemplateByName(
+        conversation.business_id,
+        template.name,
+        template.language
+      );
+
+      // Fall back to the synced template's language, and store the rendered body as the message text
+      language = template.language || stored?.language || "en_US";
+      content = stored ? MessageTemplateService.renderTemplate(stored, variables) : `Template: ${template.name}`;
+    }
+
+    const whatsapp = WhatsAppService.forBusiness(whatsappConfig);
+    let response = null;
+    let sendError = null;
+
+    try {
+      response = template
+        ? await whatsapp.sendTemplateMessage(conversation.phone_number, template.name, language, variables)
+        : await whatsapp.sendTextMessage(conversation.phone_number, text);
+    } catch (error) {
+      sendError = error;
+    }
+
+    // Stored even when sending failed, so operators can see what went wrong
+    const message = await DatabaseService.saveMessage({
+      businessId: conversation.business_id,
+      conversationId: conversation.id,
+      messageId: WhatsAppService.getSentMessageId(response) || `${template ? "template" : "operator"}_${Date.now()}`,
+      fromNumber: whatsappConfig.phone_number_id,
+      toNumber: conversation.phone_number,
+      messageType: template ? "template" : "text",
+      content,
+      mediaUrl: null,
+      localFilePath: null,
+      isFromUser: false,
+      status: sendError ? "failed" : "sent",
+      errorMessage: sendError ? sendError.message : null,
+      authorUserId,
+    });
+
+    if (sendError) {
+      throw new ExternalServiceError(sendError.message, "whatsapp");
+    }
+
+    // An agent replying keeps a handed-off conversation from timing out back to the bot
+    if (authorUserId) {
+      await HandoffService.recordActivity(conversation.id);
+    }
+
+    return message;
+  }
+}
+
+module.exports = new OutboundMessageService();
@@ -0,0 +1,586 @@
+const path = require("path");
+const fs = require("fs-extra");
+const OpenAIService = require("./openai");
+const DatabaseService = require("./database");
+const CalendarHandler = require("./calendar-handler");
+const AirtableService = require("./airtable");
+const EmbeddingsService = require("./embeddings");
+const HandoffService = require("./handoff");
+const OdooHandler = require("./odoo-handler");
+const ConversationStateService = require("./conversation-state");
+const DocumentMessageService = require("./document-message");
+const DocumentTextService = require("./document-text");
+const MessageTypesService = require("./message-types");
+const MediaStorageService = require("./media-storage");
+
+/**
+ * Stages of the inbound message pipeline (see MessagePipeline).
+ * A stage receives the pipeline context and either claims the message by returning a reply
+ * ({ response, interactive?, source }) or returns null to pass it on to the next stage.
+ */
+
+// File extensions for downloaded voice notes and audio files
+const AUDIO_EXTENSIONS = {
+  "audio/aac": ".aac",
+  "audio/mp4": ".m4a",
+  "audio/mpeg": ".mp3",
+  "audio/ogg": ".ogg",
+  "audio/wav": ".wav",
+};
+
+const VIDEO_EXTENSIONS = {
+  "video/3gpp": ".3gp",
+  "video/mp4": ".mp4",
+};
+
+/**
+ * Customer asked for a person: pause the bot until an agent hands the conversation back
+ */
+async function handoffStage(context) {
+  if (!HandoffService.isHandoffIntent(await context.detectIntent())) {
+    return null;
+  }
+
+  await HandoffService.pause(context.conversation.id);
+  return { response: HandoffService.handoffReply, source: "handoff" };
+}
+
+/**
+ * Download the message's media into uploadDir, store it (see MediaStorageService) and record it in media_files
+ * @param {Object} context - Pipeline context; context.localFilePath is set to the downloaded file
+ * @param {Object} options
+ * @param {string} options.uploadDir - Directory relative to the project root
+ * @param {Function} options.getExtension - File extension for the downloaded MIME type
+ * @param {number} options.maxFileSize - Largest file to keep, in bytes (0 for no limit)
+ * @returns {Promise<string|null>} Absolute path of the file, or null if it was larger than maxFileSize
+ */
+async function saveInboundMedia(context, { uploadDir, getExtension, maxFileSize = 0 }) {
+  const { businessId, messageData, whatsapp, savedMessage } = context;
+
+  console.log(`Processing ${messageData.messageType} message...`);
+  console.log(`Media ID: ${messageData.mediaId}`);
+
+  // Download media file with MIME type information and retry logic
+  const { stream: mediaStream, mimeType, fileSize } = await whatsapp.downloadMedia(messageData.mediaId);
+  console.log(`Media MIME type: ${mimeType}, size: ${fileSize} bytes`);
+
+  if (maxFileSize && fileSize > maxFileSize) {
+    mediaStream.destroy();
+    console.log(`Skipping ${messageData.messageType}: ${fileSize} bytes is over the ${maxFileSize} byte limit`);
+    return null;
+  }
+
+  const fileName = `${businessId}_${messageData.messageId}_${Date.now()}${getExtension(mimeType)}`;
+
+  // Use absolute path for AI processing
+  const localFilePath = path.resolve(__dirname, "..", uploadDir, fileName);
+  await fs.ensureDir(path.dirname(localFilePath));
+
+  const writeStream = fs.createWriteStream(localFilePath);
+  mediaStream.pipe(writeStream);
+
+  await new Promise((resolve, reject) => {
+    writeStream.on("finish", resolve);
+    writeStream.on("error", reject);
+    mediaStream.on("error", reject);
+  });
+
+  if (!fs.existsSync(localFilePath)) {
+    throw new Error("Media file was not saved");
+  }
+
+  const fileStats = fs.statSync(localFilePath);
+  console.log(`Media file saved successfully: ${localFilePath} (${fileStats.size} bytes)`);
+
+  if (fileSize && fileStats.size !== fileSize) {
+    console.warn(`File size mismatch: expected ${fileSize} bytes, got ${fileStats.size} bytes`);
+  }
+
+  // The size header is missing on some downloads
+  if (maxFileSize && fileStats.size > maxFileSize) {
+    await fs.remove(localFilePath);
+    console.log(`Removed ${messageData.messageType}: ${fileStats.size} bytes is over the ${maxFileSize} byte limit`);
+    return null;
+  }
+
+  context.localFilePath = localFilePath;
+
+  // Save media file info to database (the relative path is the file's storage key)
+  const relativePath = path.posix.join(uploadDir, fileName);
+  const storageBackend = await MediaStorageService.storeFile(relativePath, localFilePath, { contentType: mimeType });
+  await DatabaseService.saveMediaFile({
+    businessId,
+    messageId: savedMessage.id,
+    fileName,
+    filePath: relativePath,
+    fileType: messageData.messageType,
+    fileSize: fileStats.size,
+    storageBackend,
+  });
+  await DatabaseService.updateMessageLocalFilePath(messageData.messageId, relativePath);
+
+  return localFilePath;
+}
+
+/**
+ * Download image, document and video messages, then answer with a vision analysis, a transcription,
+ * or a summary of the document (an answer to its caption when there is one).
+ * Voice notes are transcribed and left to the following stages, which answer the transcript like typed text.
+ * Stickers, shared contacts, reactions and unsupported messages get the business's reply for their type;
+ * locations are left to the intents stage and answered by the fallback stage.
+ */
+async function mediaStage(context) {
+  const { business, messageData } = context;
+
+  switch (messageData.messageType) {
+    case "image":
+      return imageReply(context);
+    case "audio":
+      return transcribeVoiceNote(context);
+    case "document":
+      return documentReply(context);
+    case "video":
+      return videoReply(context);
+    case "contacts":
+      return contactsReply(context);
+    case "reaction":
+      // Taking a reaction back needs no answer
+      if (!messageData.metadata?.emoji) {
+        return { response: "", source: "reaction" };
+      }
+      return { response: MessageTypesService.getReply(business, "reaction"), source: "reaction" };
+    case "sticker":
+    case "unknown":
+      return {
+        response: MessageTypesService.getReply(business, messageData.messageType),
+        source: messageData.messageType,
+      };
+    default:
+      return null;
+  }
+}
+
+async function imageReply(context) {
+  const { businessId, messageData, businessTone } = context;
+
+  let localFilePath;
+  try {
+    localFilePath = await saveInboundMedia(context, {
+      uploadDir: "uploads/images",
+      getExtension: (mimeType) => (mimeType === "image/png" ? ".png" : ".jpg"),
+    });
+  } catch (mediaError) {
+    console.error(`Error downloading ${messageData.messageType} media:`, mediaError);
+    return {
+      response: `I received your ${messageData.messageType} message, but I'm having trouble processing it right now. Please try sending it again or describe what you'd like help with.`,
+      source: "media_error",
+    };
+  }
+
+  // Process media directly without intent detection
+  try {
+    console.log("Processing image with OCR/vision analysis...");
+    const imageAnalysis = await OpenAIService.analyzeImage(
+      localFilePath,
+      "Please analyze this image thoroughly. Extract all text using OCR, describe the visual content, identify any objects, text, or important details. Provide a comprehensive analysis.",
+      businessTone,
+      businessId
+    );
+
+    return { response: `📸 **Image Analysis:**\n\n${imageAnalysis}`, source: "media" };
+  } catch (mediaProcessingError) {
+    console.error("Error processing media:", mediaProcessingError);
+    return {
+      response: `I received your ${messageData.messageType} message, but I encountered an error while processing it. Please try again or send a different file.`,
+      source: "media_error",
+    };
+  }
+}
+
+/**
+ * Transcribe a voice note and hand the transcript on as the message's text, so the following stages
+ * answer it as if the customer had typed it. The stored audio message keeps its file and gets the
+ * transcript as content.
+ */
+async function transcribeVoiceNote(context) {
+  const { businessId, messageData } = context;
+
+  let localFilePath;
+  try {
+    localFilePath = await saveInboundMedia(context, {
+      uploadDir: "uploads/audio",
+      getExtension: (mimeType) => AUDIO_EXTENSIONS[mimeType] || ".aac",
+    });
+  } catch (mediaError) {
+    console.error("Error downloading audio media:", mediaError);
+    return {
+      response:
+        "I received your voice message, but I'm having trouble processing it right now. Please try sending it again or type what you'd like help with.",
+      source: "media_error",
+    };
+  }
+
+  let transcript;
+  try {
+    console.log("Transcribing voice note...");
+    transcript = ((await OpenAIService.transcribeAudio(localFilePath, businessId)) || "").trim();
+  } catch (transcriptionError) {
+    console.error("Error transcribing voice note:", transcriptionError);
+    return {
+      response:
+        "I received your voice message, but I couldn't transcribe it. Please try again or type what you'd like help with.",
+      source: "media_error",
+    };
+  }
+
+  if (!transcript) {
+    return {
+      response: "I couldn't make out any words in your voice message. Could you record it again or type it?",
+      source: "media",
+    };
+  }
+
+  console.log(`Voice note ${messageData.messageId} transcribed: "${transcript}"`);
+  messageData.content = transcript;
+  context.transcript = transcript;
+  context.hasText = true;
+
+  try {
+    await DatabaseService.updateMessageContent(messageData.messageId, transcript);
+  } catch (dbError) {
+    // The reply doesn't depend on the stored transcript
+    console.error("Error saving voice note transcript:", dbError);
+  }
+
+  return null;
+}
+
+async function documentReply(context) {
+  const { businessId, business, messageData, businessTone } = context;
+
+  const settings = DocumentMessageService.getSettings(business);
+  const mimeType = DocumentTextService.getMimeType(messageData.mimeType, messageData.fileName || "");
+  const refusal = DocumentMessageService.checkDocument(settings, mimeType);
+  if (refusal) {
+    return { response: refusal, source: "document" };
+  }
+
+  let localFilePath;
+  try {
+    localFilePath = await saveInboundMedia(context, {
+      uploadDir: "uploads/documents",
+      getExtension: () => DocumentTextService.getExtension(mimeType),
+      maxFileSize: DocumentMessageService.getMaxFileSize(settings),
+    });
+  } catch (mediaError) {
+    console.error("Error downloading document media:", mediaError);
+    return {
+      response:
+        "I received your document, but I'm having trouble processing it right now. Please try sending it again or describe what you'd like help with.",
+      source: "media_error",
+    };
+  }
+
+  if (!localFilePath) {
+    return { response: DocumentMessageService.tooLargeReply(settings), source: "document" };
+  }
+
+  try {
+    console.log(`Reading ${mimeType} document...`);
+    const response = await DocumentMessageService.reply({
+      filePath: localFilePath,
+      mimeType,
+      fileName: messageData.fileName,
+      caption: messageData.content,
+      settings,
+      businessTone,
+      businessId,
+    });
+    return { response, source: "document" };
+  } catch (documentError) {
+    console.error("Error reading document:", documentError);
+    return {
+      response:
+        "I received your document, but I couldn't read it. It may be damaged or password-protected - please try another copy or tell me what you need.",
+      source: "media_error",
+    };
+  }
+}
+
+async function videoReply(context) {
+  const { businessId, business } = context;
+  const settings = MessageTypesService.getSettings(business);
+
+  let localFilePath;
+  try {
+    localFilePath = await saveInboundMedia(context, {
+      uploadDir: "uploads/video",
+      getExtension: (mimeType) => VIDEO_EXTENSIONS[mimeType] || ".mp4",
+    });
+  } catch (mediaError) {
+    console.error("Error downloading video media:", mediaError);
+    return {
+      response:
+        "I received your video, but I'm having trouble processing it right now. Please try sending it again or describe what you'd like help with.",
+      source: "media_error",
+    };
+  }
+
+  // A video without a transcript still gets the business's reply
+  let transcription = "";
+  if (settings.transcribeVideos) {
+    try {
+      console.log("Transcribing the audio of the video...");
+      transcription = (await OpenAIService.transcribeVideo(localFilePath, businessId)).trim();
+    } catch (transcriptionError) {
+      console.error("Error transcribing video:", transcriptionError.message);
+    }
+  }
+
+  const response = transcription
+    ? `🎬 **Video Transcription:**\n\n"${transcription}"\n\n${settings.replies.video}`.trim()
+    : settings.replies.video;
+  return { response, source: "video" };
+}
+
+async function contactsReply(context) {
+  const { businessId, business, messageData } = context;
+  const settings = MessageTypesService.getSettings(business);
+  const contacts = messageData.metadata?.contacts || [];
+
+  if (settings.contactsCrm && contacts.length > 0) {
+    await MessageTypesService.saveContacts(businessId, contacts, settings.contactsCrm);
+  }
+
+  return { response: settings.replies.contacts, source: "contacts" };
+}
+
+/**
+ * Answers to questions the bot asked: Shopify product picks and Odoo order confirmations
+ */
+async function confirmationsStage(context) {
+  const { businessId, messageData, reply } = context;
+
+  // Shopify product picks from list rows and reply buttons
+  if (reply) {
+    const shopifyResult = await OpenAIService.handleShopifyInteractiveReply(businessId, reply, messageData.from);
+
+    if (shopifyResult) {
+      const { response, interactive } =
+        typeof shopifyResult === "string" ? { response: shopifyResult } : shopifyResult;
+      return { response, interactive, source: "shopify" };
+    }
+  }
+
+  // Answers to a pending Odoo order confirmation (button tap or typed YES/NO)
+  if (context.hasText) {
+    const confirmation = await OdooHandler.handleOrderConfirmation(
+      businessId,
+      messageData.from,
+      messageData.content,
+      reply
+    );
+
+    if (confirmation && confirmation.handled) {
+      return { response: confirmation.response, source: "odoo" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Appointment booking, availability checks and their YES/NO/CANCEL follow-ups
+ */
+async function calendarStage(context) {
+  if (!context.hasText) {
+    return null;
+  }
+
+  const { businessId, messageData, reply } = context;
+  const calendarResult = await CalendarHandler.processMessage(businessId, messageData.content, messageData.from, reply);
+
+  if (!calendarResult) {
+    return null;
+  }
+
+  console.log("Calendar response generated:", calendarResult);
+  return { response: calendarResult.message, interactive: calendarResult.interactive, source: "calendar" };
+}
+
+/**
+ * Integration intents (Odoo, Gmail, HubSpot, Shopify, ...) and unfinished multi-turn flows.
+ * A shared location can continue a flow, e.g. one that asked where the customer is: its handler gets the
+ * place and coordinates as text (latestMessage.content). A location outside a flow detects no intent.
+ */
+async function intentsStage(context) {
+  if (!context.hasText && !context.location) {
+    return null;
+  }
+
+  const { businessId, messageData, businessTone } = context;
+
+  // An unfinished multi-turn flow claims the message unless the customer clearly started something new
+  const intentResult = await ConversationStateService.resolveIntent(
+    businessId,
+    messageData.from,
+    await context.detectIntent()
+  );
+
+  if (!intentResult || intentResult.confidence < 0.7) {
+    return null;
+  }
+
+  if (intentResult.intent.startsWith("odoo_")) {
+    console.log("Processing Odoo-related intent...");
+
+    try {
+      const odooResponse = await OdooHandler.handleOdooIntent(
+        businessId,
+        messageData.from,
+        messageData.content,
+        intentResult.intent,
+        businessTone
+      );
+
+      if (odooResponse && odooResponse.handled) {
+        return { response: odooResponse.response, interactive: odooResponse.interactive, source: "odoo" };
+      }
+    } catch (odooError) {
+      console.error("Odoo handler error:", odooError);
+      // Fall through to the generic intent handlers
+    }
+  }
+
+  const response = await OpenAIService.handleDetectedIntent(
+    intentResult,
+    { content: messageData.content, messageType: messageData.messageType },
+    [], // conversationHistory - could be populated if needed
+    businessTone,
+    businessId,
+    messageData.from
+  );
+
+  if (!response) {
+    return null;
+  }
+
+  // Handlers return text, or { response, interactive } to offer buttons/lists
+  const intentReply = typeof response === "string" ? { response } : response;
+  return { response: intentReply.response, interactive: intentReply.interactive, source: "intent" };
+}
+
+/**
+ * FAQ answers from Airtable, matched with embeddings
+ */
+async function faqStage(context) {
+  if (!context.hasText) {
+    return null;
+  }
+
+  const { businessId, messageData, conversation } = context;
+
+  const faqIntent = await OpenAIService.detectFAQIntentWithEmbeddings(messageData.content, businessId);
+  if (!faqIntent || !faqIntent.isFAQ) {
+    return null;
+  }
+
+  console.log("Enhanced FAQ intent detected:", faqIntent);
+  const faqMatch = await AirtableService.searchFAQs(businessId, messageData.content);
+
+  console.log("FAQ match received from Airtable:", {
+    similarity: faqMatch?.semanticSimilarity,
+    matchScore: faqMatch?.matchScore,
+    matchType: faqMatch?.matchType,
+    question: faqMatch?.question?.substring(0, 50) + "...",
+    hasAnswer: !!faqMatch?.answer,
+  });
+
+  if (faqMatch && (faqMatch.semanticSimilarity > 0.45 || faqMatch.matchScore > 0.2)) {
+    console.log("Enhanced FAQ answer found:", faqMatch);
+
+    // Store the question and answer embeddings for context
+    try {
+      await EmbeddingsService.storeConversationEmbedding(
+        businessId,
+        conversation.id,
+        `msg_${Date.now()}`,
+        messageData.content,
+        "user"
+      );
+      await EmbeddingsService.storeConversationEmbedding(
+        businessId,
+        conversation.id,
+        `faq_resp_${Date.now()}`,
+        faqMatch.answer,
+        "assistant"
+      );
+    } catch (embeddingError) {
+      console.error("Error storing conversation embedding:", embeddingError);
+    }
+
+    return { response: faqMatch.answer, source: "faq" };
+  }
+
+  console.log("No suitable FAQ match found with enhanced search, providing FAQ fallback response");
+
+  const fallbackResponse = faqMatch
+    ? `I found a related question about "${faqMatch.question}", but I'm not confident this is exactly what you're looking for. Could you please rephrase your question or provide more details? I'm here to help! 😊`
+    : `I'm here to help! 😊
+
+However, I wasn't able to find specific information on "${messageData.content.substring(0, 50)}${messageData.content.length > 50 ? "..." : ""}" in our database.  These might be specific tools, software, or services related to a certain company or industry.
+
+For me to provide a more accurate answer, could you please provide more context or details about these terms? Are they related to a certain industry, software, or business process? 🤔 Any additional information would be very helpful!`;
+
+  return { response: fallbackResponse, source: "faq_fallback" };
+}
+
+/**
+ * General AI answer with the conversation history as context.
+ * Locations no other stage claimed get the business's location reply instead.
+ */
+async function fallbackStage(context) {
+  const { businessId, business, messageData, conversation, businessTone } = context;
+
+  if (context.location) {
+    return { response: MessageTypesService.getReply(business, "location"), source: "location" };
+  }
+
+  // Media, contacts, reactions and unsupported messages are answered by the media stage;
+  // transcribed voice notes are answered like typed text
+  if (!context.transcript && !["text", "interactive"].includes(messageData.messageType)) {
+    console.log(`Skipping AI processing for ${messageData.messageType} message - handled by the media stage`);
+    return null;
+  }
+
+  try {
+    const conversationHistory = await DatabaseService.getConversationHistory(conversation.id);
+
+    const enhancedResult = await OpenAIService.processMessageWithEmbeddings(
+      context.transcript ? "text" : messageData.messageType,
+      messageData.content,
+      context.transcript ? null : context.localFilePath,
+      conversationHistory,
+      businessTone,
+      businessId,
+      messageData.from
+    );
+
+    const { response, interactive } =
+      typeof enhancedResult === "string" ? { response: enhancedResult } : enhancedResult;
+    return response ? { response, interactive, source: "ai" } : null;
+  } catch (aiError) {
+    console.error("Error generating AI response:", aiError);
+    return { response: "Sorry, I encountered an error processing your message. Please try again.", source: "ai" };
+  }
+}
+
+module.exports = {
+  handoff: handoffStage,
+  media: mediaStage,
+  confirmations: confirmationsStage,
+  calendar: calendarStage,
+  intents: intentsStage,
+  faq: faqStage,
+  fallback: fallbackStage,
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const pool = require('../config/database');
+const EncryptionService = require('./encryption');
 
 class ShopifyService {
   /**
@@ -16,7 +17,7 @@ class ShopifyService {
         return null;
       }
 
-      return result.rows[0];
+      return EncryptionService.decryptRow('shopify_integrations', result.rows[0]);
     } catch (error) {
       console.error('Error getting Shopify config:', error);
       throw error;
@@ -44,7 +45,7 @@ class ShopifyService {
           : 'UPDATE shopify_integrations SET store_url = $1, api_version = $2, updated_at = CURRENT_TIMESTAMP WHERE business_id = $3 RETURNING *';
 
         const updateParams = access_token
-          ? [store_url, access_token, api_version, businessId]
+          ? [store_url, EncryptionService.encrypt(access_token), api_version, businessId]
           : [store_url, api_version, businessId];
 
         result = await pool.query(updateQuery, updateParams);
@@ -53,11 +54,11 @@ class ShopifyService {
         result = await pool.query(
           `INSERT INTO shopify_integrations (business_id, store_url, access_token, api_version)
            VALUES ($1, $2, $3, $4) RETURNING *`,
-          [businessId, store_url, access_token, api_version]
+          [businessId, store_url, EncryptionService.encrypt(access_token), api_version]
         );
       }
 
-      return result.rows[0];
+      return EncryptionService.decryptRow('shopify_integrations', result.rows[0]);
     } catch (error) {
       console.error('Error saving Shopify config:', error);
       throw error;
@@ -388,6 +389,19 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Get the business a cart belongs to
+   */
+  async getCartBusinessId(cartId) {
+    try {
+      const result = await pool.query('SELECT business_id FROM shopify_carts WHERE id = $1', [cartId]);
+      return result.rows[0] ? result.rows[0].business_id : null;
+    } catch (error) {
+      console.error('Error getting cart business:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove item from cart
    */
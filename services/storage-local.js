@@ -0,0 +1,84 @@
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Local-disk implementation of the media storage backend interface (see services/media-storage.js).
+ *
+ * Keys are paths under uploads/ relative to the project root, which is what media_files.file_path has
+ * always held, so files stored before the storage layer existed need no migration. Signed URLs point
+ * at GET /api/media/download and carry an HMAC of the key and expiry time, keyed with MEDIA_URL_SECRET
+ * (JWT_SECRET when unset).
+ */
+class LocalStorageBackend {
+  constructor() {
+    this.name = "local";
+    this.root = path.join(PROJECT_ROOT, "uploads");
+  }
+
+  getSecret() {
+    return process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || "your-secret-key";
+  }
+
+  /**
+   * Absolute path of a key
+   * @throws When the key points outside uploads/
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(PROJECT_ROOT, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Media key "${key}" is outside the uploads directory`);
+    }
+    return filePath;
+  }
+
+  async putFile(key, filePath) {
+    const target = this.resolvePath(key);
+    // Media is downloaded into uploads/ already; only files from elsewhere are copied
+    if (path.resolve(filePath) !== target) {
+      await fs.ensureDir(path.dirname(target));
+      await fs.copy(filePath, target);
+    }
+  }
+
+  async delete(key) {
+    await fs.remove(this.resolvePath(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac("sha256", this.getSecret()).update(`${key}:${expires}`).digest("hex");
+  }
+
+  async getSignedUrl(key, { expiresIn }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const query = new URLSearchParams({ key, expires: String(expires), signature: this.sign(key, expires) });
+    return `${baseUrl}/api/media/download?${query}`;
+  }
+
+  /**
+   * Check a signed URL's query parameters
+   * @returns {boolean} True if the signature matches and the URL hasn't expired
+   */
+  verifySignature(key, expires, signature) {
+    // Repeated query parameters arrive as arrays
+    if (![key, expires, signature].every((value) => typeof value === "string" && value !== "")) {
+      return false;
+    }
+    if (!(parseInt(expires) > Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+}
+
+module.exports = new LocalStorageBackend();
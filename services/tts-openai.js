@@ -0,0 +1,27 @@
+const OpenAIProvider = require("./llm-openai");
+
+/**
+ * OpenAI implementation of the text-to-speech provider interface (see services/tts.js)
+ */
+class OpenAITTSProvider {
+  constructor() {
+    this.name = "openai";
+    this.defaultModel = "tts-1";
+    this.voices = ["alloy", "ash", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer"];
+    this.defaultVoice = "alloy";
+  }
+
+  async synthesize({ model, voice, text }) {
+    // Shares the LLM provider's client and API key
+    const response = await OpenAIProvider.getClient().audio.speech.create({
+      model,
+      voice,
+      input: text,
+      response_format: "mp3",
+    });
+
+    return { audio: Buffer.from(await response.arrayBuffer()), format: "mp3" };
+  }
+}
+
+module.exports = new OpenAITTSProvider();
@@ -0,0 +1,58 @@
+const SAMPLE_RATE = 16000;
+const SECONDS_PER_CHARACTER = 0.02;
+const MAX_SECONDS = 10;
+
+/**
+ * Offline implementation of the text-to-speech provider interface (see services/tts.js), for tests
+ * and development: a WAV tone whose length grows with the text, made in-process.
+ * Calls are recorded in `calls`.
+ */
+class StubTTSProvider {
+  constructor() {
+    this.name = "stub";
+    this.defaultModel = "stub-speech";
+    this.voices = ["stub"];
+    this.defaultVoice = "stub";
+    this.calls = [];
+  }
+
+  reset() {
+    this.calls = [];
+  }
+
+  async synthesize({ model, voice, text }) {
+    this.calls.push({ model, voice, text });
+
+    const seconds = Math.min(Math.max(text.length * SECONDS_PER_CHARACTER, 0.5), MAX_SECONDS);
+    return { audio: this.tone(seconds), format: "wav" };
+  }
+
+  /**
+   * 16-bit mono PCM WAV of a quiet 440 Hz tone
+   */
+  tone(seconds) {
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const buffer = Buffer.alloc(44 + samples * 2);
+
+    buffer.write("RIFF", 0);
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write("WAVE", 8);
+    buffer.write("fmt ", 12);
+    buffer.writeUInt32LE(16, 16); // fmt chunk size
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32); // block align
+    buffer.writeUInt16LE(16, 34); // bits per sample
+    buffer.write("data", 36);
+    buffer.writeUInt32LE(samples * 2, 40);
+
+    for (let i = 0; i < samples; i++) {
+      buffer.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 3000), 44 + i * 2);
+    }
+    return buffer;
+  }
+}
+
+module.exports = new StubTTSProvider();
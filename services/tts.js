@@ -0,0 +1,86 @@
+const OpenAITTSProvider = require("./tts-openai");
+const StubTTSProvider = require("./tts-stub");
+const LLMUsageService = require("./llm-usage");
+const { BudgetExceededError } = require("../middleware/error-handler");
+
+/**
+ * Text-to-speech for voice replies.
+ *
+ * A provider implements synthesize({ model, voice, text }) => { audio: Buffer, format } (format is the
+ * file extension, e.g. "mp3" or "wav"), and has a defaultModel, its voices and a defaultVoice.
+ * TTS_PROVIDER picks the default provider ("stub" when LLM_PROVIDER=mock, so tests stay offline)
+ * and TTS_MODEL its model. Calls are metered like LLM calls, under operation "speech".
+ */
+class TTSService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(OpenAITTSProvider);
+    this.registerProvider(StubTTSProvider);
+
+    this.defaultProvider = process.env.TTS_PROVIDER || (process.env.LLM_PROVIDER === "mock" ? "stub" : "openai");
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown TTS provider "${name}"`);
+    }
+    return provider;
+  }
+
+  getProviderNames() {
+    return [...this.providers.keys()];
+  }
+
+  getDefaultModel(providerName) {
+    if (providerName === this.defaultProvider && process.env.TTS_MODEL) {
+      return process.env.TTS_MODEL;
+    }
+    return this.getProvider(providerName).defaultModel;
+  }
+
+  /**
+   * Speak a text
+   * Businesses over their monthly LLM budget get no speech, whatever the budget's action.
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {number|null} options.businessId - Business the call is metered under
+   * @param {string} options.provider - Provider name (default: TTS_PROVIDER)
+   * @param {string} options.voice - One of the provider's voices (default: its default voice)
+   * @returns {Promise<{audio: Buffer, format: string, provider: string, model: string}>}
+   * @throws {BudgetExceededError}
+   */
+  async synthesize(text, { businessId = null, provider = this.defaultProvider, voice = null } = {}) {
+    businessId = businessId || LLMUsageService.getContext().businessId || null;
+
+    const budget = await LLMUsageService.getExceededBudget(businessId);
+    if (budget) {
+      throw new BudgetExceededError(budget.refusalMessage);
+    }
+
+    const ttsProvider = this.getProvider(provider);
+    const model = this.getDefaultModel(provider);
+    const call = { businessId, provider, model, role: "speech", operation: "speech" };
+    const startTime = Date.now();
+
+    try {
+      const result = await ttsProvider.synthesize({ model, voice: voice || ttsProvider.defaultVoice, text });
+      // Speech is billed by the character, metered as prompt tokens
+      await LLMUsageService.record({
+        ...call,
+        usage: { promptTokens: text.length },
+        latencyMs: Date.now() - startTime,
+      });
+      return { ...result, provider, model };
+    } catch (error) {
+      await LLMUsageService.record({ ...call, latencyMs: Date.now() - startTime, success: false });
+      throw error;
+    }
+  }
+}
+
+module.exports = new TTSService();
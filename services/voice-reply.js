@@ -0,0 +1,234 @@
+const path = require("path");
+const fs = require("fs-extra");
+const TTSService = require("./tts");
+const OpenAIService = require("./openai");
+const DatabaseService = require("./database");
+const WhatsAppService = require("./whatsapp");
+const MediaStorageService = require("./media-storage");
+const { ValidationError } = require("../middleware/error-handler");
+
+const UPLOAD_DIR = "uploads/voice-replies";
+
+// Text replies to voice notes start with what the bot heard; {transcript} is replaced, "" turns it off
+const DEFAULT_TRANSCRIPT_PREAMBLE = 'I heard: "{transcript}"';
+const MAX_PREAMBLE_LENGTH = 200;
+// Longer transcripts are shortened in the preamble
+const PREAMBLE_TRANSCRIPT_LENGTH = 120;
+
+/**
+ * Replies to voice notes. Voice notes are transcribed and answered like typed text (see the pipeline's
+ * media stage); text replies can start with a short "I heard: ..." preamble.
+ *
+ * Spoken replies: the reply text is turned into speech (see TTSService), converted to OGG/Opus with
+ * ffmpeg, uploaded to WhatsApp and sent as an audio message.
+ *
+ * Businesses configure both with businesses.voice_settings:
+ * { enabled, provider, voice, includeText, transcriptPreamble }.
+ * Replies with buttons or lists, and replies longer than VOICE_REPLY_MAX_CHARACTERS, stay text.
+ */
+class VoiceReplyService {
+  constructor() {
+    this.maxCharacters = parseInt(process.env.VOICE_REPLY_MAX_CHARACTERS) || 1500;
+  }
+
+  get defaults() {
+    return {
+      enabled: false,
+      provider: TTSService.defaultProvider,
+      voice: null,
+      includeText: false,
+      transcriptPreamble: DEFAULT_TRANSCRIPT_PREAMBLE,
+    };
+  }
+
+  /**
+   * Settings that apply to a business
+   * @param {Object} business - businesses row
+   */
+  getSettings(business) {
+    const settings = { ...this.defaults, ...(business?.voice_settings || {}) };
+    // Settings naming a provider that is no longer registered use the default
+    if (!TTSService.getProviderNames().includes(settings.provider)) {
+      return { ...settings, provider: TTSService.defaultProvider, voice: null };
+    }
+    return settings;
+  }
+
+  /**
+   * Check voice settings: { enabled, provider, voice, includeText, transcriptPreamble } (all optional)
+   * @returns {Object} The settings to store, without unset values
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new ValidationError("Voice settings must be an object");
+    }
+
+    const { enabled, provider, voice, includeText, transcriptPreamble } = settings;
+    if (enabled != null && typeof enabled !== "boolean") {
+      throw new ValidationError("enabled must be true or false");
+    }
+    if (includeText != null && typeof includeText !== "boolean") {
+      throw new ValidationError("includeText must be true or false");
+    }
+    if (provider != null && !TTSService.getProviderNames().includes(provider)) {
+      throw new ValidationError(
+        `Unknown TTS provider "${provider}". Available: ${TTSService.getProviderNames().join(", ")}`
+      );
+    }
+
+    const { voices } = TTSService.getProvider(provider || TTSService.defaultProvider);
+    if (voice != null && !voices.includes(voice)) {
+      throw new ValidationError(`Unknown voice "${voice}". Available: ${voices.join(", ")}`);
+    }
+    if (
+      transcriptPreamble != null &&
+      (typeof transcriptPreamble !== "string" || transcriptPreamble.length > MAX_PREAMBLE_LENGTH)
+    ) {
+      throw new ValidationError(`transcriptPreamble must be text of up to ${MAX_PREAMBLE_LENGTH} characters`);
+    }
+
+    return Object.fromEntries(
+      Object.entries({
+        enabled,
+        provider,
+        voice,
+        includeText,
+        transcriptPreamble: transcriptPreamble != null ? transcriptPreamble.trim() : null,
+      }).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Whether the reply to this message is spoken: the business has voice replies on and the customer
+   * sent a voice note
+   * @param {Object} context - Pipeline context
+   */
+  isEnabledFor(context) {
+    return context.messageData.messageType === "audio" && this.getSettings(context.business).enabled;
+  }
+
+  /**
+   * Start a text reply to a voice note with the business's transcript preamble
+   * @param {Object} context - Pipeline context; context.transcript is set for transcribed voice notes
+   * @param {string} response - Reply text
+   * @returns {string} The reply, with the preamble when there is one
+   */
+  addTranscriptPreamble(context, response) {
+    const { transcriptPreamble } = this.getSettings(context.business);
+    if (!context.transcript || !transcriptPreamble || !response) {
+      return response;
+    }
+
+    const transcript =
+      context.transcript.length > PREAMBLE_TRANSCRIPT_LENGTH
+        ? `${context.transcript.slice(0, PREAMBLE_TRANSCRIPT_LENGTH).trimEnd()}…`
+        : context.transcript;
+    return `${transcriptPreamble.replace(/\{transcript\}/g, () => transcript)}\n\n${response}`;
+  }
+
+  /**
+   * Reply text as it should be read out: without Markdown emphasis, headings and code marks
+   */
+  toSpeechText(text) {
+    return text
+      .replace(/(^|\W)(\*{1,2}|_{1,2})(\S(?:.*?\S)?)\2(?!\w)/g, "$1$3")
+      .replace(/`+/g, "")
+      .replace(/^#+\s*/gm, "")
+      .trim();
+  }
+
+  /**
+   * Speak a reply and send it as a voice note, stored as an outbound audio message with the text as content
+   * @param {Object} context - Pipeline context
+   * @param {string} text - Reply text
+   * @param {string} fallbackPrefix - Prefix for the stored ID when no wamid is available
+   * @returns {Promise<Object>} The stored message
+   * @throws When the reply can't be spoken or sent; the caller then sends it as text
+   */
+  async send(context, text, fallbackPrefix) {
+    const { businessId, business, whatsapp, messageData, conversation } = context;
+    const settings = this.getSettings(business);
+
+    const speechText = this.toSpeechText(text);
+    if (!speechText || speechText.length > this.maxCharacters) {
+      throw new Error(`Reply of ${speechText.length} characters is not spoken (limit ${this.maxCharacters})`);
+    }
+
+    const speech = await TTSService.synthesize(speechText, {
+      businessId,
+      provider: settings.provider,
+      voice: settings.voice,
+    });
+
+    const baseName = `${businessId}_${messageData.messageId}_${Date.now()}`;
+    const speechPath = path.resolve(__dirname, "..", UPLOAD_DIR, `${baseName}.${speech.format}`);
+    const voicePath = path.resolve(__dirname, "..", UPLOAD_DIR, `${baseName}.ogg`);
+    await fs.ensureDir(path.dirname(speechPath));
+    await fs.writeFile(speechPath, speech.audio);
+
+    try {
+      await OpenAIService.convertAudioToOpus(speechPath, voicePath);
+    } catch (error) {
+      await fs.remove(voicePath);
+      throw error;
+    } finally {
+      await fs.remove(speechPath);
+    }
+
+    let response;
+    try {
+      const mediaId = await whatsapp.uploadMedia(voicePath, "audio/ogg");
+      response = await whatsapp.sendAudioMessage(messageData.from, mediaId);
+    } catch (error) {
+      await fs.remove(voicePath);
+      throw error;
+    }
+    const wamid = WhatsAppService.getSentMessageId(response);
+    console.log(`Voice reply sent successfully: ${wamid}`);
+
+    const relativePath = path.posix.join(UPLOAD_DIR, `${baseName}.ogg`);
+    const fileSize = (await fs.stat(voicePath)).size;
+
+    // The voice note is sent already, so a storage error must not fail the reply: the message is saved without
+    // its recording, which is removed rather than left behind in uploads/
+    let storageBackend = null;
+    try {
+      storageBackend = await MediaStorageService.storeFile(relativePath, voicePath, { contentType: "audio/ogg" });
+      await MediaStorageService.releaseLocalCopy(voicePath);
+    } catch (error) {
+      console.error("Could not store the voice reply, dropping the recording:", error.message);
+      await fs.remove(voicePath);
+    }
+
+    const savedMessage = await DatabaseService.saveMessage({
+      businessId: conversation.business_id,
+      conversationId: conversation.id,
+      messageId: wamid || `${fallbackPrefix}_voice_${Date.now()}`,
+      fromNumber: messageData.to, // From business
+      toNumber: messageData.from, // To user
+      messageType: "audio",
+      content: text,
+      mediaUrl: null,
+      localFilePath: storageBackend ? relativePath : null,
+      isFromUser: false,
+      status: "sent",
+    });
+
+    if (storageBackend) {
+      await DatabaseService.saveMediaFile({
+        businessId,
+        messageId: savedMessage.id,
+        fileName: `${baseName}.ogg`,
+        filePath: relativePath,
+        fileType: "audio",
+        fileSize,
+        storageBackend,
+      });
+    }
+
+    return savedMessage;
+  }
+}
+
+module.exports = new VoiceReplyService();
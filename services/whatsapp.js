@@ -1,10 +1,31 @@
 ﻿require("dotenv").config();
 const axios = require("axios");
 const fs = require("fs");
+const path = require("path");
 
 class WhatsAppService {
-  constructor() {
+  /**
+   * @param {Object} [config] - Business WhatsApp configuration (see setBusinessConfig)
+   */
+  constructor(config = null) {
     this.baseURL = "https://graph.facebook.com/v18.0";
+
+    if (config) {
+      this.setBusinessConfig(config);
+    }
+  }
+
+  /**
+   * Create a client bound to a single business configuration.
+   * Use one client per webhook so concurrent tenants never share credentials.
+   * @param {Object} config - Business WhatsApp configuration
+   * @returns {WhatsAppService} New client instance for that business
+   */
+  forBusiness(config) {
+    if (!config) {
+      throw new Error("WhatsApp configuration is required");
+    }
+    return new WhatsAppService(config);
   }
 
   /**
@@ -31,16 +52,19 @@ class WhatsAppService {
   }
 
   /**
-   * Set configuration for a specific business
+   * Set configuration for a specific business.
+   * Only called on clients created through forBusiness(); the shared instance stays unconfigured.
    * @param {Object} config - Business WhatsApp configuration
    * @param {string} config.phone_number_id - WhatsApp phone number ID
    * @param {string} config.access_token - WhatsApp access token
    * @param {string} config.verify_token - Webhook verification token
+   * @param {string} [config.business_account_id] - WhatsApp Business Account ID (needed for templates)
    */
   setBusinessConfig(config) {
     this.phoneNumberId = config.phone_number_id;
     this.accessToken = this.sanitizeAccessToken(config.access_token);
     this.verifyToken = config.verify_token;
+    this.businessAccountId = config.business_account_id || null;
     
     // Log token info for debugging (without exposing the actual token)
     console.log(`WhatsApp config set - Phone ID: ${this.phoneNumberId}, Token length: ${this.accessToken.length}`);
@@ -109,6 +133,404 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Build Graph API template components from template variables
+   * Positional variables fill {{1}}, {{2}}, ...; named variables fill {{name}}.
+   * @param {Array|Object} variables - Graph components array (used as-is), or
+   *   { header: [...]|{...}, body: [...]|{...}, buttons: [{ index, sub_type, parameters }] }
+   * @returns {Array} Template components
+   */
+  buildTemplateComponents(variables) {
+    if (!variables) {
+      return [];
+    }
+    if (Array.isArray(variables)) {
+      return variables;
+    }
+
+    const toParameters = (values) =>
+      Array.isArray(values)
+        ? values.map((value) => ({ type: "text", text: String(value) }))
+        : Object.entries(values).map(([name, value]) => ({ type: "text", parameter_name: name, text: String(value) }));
+
+    const components = [];
+    for (const type of ["header", "body"]) {
+      if (variables[type]) {
+        components.push({ type, parameters: toParameters(variables[type]) });
+      }
+    }
+
+    for (const button of variables.buttons || []) {
+      components.push({
+        type: "button",
+        sub_type: button.sub_type || "url",
+        index: String(button.index || 0),
+        parameters: toParameters(button.parameters || []),
+      });
+    }
+
+    return components;
+  }
+
+  /**
+   * Send an approved message template (allowed outside the 24-hour customer-service window)
+   * @param {string} to - Recipient phone number
+   * @param {string} name - Template name
+   * @param {string} language - Template language code (e.g. "en_US")
+   * @param {Array|Object} components - Graph components, or variables for buildTemplateComponents
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendTemplateMessage(to, name, language = "en_US", components = []) {
+    try {
+      if (!this.phoneNumberId || !this.accessToken) {
+        throw new Error("WhatsApp configuration not set. Please set business config first.");
+      }
+
+      const cleanToken = this.sanitizeAccessToken(this.accessToken);
+
+      const template = {
+        name,
+        language: { code: language },
+      };
+      const builtComponents = this.buildTemplateComponents(components);
+      if (builtComponents.length > 0) {
+        template.components = builtComponents;
+      }
+
+      const response = await axios.post(
+        `${this.baseURL}/${this.phoneNumberId}/messages`,
+        {
+          messaging_product: "whatsapp",
+          to: to,
+          type: "template",
+          template,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${cleanToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error("Error sending template message:", error.response?.data || error.message);
+
+      if (this.isTokenExpiredError(error)) {
+        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+      }
+
+      throw new Error(`Failed to send WhatsApp template "${name}"`);
+    }
+  }
+
+  /**
+   * Build the Graph API "interactive" object for reply buttons or a list
+   * Titles are trimmed to WhatsApp's limits (buttons: 3 x 20 chars, list rows: 10 x 24 chars).
+   * @param {Object} spec
+   * @param {string} spec.type - "button" or "list"
+   * @param {string} spec.body - Message text
+   * @param {Array} [spec.buttons] - [{ id, title }] for "button"
+   * @param {string} [spec.button] - Label of the list menu button for "list"
+   * @param {Array} [spec.sections] - [{ title, rows: [{ id, title, description }] }] for "list"
+   * @param {string} [spec.header] - Optional header text
+   * @param {string} [spec.footer] - Optional footer text
+   * @returns {Object} Graph API interactive object
+   */
+  buildInteractive(spec) {
+    const truncate = (text, max) => {
+      const value = String(text || "");
+      return value.length > max ? `${value.substring(0, max - 1)}…` : value;
+    };
+
+    const interactive = {
+      type: spec.type,
+      body: { text: truncate(spec.body, 1024) },
+    };
+
+    if (spec.header) {
+      interactive.header = { type: "text", text: truncate(spec.header, 60) };
+    }
+    if (spec.footer) {
+      interactive.footer = { text: truncate(spec.footer, 60) };
+    }
+
+    if (spec.type === "button") {
+      interactive.action = {
+        buttons: (spec.buttons || []).slice(0, 3).map((button) => ({
+          type: "reply",
+          reply: { id: button.id, title: truncate(button.title, 20) },
+        })),
+      };
+    } else if (spec.type === "list") {
+      let remainingRows = 10;
+      interactive.action = {
+        button: truncate(spec.button || "Options", 20),
+        sections: (spec.sections || []).map((section) => {
+          const rows = (section.rows || []).slice(0, Math.max(remainingRows, 0));
+          remainingRows -= rows.length;
+          return {
+            ...(section.title && { title: truncate(section.title, 24) }),
+            rows: rows.map((row) => ({
+              id: row.id,
+              title: truncate(row.title, 24),
+              ...(row.description && { description: truncate(row.description, 72) }),
+            })),
+          };
+        }).filter((section) => section.rows.length > 0),
+      };
+    } else {
+      throw new Error(`Unsupported interactive message type: ${spec.type}`);
+    }
+
+    return interactive;
+  }
+
+  /**
+   * Send an interactive message (reply buttons or list)
+   * @param {string} to - Recipient phone number
+   * @param {Object} spec - See buildInteractive
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendInteractiveMessage(to, spec) {
+    try {
+      if (!this.phoneNumberId || !this.accessToken) {
+        throw new Error("WhatsApp configuration not set. Please set business config first.");
+      }
+
+      const cleanToken = this.sanitizeAccessToken(this.accessToken);
+
+      const response = await axios.post(
+        `${this.baseURL}/${this.phoneNumberId}/messages`,
+        {
+          messaging_product: "whatsapp",
+          recipient_type: "individual",
+          to: to,
+          type: "interactive",
+          interactive: this.buildInteractive(spec),
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${cleanToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error("Error sending interactive message:", error.response?.data || error.message);
+
+      if (this.isTokenExpiredError(error)) {
+        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+      }
+
+      throw new Error("Failed to send WhatsApp interactive message");
+    }
+  }
+
+  /**
+   * Send a message with up to 3 reply buttons
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @param {Array} buttons - [{ id, title }]
+   * @param {Object} options - { header, footer }
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendButtonMessage(to, body, buttons, options = {}) {
+    return this.sendInteractiveMessage(to, { type: "button", body, buttons, ...options });
+  }
+
+  /**
+   * Send a list message (menu of up to 10 rows)
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @param {string} button - Label of the menu button
+   * @param {Array} sections - [{ title, rows: [{ id, title, description }] }]
+   * @param {Object} options - { header, footer }
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendListMessage(to, body, button, sections, options = {}) {
+    return this.sendInteractiveMessage(to, { type: "list", body, button, sections, ...options });
+  }
+
+  /**
+   * Extract the WhatsApp message ID (wamid) from a send response
+   * @param {Object} response - Response returned by one of the send methods
+   * @returns {string|null} The wamid, or null if missing
+   */
+  getSentMessageId(response) {
+    return response?.messages?.[0]?.id || null;
+  }
+
+  /**
+   * Make an authenticated request against the business account's message templates
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the Graph API base URL
+   * @param {Object} options - { params, data }
+   * @returns {Promise<Object>} Graph API response body
+   */
+  async templateRequest(method, path, { params, data } = {}) {
+    if (!this.businessAccountId || !this.accessToken) {
+      throw new Error("WhatsApp Business Account ID not set. Please add business_account_id to the WhatsApp configuration.");
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseURL}/${path}`,
+        params,
+        data,
+        headers: {
+          Authorization: `Bearer ${this.sanitizeAccessToken(this.accessToken)}`,
+          "Content-Type": "application/json",
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error calling template API (${method} ${path}):`, error.response?.data || error.message);
+
+      if (this.isTokenExpiredError(error)) {
+        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+      }
+
+      throw new Error(error.response?.data?.error?.message || "WhatsApp template request failed");
+    }
+  }
+
+  /**
+   * Fetch every message template of the business account (follows pagination)
+   * @returns {Promise<Array>} Templates as returned by the Graph API
+   */
+  async getMessageTemplates() {
+    const templates = [];
+    let after = null;
+
+    do {
+      const page = await this.templateRequest("get", `${this.businessAccountId}/message_templates`, {
+        params: { limit: 100, fields: "id,name,language,status,category,components", after: after || undefined },
+      });
+      templates.push(...(page.data || []));
+      after = page.paging?.next ? page.paging.cursors?.after : null;
+    } while (after);
+
+    return templates;
+  }
+
+  /**
+   * Submit a new message template for approval
+   * @param {Object} template - { name, language, category, components }
+   * @returns {Promise<Object>} { id, status, category }
+   */
+  async createMessageTemplate(template) {
+    return this.templateRequest("post", `${this.businessAccountId}/message_templates`, { data: template });
+  }
+
+  /**
+   * Edit an existing message template (resubmitted for approval)
+   * @param {string} templateId - Graph template ID
+   * @param {Object} changes - { category, components }
+   * @returns {Promise<Object>} { success }
+   */
+  async editMessageTemplate(templateId, changes) {
+    return this.templateRequest("post", templateId, { data: changes });
+  }
+
+  /**
+   * Delete a message template (all languages unless templateId is given)
+   * @param {string} name - Template name
+   * @param {string} [templateId] - Graph template ID, to delete a single language
+   * @returns {Promise<Object>} { success }
+   */
+  async deleteMessageTemplate(name, templateId = null) {
+    return this.templateRequest("delete", `${this.businessAccountId}/message_templates`, {
+      params: { name, hsm_id: templateId || undefined },
+    });
+  }
+
+  /**
+   * Upload a media file to WhatsApp, e.g. to send it as an audio message
+   * @param {string} filePath - Local file
+   * @param {string} mimeType - MIME type WhatsApp accepts, e.g. "audio/ogg" for Opus voice notes
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadMedia(filePath, mimeType) {
+    try {
+      if (!this.phoneNumberId || !this.accessToken) {
+        throw new Error("WhatsApp configuration not set. Please set business config first.");
+      }
+
+      const cleanToken = this.sanitizeAccessToken(this.accessToken);
+
+      const file = await fs.promises.readFile(filePath);
+      const form = new FormData();
+      form.append("messaging_product", "whatsapp");
+      form.append("type", mimeType);
+      form.append("file", new Blob([file], { type: mimeType }), path.basename(filePath));
+
+      const response = await axios.post(`${this.baseURL}/${this.phoneNumberId}/media`, form, {
+        headers: {
+          Authorization: `Bearer ${cleanToken}`,
+        },
+      });
+
+      return response.data.id;
+    } catch (error) {
+      console.error("Error uploading media:", error.response?.data || error.message);
+
+      if (this.isTokenExpiredError(error)) {
+        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+      }
+
+      throw new Error("Failed to upload media to WhatsApp");
+    }
+  }
+
+  /**
+   * Send an uploaded audio file; OGG/Opus audio shows as a voice note
+   * @param {string} to - Recipient phone number
+   * @param {string} mediaId - ID returned by uploadMedia
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendAudioMessage(to, mediaId) {
+    try {
+      if (!this.phoneNumberId || !this.accessToken) {
+        throw new Error("WhatsApp configuration not set. Please set business config first.");
+      }
+
+      const cleanToken = this.sanitizeAccessToken(this.accessToken);
+
+      const response = await axios.post(
+        `${this.baseURL}/${this.phoneNumberId}/messages`,
+        {
+          messaging_product: "whatsapp",
+          to: to,
+          type: "audio",
+          audio: {
+            id: mediaId,
+          },
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${cleanToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error("Error sending audio message:", error.response?.data || error.message);
+
+      if (this.isTokenExpiredError(error)) {
+        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+      }
+
+      throw new Error("Failed to send WhatsApp audio message");
+    }
+  }
+
   /**
    * Send a message (alias for sendTextMessage for backward compatibility)
    * @param {string} to - Recipient phone number
@@ -334,9 +756,11 @@ class WhatsAppService {
   }
 
   /**
-   * Process incoming webhook message from WhatsApp
+   * Process incoming webhook body from WhatsApp
+   * Meta may batch several entries (phone numbers), changes, messages and statuses into one POST,
+   * so every one of them is returned as a normalized event.
    * @param {Object} body - Webhook request body
-   * @returns {Promise<Object|null>} Processed message data or null if no message
+   * @returns {Promise<Object[]>} Events with eventType "message", "status" or "error" (empty if none)
    */
   async processIncomingMessage(body) {
     try {
@@ -347,76 +771,207 @@ class WhatsAppService {
         throw new Error("Invalid webhook structure: not a WhatsApp Business Account webhook");
       }
 
-      const entry = body.entry?.[0];
-      if (!entry) {
-        throw new Error("No entry found in webhook body");
-      }
-
-      const changes = entry.changes?.[0];
-      if (!changes || !changes.value) {
-        throw new Error("Invalid webhook structure: no changes or value found");
-      }
-
-      // Extract phone number ID from webhook metadata
-      const phoneNumberId = changes.value.metadata?.phone_number_id;
-      if (!phoneNumberId) {
-        throw new Error("No phone number ID found in webhook metadata");
+      const events = [];
+
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value;
+          if (!value) {
+            console.warn("Skipping webhook change without value");
+            continue;
+          }
+
+          // Extract phone number ID from webhook metadata
+          const phoneNumberId = value.metadata?.phone_number_id;
+          if (!phoneNumberId) {
+            console.warn("Skipping webhook change without phone number ID in metadata");
+            continue;
+          }
+
+          for (const message of value.messages || []) {
+            events.push(this.normalizeMessage(message, phoneNumberId));
+          }
+
+          for (const status of value.statuses || []) {
+            events.push(this.normalizeStatus(status, phoneNumberId));
+          }
+
+          if (value.errors && value.errors.length > 0) {
+            events.push({
+              eventType: "error",
+              to: phoneNumberId,
+              errors: value.errors,
+            });
+          }
+        }
       }
 
-      const messages = changes.value.messages;
-      if (!messages || messages.length === 0) {
-        console.log("No messages found in webhook, this might be a status update");
-        return null; // No messages to process
-      }
+      console.log(`Parsed ${events.length} webhook event(s)`);
+      return events;
+    } catch (error) {
+      console.error("Error processing incoming message:", error);
+      throw error;
+    }
+  }
 
-      const message = messages[0];
-      const from = message.from;
-      const timestamp = message.timestamp;
-      const messageId = message.id;
-
-      let messageType = "text";
-      let content = "";
-      let mediaUrl = null;
-      let mediaId = null;
-
-      // Determine message type and extract content
-      if (message.text) {
-        messageType = "text";
-        content = message.text.body;
-      } else if (message.image) {
-        messageType = "image";
-        content = message.image.caption || "";
-        mediaId = message.image.id;
-        // For images, we don't get a direct URL - we need to download using the media ID
-        mediaUrl = null;
-      } else if (message.audio) {
-        messageType = "audio";
-        mediaId = message.audio.id;
-        mediaUrl = message.audio.url;
-      } else if (message.document) {
-        messageType = "document";
-        content = message.document.caption || "";
-        mediaId = message.document.id;
-        mediaUrl = message.document.url;
+  /**
+   * Normalize a single inbound message from a webhook change
+   * @param {Object} message - Entry of value.messages
+   * @param {string} phoneNumberId - Business phone number ID that received it
+   * @returns {Object} Message event
+   */
+  normalizeMessage(message, phoneNumberId) {
+    let messageType = "text";
+    let content = "";
+    let mediaUrl = null;
+    let mediaId = null;
+    let mimeType = null;
+    let fileName = null;
+    let metadata = null;
+    let reply = null;
+
+    // Determine message type and extract content
+    if (message.text) {
+      messageType = "text";
+      content = message.text.body;
+    } else if (message.image) {
+      messageType = "image";
+      content = message.image.caption || "";
+      mediaId = message.image.id;
+      // For images, we don't get a direct URL - we need to download using the media ID
+      mediaUrl = null;
+    } else if (message.audio) {
+      messageType = "audio";
+      mediaId = message.audio.id;
+      mediaUrl = message.audio.url;
+    } else if (message.document) {
+      messageType = "document";
+      content = message.document.caption || "";
+      mediaId = message.document.id;
+      mediaUrl = message.document.url;
+      mimeType = message.document.mime_type || null;
+      fileName = message.document.filename || null;
+    } else if (message.video) {
+      messageType = "video";
+      content = message.video.caption || "";
+      mediaId = message.video.id;
+      mimeType = message.video.mime_type || null;
+    } else if (message.sticker) {
+      messageType = "sticker";
+      mediaId = message.sticker.id;
+      mimeType = message.sticker.mime_type || null;
+      metadata = { animated: !!message.sticker.animated };
+    } else if (message.location) {
+      messageType = "location";
+      metadata = {
+        latitude: message.location.latitude,
+        longitude: message.location.longitude,
+        name: message.location.name || null,
+        address: message.location.address || null,
+        url: message.location.url || null,
+      };
+      content = this.describeLocation(metadata);
+    } else if (message.contacts) {
+      messageType = "contacts";
+      metadata = { contacts: message.contacts.map((contact) => this.normalizeContact(contact)) };
+      content = metadata.contacts
+        .map((contact) => [contact.name, ...contact.phones, ...contact.emails].filter(Boolean).join(", "))
+        .join("\n");
+    } else if (message.reaction) {
+      // An empty emoji removes the customer's earlier reaction
+      messageType = "reaction";
+      content = message.reaction.emoji || "";
+      metadata = { messageId: message.reaction.message_id, emoji: message.reaction.emoji || null };
+    } else if (message.interactive) {
+      // Tap on a reply button or list row we sent; the title doubles as the text content
+      const interactiveReply = message.interactive.button_reply || message.interactive.list_reply;
+      if (interactiveReply) {
+        messageType = "interactive";
+        content = interactiveReply.title || "";
+        reply = {
+          type: message.interactive.type,
+          id: interactiveReply.id,
+          title: interactiveReply.title,
+          description: interactiveReply.description || null,
+        };
       } else {
         messageType = "unknown";
         content = "Unsupported message type";
       }
-
-      return {
-        from,
-        to: phoneNumberId, // Use the phone number ID from webhook metadata
-        messageId,
-        messageType,
-        content,
-        mediaId,
-        mediaUrl,
-        timestamp,
+    } else if (message.button) {
+      // Quick-reply button of a template message
+      messageType = "interactive";
+      content = message.button.text || "";
+      reply = {
+        type: "template_button",
+        id: message.button.payload,
+        title: message.button.text,
+        description: null,
       };
-    } catch (error) {
-      console.error("Error processing incoming message:", error);
-      throw error;
+    } else {
+      messageType = "unknown";
+      content = "Unsupported message type";
     }
+
+    return {
+      eventType: "message",
+      from: message.from,
+      to: phoneNumberId, // Use the phone number ID from webhook metadata
+      messageId: message.id,
+      messageType,
+      content,
+      mediaId,
+      mediaUrl,
+      mimeType, // Documents, videos and stickers
+      fileName, // Documents only
+      metadata, // Coordinates of locations, contacts, the message a reaction is on, ...
+      reply, // { type, id, title, description } for interactive replies
+      timestamp: message.timestamp,
+    };
+  }
+
+  /**
+   * Text stored for a shared location, e.g. "📍 Acme Store, 1 Main St (52.370216, 4.895168)"
+   */
+  describeLocation({ latitude, longitude, name, address }) {
+    const place = [name, address].filter(Boolean).join(", ");
+    return `📍 ${place ? `${place} ` : ""}(${latitude}, ${longitude})`;
+  }
+
+  /**
+   * Flatten a shared contact card (vCard) of a webhook message
+   * @returns {Object} { name, firstName, lastName, phones, emails, company, title }
+   */
+  normalizeContact(contact) {
+    const name = contact.name || {};
+    return {
+      name: name.formatted_name || [name.first_name, name.last_name].filter(Boolean).join(" ") || null,
+      firstName: name.first_name || null,
+      lastName: name.last_name || null,
+      // wa_id is the number without formatting, when the contact is on WhatsApp
+      phones: (contact.phones || []).map((phone) => phone.phone || phone.wa_id).filter(Boolean),
+      emails: (contact.emails || []).map((email) => email.email).filter(Boolean),
+      company: contact.org?.company || null,
+      title: contact.org?.title || null,
+    };
+  }
+
+  /**
+   * Normalize a delivery status callback from a webhook change
+   * @param {Object} status - Entry of value.statuses
+   * @param {string} phoneNumberId - Business phone number ID that sent the message
+   * @returns {Object} Status event
+   */
+  normalizeStatus(status, phoneNumberId) {
+    return {
+      eventType: "status",
+      to: phoneNumberId,
+      messageId: status.id,
+      recipientId: status.recipient_id,
+      status: status.status,
+      timestamp: status.timestamp,
+      errors: status.errors || [],
+    };
   }
 }
 
@@ -1,4 +1,9 @@
+require('dotenv').config();
 const axios = require('axios');
+const { signWebhookPayload } = require('./middleware/webhook-signature');
+
+// Must match the business's whatsapp_configs.app_secret (or the global WHATSAPP_APP_SECRET)
+const appSecret = process.argv[2] || process.env.WHATSAPP_APP_SECRET;
 
 // Simulate a WhatsApp webhook message
 const mockWhatsAppMessage = {
@@ -46,9 +51,18 @@ async function testWebhook() {
   try {
     console.log('Sending test message to webhook...\n');
 
-    const response = await axios.post('http://localhost:5000/api/webhook', mockWhatsAppMessage, {
+    if (!appSecret) {
+      console.error('❌ No app secret. Pass it as an argument or set WHATSAPP_APP_SECRET.');
+      process.exit(1);
+    }
+
+    // Sign the exact bytes we send, the same way Meta does
+    const payload = JSON.stringify(mockWhatsAppMessage);
+
+    const response = await axios.post('http://localhost:5000/api/webhook', payload, {
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': signWebhookPayload(payload, appSecret)
       }
     });
 